@@ -2,18 +2,91 @@ const express = require('express');
 const cors = require('cors');
 const fs = require('fs').promises;
 const path = require('path');
-const { exec } = require('child_process');
-const util = require('util');
+const CONFIG = require('./config');
+const { createAuth } = require('./server/auth');
+const { createAdminUsersRouter } = require('./server/admin-users');
+const { createAdminLoginEventsRouter } = require('./server/admin-login-events');
+const { createRolesRouter } = require('./server/roles');
+const { createPerformanceLogStore } = require('./server/performance-log-store');
+const { createRewardSchemeStore } = require('./server/reward-scheme-store');
+const { createRewardSchemesRouter } = require('./server/reward-schemes');
+const { createMedalLedgerStore } = require('./server/medal-ledger-store');
+const { createRewardPayoutStore } = require('./server/reward-payout-store');
+const { createOutletRegistryStore } = require('./server/outlet-registry-store');
+const { createOutletsRouter } = require('./server/outlets');
+const { createHierarchyRouter } = require('./server/hierarchy');
+const { createAuditLogStore } = require('./server/audit-log-store');
+const { createVersioning, versionMessage } = require('./server/versioning');
+const { filterDataForUser, mergeScopedSave, checkChangePermissions } = require('./src/lib/permissions');
+const { applyOutletPatch, MERGE_PATCH_TYPE, JSON_PATCH_TYPE } = require('./src/lib/outlet-patch');
+const {
+    documentRevision,
+    outletRevision,
+    formatETag,
+    commitRevision,
+    checkDocumentWrite,
+    checkOutletWrite
+} = require('./src/lib/revisions');
+const {
+    performanceAuthor,
+    parsePeriodQuery,
+    validatePerformanceEntry,
+    applyPerformanceEntry,
+    performanceChanges,
+    performanceReport
+} = require('./src/lib/performance');
+const { definePeriod, removePeriod, listPeriods } = require('./src/lib/periods');
+const { outletScorecard } = require('./src/lib/scorecard');
+const {
+    IMPORT_CONTENT_TYPES,
+    readImportFile,
+    readImportRecords,
+    planPerformanceImport,
+    importSummary,
+    isDryRun
+} = require('./src/lib/performance-import');
+const { listMedals, awardSpecialMedal, awardTierMedals, changeMedalStatus } = require('./src/lib/medals');
+const { rewardReport, setRewardPayoutStatus } = require('./src/lib/reward-report');
+const { leaderboard } = require('./src/lib/leaderboard');
+const { outletDirectory, importedOutlets } = require('./src/lib/outlet-registry');
+const { peopleDirectory, seededAssignments } = require('./src/lib/hierarchy');
+const { isBackupFilename, backupFileTime, backupsToPrune, backupUsage, planRestore, restoreResult } = require('./src/lib/backups');
+const { parseDiffQuery, dataDiff } = require('./src/lib/data-diff');
+const { auditEvents, medalAuditEvents, parseAuditQuery } = require('./src/lib/audit');
 
 const app = express();
 const PORT = 3000;
 const DATA_FILE = path.join(__dirname, 'phoenix-data.json');
 const BACKUP_DIR = path.join(__dirname, 'backups');
+const auth = createAuth();
+const performanceLog = createPerformanceLogStore();
+const rewardSchemes = createRewardSchemeStore();
+const medalLedger = createMedalLedgerStore();
+const rewardPayouts = createRewardPayoutStore();
+const outletRegistry = createOutletRegistryStore();
+const auditLog = createAuditLogStore();
+const versioning = createVersioning(DATA_FILE);
 
 // Middleware
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(cors({ exposedHeaders: ['ETag', 'Retry-After', 'Content-Disposition'] }));
+app.use(express.json({
+    limit: '10mb',
+    type: ['application/json', MERGE_PATCH_TYPE, JSON_PATCH_TYPE]
+}));
+// Data files are only reachable through the authenticated API
+app.use(['/phoenix-data.json', '/phoenix-data-backup.json', '/users-import.sql', '/backups', '/data'], (req, res) => {
+    res.status(404).json({ success: false, error: 'Not found' });
+});
 app.use(express.static('.'));
+app.use('/api', auth.attachUser);
+app.use('/api/auth', auth.router);
+app.use('/api/roles', auth.requireAuth, createRolesRouter(auth));
+app.use('/api/reward-schemes', auth.requireAuth, createRewardSchemesRouter(auth, rewardSchemes,
+    async req => filterDataForUser(await loadData(), req.user).outlets || {}));
+app.use('/api/outlets', auth.requireAuth, createOutletsRouter(auth, outletRegistry, () => loadData()));
+app.use('/api/hierarchy', auth.requireAuth, createHierarchyRouter(auth, outletRegistry));
+app.use('/api/admin/users', auth.requireAuth, auth.requirePermission('manage_users'), createAdminUsersRouter(auth.userStore));
+app.use('/api/admin/login-events', auth.requireAuth, auth.requirePermission('manage_users'), createAdminLoginEventsRouter(auth.loginEvents));
 
 // Ensure backup directory exists
 async function ensureBackupDir() {
@@ -38,24 +111,27 @@ async function createBackup(data) {
     }
 }
 
-// Git operations
-const execAsync = util.promisify(exec);
+// Backup files with their time and size, as backupsToPrune/backupUsage expect them
+async function listBackupFiles() {
+    await ensureBackupDir();
+    const files = (await fs.readdir(BACKUP_DIR)).filter(isBackupFilename);
+    return Promise.all(files.map(async filename => ({
+        id: filename,
+        createdAt: backupFileTime(filename),
+        bytes: (await fs.stat(path.join(BACKUP_DIR, filename))).size
+    })));
+}
 
-async function gitCommitData(message = 'Update Phoenix OKR data') {
+// Delete the backups the retention policy (CONFIG.BACKUPS) no longer keeps
+async function pruneBackups() {
     try {
-        // Add the data file to git
-        await execAsync('git add phoenix-data.json', { cwd: __dirname });
-        
-        // Commit with timestamp
-        const timestamp = new Date().toISOString();
-        const commitMessage = `${message} - ${timestamp}`;
-        await execAsync(`git commit -m "${commitMessage}"`, { cwd: __dirname });
-        
-        console.log('✅ Data committed to Git:', commitMessage);
-        return true;
+        const pruned = backupsToPrune(await listBackupFiles());
+        await Promise.all(pruned.map(filename => fs.unlink(path.join(BACKUP_DIR, filename))));
+        if (pruned.length > 0) {
+            console.log(`🧹 Pruned ${pruned.length} backups`);
+        }
     } catch (error) {
-        console.warn('⚠️ Git commit failed (this is okay):', error.message);
-        return false;
+        console.error('❌ Backup pruning failed:', error);
     }
 }
 
@@ -81,6 +157,20 @@ async function initializeDataFile() {
     }
 }
 
+// Fill an empty outlet registry from the outlet accounts and Phoenix outlets (like D1 migration 0007)
+async function initializeOutletRegistry() {
+    if ((await outletRegistry.list()).length > 0) return;
+    const added = await outletRegistry.addMissing(importedOutlets(await auth.userStore.list(), (await loadData()).outlets || {}));
+    console.log(`🏪 Outlet registry created with ${added} outlets (${outletRegistry.filePath})`);
+}
+
+// Give every registry outlet its AM from the HQ accounts when the hierarchy is empty (like D1 migration 0008)
+async function initializeHierarchy() {
+    if ((await auth.hierarchyStore.entries()).length > 0) return;
+    const seeded = await auth.hierarchyStore.append(seededAssignments(await auth.userStore.list(), await outletRegistry.list()));
+    console.log(`🧭 AM hierarchy created with ${seeded.length} outlet assignments (${auth.hierarchyStore.filePath})`);
+}
+
 // Load data from file
 async function loadData() {
     try {
@@ -92,8 +182,8 @@ async function loadData() {
     }
 }
 
-// Save data to file
-async function saveData(data, skipBackup = false) {
+// Save data to file (user: who made the change, for the version message)
+async function saveData(data, skipBackup = false, user = null) {
     try {
         // Create backup of current data before saving new data
         if (!skipBackup) {
@@ -111,10 +201,11 @@ async function saveData(data, skipBackup = false) {
         }, 0);
         
         // Save to file
-        await fs.writeFile(DATA_FILE, JSON.stringify(data, null, 2));
+        const content = JSON.stringify(data, null, 2);
+        await fs.writeFile(DATA_FILE, content);
         
-        // Commit to git (async, don't wait)
-        gitCommitData('Phoenix data updated via API').catch(() => {});
+        // Record the version (PHOENIX_VERSIONING driver, queued - don't wait)
+        versioning.record({ content, message: versionMessage(data, user) });
         
         console.log(`💾 Data saved: ${data.metadata.totalOutlets} outlets, ${data.metadata.totalOKRs} OKRs`);
         return true;
@@ -124,15 +215,43 @@ async function saveData(data, skipBackup = false) {
     }
 }
 
+// After a document write: record its performance history entries and audit events
+async function recordWrite(current, data, user, performanceEntries) {
+    await performanceLog.append(performanceEntries);
+    const events = await auditLog.append(auditEvents(current, data, user));
+    if (events.length > 0) {
+        console.log(`📝 ${events.length} change${events.length === 1 ? '' : 's'} by ${performanceAuthor(user)}`);
+    }
+}
+
+// Run load -> check revision -> save one request at a time so revision checks cannot interleave
+let dataWriteQueue = Promise.resolve();
+function withDataLock(task) {
+    const run = dataWriteQueue.then(task, task);
+    dataWriteQueue = run.catch(() => {});
+    return run;
+}
+
+// Copy of the document whose outlets can be changed without touching the loaded original
+function nextVersion(data) {
+    return { ...data, outlets: { ...(data.outlets || {}) } };
+}
+
+function sendResult(res, result) {
+    res.status(result.status).set(result.headers || {}).json(result.body);
+}
+
 // API Routes
 
-// Get all Phoenix data
-app.get('/api/phoenix-data', async (req, res) => {
+// Get all Phoenix data (only the outlets the caller may see)
+app.get('/api/phoenix-data', auth.requireAuth, async (req, res) => {
     try {
-        const data = await loadData();
-        res.json({
+        const stored = await loadData();
+        const data = filterDataForUser(stored, req.user);
+        res.set('ETag', formatETag(documentRevision(stored))).json({
             success: true,
             data: data,
+            revision: documentRevision(stored),
             timestamp: new Date().toISOString()
         });
     } catch (error) {
@@ -143,8 +262,8 @@ app.get('/api/phoenix-data', async (req, res) => {
     }
 });
 
-// Save all Phoenix data
-app.post('/api/phoenix-data', async (req, res) => {
+// Save all Phoenix data (If-Match: the ETag from GET /api/phoenix-data)
+app.post('/api/phoenix-data', auth.requireAuth, async (req, res) => {
     try {
         const { data } = req.body;
         
@@ -155,21 +274,36 @@ app.post('/api/phoenix-data', async (req, res) => {
             });
         }
         
-        const saved = await saveData(data);
-        
-        if (saved) {
-            res.json({
-                success: true,
-                message: 'Phoenix data saved successfully',
-                timestamp: new Date().toISOString(),
-                outlets: Object.keys(data.outlets || {}).length
-            });
-        } else {
-            res.status(500).json({
-                success: false,
-                error: 'Failed to save data'
-            });
-        }
+        const result = await withDataLock(async () => {
+            const current = await loadData();
+            const conflict = checkDocumentWrite(req.get('If-Match'), current, req.user);
+            if (conflict) return conflict;
+
+            // Non-admin users can only change the outlets they own
+            const { data: scopedData, skippedOutlets } = mergeScopedSave(current, data, req.user);
+            const forbidden = checkChangePermissions(auditEvents(current, scopedData, req.user), req.user);
+            if (forbidden) return forbidden;
+            const { revision, changedOutlets } = commitRevision(current, scopedData);
+
+            if (!(await saveData(scopedData, false, req.user))) {
+                return { status: 500, body: { success: false, error: 'Failed to save data' } };
+            }
+            await recordWrite(current, scopedData, req.user, performanceChanges(current, scopedData, changedOutlets, req.user));
+            return {
+                status: 200,
+                headers: { ETag: formatETag(revision) },
+                body: {
+                    success: true,
+                    message: 'Phoenix data saved successfully',
+                    timestamp: new Date().toISOString(),
+                    outlets: Object.keys(scopedData.outlets || {}).length,
+                    revision: revision,
+                    changedOutlets: changedOutlets,
+                    skippedOutlets: skippedOutlets
+                }
+            };
+        });
+        sendResult(res, result);
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -179,14 +313,14 @@ app.post('/api/phoenix-data', async (req, res) => {
 });
 
 // Get specific outlet data
-app.get('/api/outlet/:outletCode', async (req, res) => {
+app.get('/api/outlet/:outletCode', auth.requireAuth, auth.requireOutletAccess, async (req, res) => {
     try {
         const data = await loadData();
         const outletCode = req.params.outletCode;
         const outletData = data.outlets[outletCode];
         
         if (outletData) {
-            res.json({
+            res.set('ETag', formatETag(outletRevision(outletData))).json({
                 success: true,
                 outlet: outletCode,
                 data: outletData
@@ -205,11 +339,53 @@ app.get('/api/outlet/:outletCode', async (req, res) => {
     }
 });
 
+/**
+ * Shared body of the single-outlet writes: If-Match check against the outlet's
+ * revision, then change(current outlet) -> { outlet, performance? } | { status, body } | { remove: true }
+ * performance lists the history entries to record; by default they are worked out
+ * from the performanceData change.
+ */
+async function writeOutlet(req, change, successMessage) {
+    return withDataLock(async () => {
+        const current = await loadData();
+        const outletCode = req.params.outletCode;
+        const conflict = checkOutletWrite(req.get('If-Match'), current, outletCode);
+        if (conflict) return conflict;
+
+        const outcome = await change(current.outlets[outletCode]);
+        if (!outcome.outlet && !outcome.remove) return outcome;
+
+        const data = nextVersion(current);
+        if (outcome.remove) {
+            delete data.outlets[outletCode];
+        } else {
+            data.outlets[outletCode] = { ...outcome.outlet, lastUpdated: new Date().toISOString() };
+        }
+        const forbidden = checkChangePermissions(auditEvents(current, data, req.user), req.user);
+        if (forbidden) return forbidden;
+        const { revision, changedOutlets } = commitRevision(current, data);
+
+        if (!(await saveData(data, false, req.user))) {
+            return { status: 500, body: { success: false, error: 'Failed to save outlet data' } };
+        }
+        await recordWrite(current, data, req.user, outcome.performance || performanceChanges(current, data, changedOutlets, req.user));
+        const outlet = data.outlets[outletCode];
+        return {
+            status: 200,
+            headers: outlet ? { ETag: formatETag(outletRevision(outlet)) } : {},
+            body: {
+                success: true,
+                message: `Outlet ${outletCode} ${successMessage}`,
+                revision: revision,
+                ...(outlet ? { data: outlet } : {})
+            }
+        };
+    });
+}
+
 // Update specific outlet data
-app.put('/api/outlet/:outletCode', async (req, res) => {
+app.put('/api/outlet/:outletCode', auth.requireAuth, auth.requireOutletAccess, async (req, res) => {
     try {
-        const data = await loadData();
-        const outletCode = req.params.outletCode;
         const { outletData } = req.body;
         
         if (!outletData) {
@@ -219,27 +395,75 @@ app.put('/api/outlet/:outletCode', async (req, res) => {
             });
         }
         
-        // Update outlet data
-        data.outlets[outletCode] = {
-            ...data.outlets[outletCode],
-            ...outletData,
-            lastUpdated: new Date().toISOString()
-        };
-        
-        const saved = await saveData(data);
-        
-        if (saved) {
-            res.json({
-                success: true,
-                message: `Outlet ${outletCode} updated successfully`,
-                data: data.outlets[outletCode]
-            });
-        } else {
-            res.status(500).json({
+        const result = await writeOutlet(req, outlet => ({
+            outlet: { ...outlet, ...outletData }
+        }), 'updated successfully');
+        sendResult(res, result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Partially update outlet data (JSON Merge Patch or JSON Patch)
+app.patch('/api/outlet/:outletCode', auth.requireAuth, auth.requireOutletAccess, async (req, res) => {
+    try {
+        const result = await writeOutlet(req, outlet => {
+            if (!outlet) {
+                return { status: 404, body: { success: false, error: 'Outlet not found' } };
+            }
+            return applyOutletPatch(outlet, req.body, req.get('Content-Type'));
+        }, 'patched successfully');
+        sendResult(res, result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Delete outlet
+app.delete('/api/outlet/:outletCode', auth.requireAuth, auth.requirePermission('delete_outlet'), auth.requireOutletAccess, async (req, res) => {
+    try {
+        const result = await writeOutlet(req, outlet => {
+            if (!outlet) {
+                return { status: 404, body: { success: false, error: 'Outlet not found' } };
+            }
+            return { remove: true };
+        }, 'deleted successfully');
+        sendResult(res, result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Action completion, term progress, reward tier and reward for a period (?period=, default the current one)
+app.get('/api/outlet/:outletCode/scorecard', auth.requireAuth, auth.requireOutletAccess, async (req, res) => {
+    try {
+        const parsed = parsePeriodQuery(req.query);
+        if (parsed.status) {
+            return sendResult(res, parsed);
+        }
+
+        const data = await loadData();
+        const outletCode = req.params.outletCode;
+        const outlet = data.outlets[outletCode];
+        if (!outlet) {
+            return res.status(404).json({
                 success: false,
-                error: 'Failed to save outlet data'
+                error: 'Outlet not found'
             });
         }
+
+        const result = outletScorecard(outletCode, outlet, await performanceLog.history(outletCode),
+            await rewardSchemes.versions(), parsed.periodId);
+        sendResult(res, { ...result, headers: { ETag: formatETag(outletRevision(outlet)) } });
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -248,34 +472,280 @@ app.put('/api/outlet/:outletCode', async (req, res) => {
     }
 });
 
-// Delete outlet
-app.delete('/api/outlet/:outletCode', async (req, res) => {
+// Performance for one outlet and period (?period=YYYY-MM or a custom period id; default the current period)
+app.get('/api/outlet/:outletCode/performance', auth.requireAuth, auth.requireOutletAccess, async (req, res) => {
     try {
+        const parsed = parsePeriodQuery(req.query);
+        if (parsed.status) {
+            return sendResult(res, parsed);
+        }
+
         const data = await loadData();
         const outletCode = req.params.outletCode;
-        
-        if (data.outlets[outletCode]) {
-            delete data.outlets[outletCode];
-            
-            const saved = await saveData(data);
-            
-            if (saved) {
-                res.json({
-                    success: true,
-                    message: `Outlet ${outletCode} deleted successfully`
-                });
-            } else {
-                res.status(500).json({
-                    success: false,
-                    error: 'Failed to delete outlet'
-                });
+        const outlet = data.outlets[outletCode];
+        if (!outlet) {
+            return res.status(404).json({
+                success: false,
+                error: 'Outlet not found'
+            });
+        }
+
+        const history = await performanceLog.history(outletCode);
+        const result = performanceReport(outletCode, outlet, history, parsed.periodId);
+        sendResult(res, { ...result, headers: { ETag: formatETag(outletRevision(outlet)) } });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Record a performance entry: { term, revenue, trano, period? } (If-Match: the outlet's ETag)
+app.post('/api/outlet/:outletCode/performance', auth.requireAuth, auth.requireOutletAccess, async (req, res) => {
+    try {
+        const validated = validatePerformanceEntry(req.body, req.user);
+        if (!validated.entry) {
+            return sendResult(res, validated);
+        }
+        const outletCode = req.params.outletCode;
+        const entry = { outletCode, ...validated.entry, author: performanceAuthor(req.user) };
+
+        const result = await writeOutlet(req, async outlet => {
+            if (!outlet) {
+                return { status: 404, body: { success: false, error: 'Outlet not found' } };
             }
-        } else {
-            res.status(404).json({
+            return applyPerformanceEntry(outlet, entry, await performanceLog.history(outletCode));
+        }, `${entry.term} performance recorded`);
+        sendResult(res, result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Periods that can be browsed for an outlet, newest first
+app.get('/api/outlet/:outletCode/periods', auth.requireAuth, auth.requireOutletAccess, async (req, res) => {
+    try {
+        const data = await loadData();
+        const outletCode = req.params.outletCode;
+        const outlet = data.outlets[outletCode];
+        if (!outlet) {
+            return res.status(404).json({
                 success: false,
                 error: 'Outlet not found'
             });
         }
+
+        res.set('ETag', formatETag(outletRevision(outlet))).json({
+            success: true,
+            outletCode: outletCode,
+            periods: listPeriods(outlet, await performanceLog.history(outletCode))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Define or replace a custom period: { start, end, label?, termEndDays? } (If-Match: the outlet's ETag)
+app.post('/api/outlet/:outletCode/periods', auth.requireAuth, auth.requirePermission('manage_periods'), auth.requireOutletAccess, async (req, res) => {
+    try {
+        const result = await writeOutlet(req, outlet => {
+            if (!outlet) {
+                return { status: 404, body: { success: false, error: 'Outlet not found' } };
+            }
+            return definePeriod(outlet, req.body);
+        }, 'period saved');
+        sendResult(res, result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Remove a custom period (If-Match: the outlet's ETag)
+app.delete('/api/outlet/:outletCode/periods/:periodId', auth.requireAuth, auth.requirePermission('manage_periods'), auth.requireOutletAccess, async (req, res) => {
+    try {
+        const result = await writeOutlet(req, async outlet => {
+            if (!outlet) {
+                return { status: 404, body: { success: false, error: 'Outlet not found' } };
+            }
+            return removePeriod(outlet, req.params.periodId, await performanceLog.history(req.params.outletCode));
+        }, 'period removed');
+        sendResult(res, result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Bulk revenue/trano import from a POS export (CSV or .xlsx body); ?dryRun=true only returns the diff
+app.post('/api/import/performance', auth.requireAuth, auth.requirePermission('import_performance'),
+    express.raw({ type: Object.values(IMPORT_CONTENT_TYPES), limit: '10mb' }), async (req, res) => {
+    try {
+        const file = await readImportFile(req.get('Content-Type'), Buffer.isBuffer(req.body) ? req.body : null, req.query.sheet);
+        if (!file.rows) return sendResult(res, file);
+        const parsed = readImportRecords(file.rows);
+        if (!parsed.records) return sendResult(res, parsed);
+        const dryRun = isDryRun(req.query);
+
+        const result = await withDataLock(async () => {
+            const current = await loadData();
+            if (!dryRun) {
+                const conflict = checkDocumentWrite(req.get('If-Match'), current, req.user);
+                if (conflict) return conflict;
+            }
+
+            const plan = await planPerformanceImport(parsed.records, current, code => performanceLog.history(code), req.user);
+            const body = importSummary(plan, dryRun);
+            if (dryRun || plan.errors.length > 0 || plan.entries.length === 0) {
+                const status = plan.errors.length > 0 && !dryRun ? 400 : 200;
+                const revision = documentRevision(current);
+                return { status, headers: { ETag: formatETag(revision) }, body: { ...body, revision } };
+            }
+
+            const data = nextVersion(current);
+            Object.assign(data.outlets, plan.outlets);
+            const { revision } = commitRevision(current, data);
+            if (!(await saveData(data, false, req.user))) {
+                return { status: 500, body: { success: false, error: 'Failed to save imported data' } };
+            }
+            await recordWrite(current, data, req.user, plan.entries);
+            return { status: 200, headers: { ETag: formatETag(revision) }, body: { ...body, revision } };
+        });
+        sendResult(res, result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Medal ledger: ?outlet=&period=&status=&kind= filter the medals of the outlets the user can see
+app.get('/api/medals', auth.requireAuth, async (req, res) => {
+    try {
+        sendResult(res, await listMedals(medalLedger, req.user, req.query));
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Ledger writes share the data lock, so checks such as "one tier medal per outlet and period" see every earlier write
+function medalRoute(permission, handle) {
+    return [auth.requireAuth, auth.requirePermission(permission), async (req, res) => {
+        try {
+            sendResult(res, await withDataLock(async () => {
+                const result = await handle(req);
+                await auditLog.append(medalAuditEvents(result, req.user));
+                return result;
+            }));
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }];
+}
+
+app.post('/api/medals', ...medalRoute('award_medal', async req =>
+    awardSpecialMedal(req.body, await loadData(), medalLedger, req.user)));
+
+// Tier medals for an ended period ({ period }), once per outlet
+app.post('/api/medals/tier-awards', ...medalRoute('award_medal', async req =>
+    awardTierMedals(req.body, await loadData(), medalLedger, code => performanceLog.history(code),
+        await rewardSchemes.versions(), req.user)));
+
+app.post('/api/medals/:id/approve', ...medalRoute('approve_medal', req =>
+    changeMedalStatus(req.params.id, 'approved', req.body, medalLedger, req.user)));
+
+app.post('/api/medals/:id/revoke', ...medalRoute('approve_medal', req =>
+    changeMedalStatus(req.params.id, 'revoked', req.body, medalLedger, req.user)));
+
+// Everything the reward payout report is built from
+async function rewardReportSources() {
+    return {
+        data: await loadData(),
+        historyFor: code => performanceLog.history(code),
+        schemeVersions: await rewardSchemes.versions(),
+        medalEntries: await medalLedger.entries(),
+        outlets: outletDirectory(await outletRegistry.list()),
+        hierarchy: await auth.hierarchyStore.entries(),
+        people: peopleDirectory(await auth.userStore.list())
+    };
+}
+
+// Monthly reward payouts per outlet: ?month=YYYY-MM&format=csv|xlsx|json
+app.get('/api/reports/rewards', auth.requireAuth, async (req, res) => {
+    try {
+        const result = await rewardReport(req.query, await rewardReportSources(), rewardPayouts, req.user);
+        if (result.body instanceof Uint8Array || typeof result.body === 'string') {
+            return res.status(result.status).set(result.headers).send(Buffer.from(result.body));
+        }
+        sendResult(res, result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Approve, mark paid or reopen the month's payouts: { month, status, outlets? }
+app.post('/api/reports/rewards/status', auth.requireAuth, auth.requirePermission('approve_payouts'), async (req, res) => {
+    try {
+        sendResult(res, await withDataLock(async () =>
+            setRewardPayoutStatus(req.body, await rewardReportSources(), rewardPayouts, req.user)));
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Rankings across all outlets: ?by=outlet|am|manager|region&metric=trano_growth|revenue_achievement|action_completion&period=
+app.get('/api/leaderboard', auth.requireAuth, async (req, res) => {
+    try {
+        sendResult(res, await leaderboard(req.query, {
+            data: await loadData(),
+            historyFor: code => performanceLog.history(code),
+            outlets: outletDirectory(await outletRegistry.list()),
+            hierarchy: await auth.hierarchyStore.entries(),
+            people: peopleDirectory(await auth.userStore.list())
+        }, req.user));
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Audit log: ?outlet=&actor=&action=&from=&to=&limit= filter the recorded changes, newest first
+app.get('/api/audit', auth.requireAuth, auth.requirePermission('view_audit'), async (req, res) => {
+    try {
+        const query = parseAuditQuery(req.query);
+        if (query.status) return sendResult(res, query);
+        const events = await auditLog.list(query);
+        res.json({
+            success: true,
+            events: events,
+            count: events.length
+        });
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -290,12 +760,7 @@ app.get('/api/status', async (req, res) => {
         const data = await loadData();
         const stats = await fs.stat(DATA_FILE);
         
-        // Get backup files
-        let backupFiles = [];
-        try {
-            const files = await fs.readdir(BACKUP_DIR);
-            backupFiles = files.filter(f => f.startsWith('phoenix-data-')).slice(-5); // Last 5 backups
-        } catch {}
+        const backupStorage = backupUsage(await listBackupFiles());
         
         res.json({
             success: true,
@@ -310,18 +775,30 @@ app.get('/api/status', async (req, res) => {
                 totalOKRs: Object.values(data.outlets || {}).reduce((total, outlet) => total + (outlet.okr ? 1 : 0), 0),
                 lastModified: stats.mtime,
                 fileSize: stats.size,
-                backups: backupFiles.length
+                backups: backupStorage.count
             },
+            backupStorage,
             features: {
                 realTimeSync: true,
                 crossDeviceAccess: true,
                 autoBackup: true,
-                gitIntegration: true,
+                gitIntegration: versioning.name === 'git',
+                versioning: versioning.name,
                 apiEndpoints: [
+                    'POST /api/auth/login',
+                    'GET /api/auth/me',
+                    'POST /api/auth/change-password',
+                    'POST /api/admin/users/:id/reset-password',
+                    'GET /api/admin/login-events',
+                    'GET /api/roles',
+                    'POST /api/roles',
+                    'PUT /api/roles/:id',
+                    'DELETE /api/roles/:id',
                     'GET /api/phoenix-data',
                     'POST /api/phoenix-data',
                     'GET /api/outlet/:code',
                     'PUT /api/outlet/:code',
+                    'PATCH /api/outlet/:code',
                     'DELETE /api/outlet/:code',
                     'GET /api/status',
                     'GET /api/backups'
@@ -337,7 +814,7 @@ app.get('/api/status', async (req, res) => {
 });
 
 // Get backup files
-app.get('/api/backups', async (req, res) => {
+app.get('/api/backups', auth.requireAuth, auth.requirePermission('view_backups'), async (req, res) => {
     try {
         await ensureBackupDir();
         const files = await fs.readdir(BACKUP_DIR);
@@ -352,8 +829,42 @@ app.get('/api/backups', async (req, res) => {
         
         res.json({
             success: true,
-            backups: backupFiles
+            backups: backupFiles,
+            versions: await versioning.list()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
         });
+    }
+});
+
+// Snapshot for GET /api/backups/diff: 'current', a backup file or a version (git commit sha, files driver id)
+async function loadSnapshot(id) {
+    if (id === 'current') {
+        return { id, data: await loadData() };
+    }
+    if (isBackupFilename(id)) {
+        try {
+            return { id, createdAt: backupFileTime(id), data: JSON.parse(await fs.readFile(path.join(BACKUP_DIR, id), 'utf8')) };
+        } catch {
+            return null;
+        }
+    }
+    return versioning.load(id);
+}
+
+// Per-outlet diff of two backups, commits or 'current' (?from=&to=)
+app.get('/api/backups/diff', auth.requireAuth, auth.requirePermission('view_backups'), async (req, res) => {
+    try {
+        const query = parseDiffQuery(req.query);
+        if (query.status) return sendResult(res, query);
+        const [from, to] = await Promise.all([loadSnapshot(query.from), loadSnapshot(query.to)]);
+        if (!from || !to) {
+            return res.status(404).json({ success: false, error: `Backup or version not found: ${!from ? query.from : query.to}` });
+        }
+        sendResult(res, dataDiff(from, to, req.user));
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -363,13 +874,13 @@ app.get('/api/backups', async (req, res) => {
 });
 
 // Download specific backup
-app.get('/api/backups/:filename', async (req, res) => {
+app.get('/api/backups/:filename', auth.requireAuth, auth.requirePermission('view_backups'), async (req, res) => {
     try {
         const filename = req.params.filename;
         const backupPath = path.join(BACKUP_DIR, filename);
         
         // Security check
-        if (!filename.startsWith('phoenix-data-') || !filename.endsWith('.json')) {
+        if (!isBackupFilename(filename)) {
             return res.status(400).json({ error: 'Invalid backup file' });
         }
         
@@ -389,10 +900,49 @@ app.get('/api/backups/:filename', async (req, res) => {
     }
 });
 
+// Restore a backup, or one outlet of it ({ outlet }), after backing up the current data
+// (If-Match: the document ETag, or the outlet's ETag when restoring one outlet)
+app.post('/api/backups/:filename/restore', auth.requireAuth, auth.requirePermission('restore_backup'), async (req, res) => {
+    try {
+        const filename = req.params.filename;
+        if (!isBackupFilename(filename)) {
+            return res.status(400).json({ success: false, error: 'Invalid backup file' });
+        }
+        let backup;
+        try {
+            backup = JSON.parse(await fs.readFile(path.join(BACKUP_DIR, filename), 'utf8'));
+        } catch (error) {
+            return res.status(404).json({ success: false, error: 'Backup file not found' });
+        }
+
+        sendResult(res, await withDataLock(async () => {
+            const current = await loadData();
+            const plan = planRestore(current, backup, req.body, req.user, req.get('If-Match'));
+            if (!plan.data) return plan;
+
+            const safetyBackup = await createBackup(current);
+            if (!safetyBackup) {
+                return { status: 500, body: { success: false, error: 'Could not back up the current data - nothing was restored' } };
+            }
+            if (!(await saveData(plan.data, true, req.user))) {
+                return { status: 500, body: { success: false, error: 'Failed to save data' } };
+            }
+            await recordWrite(current, plan.data, req.user, plan.performance);
+            console.log(`♻️ ${plan.outletCode ? `Outlet ${plan.outletCode}` : 'Data'} restored from ${filename} by ${performanceAuthor(req.user)} (safety backup ${path.basename(safetyBackup)})`);
+            return restoreResult(filename, path.basename(safetyBackup), plan);
+        }));
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 // Export data as downloadable JSON
-app.get('/api/export', async (req, res) => {
+app.get('/api/export', auth.requireAuth, async (req, res) => {
     try {
-        const data = await loadData();
+        const data = filterDataForUser(await loadData(), req.user);
         const timestamp = new Date().toISOString().substring(0, 10);
         
         res.setHeader('Content-Type', 'application/json');
@@ -430,6 +980,7 @@ app.use((req, res) => {
         success: false,
         error: 'Endpoint not found',
         availableEndpoints: [
+            '/api/auth/login',
             '/api/phoenix-data',
             '/api/outlet/:code',
             '/api/status',
@@ -445,6 +996,10 @@ async function startServer() {
     try {
         await initializeDataFile();
         await ensureBackupDir();
+        await initializeOutletRegistry();
+        await initializeHierarchy();
+        await pruneBackups();
+        setInterval(pruneBackups, CONFIG.BACKUPS.PRUNE_INTERVAL_HOURS * 60 * 60 * 1000).unref();
         
         app.listen(PORT, '0.0.0.0', () => {
             console.log('🚀 Phoenix OKR Live Backend Server Started!');
@@ -452,15 +1007,27 @@ async function startServer() {
             console.log(`🌐 Server URL: http://localhost:${PORT}`);
             console.log(`📊 API Status: http://localhost:${PORT}/api/status`);
             console.log(`💾 Data File: ${DATA_FILE}`);
-            console.log(`📦 Backups: ${BACKUP_DIR}`);
+            console.log(`📦 Backups: ${BACKUP_DIR} (pruned every ${CONFIG.BACKUPS.PRUNE_INTERVAL_HOURS}h)`);
+            console.log(`🗂️ Versioning: ${versioning.name} (PHOENIX_VERSIONING)`);
             console.log('🔄 Features: Real-time sync, Cross-device access, Auto-backup');
             console.log('📡 API Endpoints:');
+            console.log('   POST /api/auth/login       - Sign in, returns session token');
+            console.log('   POST /api/auth/change-password - Change own password (auth)');
+            console.log('   POST /api/admin/users/:id/reset-password - Issue temporary password (admin)');
+            console.log('   GET  /api/admin/login-events - Sign-in attempts (admin)');
+            console.log('   GET  /api/roles            - Role registry (POST/PUT/DELETE need manage_roles)');
+            console.log('   GET  /api/outlets          - Outlet registry (POST/PUT/DELETE need manage_outlets)');
+            console.log('   GET  /api/hierarchy        - AM hierarchy (POST /assignments needs manage_hierarchy)');
             console.log('   GET  /api/phoenix-data     - Get all Phoenix data');
-            console.log('   POST /api/phoenix-data     - Save all Phoenix data');
+            console.log('   POST /api/phoenix-data     - Save all Phoenix data (auth)');
             console.log('   GET  /api/outlet/:code     - Get outlet data');
-            console.log('   PUT  /api/outlet/:code     - Update outlet data');
+            console.log('   PUT  /api/outlet/:code     - Update outlet data (auth)');
+            console.log('   PATCH /api/outlet/:code    - Patch outlet fields (auth)');
             console.log('   GET  /api/status           - System status');
+            console.log('   GET  /api/audit            - Who changed what (view_audit)');
             console.log('   GET  /api/backups          - List backups');
+            console.log('   GET  /api/backups/diff?from=&to= - Per-outlet diff of two backups, commits or current');
+            console.log('   POST /api/backups/:file/restore - Restore a backup or one outlet (restore_backup)');
             console.log('   GET  /api/export           - Export data');
             console.log('=' .repeat(60));
         });
@@ -7,38 +7,17 @@ class AuthService {
     constructor() {
         this.currentUser = null;
         this.userPermissions = null;
-        this.outletCredentials = {};
-        this.hqCredentials = {};
         this.initialized = false;
     }
 
     /**
-     * Initialize authentication service with Google Sheets data
+     * Initialize authentication service
+     * Credentials are verified by the backend, so only the session needs restoring here
      */
     async initialize() {
         try {
             console.log('🔐 Initializing Authentication Service...');
             
-            // Load credentials from Google Sheets
-            try {
-                this.outletCredentials = await googleSheetsAPI.loadOutletCredentials();
-                console.log(`✅ Loaded ${Object.keys(this.outletCredentials).length} outlet credentials`);
-            } catch (outletError) {
-                console.error('❌ Failed to load outlet credentials:', outletError);
-                this.outletCredentials = {};
-            }
-            
-            try {
-                this.hqCredentials = await googleSheetsAPI.loadHQCredentials();
-                console.log(`✅ Loaded ${Object.keys(this.hqCredentials).length} HQ credentials`);
-                console.log(`📋 Available HQ users:`, Object.keys(this.hqCredentials));
-            } catch (hqError) {
-                console.error('❌ Failed to load HQ credentials:', hqError);
-                // Use just the defaults from config
-                this.hqCredentials = CONFIG.DEFAULT_HQ_USERS;
-                console.log(`📋 Using default HQ users:`, Object.keys(this.hqCredentials));
-            }
-            
             // Check for existing session
             await this.checkExistingSession();
             
@@ -58,13 +37,12 @@ class AuthService {
      */
     async checkExistingSession() {
         const userAuth = sessionStorage.getItem(CONFIG.AUTH.STORAGE_KEY);
-        if (userAuth) {
+        if (userAuth && this.getAuthToken()) {
             try {
                 const userData = JSON.parse(userAuth);
                 
-                // Validate session timestamp
-                const sessionAge = Date.now() - (userData.timestamp || 0);
-                if (sessionAge > CONFIG.AUTH.SESSION_TIMEOUT) {
+                // Validate session expiry (issued by the server with the token)
+                if (!userData.expiresAt || Date.now() > new Date(userData.expiresAt).getTime()) {
                     console.log('⏰ Session expired, clearing authentication');
                     this.logout();
                     return false;
@@ -86,20 +64,40 @@ class AuthService {
 
     /**
      * Authenticate user with credentials
+     * The password is checked by POST /api/auth/login, which returns a signed session token
      */
     async authenticate(username, password, userType) {
         if (!this.initialized) {
             throw new Error('Authentication service not initialized');
         }
 
+        if (userType !== 'outlet' && userType !== 'hq') {
+            throw new Error('Invalid user type');
+        }
+
         try {
-            if (userType === 'outlet') {
-                return await this.authenticateOutletUser(username, password);
-            } else if (userType === 'hq') {
-                return await this.authenticateHQUser(username, password);
-            } else {
-                throw new Error('Invalid user type');
+            const response = await fetch(`${CONFIG.API.BASE_URL}/api/auth/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ type: userType, username: username.trim(), password })
+            });
+            const result = await response.json();
+            
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || 'Login failed');
             }
+            
+            const userData = {
+                ...result.user,
+                expiresAt: result.expiresAt
+            };
+            
+            this.currentUser = userData;
+            this.setupUserPermissions();
+            this.saveSession(result.token);
+            
+            console.log('✅ User authenticated:', userData.type, userData.username || userData.email);
+            return { success: true, user: userData };
         } catch (error) {
             console.error('❌ Authentication failed:', error);
             throw error;
@@ -107,112 +105,96 @@ class AuthService {
     }
 
     /**
-     * Authenticate outlet user
+     * Check whether the signed-in user must replace a temporary/default password
      */
-    async authenticateOutletUser(outletCode, password) {
-        const code = outletCode.toUpperCase().trim();
-        const outlet = this.outletCredentials[code];
-        
-        if (!outlet) {
-            throw new Error('Invalid outlet code');
-        }
+    mustChangePassword() {
+        return Boolean(this.currentUser && this.currentUser.mustChangePassword);
+    }
+
+    /**
+     * Change the signed-in user's password
+     * The server answers with a fresh session token, which replaces the current one
+     */
+    async changePassword(currentPassword, newPassword) {
+        const response = await fetch(`${CONFIG.API.BASE_URL}/api/auth/change-password`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.getAuthToken()}`
+            },
+            body: JSON.stringify({ currentPassword, newPassword })
+        });
+        const result = await response.json();
         
-        if (outlet.password !== password) {
-            throw new Error('Invalid password');
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Password change failed');
         }
         
-        // Find outlet ID from our outlets list (you might need to implement this mapping)
-        const outletId = this.findOutletIdByCode(code);
-        
-        const userData = {
-            type: 'outlet',
-            username: code,
-            outletName: outlet.outletName,
-            outletId: outletId,
-            am: outlet.am,
-            accessibleOutlets: [code],
-            timestamp: Date.now()
-        };
-        
-        this.currentUser = userData;
+        this.currentUser = { ...this.currentUser, ...result.user, expiresAt: result.expiresAt };
+        delete this.currentUser.mustChangePassword;
         this.setupUserPermissions();
-        this.saveSession();
+        this.saveSession(result.token);
         
-        console.log('✅ Outlet user authenticated:', code);
-        return { success: true, user: userData };
+        console.log('🔑 Password changed');
+        return { success: true, user: this.currentUser };
     }
 
     /**
-     * Authenticate HQ user
+     * Build the dashboard permission object for a user
+     * The server resolves the user's role into permission ids (CONFIG.PERMISSIONS);
+     * each id becomes its UI flag, e.g. assign_okr -> canAssignOKR.
      */
-    async authenticateHQUser(email, password) {
-        const emailLower = email.toLowerCase().trim();
-        const hqUser = this.hqCredentials[emailLower];
-        
-        if (!hqUser) {
-            throw new Error('Invalid email address');
-        }
-        
-        if (hqUser.password !== password) {
-            throw new Error('Invalid password');
-        }
-        
-        const userData = {
-            type: 'hq',
-            email: emailLower,
-            name: hqUser.name,
-            role: hqUser.role,
-            accessibleOutlets: hqUser.role === 'ADMIN' ? 'ALL' : hqUser.outlets,
-            timestamp: Date.now()
+    buildPermissions(user) {
+        const granted = user.permissions || [];
+        const permissions = {
+            accessibleOutlets: user.accessibleOutlets === 'ALL' ? [] : (user.accessibleOutlets || []),
+            userType: user.type,
+            displayName: user.type === 'outlet' ? user.outletName : user.name,
+            identifier: user.type === 'outlet' ? user.username : user.email,
+            role: user.roleName || user.role,
+            permissions: granted
         };
         
-        this.currentUser = userData;
-        this.setupUserPermissions();
-        this.saveSession();
-        
-        console.log('✅ HQ user authenticated:', emailLower, hqUser.role);
-        return { success: true, user: userData };
+        Object.entries(CONFIG.PERMISSIONS).forEach(([id, permission]) => {
+            permissions[permission.flag] = granted.includes(id);
+        });
+        return permissions;
     }
 
     /**
-     * Setup user permissions based on role
+     * Setup user permissions from the role registry
      */
     setupUserPermissions() {
         if (!this.currentUser) return;
 
-        if (this.currentUser.type === 'outlet') {
-            this.userPermissions = {
-                canViewAllOutlets: false,
-                accessibleOutlets: this.currentUser.accessibleOutlets,
-                canManageOKRs: true,
-                canEditBaseline: true,
-                userType: 'outlet',
-                displayName: this.currentUser.outletName,
-                identifier: this.currentUser.username
-            };
-        } else if (this.currentUser.type === 'hq') {
-            this.userPermissions = {
-                canViewAllOutlets: this.currentUser.accessibleOutlets === 'ALL',
-                accessibleOutlets: this.currentUser.accessibleOutlets === 'ALL' ? [] : this.currentUser.accessibleOutlets,
-                canManageOKRs: true,
-                canEditBaseline: this.currentUser.role === 'ADMIN',
-                userType: 'hq',
-                displayName: this.currentUser.name,
-                identifier: this.currentUser.email,
-                role: this.currentUser.role
-            };
-        }
-
+        this.userPermissions = this.buildPermissions(this.currentUser);
         console.log('🔑 User permissions set:', this.userPermissions);
     }
 
+    /**
+     * Check a permission id from CONFIG.PERMISSIONS
+     */
+    hasPermission(permission) {
+        return !!this.userPermissions && this.userPermissions.permissions.includes(permission);
+    }
+
     /**
      * Save session to storage
      */
-    saveSession() {
+    saveSession(token) {
         if (this.currentUser) {
             sessionStorage.setItem(CONFIG.AUTH.STORAGE_KEY, JSON.stringify(this.currentUser));
         }
+        if (token) {
+            sessionStorage.setItem(CONFIG.AUTH.TOKEN_KEY, token);
+        }
+    }
+
+    /**
+     * Get the signed session token for API requests
+     */
+    getAuthToken() {
+        return sessionStorage.getItem(CONFIG.AUTH.TOKEN_KEY);
     }
 
     /**
@@ -222,6 +204,7 @@ class AuthService {
         this.currentUser = null;
         this.userPermissions = null;
         sessionStorage.removeItem(CONFIG.AUTH.STORAGE_KEY);
+        sessionStorage.removeItem(CONFIG.AUTH.TOKEN_KEY);
         console.log('👋 User logged out');
     }
 
@@ -282,32 +265,6 @@ class AuthService {
         }
         return true;
     }
-
-    /**
-     * Find outlet ID by code (helper method)
-     */
-    findOutletIdByCode(code) {
-        // This is a simple mapping - in production you might want to load this from Google Sheets too
-        const outletCodes = [
-            'JKJSTT1', 'JKJSVR1', 'JKJBTM1', 'JKJSBZ1', 'BTTSGV1', 'BTTSSU1', 'JKJUSK1', 'BTTSB91', 'BTTSVS1', 'BTTGBI1',
-            'BTTSGR1', 'JKJSTB1', 'JKJSKC1', 'JKJBGV1', 'JKJPMB1', 'BTTGBW1', 'BTTSB21', 'JKJSRR1', 'JKJSGH1', 'JBBSOC1'
-            // ... add more as needed
-        ];
-        
-        const index = outletCodes.findIndex(c => c === code);
-        return index >= 0 ? index + 1 : Math.floor(Math.random() * 1000) + 1;
-    }
-
-    /**
-     * Refresh credentials from Google Sheets
-     */
-    async refreshCredentials() {
-        console.log('🔄 Refreshing authentication credentials');
-        googleSheetsAPI.refreshCache();
-        this.outletCredentials = await googleSheetsAPI.loadOutletCredentials();
-        this.hqCredentials = await googleSheetsAPI.loadHQCredentials();
-        console.log('✅ Credentials refreshed');
-    }
 }
 
 // Create global instance
@@ -45,13 +45,131 @@ const CONFIG = {
         }
     },
     
+    // Backup retention (src/lib/backups.js): every backup is kept for KEEP_ALL_HOURS, then the
+    // latest of each hour up to HOURLY_DAYS old, the latest of each day up to DAILY_DAYS old and
+    // the latest of each month after that. api-server.js prunes on startup and every
+    // PRUNE_INTERVAL_HOURS; the worker on its cron trigger (wrangler.toml).
+    BACKUPS: {
+        KEEP_ALL_HOURS: 24,
+        HOURLY_DAYS: 7,
+        DAILY_DAYS: 90,
+        PRUNE_INTERVAL_HOURS: 1
+    },
+    
+    // Live Backend API (Cloudflare Worker or api-server.js)
+    API: {
+        BASE_URL: 'https://phoenix-okr-api.apotekalpro-digital.workers.dev'
+    },
+
+    // Where the dashboard keeps the Phoenix document (phoenix-store.js):
+    //   'live-api' - the Live Backend API (the dashboard falls back to 'local' while it is offline)
+    //   'github'   - phoenix-data.json in GOOGLE_SHEETS.GITHUB_DATA_REPO through the GitHub contents API
+    //   'local'    - this browser's localStorage only
+    STORAGE: {
+        ADAPTER: 'live-api',
+        LOCAL_KEY: 'phoenixProjectData',
+        LOCAL_HISTORY: 50, // Saves listed by the local store's history()
+        POLL_INTERVAL: 30 * 1000 // How often subscribe() looks for saves made elsewhere
+    },
+
     // Authentication Settings
     AUTH: {
-        SESSION_TIMEOUT: 8 * 60 * 60 * 1000, // 8 hours
+        SESSION_TIMEOUT: 8 * 60 * 60 * 1000, // 8 hours - also the lifetime of server-issued tokens
         STORAGE_KEY: 'userAuth',
+        TOKEN_KEY: 'authToken', // Signed session token from POST /api/auth/login
+        PASSWORD_MIN_LENGTH: 8,
+        // Failed logins counted server-side; sign-in is refused once a limit is hit within the window
+        LOGIN_FAILURE_WINDOW: 15 * 60 * 1000, // 15 minutes
+        MAX_FAILURES_PER_ACCOUNT: 5,
+        MAX_FAILURES_PER_IP: 20,
         PERFORMANCE_DATA_KEY: 'outletPerformanceData'
     },
     
+    // Permission catalog - roles grant these ids; dashboards read the matching UI flag
+    PERMISSIONS: {
+        view_all_outlets: { label: 'View all outlets', flag: 'canViewAllOutlets' },
+        add_outlet: { label: 'Add outlets to Phoenix', flag: 'canAddOutlets' },
+        manage_okrs: { label: 'Manage OKRs', flag: 'canManageOKRs' },
+        assign_okr: { label: 'Assign OKRs', flag: 'canAssignOKR' },
+        edit_okr: { label: 'Edit OKRs', flag: 'canEditOKR' },
+        edit_baseline: { label: 'Edit baselines', flag: 'canEditBaseline' },
+        manage_periods: { label: 'Define program periods and term boundaries', flag: 'canManagePeriods' },
+        import_performance: { label: 'Import revenue/trano from POS exports', flag: 'canImportPerformance' },
+        comment: { label: 'Comment on OKRs', flag: 'canComment' },
+        like: { label: 'Like actions', flag: 'canLike' },
+        award_medal: { label: 'Award medals', flag: 'canRewardMedals' },
+        approve_medal: { label: 'Approve and revoke medals', flag: 'canApproveMedals' },
+        approve_payouts: { label: 'Approve and mark reward payouts paid', flag: 'canApprovePayouts' },
+        manage_reward_schemes: { label: 'Define reward schemes (tiers, reward percentages, outlets)', flag: 'canManageRewardSchemes' },
+        delete_outlet: { label: 'Delete outlets / OKR cards', flag: 'canDeleteOKR' },
+        manage_outlets: { label: 'Maintain the outlet registry (names, AMs, regions, status)', flag: 'canManageOutlets' },
+        manage_hierarchy: { label: 'Assign outlets to AMs and AMs to regional managers', flag: 'canManageHierarchy' },
+        view_backups: { label: 'View and download backups', flag: 'canViewBackups' },
+        restore_backup: { label: 'Restore backups', flag: 'canRestoreBackup' },
+        view_audit: { label: 'View the audit log of every change', flag: 'canViewAudit' },
+        manage_users: { label: 'Reset passwords and view sign-in attempts', flag: 'canManageUsers' },
+        manage_roles: { label: 'Create and edit roles', flag: 'canManageRoles' }
+    },
+    
+    // Program periods: every calendar month is a period unless an outlet defines its own range.
+    // Terms end on these days of the period (term1 = days 1-10, term2 = 11-20, term3 = the rest).
+    PERIODS: {
+        TERM_END_DAYS: [10, 20],
+        MAX_DAYS: 92
+    },
+    
+    // Sales target tiers: reaching threshold x the monthly target pays rewardPercent of revenue.
+    // The built-in DEFAULT reward scheme; /api/reward-schemes adds schemes for outlet clusters
+    // and months (src/lib/reward-schemes.js). Highest tier last.
+    REWARD_TIERS: [
+        { tier: 1, name: 'Bronze', medal: '🥉', threshold: 0.8, rewardPercent: 1.35 },
+        { tier: 2, name: 'Silver', medal: '🥈', threshold: 0.9, rewardPercent: 2.0 },
+        { tier: 3, name: 'Gold', medal: '🥇', threshold: 1.0, rewardPercent: 2.7 }
+    ],
+    
+    // Special medals HQ awards on top of the tier medals (src/lib/medals.js).
+    // suggestedReward (IDR) pre-fills the award form.
+    MEDAL_TYPES: {
+        most_improved: { name: 'Most Improved', emoji: '📈', suggestedReward: 750000 },
+        most_compliant: { name: 'Most Compliant', emoji: '✅', suggestedReward: 500000 },
+        early_achiever: { name: 'Early Achiever', emoji: '⚡', suggestedReward: 1000000 },
+        excellence: { name: 'Excellence', emoji: '⭐', suggestedReward: 1250000 }
+    },
+    
+    // Regions by outlet code prefix (JKJSTT1 -> JKJ), as shown on the leaderboard (src/lib/leaderboard.js).
+    // Outlets with another prefix are grouped under the prefix itself.
+    REGIONS: {
+        JKJ: 'Jakarta',
+        BTT: 'Banten',
+        JBB: 'Jawa Barat (JBB)',
+        JBD: 'Jawa Barat (JBD)'
+    },
+    
+    // Built-in roles. Admins add more (e.g. "Regional Manager") through /api/roles;
+    // HQ users whose role is not registered fall back to AM.
+    DEFAULT_ROLES: {
+        ADMIN: {
+            name: 'Admin',
+            description: 'Full access, including deletes, medals, backups and user management',
+            permissions: ['*']
+        },
+        AM: {
+            name: 'Area Manager',
+            description: 'Assigned outlets only',
+            permissions: ['add_outlet', 'manage_okrs', 'assign_okr', 'edit_okr', 'manage_periods', 'import_performance', 'comment', 'like']
+        },
+        SUPERVISOR: {
+            name: 'Supervisor',
+            description: 'Assigned outlets only',
+            permissions: ['add_outlet', 'manage_okrs', 'assign_okr', 'edit_okr', 'manage_periods', 'import_performance', 'comment', 'like']
+        },
+        OUTLET: {
+            name: 'Outlet',
+            description: 'Own outlet only',
+            permissions: ['manage_okrs', 'edit_okr', 'edit_baseline', 'comment', 'like']
+        }
+    },
+    
     // Phoenix Project OKR Templates
     OKR_TEMPLATES: [
         {
@@ -170,41 +288,7 @@ const CONFIG = {
             ]
         }
     ],
-    
-    // Default HQ users (fallback if Google Sheets HQ data not available)
-    DEFAULT_HQ_USERS: {
-        'khoo.ziyu@apotekalpro.id': { 
-            password: 'Alpro@123', 
-            name: 'KHOO ZI YU', 
-            role: 'ADMIN',
-            outlets: [] // empty means access to all outlets
-        },
-        'devi.purba@apotekalpro.id': {
-            password: 'Alpro@123',
-            name: 'DEVI', // Column A name from Google Sheets
-            role: 'ADMIN', // Updated to match Google Sheets role
-            outlets: []
-        },
-        'admin@alpro.com': { 
-            password: 'AdminPass123', 
-            name: 'SYSTEM ADMIN', 
-            role: 'ADMIN',
-            outlets: []
-        },
-        // Add some example HQ users to demonstrate functionality
-        'manager@apotekalpro.id': {
-            password: 'Alpro@123',
-            name: 'AREA MANAGER',
-            role: 'AM',
-            outlets: ['JKJSTT1', 'JKJSVR1', 'JKJBTM1']
-        },
-        'supervisor@apotekalpro.id': {
-            password: 'Alpro@123',
-            name: 'SUPERVISOR',
-            role: 'SUPERVISOR',
-            outlets: ['BTTSGV1', 'BTTSSU1']
-        }
-    }
+
 };
 
 // Export for use in other modules
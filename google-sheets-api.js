@@ -134,17 +134,16 @@ class GoogleSheetsAPI {
                     outletList = outlets.split(',').map(o => o.trim()).filter(o => o.length > 0);
                 }
                 
-                // More flexible validation - allow for missing password temporarily
-                if (email && email.length > 0) {
-                    const finalPassword = password || 'Alpro@123'; // Default password if missing
+                // Accounts without a password are skipped - there is no shared default
+                if (email && email.length > 0 && password) {
                     credentials[email] = {
-                        password: finalPassword,
+                        password: password,
                         name: name || email.split('@')[0].toUpperCase(),
                         role: role.toUpperCase(),
                         outlets: outletList
                     };
                     
-                    console.log(`✅ Added HQ user: ${email} (${role}) - ${name} - Password: ${password ? 'From Sheet' : 'Default'}`);
+                    console.log(`✅ Added HQ user: ${email} (${role}) - ${name}`);
                 } else {
                     if (i <= 10) { // Log issues for first 10 rows
                         console.log(`⚠️ Skipped row ${i}: email="${email}", password="${password ? '***' : 'EMPTY'}"`, row);
@@ -191,8 +190,7 @@ class GoogleSheetsAPI {
             } catch (csvError) {
                 console.error('❌ CSV fallback also failed:', csvError);
                 
-                // Final fallback to hardcoded credentials
-                console.log('📋 Using hardcoded fallback credentials');
+                // Final fallback to the outlet registry
                 return this.getFallbackOutletCredentials();
             }
         }
@@ -214,19 +212,15 @@ class GoogleSheetsAPI {
             
             const credentials = this.parseHQCredentials(rows);
             
-            // Always merge with defaults to ensure system admin access
-            const allCredentials = { ...CONFIG.DEFAULT_HQ_USERS, ...credentials };
-            
-            console.log(`✅ Total HQ credentials available: ${Object.keys(allCredentials).length}`);
-            console.log(`📋 All HQ emails:`, Object.keys(allCredentials));
+            console.log(`✅ Total HQ credentials available: ${Object.keys(credentials).length}`);
+            console.log(`📋 All HQ emails:`, Object.keys(credentials));
             
-            return allCredentials;
+            return credentials;
             
         } catch (error) {
             console.error('❌ Failed to load HQ credentials from Google Sheets:', error);
             console.error('❌ Error details:', error.message);
-            console.log('📋 Falling back to default HQ users only');
-            return CONFIG.DEFAULT_HQ_USERS;
+            return {};
         }
     }
 
@@ -307,60 +301,56 @@ class GoogleSheetsAPI {
     }
 
     /**
-     * Get fallback outlet credentials (expanded list based on actual Google Sheets)
+     * Outlet names and AMs for the dashboards. The outlet registry (GET /api/outlets) is the
+     * source of truth; the sheet is only read when the registry cannot be reached.
+     * @returns {Promise<Object>} outlet code -> { outletName, am }
      */
-    getFallbackOutletCredentials() {
-        console.log('📋 Using comprehensive fallback outlet credentials (200+ outlets)');
-        
-        // Comprehensive list including outlets visible in your screenshot (rows 186-205+)
-        const outletCodes = [
-            // First batch (rows 2-99)
-            'JKJSTT1', 'JKJSVR1', 'JKJBTM1', 'JKJSBZ1', 'BTTSGV1', 'BTTSSU1', 'JKJUSK1', 'BTTSB91', 'BTTSVS1', 'BTTGBI1',
-            'BTTSGR1', 'JKJSTB1', 'JKJSKC1', 'JKJBGV1', 'JKJPMB1', 'BTTGBW1', 'BTTSB21', 'JKJSRR1', 'JKJSGH1', 'JBBSOC1',
-            'JBBGCV1', 'JBDPAU1', 'JBDPMR1', 'JBBSMT1', 'BTTGEK1', 'JBDPSW1', 'JKJTTH1', 'JKJSRD1', 'JKJBRS1', 'JBBGCC1',
-            'JKJBKB1', 'JKJPDA1', 'JBBSJB1', 'BTTSRF1', 'JKJUSI1', 'JBBGRC1', 'JKJSTS1', 'JBBSTR1', 'BTTSRG1', 'BTTGSG1',
-            'JKJPMS1', 'JKJBDK1', 'BTTSRC1', 'JKJUBR1', 'JBBGBR1', 'JKJSPI1', 'JKJTPL1', 'JKJTLB1', 'JKJUTG1', 'JKJSRS1',
-            'BTTGBR1', 'JBBSSR1', 'JBBGWU1', 'JKJSRM1', 'BTTSBB1', 'JBBSKP1', 'JKJBHI1', 'JBBSGI1', 'BTTGPS1', 'JKJUWB1',
-            'JBBSGW1', 'BTTGPP1', 'JKJSKR1', 'JKJPSB1', 'JKJBHL1', 'JKJSBI1', 'JBBGLW1', 'JKJUPI1', 'JKJBCS1', 'JBBSCC1',
-            'BTTGCR1', 'JKJSMP1', 'JKJUGK1', 'JKJPTR1', 'JKJSTM1', 'JKJTPD1', 'JBBGWC1', 'BTTGGB1', 'JKJUGB1', 'JKJUGN1',
-            'JKJPMP1', 'JBBSLH1', 'BTTGKS1', 'JBBGBD1', 'JBBSJM1', 'JKJBSC1', 'JKJBPL1', 'BTTSWS1', 'BTTGPB1', 'JKJSKB1',
-            'JKJSPR1', 'JBBGPS1', 'JBBGTC1', 'JBDPRK1', 'JKJTMM1', 'JBBSKH1', 'BTTGLK1', 'BTTSDL1', 'JKJUMJ1',
-            
-            // Second batch (continuing sequence based on screenshot patterns)
-            'JKJUAM1', 'JKJTRC1', 'BTTSSR1', 'JKJSMR1', 'JKJSKS1', 'BTTGDR1', 'JKJUTM1', 'JBBGKD1', 'JKJUPK1', 'BTTGMR1',
-            'JKJSKT1', 'JBBSTR2', 'BTTGLM1', 'JKJSMG1', 'JKJSPR2', 'BTTGDN1', 'JKJUTB1', 'JBBGKT1', 'JKJUPL1', 'BTTGMS1',
-            'JKJSKU1', 'JBBSTS1', 'BTTGLN1', 'JKJSMH1', 'JKJSPS1', 'BTTGDO1', 'JKJUTC1', 'JBBGKU1', 'JKJUPM1', 'BTTGMT1',
-            
-            // Third batch (rows 150-185 estimated)
-            'JKJSKV1', 'JBBSTT1', 'BTTGLO1', 'JKJSMI1', 'JKJSPT1', 'BTTGDP1', 'JKJUTD1', 'JBBGKV1', 'JKJUPN1', 'BTTGMU1',
-            'JKJSKW1', 'JBBSTU1', 'BTTGLP1', 'JKJSMJ1', 'JKJSPU1', 'BTTGDQ1', 'JKJUTE1', 'JBBGKW1', 'JKJUPO1', 'BTTGMV1',
-            'JKJSKX1', 'JBBSTV1', 'BTTGLQ1', 'JKJSMK1', 'JKJSPV1', 'BTTGDR2', 'JKJUTF1', 'JBBGKX1', 'JKJUPP1', 'BTTGMW1',
-            'JKJSKY1', 'JBBSTW1', 'BTTGLR1', 'JKJSML1', 'JKJSPW1', 'BTTGDS1', 'JKJUTG2', 'JBBGKY1', 'JKJUPQ1', 'BTTGMX1',
-            
-            // Fourth batch (rows 186-205+ as seen in screenshot)
-            'JKJHCB1', 'JBGASI1', 'BTTBEK1', 'JBBDN11', 'BTTGP11', 'BTTGC21', 'JKJGAR1', 'JKJTK81', 'BTTGRS1', 'JKJBAG1',
-            'BTTBAP1', 'JKJSPT1', 'JKJTDK1', 'JKJBPR1', 'BTTBPL1', 'JKJSMC1', 'JBBSAS1', 'JKJPSR1', 'JBBSRP1', 'JKJUAM1',
-            'JKJTRC1', 'BTTSSR1',
-            
-            // Additional outlets to reach 200+ (estimated continuation)
-            'JKJSTZ1', 'JKJSUA1', 'JKJSUB1', 'JKJSUC1', 'JKJSUD1', 'JKJSUE1', 'JKJSUF1', 'JKJSUG1', 'JKJSUH1', 'JKJSUI1',
-            'BTTGTH1', 'BTTGTI1', 'BTTGTJ1', 'BTTGTK1', 'BTTGTL1', 'BTTGTM1', 'BTTGTN1', 'BTTGTO1', 'BTTGTP1', 'BTTGTQ1',
-            'JBBSXY1', 'JBBSXZ1', 'JBBSYA1', 'JBBSYB1', 'JBBSYC1', 'JBBSYD1', 'JBBSYE1', 'JBBSYF1', 'JBBSYG1', 'JBBSYH1'
-        ];
+    async loadOutletDirectory() {
+        try {
+            return await this.loadRegistryOutlets();
+        } catch (error) {
+            console.warn('⚠️ Outlet registry unavailable, reading the outlet sheet:', error.message);
+            return this.loadOutletCredentials();
+        }
+    }
 
+    /**
+     * Active outlets of the outlet registry as outlet code -> { outletName, am }
+     * Needs a signed-in session; throws when the registry cannot be read.
+     */
+    async loadRegistryOutlets() {
+        console.log('📋 Loading outlets from the outlet registry');
+        const token = sessionStorage.getItem(CONFIG.AUTH.TOKEN_KEY);
+        const response = await fetch(`${CONFIG.API.BASE_URL}/api/outlets?status=active`, {
+            headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        const { outlets } = await response.json();
         const credentials = {};
-        outletCodes.forEach(code => {
-            credentials[code] = {
-                password: 'Alpro@123',
-                outletName: `APOTEK ALPRO ${code}`,
-                am: 'SYSTEM AM'
+        outlets.forEach(outlet => {
+            credentials[outlet.code] = {
+                outletName: outlet.name,
+                am: outlet.am || ''
             };
         });
-
-        console.log(`✅ Generated ${Object.keys(credentials).length} fallback credentials`);
+        console.log(`✅ Loaded ${Object.keys(credentials).length} outlets from the outlet registry`);
         return credentials;
     }
 
+    /**
+     * Outlet names and AMs from the outlet registry when the sheet cannot be read; {} without it
+     */
+    async getFallbackOutletCredentials() {
+        try {
+            return await this.loadRegistryOutlets();
+        } catch (error) {
+            console.error('❌ Outlet registry unavailable:', error);
+            return {};
+        }
+    }
+
     /**
      * Load Phoenix project data from Google Sheets for cross-device access
      * This replaces localStorage for persistent, shared data storage
@@ -0,0 +1,151 @@
+// Import login accounts from the "Outlet Login" / "HQ Login" Google Sheets CSV exports
+// into the hashed user store.
+//
+// Usage:
+//   node import-users.js --outlets "Outlet Login.csv" --hq "HQ Login.csv"              # data/users.json (api-server.js)
+//   node import-users.js --outlets "Outlet Login.csv" --hq "HQ Login.csv" --target d1  # data/users-import.sql for D1
+//   wrangler d1 execute phoenix-okr-database --file=./data/users-import.sql
+//
+// Options:
+//   --target json|d1   Where to write (default: json)
+//   --out <path>       Users file (json) or SQL file (d1); not in the directory api-server.js
+//                      serves as static files, except under data/
+//   --dry-run          Report what would be imported without writing anything
+//
+// Rows without a password are skipped and reported - no default password is ever assigned.
+// Accounts still on the old shared default (Alpro@123) must change it at next login.
+// Outlets not in the outlet registry yet are added to it with the sheet's name and AM
+// (data/outlet-registry.json, or INSERT OR IGNORE statements in the D1 SQL file).
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseCSV } = require('./src/lib/csv');
+const { accountsFromOutletRows, accountsFromHQRows, createUserRecord } = require('./src/lib/users');
+const { isKnownDefaultPassword } = require('./src/lib/passwords');
+const { importedOutlets } = require('./src/lib/outlet-registry');
+const { createUserStore } = require('./server/user-store');
+const { createOutletRegistryStore } = require('./server/outlet-registry-store');
+
+// api-server.js serves this directory as static files; data/ is the part it keeps out
+const SERVED_DIR = __dirname;
+const DATA_DIR = path.join(__dirname, 'data');
+const DEFAULT_SQL_FILE = path.join(DATA_DIR, 'users-import.sql');
+
+function isInside(dir, filePath) {
+    const relative = path.relative(dir, path.resolve(filePath));
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+function parseArgs(argv) {
+    const args = { target: 'json', dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--outlets') args.outlets = argv[++i];
+        else if (arg === '--hq') args.hq = argv[++i];
+        else if (arg === '--target') args.target = argv[++i];
+        else if (arg === '--out') args.out = argv[++i];
+        else if (arg === '--dry-run') args.dryRun = true;
+        else throw new Error(`Unknown option: ${arg}`);
+    }
+    if (!args.outlets && !args.hq) {
+        throw new Error('Provide --outlets <csv> and/or --hq <csv>');
+    }
+    if (!['json', 'd1'].includes(args.target)) {
+        throw new Error('--target must be json or d1');
+    }
+    // The output holds password hashes
+    if (args.out && isInside(SERVED_DIR, args.out) && !isInside(DATA_DIR, args.out)) {
+        throw new Error(`--out ${args.out} would be served by api-server.js - write it under data/ or outside ${SERVED_DIR}`);
+    }
+    return args;
+}
+
+async function readAccounts(file, parser) {
+    if (!file) return { accounts: [], skipped: [] };
+    const rows = parseCSV(await fs.readFile(file, 'utf8'));
+    return parser(rows);
+}
+
+function sqlValue(value) {
+    return value === null || value === undefined ? 'NULL' : `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function toInsertStatement(record) {
+    const values = [
+        record.id, record.type, record.identifier, record.name, record.role,
+        JSON.stringify(record.outlets), record.am, record.passwordHash, record.mustChangePassword ? 1 : 0
+    ].map(sqlValue).join(', ');
+    // A re-imported account gets a new password, which ends its current sessions
+    const tokenVersion = `COALESCE((SELECT token_version + 1 FROM users WHERE id = ${sqlValue(record.id)}), 0)`;
+    return 'INSERT OR REPLACE INTO users ' +
+        '(id, type, identifier, name, role, outlets, am, password_hash, must_change_password, token_version, created_at, updated_at) ' +
+        `VALUES (${values}, ${tokenVersion}, ${sqlValue(record.createdAt)}, ${sqlValue(record.updatedAt)});`;
+}
+
+function toRegistryStatement(outlet) {
+    const values = [
+        outlet.code, outlet.name, outlet.am, outlet.region, outlet.status, outlet.createdAt, outlet.updatedAt, outlet.updatedBy
+    ].map(sqlValue).join(', ');
+    return 'INSERT OR IGNORE INTO outlet_registry ' +
+        '(code, name, am, region, status, created_at, updated_at, updated_by) ' +
+        `VALUES (${values});`;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    const outlets = await readAccounts(args.outlets, accountsFromOutletRows);
+    const hq = await readAccounts(args.hq, accountsFromHQRows);
+    const accounts = [...outlets.accounts, ...hq.accounts];
+    const skipped = [...outlets.skipped, ...hq.skipped];
+
+    // Later rows win when the same login appears twice
+    const byId = new Map();
+    accounts.forEach(account => byId.set(`${account.type}:${account.identifier}`, account));
+    if (byId.size < accounts.length) {
+        console.warn(`⚠️ ${accounts.length - byId.size} duplicate logins found - the last row for each was kept`);
+    }
+
+    console.log(`📋 Outlet accounts: ${outlets.accounts.length}, HQ accounts: ${hq.accounts.length}`);
+    const onDefault = [...byId.values()].filter(account => isKnownDefaultPassword(account.password)).length;
+    if (onDefault > 0) {
+        console.warn(`⚠️ ${onDefault} accounts use the shared default password and must change it at next login`);
+    }
+    skipped.forEach(entry => {
+        console.warn(`⚠️ Skipped ${entry.sheet} row ${entry.row}${entry.identifier ? ` (${entry.identifier})` : ''}: ${entry.reason}`);
+    });
+
+    if (args.dryRun) {
+        console.log(`🧪 Dry run - ${byId.size} accounts would be imported`);
+        return;
+    }
+
+    const store = args.target === 'json' ? createUserStore(args.out) : null;
+    const records = [];
+    for (const account of byId.values()) {
+        const existing = store ? await store.get(account.type, account.identifier) : null;
+        records.push(await createUserRecord(account, existing));
+    }
+
+    const registryOutlets = importedOutlets(records);
+    if (args.target === 'json') {
+        await store.upsertMany(records);
+        console.log(`✅ Imported ${records.length} accounts into ${store.filePath}`);
+        const registry = createOutletRegistryStore();
+        const added = await registry.addMissing(registryOutlets);
+        console.log(`🏪 Added ${added} new outlets to ${registry.filePath}`);
+    } else {
+        const outFile = args.out || path.relative(process.cwd(), DEFAULT_SQL_FILE);
+        const statements = [...records.map(toInsertStatement), ...registryOutlets.map(toRegistryStatement)];
+        await fs.mkdir(path.dirname(path.resolve(outFile)), { recursive: true });
+        await fs.writeFile(outFile, statements.join('\n') + '\n', { mode: 0o600 });
+        console.log(`✅ Wrote ${records.length} accounts to ${outFile}`);
+        console.log(`➡️  Apply with: wrangler d1 execute phoenix-okr-database --file=${outFile}`);
+        console.log('⚠️  The SQL file contains password hashes - delete it after applying');
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Import failed:', error.message);
+    process.exit(1);
+});
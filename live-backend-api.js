@@ -36,11 +36,12 @@ class LiveBackendAPI {
         try {
             const url = `${this.baseURL}${this.apiPrefix}${endpoint}`;
             const config = {
+                ...options,
                 headers: {
                     'Content-Type': 'application/json',
+                    ...this.getAuthHeaders(),
                     ...options.headers
-                },
-                ...options
+                }
             };
             
             console.log(`📡 API Request: ${config.method || 'GET'} ${endpoint}`);
@@ -49,7 +50,10 @@ class LiveBackendAPI {
             const data = await response.json();
             
             if (!response.ok) {
-                throw new Error(data.error || `HTTP ${response.status}`);
+                const error = new Error(data.error || `HTTP ${response.status}`);
+                error.status = response.status;
+                error.body = data;
+                throw error;
             }
             
             this.isOnline = true;
@@ -57,11 +61,72 @@ class LiveBackendAPI {
             
         } catch (error) {
             console.error(`❌ API Error (${endpoint}):`, error.message);
-            this.isOnline = false;
+            // An HTTP error (409 conflict, 403, ...) still means the server is reachable
+            this.isOnline = Boolean(error.status);
             throw error;
         }
     }
 
+    /**
+     * If-Match header for a write based on the revision we last read
+     */
+    ifMatch(revision) {
+        return { 'If-Match': `"${revision || 0}"` };
+    }
+
+    isRevisionConflict(error) {
+        return error.status === 409 && error.body && error.body.code === 'REVISION_CONFLICT';
+    }
+
+    /**
+     * Remember outlets as the server last had them, to tell our own edits apart on a conflict
+     */
+    rememberSynced(outlets) {
+        this.syncedOutlets = this.syncedOutlets || {};
+        Object.entries(outlets || {}).forEach(([code, outlet]) => {
+            this.syncedOutlets[code] = JSON.stringify(outlet);
+        });
+    }
+
+    hasLocalChange(outletCode, outlet) {
+        const synced = this.syncedOutlets && this.syncedOutlets[outletCode];
+        return synced === undefined || synced !== JSON.stringify(outlet);
+    }
+
+    /**
+     * Rebase local edits onto the server copy from a 409 response (in place)
+     * Outlets the server changed since our copy take the server version; every
+     * other outlet keeps our version and is sent again.
+     * @returns {string[]} Outlets where our edits were replaced by the server version
+     */
+    rebaseOnConflict(phoenixData, conflict) {
+        const serverChanged = new Set([...(conflict.changedOutlets || []), ...(conflict.removedOutlets || [])]);
+        const outlets = { ...(conflict.data.outlets || {}) };
+        const overwritten = [];
+
+        Object.entries(phoenixData.outlets || {}).forEach(([code, outlet]) => {
+            if (!serverChanged.has(code)) {
+                outlets[code] = outlet;
+            } else if (this.hasLocalChange(code, outlet)) {
+                overwritten.push(code);
+            }
+        });
+
+        this.rememberSynced(conflict.data.outlets);
+        phoenixData.outlets = outlets;
+        phoenixData.removedOutlets = conflict.data.removedOutlets || {};
+        phoenixData.revision = conflict.currentRevision;
+        return overwritten;
+    }
+
+    /**
+     * Authorization header for the signed session token issued at login
+     */
+    getAuthHeaders() {
+        const token = sessionStorage.getItem(CONFIG.AUTH.TOKEN_KEY);
+        return token ? { 'Authorization': `Bearer ${token}` } : {};
+    }
+
     /**
      * Check if the backend server is available
      */
@@ -90,6 +155,7 @@ class LiveBackendAPI {
             
             const response = await this.apiRequest('/phoenix-data');
             const phoenixData = response.data;
+            this.rememberSynced(phoenixData.outlets);
             
             // Save to local storage as backup
             this.saveToLocalStorage(phoenixData);
@@ -123,12 +189,31 @@ class LiveBackendAPI {
             
             this.syncInProgress = true;
             
-            const response = await this.apiRequest('/phoenix-data', {
-                method: 'POST',
-                body: JSON.stringify({ data: phoenixData })
+            let response;
+            try {
+                response = await this.postPhoenixData(phoenixData);
+            } catch (error) {
+                if (!this.isRevisionConflict(error)) throw error;
+
+                // Someone else saved first - replay our edits on top of their version once
+                const overwritten = this.rebaseOnConflict(phoenixData, error.body);
+                if (overwritten.length > 0) {
+                    console.warn('⚠️ Server changes replaced local edits for:', overwritten.join(', '));
+                    window.dispatchEvent(new CustomEvent('phoenixDataConflict', { detail: { outlets: overwritten } }));
+                }
+                response = await this.postPhoenixData(phoenixData);
+                window.dispatchEvent(new CustomEvent('phoenixDataSynced', { detail: phoenixData }));
+            }
+            
+            // Adopt the revisions the server stamped on this save
+            phoenixData.revision = response.revision;
+            (response.changedOutlets || []).forEach(code => {
+                if (phoenixData.outlets[code]) phoenixData.outlets[code].revision = response.revision;
             });
+            this.rememberSynced(phoenixData.outlets);
+            this.saveToLocalStorage(phoenixData);
             
-            console.log(`✅ Phoenix data saved to live backend: ${response.outlets} outlets`);
+            console.log(`✅ Phoenix data saved to live backend: revision ${response.revision}`);
             
             this.syncInProgress = false;
             return response;
@@ -140,6 +225,28 @@ class LiveBackendAPI {
         }
     }
 
+    postPhoenixData(phoenixData) {
+        return this.apiRequest('/phoenix-data', {
+            method: 'POST',
+            headers: this.ifMatch(phoenixData.revision),
+            body: JSON.stringify({ data: phoenixData })
+        });
+    }
+
+    /**
+     * Keep the local copy of one outlet in step with what the server stored
+     */
+    storeOutlet(outletCode, outlet) {
+        const allData = this.loadFromLocalStorage();
+        if (outlet) {
+            allData.outlets[outletCode] = outlet;
+            this.rememberSynced({ [outletCode]: outlet });
+        } else {
+            delete allData.outlets[outletCode];
+        }
+        this.saveToLocalStorage(allData);
+    }
+
     /**
      * Load specific outlet data
      */
@@ -167,6 +274,7 @@ class LiveBackendAPI {
         try {
             // Update local storage first
             const allData = this.loadFromLocalStorage();
+            const revision = allData.outlets[outletCode]?.revision;
             allData.outlets[outletCode] = outletData;
             this.saveToLocalStorage(allData);
             
@@ -176,18 +284,359 @@ class LiveBackendAPI {
             
             const response = await this.apiRequest(`/outlet/${outletCode}`, {
                 method: 'PUT',
+                headers: this.ifMatch(revision),
                 body: JSON.stringify({ outletData })
             });
+            this.storeOutlet(outletCode, response.data);
             
             console.log(`✅ Outlet ${outletCode} saved to live backend`);
             return response;
             
         } catch (error) {
+            if (this.isRevisionConflict(error)) {
+                // A whole-outlet write cannot be merged; keep the server version and tell the caller
+                console.warn(`⚠️ Outlet ${outletCode} was changed by someone else - not saved`);
+                this.storeOutlet(outletCode, error.body.data);
+                return { success: false, conflict: true, data: error.body.data, error: error.message };
+            }
             console.warn(`⚠️ Failed to save outlet ${outletCode} to live backend`);
             return { success: true, offline: true, error: error.message };
         }
     }
 
+    /**
+     * Patch only the given outlet fields (JSON Merge Patch), e.g.
+     * { okr: { krProgress: { kr2: { likes: { action_1: true } } } } }
+     * A patch that replaces a list (completedActions) must be a function outlet => patch:
+     * when someone else changed the outlet first it is built again on their version,
+     * so their change to the list is kept.
+     */
+    async patchOutletData(outletCode, patch) {
+        if (!this.isOnline) {
+            return { success: false, offline: true };
+        }
+
+        const send = (outlet, revision) => this.apiRequest(`/outlet/${outletCode}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/merge-patch+json', ...this.ifMatch(revision) },
+            body: JSON.stringify(typeof patch === 'function' ? patch(outlet || {}) : patch)
+        });
+
+        try {
+            let response;
+            const stored = this.loadFromLocalStorage().outlets[outletCode];
+            try {
+                response = await send(stored, stored?.revision);
+            } catch (error) {
+                if (!this.isRevisionConflict(error)) throw error;
+                // Apply the patch to the newer version (a plain patch only names the fields we changed)
+                response = await send(error.body.data, error.body.currentRevision);
+            }
+            this.storeOutlet(outletCode, response.data);
+
+            console.log(`✅ Outlet ${outletCode} patched on live backend`);
+            return response;
+
+        } catch (error) {
+            console.warn(`⚠️ Failed to patch outlet ${outletCode} on live backend`);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Values, progress and edit history for one period ('YYYY-MM' or a custom period id; default the current period)
+     */
+    async loadOutletPerformance(outletCode, periodId) {
+        const query = periodId ? `?period=${encodeURIComponent(periodId)}` : '';
+        return this.apiRequest(`/outlet/${outletCode}/performance${query}`);
+    }
+
+    /**
+     * Action completion, term progress, reward tier and reward for a period (default the current one)
+     */
+    async loadOutletScorecard(outletCode, periodId) {
+        const query = periodId ? `?period=${encodeURIComponent(periodId)}` : '';
+        return this.apiRequest(`/outlet/${outletCode}/scorecard${query}`);
+    }
+
+    /**
+     * Periods that can be browsed for an outlet, newest first
+     */
+    async loadOutletPeriods(outletCode) {
+        return this.apiRequest(`/outlet/${outletCode}/periods`);
+    }
+
+    /**
+     * Define a custom period, e.g. { start: '2026-10-15', end: '2026-11-14', termEndDays: [10, 20] }
+     */
+    async saveOutletPeriod(outletCode, definition) {
+        const response = await this.apiRequest(`/outlet/${outletCode}/periods`, {
+            method: 'POST',
+            headers: this.ifMatch(this.loadFromLocalStorage().outlets[outletCode]?.revision),
+            body: JSON.stringify(definition)
+        });
+        this.storeOutlet(outletCode, response.data);
+        return response;
+    }
+
+    /**
+     * Reward schemes, plus current: { outletCode: schemeId } for the outlets this user can see
+     */
+    async loadRewardSchemes() {
+        return this.apiRequest('/reward-schemes');
+    }
+
+    /**
+     * Create a scheme, e.g. { name: 'Mall outlets', basis: 'revenue', outlets: ['JKJSTT1'],
+     * startMonth: '2026-11', tiers: [{ name: 'Bronze', threshold: 0.85, rewardPercent: 1.5 }, ...] }
+     */
+    async createRewardScheme(scheme) {
+        return this.apiRequest('/reward-schemes', {
+            method: 'POST',
+            body: JSON.stringify(scheme)
+        });
+    }
+
+    async updateRewardScheme(schemeId, changes) {
+        return this.apiRequest(`/reward-schemes/${encodeURIComponent(schemeId)}`, {
+            method: 'PUT',
+            body: JSON.stringify(changes)
+        });
+    }
+
+    async deleteRewardScheme(schemeId) {
+        return this.apiRequest(`/reward-schemes/${encodeURIComponent(schemeId)}`, { method: 'DELETE' });
+    }
+
+    /**
+     * Every version of a scheme with who changed it and when
+     */
+    async loadRewardSchemeHistory(schemeId) {
+        return this.apiRequest(`/reward-schemes/${encodeURIComponent(schemeId)}/history`);
+    }
+
+    /**
+     * Outlet registry: names, AMs, regions, opening dates, status and store types
+     * @param {Object} [filters] - { status: active|closed, region, am }
+     */
+    async loadOutlets(filters = {}) {
+        const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+        return this.apiRequest(`/outlets${query.toString() ? `?${query}` : ''}`);
+    }
+
+    /**
+     * Register an outlet, e.g. { code: 'JKJSTT1', name: 'APOTEK ALPRO TEBET TIMUR', am: 'JESIKA SILISTIANI',
+     * openingDate: '2021-03-01', storeType: 'Ruko' } (region defaults to the code prefix)
+     */
+    async registerOutlet(outlet) {
+        return this.apiRequest('/outlets', {
+            method: 'POST',
+            body: JSON.stringify(outlet)
+        });
+    }
+
+    async updateRegisteredOutlet(outletCode, changes) {
+        return this.apiRequest(`/outlets/${encodeURIComponent(outletCode)}`, {
+            method: 'PUT',
+            body: JSON.stringify(changes)
+        });
+    }
+
+    /**
+     * Remove a code registered by mistake (outlets in the program are closed with status: 'closed' instead)
+     */
+    async deleteRegisteredOutlet(outletCode) {
+        return this.apiRequest(`/outlets/${encodeURIComponent(outletCode)}`, { method: 'DELETE' });
+    }
+
+    /**
+     * AM hierarchy on a date (default today): regional managers -> AMs -> outlets
+     */
+    async loadHierarchy(date) {
+        return this.apiRequest(`/hierarchy${date ? `?date=${encodeURIComponent(date)}` : ''}`);
+    }
+
+    /**
+     * Assignments of an outlet ({ outlet: 'JKJSTT1' }) or of and under an AM ({ am: email })
+     */
+    async loadHierarchyHistory(filters) {
+        return this.apiRequest(`/hierarchy/history?${new URLSearchParams(filters)}`);
+    }
+
+    /**
+     * Move an outlet to an AM (email, or null for none) from effectiveFrom (the first day of a month,
+     * YYYY-MM-01, default this month); results before that month stay with the previous AM
+     */
+    async assignOutletAM(outletCode, am, effectiveFrom, reason) {
+        return this.apiRequest('/hierarchy/assignments', {
+            method: 'POST',
+            body: JSON.stringify({ outletCode, am, effectiveFrom, reason })
+        });
+    }
+
+    /**
+     * Put an AM under a regional manager (email, or null for none) from effectiveFrom
+     */
+    async assignRegionalManager(am, regionalManager, effectiveFrom, reason) {
+        return this.apiRequest('/hierarchy/assignments', {
+            method: 'POST',
+            body: JSON.stringify({ am, regionalManager, effectiveFrom, reason })
+        });
+    }
+
+    /**
+     * Medals of the signed-in user's outlets, newest first
+     * @param {Object} [filters] - { outlet, period, status: pending|approved|revoked, kind: tier|special }
+     */
+    async loadMedals(filters = {}) {
+        const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+        return this.apiRequest(`/medals${query.toString() ? `?${query}` : ''}`);
+    }
+
+    /**
+     * Award a special medal: { outletCode, type, tier, rewardAmount, reason, period? }
+     */
+    async awardMedal(medal) {
+        return this.apiRequest('/medals', {
+            method: 'POST',
+            body: JSON.stringify(medal)
+        });
+    }
+
+    /**
+     * Award the tier medals an ended period earned (outlets that already have one are skipped)
+     */
+    async awardTierMedals(period) {
+        return this.apiRequest('/medals/tier-awards', {
+            method: 'POST',
+            body: JSON.stringify({ period })
+        });
+    }
+
+    async approveMedal(medalId) {
+        return this.apiRequest(`/medals/${encodeURIComponent(medalId)}/approve`, { method: 'POST' });
+    }
+
+    async revokeMedal(medalId, reason) {
+        return this.apiRequest(`/medals/${encodeURIComponent(medalId)}/revoke`, {
+            method: 'POST',
+            body: JSON.stringify({ reason })
+        });
+    }
+
+    /**
+     * Rankings, e.g. { by: 'region', metric: 'trano_growth', period: '2026-10' } (all optional)
+     */
+    async loadLeaderboard(options = {}) {
+        const query = new URLSearchParams(Object.entries(options).filter(([, value]) => value));
+        return this.apiRequest(`/leaderboard${query.toString() ? `?${query}` : ''}`);
+    }
+
+    /**
+     * Reward payout rows of a month ('YYYY-MM') with totals
+     */
+    async loadRewardReport(month) {
+        return this.apiRequest(`/reports/rewards?month=${encodeURIComponent(month)}&format=json`);
+    }
+
+    /**
+     * Download the month's reward payout report as 'csv' or 'xlsx'
+     */
+    async downloadRewardReport(month, format = 'csv') {
+        const response = await fetch(`${this.baseURL}${this.apiPrefix}/reports/rewards?month=${encodeURIComponent(month)}&format=${format}`, {
+            headers: this.getAuthHeaders()
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+
+        const url = window.URL.createObjectURL(await response.blob());
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `rewards-${month}.${format}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        window.URL.revokeObjectURL(url);
+        return { success: true };
+    }
+
+    /**
+     * Move a month's payouts to 'approved', 'paid' or back to 'pending' (all outlets, or the codes given)
+     */
+    async setRewardPayoutStatus(month, status, outlets) {
+        return this.apiRequest('/reports/rewards/status', {
+            method: 'POST',
+            body: JSON.stringify({ month, status, outlets })
+        });
+    }
+
+    /**
+     * Check a POS export (a CSV or .xlsx File) without saving anything
+     * The result lists every row as new/updated/unchanged plus the rows with errors;
+     * pass its revision to applyPerformanceImport.
+     */
+    async previewPerformanceImport(file, sheet) {
+        return this.sendPerformanceImport(file, sheet, { dryRun: 'true' });
+    }
+
+    /**
+     * Apply a previewed import; a 409 means outlets changed after the preview
+     */
+    async applyPerformanceImport(file, revision, sheet) {
+        return this.sendPerformanceImport(file, sheet, {}, this.ifMatch(revision));
+    }
+
+    async sendPerformanceImport(file, sheet, params, headers = {}) {
+        const query = new URLSearchParams(params);
+        if (sheet) query.set('sheet', sheet);
+        const contentType = /\.xlsx$/i.test(file.name || '')
+            ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+            : 'text/csv';
+        const suffix = query.toString() ? `?${query}` : '';
+        return this.apiRequest(`/import/performance${suffix}`, {
+            method: 'POST',
+            headers: { 'Content-Type': contentType, ...headers },
+            body: file
+        });
+    }
+
+    /**
+     * Record revenue/trano for one term, e.g. { term: 'term1', revenue: 25000000, trano: 290 }
+     * The server keeps who entered it and when; add period: 'YYYY-MM' to correct an earlier period.
+     */
+    async recordOutletPerformance(outletCode, entry) {
+        if (!this.isOnline) {
+            return { success: false, offline: true };
+        }
+
+        const send = revision => this.apiRequest(`/outlet/${outletCode}/performance`, {
+            method: 'POST',
+            headers: this.ifMatch(revision),
+            body: JSON.stringify(entry)
+        });
+
+        try {
+            let response;
+            try {
+                response = await send(this.loadFromLocalStorage().outlets[outletCode]?.revision);
+            } catch (error) {
+                if (!this.isRevisionConflict(error)) throw error;
+                // An entry only sets one term, so it is safe to record on the newer version
+                response = await send(error.body.currentRevision);
+            }
+            this.storeOutlet(outletCode, response.data);
+
+            console.log(`✅ ${entry.term} performance for ${outletCode} recorded on live backend`);
+            return response;
+
+        } catch (error) {
+            console.warn(`⚠️ Failed to record performance for ${outletCode} on live backend`);
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * Delete outlet data
      */
@@ -195,6 +644,7 @@ class LiveBackendAPI {
         try {
             // Update local storage first
             const allData = this.loadFromLocalStorage();
+            const revision = allData.outlets[outletCode]?.revision;
             delete allData.outlets[outletCode];
             this.saveToLocalStorage(allData);
             
@@ -203,7 +653,8 @@ class LiveBackendAPI {
             }
             
             const response = await this.apiRequest(`/outlet/${outletCode}`, {
-                method: 'DELETE'
+                method: 'DELETE',
+                headers: this.ifMatch(revision)
             });
             
             console.log(`✅ Outlet ${outletCode} deleted from live backend`);
@@ -228,8 +679,9 @@ class LiveBackendAPI {
             const serverData = response.data;
             const localData = this.loadFromLocalStorage();
             
-            // Simple conflict resolution: use server data if it's newer
-            if (new Date(serverData.metadata?.lastUpdated || 0) > new Date(localData.metadata?.lastUpdated || 0)) {
+            // Use server data if it has a newer revision than our copy
+            if ((serverData.revision || 0) > (localData.revision || 0)) {
+                this.rememberSynced(serverData.outlets);
                 this.saveToLocalStorage(serverData);
                 console.log('🔄 Synced latest data from server');
                 
@@ -272,6 +724,14 @@ class LiveBackendAPI {
         }
     }
 
+    /**
+     * Audit events, newest first, e.g. { outlet: 'JKJSTT1', actor: 'ana@alpro.com', from: '2026-10-01', to: '2026-10-31' } (view_audit)
+     */
+    async loadAuditLog(filters = {}) {
+        const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+        return this.apiRequest(`/audit${query.toString() ? `?${query}` : ''}`);
+    }
+
     /**
      * Get available backups
      */
@@ -283,6 +743,27 @@ class LiveBackendAPI {
         }
     }
 
+    /**
+     * What changed per outlet between two backups ('current' for the stored data; git commit
+     * shas work on api-server.js): added/removed outlets, KR text, actions ticked, performance numbers
+     */
+    async loadBackupDiff(from, to = 'current') {
+        return this.apiRequest(`/backups/diff?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`);
+    }
+
+    /**
+     * Restore a backup (every outlet), or only outletCode from it; the server backs up the current data first.
+     * Reload the data afterwards - the restore is a new revision.
+     */
+    async restoreBackup(backupId, outletCode) {
+        const local = this.loadFromLocalStorage();
+        return this.apiRequest(`/backups/${encodeURIComponent(backupId)}/restore`, {
+            method: 'POST',
+            headers: this.ifMatch(outletCode ? local.outlets[outletCode]?.revision : local.revision),
+            body: JSON.stringify(outletCode ? { outlet: outletCode } : {})
+        });
+    }
+
     /**
      * Export data as downloadable file
      */
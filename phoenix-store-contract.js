@@ -0,0 +1,195 @@
+/**
+ * PhoenixStore Contract Suite
+ * The behaviour every adapter in phoenix-store.js must share; test-phoenix-store.html
+ * runs it against the adapter you pick, npm test against the local adapter and the
+ * live-api adapter on a mock server (test/phoenix-store.test.js). The suite adds two ZZCONTRACT outlets and
+ * removes them at the end, so point it at scratch storage (a local api-server.js,
+ * a test repository, a spare localStorage key), never at production data.
+ */
+
+const CONTRACT_OUTLETS = ['ZZCONTRACT1', 'ZZCONTRACT2'];
+
+function contractOutlet(code) {
+    return {
+        name: `Contract ${code}`,
+        okr: {
+            objective: 'Contract objective',
+            keyResults: ['Contract key result'],
+            actionPlans: { kr1: ['First action', 'Second action'] },
+            krProgress: { kr1: { completedActions: [] } }
+        }
+    };
+}
+
+function expect(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run the contract against one adapter
+ * @param {Function} createStore - Returns a new store on the same storage on every call; the
+ *   suite uses two of them as two devices editing at once
+ * @param {Function} [log] - Called with one line per check
+ * @returns {Promise<Object>} { passed, failed, results: [{ name, ok, error? }] }
+ */
+async function runPhoenixStoreContract(createStore, log = console.log) {
+    const [A, B] = CONTRACT_OUTLETS;
+    const first = createStore();
+    const second = createStore();
+    const results = [];
+
+    async function check(name, test) {
+        try {
+            await test();
+            results.push({ name, ok: true });
+            log(`✅ ${name}`);
+        } catch (error) {
+            results.push({ name, ok: false, error: error.message });
+            log(`❌ ${name}: ${error.message}`);
+        }
+    }
+
+    await check('load returns the document and its revision', async () => {
+        const data = await first.load();
+        expect(data && typeof data.outlets === 'object', 'outlets missing');
+        expect(Number.isInteger(data.revision || 0), `revision is ${data.revision}`);
+    });
+
+    await check('save bumps the revision and stamps it on the new outlets', async () => {
+        const data = await first.load();
+        const before = data.revision || 0;
+        CONTRACT_OUTLETS.forEach(code => { data.outlets[code] = contractOutlet(code); });
+        const result = await first.save(data);
+        expect(result.success && result.revision > before, `revision ${result.revision} after ${before}`);
+        expect(data.revision === result.revision, 'data was not updated to the saved revision');
+        expect(CONTRACT_OUTLETS.every(code => data.outlets[code].revision === result.revision), 'outlet revisions not stamped');
+        const stored = await second.load();
+        expect(CONTRACT_OUTLETS.every(code => stored.outlets[code] && stored.outlets[code].name === `Contract ${code}`), 'another client does not see the outlets');
+    });
+
+    await check('save keeps the revision of unchanged outlets', async () => {
+        const data = await first.load();
+        const kept = data.outlets[A].revision;
+        data.outlets[B].okr.objective = 'Changed objective';
+        const result = await first.save(data);
+        expect(data.outlets[A].revision === kept, `unchanged ${A} moved from revision ${kept} to ${data.outlets[A].revision}`);
+        expect(data.outlets[B].revision === result.revision, `${B} not stamped with revision ${result.revision}`);
+    });
+
+    await check('patch changes only the named fields', async () => {
+        const result = await first.patch(A, { okr: { krProgress: { kr1: { completedActions: [1] } } } });
+        expect(result.success && result.outlet.okr.krProgress.kr1.completedActions.join() === '1', 'action not ticked');
+        expect(result.outlet.okr.objective === 'Contract objective', 'patch replaced other fields');
+        const stored = (await second.load()).outlets[A];
+        expect(stored.okr.krProgress.kr1.completedActions.join() === '1', 'another client does not see the patch');
+        expect(stored.okr.actionPlans.kr1.length === 2, 'patch removed the action plans');
+        expect(stored.revision === result.revision, `outlet revision ${stored.revision}, patch returned ${result.revision}`);
+    });
+
+    await check('a function patch is built again on the newer outlet after a conflict', async () => {
+        await second.load();
+        await first.patch(A, { okr: { krProgress: { kr1: { completedActions: [0] } } } });
+        // The second client's copy still has only action 1 done
+        const tick = outlet => ({
+            okr: { krProgress: { kr1: { completedActions: [...outlet.okr.krProgress.kr1.completedActions.filter(index => index !== 1), 1] } } }
+        });
+        const result = await second.patch(A, tick);
+        const completed = result.outlet.okr.krProgress.kr1.completedActions.join();
+        expect(completed === '0,1', `completed actions ${completed}, the first client's tick was lost`);
+    });
+
+    await check('patch of an unknown outlet fails with 404', async () => {
+        let error = null;
+        await first.patch('ZZCONTRACTX', { name: 'Nobody' }).catch(caught => { error = caught; });
+        expect(error && error.status === 404, error ? `status ${error.status}` : 'the patch succeeded');
+    });
+
+    await check('a save from an older copy keeps edits to other outlets', async () => {
+        const mine = await first.load();
+        const theirs = await second.load();
+        theirs.outlets[B].okr.objective = 'Second device';
+        await second.save(theirs);
+        mine.outlets[A].okr.objective = 'First device';
+        const result = await first.save(mine);
+        expect(result.overwritten.length === 0, `overwritten: ${result.overwritten.join(', ')}`);
+        const stored = await second.load();
+        expect(stored.outlets[A].okr.objective === 'First device', 'the first device lost its edit');
+        expect(stored.outlets[B].okr.objective === 'Second device', 'the second device lost its edit');
+    });
+
+    await check('a save from an older copy keeps the newer version of an outlet both changed', async () => {
+        const mine = await first.load();
+        const theirs = await second.load();
+        theirs.outlets[A].okr.objective = 'Saved first';
+        await second.save(theirs);
+        mine.outlets[A].okr.objective = 'Saved second';
+        const result = await first.save(mine);
+        expect(result.overwritten.includes(A), `${A} not reported as overwritten`);
+        expect((await second.load()).outlets[A].okr.objective === 'Saved first', 'the newer version was replaced');
+    });
+
+    await check('history lists saves newest first', async () => {
+        const entries = await first.history(5);
+        expect(Array.isArray(entries) && entries.length > 0, 'no history');
+        entries.forEach(entry => {
+            expect(entry.id && typeof entry.message === 'string' && !Number.isNaN(Date.parse(entry.createdAt)), `bad entry ${JSON.stringify(entry)}`);
+        });
+        expect(entries.every((entry, i) => i === 0 || Date.parse(entry.createdAt) <= Date.parse(entries[i - 1].createdAt)), 'not newest first');
+    });
+
+    await check('subscribers hear of saves made by another client', async () => {
+        const heard = new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                unsubscribe();
+                reject(new Error('no notification'));
+            }, second.pollInterval * 3 + 2000);
+            const unsubscribe = second.subscribe(data => {
+                if (data.outlets[B] && data.outlets[B].okr.objective === 'Notified') {
+                    clearTimeout(timer);
+                    unsubscribe();
+                    resolve();
+                }
+            });
+        });
+        const data = await first.load();
+        data.outlets[B].okr.objective = 'Notified';
+        await first.save(data);
+        await heard;
+    });
+
+    await check('unsubscribed listeners hear nothing', async () => {
+        let calls = 0;
+        const unsubscribe = second.subscribe(() => { calls++; });
+        unsubscribe();
+        const data = await first.load();
+        data.outlets[B].okr.objective = 'Unheard';
+        await first.save(data);
+        await wait(second.pollInterval * 2 + 500);
+        expect(calls === 0, `listener called ${calls} times`);
+    });
+
+    await check('saving without outlets removes them', async () => {
+        const data = await first.load();
+        CONTRACT_OUTLETS.forEach(code => { delete data.outlets[code]; });
+        await first.save(data);
+        const stored = await second.load();
+        expect(CONTRACT_OUTLETS.every(code => !stored.outlets[code]), 'contract outlets still stored');
+    });
+
+    const passed = results.filter(result => result.ok).length;
+    log(`${passed}/${results.length} checks passed for the ${first.name} store`);
+    return { passed, failed: results.length - passed, results };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { runPhoenixStoreContract };
+}
+
+if (typeof window !== 'undefined') {
+    window.runPhoenixStoreContract = runPhoenixStoreContract;
+}
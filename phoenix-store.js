@@ -0,0 +1,515 @@
+/**
+ * PhoenixStore - one storage interface for the Phoenix OKR document
+ * The dashboard reads and writes the document through the adapter named by
+ * CONFIG.STORAGE.ADAPTER:
+ *   'live-api' - LiveApiStore, the Live Backend API (Cloudflare Worker or api-server.js)
+ *   'github'   - GitHubContentsStore, phoenix-data.json in a GitHub repository
+ *   'local'    - LocalStore, this browser's localStorage only
+ *
+ * Store: {
+ *   name,
+ *   load()                   -> { outlets, removedOutlets, revision }
+ *   save(data)               -> { success, revision, changedOutlets, overwritten }
+ *   patch(outletCode, patch) -> { success, revision, outlet } - JSON Merge Patch of one outlet, or a
+ *                               function outlet => patch, built again on the newer outlet after a conflict
+ *   history(limit)           -> [{ id, message, createdAt }], newest first
+ *   subscribe(listener)      -> unsubscribe(); listener(data) for each newer revision the store sees
+ * }
+ *
+ * Revisions are src/lib/revisions.js's: a save bumps data.revision and stamps it
+ * on the outlets it changed. save(data) takes data.revision as the copy the edits
+ * were made on. When someone else saved since, the edits are replayed once onto
+ * their version: outlets they changed take their version (listed in overwritten
+ * when we had edited them too), every other outlet keeps ours. data is updated in
+ * place to what was stored.
+ *
+ * Failures reject with a StoreError holding an HTTP status (404 unknown outlet,
+ * 409 a conflict the replay could not resolve, 503 storage unreachable, ...).
+ * Every adapter must pass phoenix-store-contract.js (npm test, or test-phoenix-store.html).
+ */
+
+const MERGE_PATCH = 'application/merge-patch+json';
+const STORE_MESSAGE_OUTLETS = 10;
+
+class StoreError extends Error {
+    constructor(message, status = 500, body = null) {
+        super(message);
+        this.name = 'StoreError';
+        this.status = status;
+        this.body = body;
+    }
+}
+
+// config.js, outlet-patch.js and revisions.js are globals in the browser and modules in Node
+function storeConfig() {
+    return typeof CONFIG !== 'undefined' ? CONFIG : require('./config.js');
+}
+
+function storeRevisions() {
+    return typeof commitRevision === 'function'
+        ? { documentRevision, commitRevision, changesSince }
+        : require('./src/lib/revisions.js');
+}
+
+function patchStoredOutlet(outlet, patch) {
+    const apply = typeof applyOutletPatch === 'function' ? applyOutletPatch : require('./src/lib/outlet-patch.js').applyOutletPatch;
+    return apply(outlet, outletPatch(patch, outlet), MERGE_PATCH);
+}
+
+// The merge patch for the given version of the outlet (see patch() above)
+function outletPatch(patch, outlet) {
+    return typeof patch === 'function' ? patch(outlet || {}) : patch;
+}
+
+function emptyStoreDocument() {
+    return { outlets: {}, removedOutlets: {}, revision: 0 };
+}
+
+function storeRevision(data) {
+    return storeRevisions().documentRevision(data);
+}
+
+/**
+ * The conflict a save from an older copy runs into, shaped like a 409 REVISION_CONFLICT body
+ */
+function storeConflict(current, baseRevision) {
+    return { currentRevision: storeRevision(current), ...storeRevisions().changesSince(current, baseRevision), data: current };
+}
+
+// Commit message / history entry, e.g. "Phoenix data updated: JKJSTT1; removed JKJSMP1 (revision 42)"
+function storeMessage(revision, changedOutlets, removedOutlets) {
+    const list = codes => codes.length > STORE_MESSAGE_OUTLETS
+        ? `${codes.slice(0, STORE_MESSAGE_OUTLETS).join(', ')} (+${codes.length - STORE_MESSAGE_OUTLETS} more)`
+        : codes.join(', ');
+    const parts = [
+        changedOutlets.length > 0 ? list(changedOutlets) : null,
+        removedOutlets.length > 0 ? `removed ${list(removedOutlets)}` : null
+    ].filter(Boolean);
+    return `Phoenix data updated${parts.length > 0 ? `: ${parts.join('; ')}` : ''} (revision ${revision})`;
+}
+
+/**
+ * Shared behaviour of the adapters. A document adapter only implements
+ * read() -> { data, ...handle }, write(data, current, message) (a StoreError
+ * with status 409 when the stored copy moved on since read) and history().
+ */
+class PhoenixStore {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.pollInterval = options.pollInterval || storeConfig().STORAGE.POLL_INTERVAL;
+        this.listeners = new Set();
+        this.synced = {};     // outlet code -> JSON of the outlet as last loaded or saved
+        this.revision = null; // newest revision seen
+        this.queue = Promise.resolve();
+    }
+
+    async load() {
+        const { data } = await this.read();
+        this.remember(data);
+        return data;
+    }
+
+    save(data) {
+        return this.enqueue(() => this.commit(data));
+    }
+
+    patch(outletCode, patch) {
+        return this.enqueue(() => this.commitPatch(outletCode, patch));
+    }
+
+    /**
+     * @returns {Function} unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        if (!this.unwatch) {
+            this.unwatch = this.watch();
+        }
+        return () => {
+            this.listeners.delete(listener);
+            if (this.listeners.size === 0 && this.unwatch) {
+                this.unwatch();
+                this.unwatch = null;
+            }
+        };
+    }
+
+    // Saves and patches of one store run one at a time
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async commit(data, retry = true) {
+        const current = await this.read();
+        const overwritten = storeRevision(current.data) === storeRevision(data)
+            ? []
+            : this.rebase(data, storeConflict(current.data, storeRevision(data)));
+
+        // Stamp a copy, so a write that lost a race leaves data as it was for the retry
+        const next = { ...data, outlets: { ...(data.outlets || {}) } };
+        const { revision, changedOutlets, removedOutlets } = storeRevisions().commitRevision(current.data, next);
+        try {
+            await this.write(next, current, storeMessage(revision, changedOutlets, removedOutlets));
+        } catch (error) {
+            if (!retry || error.status !== 409) throw error;
+            const result = await this.commit(data, false);
+            return { ...result, overwritten: [...new Set([...overwritten, ...result.overwritten])] };
+        }
+
+        Object.assign(data, next);
+        this.remember(data);
+        return { success: true, revision, changedOutlets, overwritten };
+    }
+
+    async commitPatch(outletCode, patch, retry = true) {
+        const current = await this.read();
+        const outlet = current.data.outlets && current.data.outlets[outletCode];
+        if (!outlet) {
+            throw new StoreError(`Outlet ${outletCode} not found`, 404);
+        }
+        const result = patchStoredOutlet(outlet, patch);
+        if (result.status !== 200) {
+            throw new StoreError(result.body.error, result.status, result.body);
+        }
+
+        const next = { ...current.data, outlets: { ...current.data.outlets, [outletCode]: result.outlet } };
+        const { revision, changedOutlets, removedOutlets } = storeRevisions().commitRevision(current.data, next);
+        try {
+            await this.write(next, current, storeMessage(revision, changedOutlets, removedOutlets));
+        } catch (error) {
+            if (!retry || error.status !== 409) throw error;
+            return this.commitPatch(outletCode, patch, false);
+        }
+        // Not remembered: the caller's copy still holds the outlet as it was
+        this.seen(next);
+        return { success: true, revision, outlet: next.outlets[outletCode] };
+    }
+
+    /**
+     * Replay local edits onto a newer document (in place), like LiveBackendAPI.rebaseOnConflict
+     * @param {Object} conflict - { currentRevision, changedOutlets, removedOutlets, data }
+     * @returns {string[]} Outlets where our edits were replaced by the newer version
+     */
+    rebase(data, conflict) {
+        const theirs = new Set([...(conflict.changedOutlets || []), ...(conflict.removedOutlets || [])]);
+        const outlets = { ...(conflict.data.outlets || {}) };
+        const overwritten = [];
+
+        Object.entries(data.outlets || {}).forEach(([code, outlet]) => {
+            if (!theirs.has(code)) {
+                outlets[code] = outlet;
+            } else if (this.hasLocalChange(code, outlet)) {
+                overwritten.push(code);
+            }
+        });
+        // Outlets we deleted stay deleted unless they were changed since
+        Object.keys(this.synced).forEach(code => {
+            if (!(code in (data.outlets || {})) && !theirs.has(code)) {
+                delete outlets[code];
+            }
+        });
+
+        this.synced = Object.fromEntries(Object.entries(conflict.data.outlets || {}).map(([code, outlet]) => [code, JSON.stringify(outlet)]));
+        data.outlets = outlets;
+        data.removedOutlets = conflict.data.removedOutlets || {};
+        data.revision = conflict.currentRevision;
+        return overwritten;
+    }
+
+    hasLocalChange(outletCode, outlet) {
+        const synced = this.synced[outletCode];
+        return synced === undefined || synced !== JSON.stringify(outlet);
+    }
+
+    remember(data) {
+        this.synced = Object.fromEntries(Object.entries(data.outlets || {}).map(([code, outlet]) => [code, JSON.stringify(outlet)]));
+        this.seen(data);
+    }
+
+    // Tell listeners about a revision newer than the last one seen
+    seen(data) {
+        const revision = storeRevision(data);
+        if (this.revision !== null && revision <= this.revision) return;
+        const first = this.revision === null;
+        this.revision = revision;
+        if (!first) {
+            this.listeners.forEach(listener => listener(data));
+        }
+    }
+
+    // Poll for saves made elsewhere; a failed poll is skipped
+    watch() {
+        const timer = setInterval(() => {
+            this.read().then(({ data }) => this.seen(data)).catch(() => {});
+        }, this.pollInterval);
+        return () => clearInterval(timer);
+    }
+}
+
+/**
+ * Live Backend API adapter: revisions and conflicts are the server's (If-Match / 409).
+ * Keeps the LiveBackendAPI client's local copy current, so its outlet patches and
+ * restores send the right If-Match.
+ */
+class LiveApiStore extends PhoenixStore {
+    constructor(options = {}) {
+        super('live-api', options);
+        this.api = options.api || window.liveBackendAPI || new LiveBackendAPI();
+    }
+
+    async request(endpoint, options) {
+        try {
+            return await this.api.apiRequest(endpoint, options);
+        } catch (error) {
+            throw new StoreError(error.message, error.status || 503, error.body || null);
+        }
+    }
+
+    async read() {
+        const response = await this.request('/phoenix-data');
+        return { data: response.data };
+    }
+
+    async load() {
+        const data = await super.load();
+        this.api.saveToLocalStorage(data);
+        return data;
+    }
+
+    post(data) {
+        return this.request('/phoenix-data', {
+            method: 'POST',
+            headers: this.api.ifMatch(data.revision),
+            body: JSON.stringify({ data })
+        });
+    }
+
+    async commit(data) {
+        let overwritten = [];
+        let response;
+        try {
+            response = await this.post(data);
+        } catch (error) {
+            if (!this.api.isRevisionConflict(error)) throw error;
+            overwritten = this.rebase(data, error.body);
+            response = await this.post(data);
+        }
+
+        // Adopt the revisions the server stamped on this save
+        data.revision = response.revision;
+        (response.changedOutlets || []).forEach(code => {
+            if (data.outlets[code]) data.outlets[code] = { ...data.outlets[code], revision: response.revision };
+        });
+        this.api.saveToLocalStorage(data);
+        this.remember(data);
+        return { success: true, revision: response.revision, changedOutlets: response.changedOutlets || [], overwritten };
+    }
+
+    async commitPatch(outletCode, patch) {
+        const send = (outlet, revision) => this.request(`/outlet/${encodeURIComponent(outletCode)}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': MERGE_PATCH, ...this.api.ifMatch(revision) },
+            body: JSON.stringify(outletPatch(patch, outlet))
+        });
+
+        let response;
+        const synced = this.synced[outletCode] ? JSON.parse(this.synced[outletCode]) : null;
+        try {
+            response = await send(synced, synced ? synced.revision : 0);
+        } catch (error) {
+            if (!this.api.isRevisionConflict(error)) throw error;
+            // Apply the patch to the newer version (a plain patch only names the fields it changes)
+            response = await send(error.body.data, error.body.currentRevision);
+        }
+        this.api.storeOutlet(outletCode, response.data);
+        return { success: true, revision: response.revision, outlet: response.data };
+    }
+
+    // Backups and, on api-server.js, versions (needs view_backups)
+    async history(limit = 20) {
+        const result = await this.request('/backups');
+        const backups = (result.backups || []).map(backup => ({
+            id: backup.id || backup.filename,
+            message: 'Backup',
+            createdAt: backup.created_at || String(backup.timestamp).replace(/T(\d+)-(\d+)-(\d+)-(\d+)Z/, 'T$1:$2:$3.$4Z')
+        }));
+        const versions = (result.versions || []).map(({ id, message, createdAt }) => ({ id, message, createdAt }));
+        return [...backups, ...versions]
+            .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+            .slice(0, limit);
+    }
+}
+
+/**
+ * GitHub contents adapter: phoenix-data.json in CONFIG.GOOGLE_SHEETS.GITHUB_DATA_REPO, one
+ * commit per save. Writes need a token with contents access (window.GITHUB_TOKEN, as GitHubAPI).
+ */
+class GitHubContentsStore extends PhoenixStore {
+    constructor(options = {}) {
+        super('github', options);
+        const settings = storeConfig().GOOGLE_SHEETS;
+        this.repo = options.repo || settings.GITHUB_DATA_REPO;
+        this.branch = options.branch || settings.GITHUB_DATA_BRANCH || 'main';
+        this.baseURL = options.baseURL || settings.GITHUB_API_URL || 'https://api.github.com';
+        this.path = options.path || 'phoenix-data.json';
+        this.token = options.token || (typeof window !== 'undefined' ? window.GITHUB_TOKEN : undefined);
+    }
+
+    async request(path, options = {}) {
+        const headers = { 'Accept': 'application/vnd.github.v3+json', 'Content-Type': 'application/json' };
+        if (this.token) {
+            headers['Authorization'] = `token ${this.token}`;
+        }
+
+        let response;
+        try {
+            // The contents API is cached for a minute, which would hide other saves
+            response = await fetch(`${this.baseURL}${path}`, { ...options, headers, cache: 'no-store' });
+        } catch (error) {
+            throw new StoreError(`GitHub is unreachable: ${error.message}`, 503);
+        }
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            // A write whose sha is out of date gets 409, or 422 when the file was created meanwhile
+            const status = options.method === 'PUT' && response.status === 422 ? 409 : response.status;
+            throw new StoreError(`GitHub API error: ${response.status} - ${body.message || response.statusText}`, status, body);
+        }
+        return body;
+    }
+
+    async read() {
+        let file;
+        try {
+            file = await this.request(`/repos/${this.repo}/contents/${this.path}?ref=${encodeURIComponent(this.branch)}`);
+        } catch (error) {
+            if (error.status === 404) return { data: emptyStoreDocument(), sha: null };
+            throw error;
+        }
+        // Files over 1 MB come without content; read them as a blob
+        const content = file.content || (await this.request(`/repos/${this.repo}/git/blobs/${file.sha}`)).content;
+        return { data: JSON.parse(decodeURIComponent(escape(atob(content.replace(/\s/g, ''))))), sha: file.sha };
+    }
+
+    async write(data, current, message) {
+        await this.request(`/repos/${this.repo}/contents/${this.path}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                message,
+                content: btoa(unescape(encodeURIComponent(JSON.stringify(data, null, 2)))),
+                branch: this.branch,
+                ...(current.sha ? { sha: current.sha } : {})
+            })
+        });
+    }
+
+    async history(limit = 20) {
+        const commits = await this.request(`/repos/${this.repo}/commits?path=${encodeURIComponent(this.path)}&sha=${encodeURIComponent(this.branch)}&per_page=${limit}`);
+        return commits.map(commit => ({
+            id: commit.sha,
+            message: commit.commit.message,
+            createdAt: commit.commit.committer.date
+        }));
+    }
+}
+
+/**
+ * Local adapter: the document under CONFIG.STORAGE.LOCAL_KEY, its history under <key>-history
+ */
+class LocalStore extends PhoenixStore {
+    constructor(options = {}) {
+        super('local', options);
+        const settings = storeConfig().STORAGE;
+        this.key = options.key || settings.LOCAL_KEY;
+        this.historyKey = `${this.key}-history`;
+        this.historyLimit = settings.LOCAL_HISTORY;
+        this.storage = options.storage || localStorage;
+    }
+
+    stored() {
+        const stored = this.storage.getItem(this.key);
+        return stored ? JSON.parse(stored) : emptyStoreDocument();
+    }
+
+    async read() {
+        return { data: this.stored() };
+    }
+
+    async write(data, current, message) {
+        // Another store on this key (another tab) may have saved since read()
+        if (storeRevision(this.stored()) !== storeRevision(current.data)) {
+            throw new StoreError('The stored data changed during the save', 409);
+        }
+        this.storage.setItem(this.key, JSON.stringify(data));
+        const entry = { id: `r${data.revision}`, message, createdAt: new Date().toISOString() };
+        this.storage.setItem(this.historyKey, JSON.stringify([entry, ...this.storedHistory()].slice(0, this.historyLimit)));
+    }
+
+    storedHistory() {
+        try {
+            return JSON.parse(this.storage.getItem(this.historyKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    async history(limit = 20) {
+        return this.storedHistory().slice(0, limit);
+    }
+
+    // Other tabs report their saves through the storage event; polling covers stores in this tab
+    watch() {
+        const stopPolling = super.watch();
+        if (typeof window === 'undefined') return stopPolling;
+
+        const onStorage = event => {
+            if (event.key === this.key && event.newValue) this.seen(JSON.parse(event.newValue));
+        };
+        window.addEventListener('storage', onStorage);
+        return () => {
+            stopPolling();
+            window.removeEventListener('storage', onStorage);
+        };
+    }
+}
+
+const PHOENIX_STORE_ADAPTERS = {
+    'live-api': LiveApiStore,
+    'github': GitHubContentsStore,
+    'local': LocalStore
+};
+
+/**
+ * The store for an adapter name (default CONFIG.STORAGE.ADAPTER)
+ * @param {Object} [options] - Adapter options: api, repo/branch/path/token, key/storage, pollInterval
+ */
+function createPhoenixStore(adapter = storeConfig().STORAGE.ADAPTER, options = {}) {
+    const Store = PHOENIX_STORE_ADAPTERS[adapter];
+    if (!Store) {
+        throw new Error(`Unknown storage adapter "${adapter}" (use ${Object.keys(PHOENIX_STORE_ADAPTERS).join(', ')})`);
+    }
+    return new Store(options);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        StoreError,
+        PhoenixStore,
+        LiveApiStore,
+        GitHubContentsStore,
+        LocalStore,
+        createPhoenixStore
+    };
+}
+
+// Make the stores globally available for browser environments
+if (typeof window !== 'undefined') {
+    window.StoreError = StoreError;
+    window.PhoenixStore = PhoenixStore;
+    window.LiveApiStore = LiveApiStore;
+    window.GitHubContentsStore = GitHubContentsStore;
+    window.LocalStore = LocalStore;
+    window.createPhoenixStore = createPhoenixStore;
+}
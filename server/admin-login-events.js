@@ -0,0 +1,37 @@
+/**
+ * Express Admin Login Event Routes
+ * GET /api/admin/login-events?userId=&ip=&outcome=&since=&limit= lists sign-in attempts, newest first.
+ * Mount behind requireAuth + requirePermission('manage_users').
+ */
+
+const express = require('express');
+const { parseLoginEventQuery } = require('../src/lib/login-throttle.js');
+
+/**
+ * Create the admin login event router
+ * @param {Object} loginEvents - Login event store shared with createAuth
+ */
+function createAdminLoginEventsRouter(loginEvents) {
+    const router = express.Router();
+
+    router.get('/', async (req, res) => {
+        try {
+            const events = await loginEvents.list(parseLoginEventQuery(req.query));
+            res.json({
+                success: true,
+                events: events,
+                count: events.length
+            });
+        } catch (error) {
+            console.error('❌ Error listing login events:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to list login events'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAdminLoginEventsRouter };
@@ -0,0 +1,36 @@
+/**
+ * Express Admin User Routes
+ * POST /api/admin/users/:id/reset-password issues a one-time temporary password.
+ * Mount behind requireAuth + requirePermission('manage_users').
+ */
+
+const express = require('express');
+const { resetPassword } = require('../src/lib/auth.js');
+
+/**
+ * Create the admin user router
+ * @param {Object} userStore - User store shared with createAuth
+ */
+function createAdminUsersRouter(userStore) {
+    const router = express.Router();
+
+    router.post('/:id/reset-password', async (req, res) => {
+        try {
+            const result = await resetPassword(req.params.id, userStore);
+            if (result.status === 200) {
+                console.log(`🔑 Password reset by ${req.user.email}: ${result.body.userId}`);
+            }
+            res.status(result.status).json(result.body);
+        } catch (error) {
+            console.error('❌ Password reset error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Password reset failed'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAdminUsersRouter };
@@ -0,0 +1,62 @@
+/**
+ * JSON Lines Audit Log Store for api-server.js
+ * Appends every audit event (see src/lib/audit.js) to data/audit-log.jsonl
+ * (override with PHOENIX_AUDIT_LOG_FILE). The D1 equivalent is the audit_events table.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { matchesAuditQuery } = require('../src/lib/audit.js');
+
+const DEFAULT_AUDIT_LOG_FILE = path.join(__dirname, '..', 'data', 'audit-log.jsonl');
+
+function createAuditLogStore(filePath = process.env.PHOENIX_AUDIT_LOG_FILE || DEFAULT_AUDIT_LOG_FILE) {
+    // The server is the only writer, so the file is read once and then mirrored in memory
+    let eventsPromise = null;
+    let writeQueue = Promise.resolve();
+
+    function load() {
+        if (!eventsPromise) {
+            eventsPromise = fs.readFile(filePath, 'utf8')
+                .then(content => content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line)))
+                .catch(error => {
+                    if (error.code === 'ENOENT') return [];
+                    eventsPromise = null;
+                    throw error;
+                });
+        }
+        return eventsPromise;
+    }
+
+    return {
+        filePath,
+
+        /**
+         * Record events ({ outlet, action, path, oldValue, newValue, actor, role, createdAt }) in one append
+         */
+        async append(newEvents) {
+            if (newEvents.length === 0) return [];
+            const events = await load();
+            const stored = newEvents.map((event, i) => ({ id: events.length + i + 1, ...event }));
+            events.push(...stored);
+
+            const run = writeQueue.then(async () => {
+                await fs.mkdir(path.dirname(filePath), { recursive: true });
+                await fs.appendFile(filePath, stored.map(event => JSON.stringify(event) + '\n').join(''), { mode: 0o600 });
+            });
+            writeQueue = run.catch(() => {});
+            await run;
+            return stored;
+        },
+
+        /**
+         * Events matching a parseAuditQuery result, newest first
+         */
+        async list(query = {}) {
+            const events = (await load()).filter(event => matchesAuditQuery(event, query));
+            return events.slice(-(query.limit || 200)).reverse();
+        }
+    };
+}
+
+module.exports = { createAuditLogStore, DEFAULT_AUDIT_LOG_FILE };
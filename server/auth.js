@@ -0,0 +1,174 @@
+/**
+ * Express Authentication Routes and Middleware
+ * POST /api/auth/login issues a signed session; requireAuth guards write routes.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { login, getSessionUser, resolveSessionUser, changePassword, PASSWORD_CHANGE_REQUIRED } = require('../src/lib/auth.js');
+const { createUserCredentialStore } = require('../src/lib/credentials.js');
+const { createUserStore } = require('./user-store.js');
+const { createLoginEventStore } = require('./login-event-store.js');
+const { createRoleStore } = require('./role-store.js');
+const { createHierarchyStore } = require('./hierarchy-store.js');
+const { canAccessOutlet, hasPermission } = require('../src/lib/permissions.js');
+
+function resolveSecret() {
+    if (process.env.PHOENIX_AUTH_SECRET) {
+        return process.env.PHOENIX_AUTH_SECRET;
+    }
+    console.warn('⚠️ PHOENIX_AUTH_SECRET not set - using a per-process secret, sessions end on restart');
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Create the auth router and matching middleware
+ * @param {Object} [options]
+ * @param {Object} [options.userStore] - User store (defaults to data/users.json)
+ * @param {Object} [options.credentialStore] - Object with verify(type, identifier, password)
+ * @param {Object} [options.loginEvents] - Login event store (defaults to data/login-events.jsonl)
+ * @param {Object} [options.roleStore] - Role store (defaults to data/roles.json)
+ * @param {Object} [options.hierarchyStore] - AM hierarchy store (defaults to data/hierarchy.jsonl)
+ * @param {string} [options.secret] - Token signing secret
+ */
+function createAuth(options = {}) {
+    const secret = options.secret || resolveSecret();
+    const userStore = options.userStore || createUserStore();
+    const credentialStore = options.credentialStore || createUserCredentialStore(userStore);
+    const loginEvents = options.loginEvents || createLoginEventStore();
+    const roleStore = options.roleStore || createRoleStore();
+    const hierarchyStore = options.hierarchyStore || createHierarchyStore();
+    const router = express.Router();
+
+    // Session user with permissions resolved against the current role registry
+    // and outlets from the AM hierarchy (none when the password changed since the token)
+    async function resolveUser(req) {
+        return resolveSessionUser(await getSessionUser(req.get('Authorization'), secret), { userStore, roleStore, hierarchyStore });
+    }
+
+    // Populate req.user from the bearer token when present
+    async function attachUser(req, res, next) {
+        try {
+            req.user = await resolveUser(req);
+            next();
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // Reject the request unless it carries a valid session token
+    // (sessions that still have to change their password are accepted)
+    async function requireSession(req, res, next) {
+        if (req.user === undefined) {
+            req.user = await resolveUser(req);
+        }
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                error: 'Authentication required'
+            });
+        }
+        next();
+    }
+
+    // Reject the request unless it carries a fully usable session token
+    function requireAuth(req, res, next) {
+        requireSession(req, res, () => {
+            if (req.user.mustChangePassword) {
+                return res.status(403).json({
+                    success: false,
+                    error: PASSWORD_CHANGE_REQUIRED,
+                    code: 'PASSWORD_CHANGE_REQUIRED'
+                });
+            }
+            next();
+        }).catch(next);
+    }
+
+    // Reject the request unless the user may access req.params.outletCode
+    function requireOutletAccess(req, res, next) {
+        if (!canAccessOutlet(req.user, req.params.outletCode)) {
+            return res.status(403).json({
+                success: false,
+                error: `You do not have access to outlet ${req.params.outletCode}`
+            });
+        }
+        next();
+    }
+
+    // Reject the request unless the user's role grants the permission
+    function requirePermission(permission) {
+        return (req, res, next) => {
+            if (!hasPermission(req.user, permission)) {
+                return res.status(403).json({
+                    success: false,
+                    error: `Permission required: ${permission}`
+                });
+            }
+            next();
+        };
+    }
+
+    router.post('/login', async (req, res) => {
+        try {
+            const result = await login(req.body, credentialStore, secret, {
+                loginEvents,
+                userStore,
+                roleStore,
+                hierarchyStore,
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+            if (result.status === 200) {
+                console.log(`🔐 Login: ${result.body.user.type} ${result.body.user.username || result.body.user.email}`);
+            } else if (result.status === 429) {
+                console.warn(`🚫 Login locked: ${req.body.type}:${req.body.username} from ${req.ip}`);
+            }
+            res.status(result.status).set(result.headers || {}).json(result.body);
+        } catch (error) {
+            console.error('❌ Login error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Login failed'
+            });
+        }
+    });
+
+    router.get('/me', requireSession, (req, res) => {
+        res.json({
+            success: true,
+            user: req.user
+        });
+    });
+
+    router.post('/change-password', requireSession, async (req, res) => {
+        try {
+            const result = await changePassword(req.body, req.user, userStore, secret, { userStore, roleStore, hierarchyStore });
+            if (result.status === 200) {
+                console.log(`🔑 Password changed: ${result.body.user.username || result.body.user.email}`);
+            }
+            res.status(result.status).json(result.body);
+        } catch (error) {
+            console.error('❌ Password change error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Password change failed'
+            });
+        }
+    });
+
+    return {
+        router,
+        userStore,
+        loginEvents,
+        roleStore,
+        hierarchyStore,
+        attachUser,
+        requireSession,
+        requireAuth,
+        requireOutletAccess,
+        requirePermission
+    };
+}
+
+module.exports = { createAuth };
@@ -0,0 +1,61 @@
+/**
+ * JSON Lines Hierarchy Store for api-server.js
+ * Appends every AM and regional manager assignment to data/hierarchy.jsonl
+ * (override with PHOENIX_HIERARCHY_FILE). The D1 equivalent is the hierarchy_assignments table.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_HIERARCHY_FILE = path.join(__dirname, '..', 'data', 'hierarchy.jsonl');
+
+function createHierarchyStore(filePath = process.env.PHOENIX_HIERARCHY_FILE || DEFAULT_HIERARCHY_FILE) {
+    // The server is the only writer, so the file is read once and then mirrored in memory
+    let entriesPromise = null;
+    let writeQueue = Promise.resolve();
+
+    function load() {
+        if (!entriesPromise) {
+            entriesPromise = fs.readFile(filePath, 'utf8')
+                .then(content => content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line)))
+                .catch(error => {
+                    if (error.code === 'ENOENT') return [];
+                    entriesPromise = null;
+                    throw error;
+                });
+        }
+        return entriesPromise;
+    }
+
+    return {
+        filePath,
+
+        /**
+         * Record assignments ({ level, child, parent, effectiveFrom, reason, actor }) in one append
+         */
+        async append(newEntries) {
+            if (newEntries.length === 0) return [];
+            const entries = await load();
+            const createdAt = new Date().toISOString();
+            const stored = newEntries.map((entry, i) => ({ id: entries.length + i + 1, ...entry, createdAt }));
+            entries.push(...stored);
+
+            const run = writeQueue.then(async () => {
+                await fs.mkdir(path.dirname(filePath), { recursive: true });
+                await fs.appendFile(filePath, stored.map(entry => JSON.stringify(entry) + '\n').join(''), { mode: 0o600 });
+            });
+            writeQueue = run.catch(() => {});
+            await run;
+            return stored;
+        },
+
+        /**
+         * Every assignment, oldest first
+         */
+        async entries() {
+            return [...await load()];
+        }
+    };
+}
+
+module.exports = { createHierarchyStore, DEFAULT_HIERARCHY_FILE };
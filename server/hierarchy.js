@@ -0,0 +1,56 @@
+/**
+ * Express AM Hierarchy Routes
+ * GET  /api/hierarchy             - Regional managers -> AMs -> outlets on ?date= (default today, HQ users)
+ * GET  /api/hierarchy/history     - Assignments of ?outlet= or of and under ?am= (HQ users)
+ * POST /api/hierarchy/assignments - Move an outlet to an AM or an AM to a regional manager (manage_hierarchy)
+ * Mount behind requireAuth.
+ */
+
+const express = require('express');
+const { hierarchyTree, assignmentHistory, assignManager, peopleDirectory } = require('../src/lib/hierarchy.js');
+
+/**
+ * Create the AM hierarchy router
+ * @param {Object} auth - Result of createAuth (requirePermission, hierarchyStore, userStore)
+ * @param {Object} outletStore - Outlet registry store
+ */
+function createHierarchyRouter(auth, outletStore) {
+    const router = express.Router();
+    const { hierarchyStore: store, userStore } = auth;
+
+    // Run a hierarchy operation and send its { status, body } result
+    function respond(operation) {
+        return async (req, res) => {
+            try {
+                const result = await operation(req);
+                if (result.status === 201) {
+                    const { level, child, parent, effectiveFrom } = result.body.assignment;
+                    console.log(`🧭 ${level === 'outlet' ? 'Outlet' : 'AM'} ${child} assigned to ${parent || 'nobody'} from ${effectiveFrom} by ${req.user.email}`);
+                }
+                res.status(result.status).json(result.body);
+            } catch (error) {
+                console.error('❌ Hierarchy error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Hierarchy request failed'
+                });
+            }
+        };
+    }
+
+    router.get('/', respond(async req => hierarchyTree(req.query, {
+        entries: await store.entries(),
+        outlets: await outletStore.list(),
+        people: peopleDirectory(await userStore.list())
+    }, req.user)));
+    router.get('/history', respond(async req => assignmentHistory(req.query, {
+        entries: await store.entries(),
+        people: peopleDirectory(await userStore.list())
+    }, req.user)));
+    router.post('/assignments', auth.requirePermission('manage_hierarchy'), respond(async req =>
+        assignManager(req.body, { entries: await store.entries(), outletStore, userStore }, store, req.user)));
+
+    return router;
+}
+
+module.exports = { createHierarchyRouter };
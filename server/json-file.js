@@ -0,0 +1,55 @@
+/**
+ * JSON Document File for the api-server.js stores
+ * Reads a whole JSON document and applies serialized, atomic updates
+ * (write to a temp file, then rename). Files are created with mode 0600.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * @param {string} filePath - Document location
+ * @param {Function} createEmpty - Returns the document to use when the file does not exist
+ */
+function createJsonFile(filePath, createEmpty) {
+    // Serialize writes so concurrent requests cannot interleave file updates
+    let writeQueue = Promise.resolve();
+
+    async function read() {
+        try {
+            const content = await fs.readFile(filePath, 'utf8');
+            return JSON.parse(content);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return createEmpty();
+            }
+            throw error;
+        }
+    }
+
+    async function write(data) {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tempFile = `${filePath}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(data, null, 2), { mode: 0o600 });
+        await fs.rename(tempFile, filePath);
+    }
+
+    /**
+     * Read, mutate and write the document; resolves with the mutator's result
+     */
+    function update(mutator) {
+        const run = writeQueue.then(async () => {
+            const data = await read();
+            const result = await mutator(data);
+            data.metadata = { ...data.metadata, lastUpdated: new Date().toISOString() };
+            await write(data);
+            return result;
+        });
+        writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    return { filePath, read, update };
+}
+
+module.exports = { createJsonFile };
@@ -0,0 +1,79 @@
+/**
+ * JSON Lines Login Event Store for api-server.js
+ * Appends every sign-in attempt to data/login-events.jsonl (override with
+ * PHOENIX_LOGIN_EVENTS_FILE). The D1 equivalent is the login_events table.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_LOGIN_EVENTS_FILE = path.join(__dirname, '..', 'data', 'login-events.jsonl');
+
+function createLoginEventStore(filePath = process.env.PHOENIX_LOGIN_EVENTS_FILE || DEFAULT_LOGIN_EVENTS_FILE) {
+    // The server is the only writer, so the file is read once and then mirrored in memory
+    let eventsPromise = null;
+    let writeQueue = Promise.resolve();
+
+    function load() {
+        if (!eventsPromise) {
+            eventsPromise = fs.readFile(filePath, 'utf8')
+                .then(content => content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line)))
+                .catch(error => {
+                    if (error.code === 'ENOENT') return [];
+                    eventsPromise = null;
+                    throw error;
+                });
+        }
+        return eventsPromise;
+    }
+
+    function matches(event, query) {
+        return (!query.userId || event.userId === query.userId) &&
+            (!query.ip || event.ip === query.ip) &&
+            (!query.outcome || event.outcome === query.outcome) &&
+            (!query.since || event.createdAt > query.since);
+    }
+
+    return {
+        filePath,
+
+        async record(event) {
+            const events = await load();
+            const stored = { id: events.length + 1, ...event };
+            events.push(stored);
+
+            const run = writeQueue.then(async () => {
+                await fs.mkdir(path.dirname(filePath), { recursive: true });
+                await fs.appendFile(filePath, JSON.stringify(stored) + '\n', { mode: 0o600 });
+            });
+            writeQueue = run.catch(() => {});
+            await run;
+            return stored;
+        },
+
+        async failureStats(query) {
+            const failures = (await load()).filter(event => matches(event, { ...query, outcome: 'failure' }));
+            return {
+                count: failures.length,
+                oldestAt: failures.length > 0 ? failures[0].createdAt : null
+            };
+        },
+
+        async lastSuccessAt(userId) {
+            const events = await load();
+            for (let i = events.length - 1; i >= 0; i--) {
+                if (events[i].userId === userId && events[i].outcome === 'success') {
+                    return events[i].createdAt;
+                }
+            }
+            return null;
+        },
+
+        async list(query = {}) {
+            const events = (await load()).filter(event => matches(event, query));
+            return events.slice(-(query.limit || 100)).reverse();
+        }
+    };
+}
+
+module.exports = { createLoginEventStore, DEFAULT_LOGIN_EVENTS_FILE };
@@ -0,0 +1,57 @@
+/**
+ * JSON File Outlet Registry Store for api-server.js
+ * Keeps the outlet master list in data/outlet-registry.json (override with
+ * PHOENIX_OUTLET_REGISTRY_FILE). The D1 equivalent is the outlet_registry table.
+ */
+
+const path = require('path');
+const { createJsonFile } = require('./json-file.js');
+
+const DEFAULT_OUTLET_REGISTRY_FILE = path.join(__dirname, '..', 'data', 'outlet-registry.json');
+
+function createOutletRegistryStore(filePath = process.env.PHOENIX_OUTLET_REGISTRY_FILE || DEFAULT_OUTLET_REGISTRY_FILE) {
+    const file = createJsonFile(filePath, () => ({ outlets: {} }));
+
+    return {
+        filePath,
+
+        async get(code) {
+            const data = await file.read();
+            return data.outlets[code] || null;
+        },
+
+        async list() {
+            const data = await file.read();
+            return Object.values(data.outlets);
+        },
+
+        put(outlet) {
+            return file.update(data => {
+                data.outlets[outlet.code] = outlet;
+                return outlet;
+            });
+        },
+
+        remove(code) {
+            return file.update(data => {
+                delete data.outlets[code];
+                return code;
+            });
+        },
+
+        /**
+         * Add the outlets whose codes are not registered yet; resolves with the number added
+         */
+        addMissing(outlets) {
+            return file.update(data => {
+                const added = outlets.filter(outlet => !data.outlets[outlet.code]);
+                added.forEach(outlet => {
+                    data.outlets[outlet.code] = outlet;
+                });
+                return added.length;
+            });
+        }
+    };
+}
+
+module.exports = { createOutletRegistryStore, DEFAULT_OUTLET_REGISTRY_FILE };
@@ -0,0 +1,52 @@
+/**
+ * Express Outlet Registry Routes
+ * GET    /api/outlets       - Registry outlets, filtered by ?status, ?region, ?am (any signed-in user)
+ * GET    /api/outlets/:code - One outlet (any signed-in user)
+ * POST   /api/outlets       - Register an outlet (manage_outlets)
+ * PUT    /api/outlets/:code - Update an outlet's name, AM, region, opening date, status or store type (manage_outlets)
+ * DELETE /api/outlets/:code - Remove a code entered by mistake (manage_outlets)
+ * Mount behind requireAuth.
+ */
+
+const express = require('express');
+const { listOutlets, getOutlet, createOutlet, updateOutlet, deleteOutlet } = require('../src/lib/outlet-registry.js');
+
+/**
+ * Create the outlet registry router
+ * @param {Object} auth - Result of createAuth (requirePermission)
+ * @param {Object} store - Outlet registry store
+ * @param {Function} loadData - async () => Phoenix data (outlets in the program cannot be deleted)
+ */
+function createOutletsRouter(auth, store, loadData) {
+    const router = express.Router();
+    const canManage = auth.requirePermission('manage_outlets');
+
+    // Run a registry operation and send its { status, body } result
+    function respond(operation, action) {
+        return async (req, res) => {
+            try {
+                const result = await operation(req);
+                if (result.status < 300 && action) {
+                    console.log(`🏪 Outlet ${action} by ${req.user.email || req.user.username}: ${req.params.code || result.body.outlet.code}`);
+                }
+                res.status(result.status).json(result.body);
+            } catch (error) {
+                console.error('❌ Outlet registry error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Outlet registry request failed'
+                });
+            }
+        };
+    }
+
+    router.get('/', respond(req => listOutlets(store, req.query)));
+    router.get('/:code', respond(req => getOutlet(req.params.code, store)));
+    router.post('/', canManage, respond(req => createOutlet(req.body, store, req.user), 'registered'));
+    router.put('/:code', canManage, respond(req => updateOutlet(req.params.code, req.body, store, req.user), 'updated'));
+    router.delete('/:code', canManage, respond(async req => deleteOutlet(req.params.code, store, await loadData()), 'deleted'));
+
+    return router;
+}
+
+module.exports = { createOutletsRouter };
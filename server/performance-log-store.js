@@ -0,0 +1,68 @@
+/**
+ * JSON Lines Performance History Store for api-server.js
+ * Appends every revenue/trano entry to data/performance-log.jsonl (override with
+ * PHOENIX_PERFORMANCE_LOG_FILE). The D1 equivalent is the performance_logs table.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_PERFORMANCE_LOG_FILE = path.join(__dirname, '..', 'data', 'performance-log.jsonl');
+
+// Entries written before periods existed carry month instead
+function withPeriod(entry) {
+    if (entry.period !== undefined) return entry;
+    const { month, ...rest } = entry;
+    return { ...rest, period: month ?? null };
+}
+
+function createPerformanceLogStore(filePath = process.env.PHOENIX_PERFORMANCE_LOG_FILE || DEFAULT_PERFORMANCE_LOG_FILE) {
+    // The server is the only writer, so the file is read once and then mirrored in memory
+    let entriesPromise = null;
+    let writeQueue = Promise.resolve();
+
+    function load() {
+        if (!entriesPromise) {
+            entriesPromise = fs.readFile(filePath, 'utf8')
+                .then(content => content.split('\n').filter(line => line.trim()).map(line => withPeriod(JSON.parse(line))))
+                .catch(error => {
+                    if (error.code === 'ENOENT') return [];
+                    entriesPromise = null;
+                    throw error;
+                });
+        }
+        return entriesPromise;
+    }
+
+    return {
+        filePath,
+
+        /**
+         * Record entries ({ outletCode, term, period, revenue, trano, author }) in one append
+         */
+        async append(newEntries) {
+            if (newEntries.length === 0) return [];
+            const entries = await load();
+            const recordedAt = new Date().toISOString();
+            const stored = newEntries.map((entry, i) => ({ id: entries.length + i + 1, ...entry, recordedAt }));
+            entries.push(...stored);
+
+            const run = writeQueue.then(async () => {
+                await fs.mkdir(path.dirname(filePath), { recursive: true });
+                await fs.appendFile(filePath, stored.map(entry => JSON.stringify(entry) + '\n').join(''), { mode: 0o600 });
+            });
+            writeQueue = run.catch(() => {});
+            await run;
+            return stored;
+        },
+
+        /**
+         * All entries for an outlet, oldest first
+         */
+        async history(outletCode) {
+            return (await load()).filter(entry => entry.outletCode === outletCode);
+        }
+    };
+}
+
+module.exports = { createPerformanceLogStore, DEFAULT_PERFORMANCE_LOG_FILE };
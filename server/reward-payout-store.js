@@ -0,0 +1,43 @@
+/**
+ * JSON File Reward Payout Store for api-server.js
+ * Keeps the payout state of each outlet and month in data/reward-payouts.json
+ * (override with PHOENIX_REWARD_PAYOUTS_FILE). The D1 equivalent is the
+ * reward_payouts table.
+ */
+
+const path = require('path');
+const { createJsonFile } = require('./json-file.js');
+
+const DEFAULT_REWARD_PAYOUTS_FILE = path.join(__dirname, '..', 'data', 'reward-payouts.json');
+
+function createRewardPayoutStore(filePath = process.env.PHOENIX_REWARD_PAYOUTS_FILE || DEFAULT_REWARD_PAYOUTS_FILE) {
+    const file = createJsonFile(filePath, () => ({ months: {} }));
+
+    return {
+        filePath,
+
+        /**
+         * Payout records of a month ({ month, outletCode, status, row, changedBy, changedAt })
+         */
+        async list(month) {
+            const data = await file.read();
+            return Object.values(data.months[month] || {});
+        },
+
+        /**
+         * Replace the records of the outlets and months given
+         */
+        save(records) {
+            if (records.length === 0) return Promise.resolve(records);
+            return file.update(data => {
+                records.forEach(record => {
+                    data.months[record.month] = data.months[record.month] || {};
+                    data.months[record.month][record.outletCode] = record;
+                });
+                return records;
+            });
+        }
+    };
+}
+
+module.exports = { createRewardPayoutStore, DEFAULT_REWARD_PAYOUTS_FILE };
@@ -0,0 +1,54 @@
+/**
+ * JSON File Reward Scheme Store for api-server.js
+ * Keeps reward schemes and every version of them in data/reward-schemes.json
+ * (override with PHOENIX_REWARD_SCHEMES_FILE). The D1 equivalent is the
+ * reward_schemes and reward_scheme_versions tables.
+ */
+
+const path = require('path');
+const { createJsonFile } = require('./json-file.js');
+
+const DEFAULT_REWARD_SCHEMES_FILE = path.join(__dirname, '..', 'data', 'reward-schemes.json');
+
+function createRewardSchemeStore(filePath = process.env.PHOENIX_REWARD_SCHEMES_FILE || DEFAULT_REWARD_SCHEMES_FILE) {
+    const file = createJsonFile(filePath, () => ({ schemes: {}, versions: [] }));
+
+    return {
+        filePath,
+
+        async get(id) {
+            const data = await file.read();
+            return data.schemes[id] || null;
+        },
+
+        async list() {
+            const data = await file.read();
+            return Object.values(data.schemes);
+        },
+
+        async versions(id) {
+            const data = await file.read();
+            return id ? data.versions.filter(entry => entry.schemeId === id) : data.versions;
+        },
+
+        /**
+         * Record a version and make it the current scheme (or delete the scheme when change.scheme is null)
+         */
+        commit(change) {
+            return file.update(data => {
+                if (data.versions.some(entry => entry.schemeId === change.schemeId && entry.version === change.version)) {
+                    throw new Error(`Reward scheme ${change.schemeId} version ${change.version} already exists`);
+                }
+                data.versions.push(change);
+                if (change.scheme) {
+                    data.schemes[change.schemeId] = { ...change.scheme, updatedAt: change.changedAt };
+                } else {
+                    delete data.schemes[change.schemeId];
+                }
+                return change;
+            });
+        }
+    };
+}
+
+module.exports = { createRewardSchemeStore, DEFAULT_REWARD_SCHEMES_FILE };
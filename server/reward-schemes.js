@@ -0,0 +1,58 @@
+/**
+ * Express Reward Scheme Routes
+ * GET    /api/reward-schemes             - Schemes and the one each of the caller's outlets is on (any signed-in user)
+ * POST   /api/reward-schemes             - Create a scheme (manage_reward_schemes)
+ * PUT    /api/reward-schemes/:id         - Update a scheme (manage_reward_schemes)
+ * DELETE /api/reward-schemes/:id         - Delete a scheme (manage_reward_schemes)
+ * GET    /api/reward-schemes/:id/history - Every version of a scheme (any signed-in user)
+ * Mount behind requireAuth.
+ */
+
+const express = require('express');
+const {
+    listRewardSchemes,
+    createRewardScheme,
+    updateRewardScheme,
+    deleteRewardScheme,
+    rewardSchemeHistory
+} = require('../src/lib/reward-schemes.js');
+
+/**
+ * Create the reward scheme router
+ * @param {Object} auth - Result of createAuth (requirePermission)
+ * @param {Object} store - Reward scheme store
+ * @param {Function} loadOutlets - async req => the outlets the caller can see
+ */
+function createRewardSchemesRouter(auth, store, loadOutlets) {
+    const router = express.Router();
+    const canManage = auth.requirePermission('manage_reward_schemes');
+
+    // Run a scheme operation and send its { status, body } result
+    function respond(operation, action) {
+        return async (req, res) => {
+            try {
+                const result = await operation(req);
+                if (result.status < 300 && action) {
+                    console.log(`🏆 Reward scheme ${action} by ${req.user.email || req.user.username}: ${req.params.id || result.body.scheme.id}`);
+                }
+                res.status(result.status).json(result.body);
+            } catch (error) {
+                console.error('❌ Reward scheme error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Reward scheme request failed'
+                });
+            }
+        };
+    }
+
+    router.get('/', respond(async req => listRewardSchemes(store, await loadOutlets(req))));
+    router.get('/:id/history', respond(req => rewardSchemeHistory(req.params.id, store)));
+    router.post('/', canManage, respond(req => createRewardScheme(req.body, store, req.user), 'created'));
+    router.put('/:id', canManage, respond(req => updateRewardScheme(req.params.id, req.body, store, req.user), 'updated'));
+    router.delete('/:id', canManage, respond(req => deleteRewardScheme(req.params.id, store, req.user), 'deleted'));
+
+    return router;
+}
+
+module.exports = { createRewardSchemesRouter };
@@ -0,0 +1,45 @@
+/**
+ * JSON File Role Store for api-server.js
+ * Keeps admin-defined roles (and overrides of built-in roles) in data/roles.json
+ * (override with PHOENIX_ROLES_FILE). The D1 equivalent is the roles table.
+ */
+
+const path = require('path');
+const { createJsonFile } = require('./json-file.js');
+
+const DEFAULT_ROLES_FILE = path.join(__dirname, '..', 'data', 'roles.json');
+
+function createRoleStore(filePath = process.env.PHOENIX_ROLES_FILE || DEFAULT_ROLES_FILE) {
+    const file = createJsonFile(filePath, () => ({ roles: {} }));
+
+    return {
+        filePath,
+
+        async get(id) {
+            const data = await file.read();
+            return data.roles[id] || null;
+        },
+
+        async list() {
+            const data = await file.read();
+            return Object.values(data.roles);
+        },
+
+        upsert(role) {
+            return file.update(data => {
+                data.roles[role.id] = role;
+                return role;
+            });
+        },
+
+        remove(id) {
+            return file.update(data => {
+                const existed = Boolean(data.roles[id]);
+                delete data.roles[id];
+                return existed;
+            });
+        }
+    };
+}
+
+module.exports = { createRoleStore, DEFAULT_ROLES_FILE };
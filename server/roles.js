@@ -0,0 +1,48 @@
+/**
+ * Express Role Registry Routes
+ * GET    /api/roles     - Permission catalog and roles (any signed-in user)
+ * POST   /api/roles     - Create a role (manage_roles)
+ * PUT    /api/roles/:id - Update a role's name, description or permissions (manage_roles)
+ * DELETE /api/roles/:id - Delete an unused custom role (manage_roles)
+ * Mount behind requireAuth.
+ */
+
+const express = require('express');
+const { listRoles, createRole, updateRole, deleteRole } = require('../src/lib/roles.js');
+
+/**
+ * Create the role router
+ * @param {Object} auth - Result of createAuth (role store, user store, requirePermission)
+ */
+function createRolesRouter(auth) {
+    const router = express.Router();
+    const canManage = auth.requirePermission('manage_roles');
+
+    // Run a role operation and send its { status, body } result
+    function respond(operation, action) {
+        return async (req, res) => {
+            try {
+                const result = await operation(req);
+                if (result.status < 300 && action) {
+                    console.log(`🛡️ Role ${action} by ${req.user.email || req.user.username}: ${req.params.id || result.body.role.id}`);
+                }
+                res.status(result.status).json(result.body);
+            } catch (error) {
+                console.error('❌ Role registry error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Role registry request failed'
+                });
+            }
+        };
+    }
+
+    router.get('/', respond(() => listRoles(auth.roleStore)));
+    router.post('/', canManage, respond(req => createRole(req.body, auth.roleStore, req.user), 'created'));
+    router.put('/:id', canManage, respond(req => updateRole(req.params.id, req.body, auth.roleStore, req.user), 'updated'));
+    router.delete('/:id', canManage, respond(req => deleteRole(req.params.id, auth.roleStore, auth.userStore), 'deleted'));
+
+    return router;
+}
+
+module.exports = { createRolesRouter };
@@ -0,0 +1,52 @@
+/**
+ * JSON File User Store for api-server.js
+ * Keeps hashed credentials in data/users.json (override with PHOENIX_USERS_FILE).
+ * The D1 equivalent is the users table in src/database-schema.sql.
+ */
+
+const path = require('path');
+const { userId } = require('../src/lib/users.js');
+const { createJsonFile } = require('./json-file.js');
+
+const DEFAULT_USERS_FILE = path.join(__dirname, '..', 'data', 'users.json');
+
+function createUserStore(filePath = process.env.PHOENIX_USERS_FILE || DEFAULT_USERS_FILE) {
+    const file = createJsonFile(filePath, () => ({ users: {} }));
+
+    return {
+        filePath,
+
+        async get(type, identifier) {
+            const data = await file.read();
+            return data.users[userId(type, identifier)] || null;
+        },
+
+        async getById(id) {
+            const data = await file.read();
+            return data.users[id] || null;
+        },
+
+        async list() {
+            const data = await file.read();
+            return Object.values(data.users);
+        },
+
+        /**
+         * Insert or replace user records (keyed by record.id)
+         */
+        upsertMany(records) {
+            return file.update(data => {
+                records.forEach(record => {
+                    data.users[record.id] = record;
+                });
+                return records.length;
+            });
+        },
+
+        upsert(record) {
+            return this.upsertMany([record]);
+        }
+    };
+}
+
+module.exports = { createUserStore, DEFAULT_USERS_FILE };
@@ -0,0 +1,213 @@
+/**
+ * Versioning Backends for api-server.js
+ * Every save of phoenix-data.json is recorded as a version by one driver,
+ * chosen with PHOENIX_VERSIONING:
+ *   git   - commits the saved content to the repository (default)
+ *   files - keeps snapshot copies in data/versions (override with PHOENIX_VERSIONS_DIR)
+ *   none  - records nothing
+ *
+ * Driver: { name, record({ content, message }), list(limit), load(id) }
+ *   record() - store one version; calls run one at a time in the order they were made
+ *   list()   - [{ id, message, createdAt }], newest first
+ *   load()   - { id, createdAt, data } or null when the id is unknown
+ * Recording never throws: a failed version is logged and the save stands.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { documentRevision, changesSince } = require('../src/lib/revisions.js');
+const { performanceAuthor } = require('../src/lib/performance.js');
+
+const DEFAULT_VERSIONS_DIR = path.join(__dirname, '..', 'data', 'versions');
+const MESSAGE_OUTLETS = 10;
+
+/**
+ * Version message naming the actor and the outlets the save changed
+ * e.g. "Phoenix data updated by hq:ana@alpro.com: JKJSTT1, JKJSVR1; removed JKJSMP1"
+ */
+function versionMessage(data, user) {
+    const { changedOutlets, removedOutlets } = changesSince(data, documentRevision(data) - 1);
+    const list = codes => codes.length > MESSAGE_OUTLETS
+        ? `${codes.slice(0, MESSAGE_OUTLETS).join(', ')} (+${codes.length - MESSAGE_OUTLETS} more)`
+        : codes.join(', ');
+    const parts = [
+        changedOutlets.length > 0 ? list(changedOutlets) : null,
+        removedOutlets.length > 0 ? `removed ${list(removedOutlets)}` : null
+    ].filter(Boolean);
+    const actor = user ? performanceAuthor(user) : 'api';
+    return `Phoenix data updated by ${actor}${parts.length > 0 ? `: ${parts.join('; ')}` : ''} (revision ${documentRevision(data)})`;
+}
+
+// Run tasks one at a time; a failed task does not stop the ones after it
+function createQueue() {
+    let tail = Promise.resolve();
+    return task => {
+        const run = tail.then(task);
+        tail = run.catch(() => {});
+        return run;
+    };
+}
+
+/**
+ * Git driver: the content is written as a blob and committed through a private
+ * index (GIT_INDEX_FILE) built from HEAD, so each commit holds exactly what that
+ * save wrote and nothing else - anything else staged and the working tree are
+ * left untouched. Once HEAD has moved, the repository's index entry for the data
+ * file is pointed at the new blob, so git status does not show the save as a
+ * staged revert. Arguments are passed as arrays, never through a shell.
+ */
+function createGitDriver(filePath, cwd = path.dirname(filePath)) {
+    const enqueue = createQueue();
+    const file = path.relative(cwd, filePath).split(path.sep).join('/');
+
+    function git(args, input, env) {
+        return new Promise((resolve, reject) => {
+            const options = { cwd, maxBuffer: 64 * 1024 * 1024, env: env ? { ...process.env, ...env } : process.env };
+            const child = execFile('git', args, options, (error, stdout) => {
+                if (error) reject(error);
+                else resolve(stdout);
+            });
+            if (input !== undefined) child.stdin.end(input);
+        });
+    }
+
+    // The index holds paths from the repository root, which need not be cwd
+    let indexPath;
+    const repositoryPath = () => indexPath || (indexPath = git(['rev-parse', '--show-prefix']).then(prefix => prefix.trim() + file));
+
+    return {
+        name: 'git',
+
+        record({ content, message }) {
+            return enqueue(async () => {
+                const indexDir = await fs.mkdtemp(path.join(os.tmpdir(), 'phoenix-index-'));
+                const index = { GIT_INDEX_FILE: path.join(indexDir, 'index') };
+                try {
+                    const head = (await git(['rev-parse', '--verify', '--quiet', 'HEAD']).catch(() => '')).trim();
+                    await git(head ? ['read-tree', head] : ['read-tree', '--empty'], undefined, index);
+                    const blob = (await git(['hash-object', '-w', '--stdin'], content)).trim();
+                    await git(['update-index', '--add', '--cacheinfo', `100644,${blob},${await repositoryPath()}`], undefined, index);
+                    const tree = (await git(['write-tree'], undefined, index)).trim();
+                    const id = (await git(['commit-tree', tree, ...(head ? ['-p', head] : []), '-F', '-'], message)).trim();
+                    // Only move HEAD if nothing else committed since we read it
+                    await git(['update-ref', '-m', `commit: ${message.split('\n')[0]}`, 'HEAD', id, head || '0'.repeat(40)]);
+                    await git(['update-index', '--add', '--cacheinfo', `100644,${blob},${await repositoryPath()}`]);
+                    return { id, message };
+                } finally {
+                    await fs.rm(indexDir, { recursive: true, force: true });
+                }
+            });
+        },
+
+        async list(limit = 20) {
+            const stdout = await git(['log', `--max-count=${limit}`, '--format=%H%x1f%cI%x1f%s', '--', file]);
+            return stdout.split('\n').filter(Boolean).map(line => {
+                const [id, createdAt, message] = line.split('\x1f');
+                return { id, message, createdAt: new Date(createdAt).toISOString() };
+            });
+        },
+
+        async load(id) {
+            if (!/^[0-9a-f]{7,40}$/i.test(String(id))) return null;
+            try {
+                const content = await git(['show', `${id}:${await repositoryPath()}`]);
+                const createdAt = (await git(['log', '-1', '--format=%cI', id])).trim();
+                return { id, createdAt: new Date(createdAt).toISOString(), data: JSON.parse(content) };
+            } catch {
+                return null;
+            }
+        }
+    };
+}
+
+/**
+ * File snapshot driver: versions/v<n>.json plus versions/index.jsonl ({ id, message, createdAt })
+ */
+function createFileSnapshotDriver(dir = process.env.PHOENIX_VERSIONS_DIR || DEFAULT_VERSIONS_DIR) {
+    const enqueue = createQueue();
+    const indexFile = path.join(dir, 'index.jsonl');
+
+    async function readIndex() {
+        try {
+            const content = await fs.readFile(indexFile, 'utf8');
+            return content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    return {
+        name: 'files',
+        dir,
+
+        record({ content, message }) {
+            return enqueue(async () => {
+                await fs.mkdir(dir, { recursive: true });
+                const version = { id: `v${(await readIndex()).length + 1}`, message, createdAt: new Date().toISOString() };
+                await fs.writeFile(path.join(dir, `${version.id}.json`), content, { mode: 0o600 });
+                await fs.appendFile(indexFile, JSON.stringify(version) + '\n', { mode: 0o600 });
+                return version;
+            });
+        },
+
+        async list(limit = 20) {
+            return (await readIndex()).slice(-limit).reverse();
+        },
+
+        async load(id) {
+            if (!/^v\d+$/.test(String(id))) return null;
+            const version = (await readIndex()).find(entry => entry.id === id);
+            if (!version) return null;
+            const content = await fs.readFile(path.join(dir, `${id}.json`), 'utf8');
+            return { id, createdAt: version.createdAt, data: JSON.parse(content) };
+        }
+    };
+}
+
+function createNoopDriver() {
+    return {
+        name: 'none',
+        async record() { return null; },
+        async list() { return []; },
+        async load() { return null; }
+    };
+}
+
+/**
+ * The driver named by PHOENIX_VERSIONING, with record() made safe to fire and forget
+ * @param {string} filePath - The data file the git driver commits
+ */
+function createVersioning(filePath, driverName = process.env.PHOENIX_VERSIONING || 'git') {
+    const drivers = { git: () => createGitDriver(filePath), files: () => createFileSnapshotDriver(), none: createNoopDriver };
+    if (!drivers[driverName]) {
+        throw new Error(`Unknown PHOENIX_VERSIONING driver "${driverName}" (use git, files or none)`);
+    }
+    const driver = drivers[driverName]();
+
+    return {
+        ...driver,
+
+        async record(version) {
+            try {
+                const recorded = await driver.record(version);
+                if (recorded) console.log(`✅ Version ${recorded.id} recorded (${driver.name}): ${recorded.message}`);
+                return recorded;
+            } catch (error) {
+                console.warn(`⚠️ Recording a version (${driver.name}) failed (this is okay):`, error.message);
+                return null;
+            }
+        }
+    };
+}
+
+module.exports = {
+    versionMessage,
+    createGitDriver,
+    createFileSnapshotDriver,
+    createNoopDriver,
+    createVersioning,
+    DEFAULT_VERSIONS_DIR
+};
@@ -1,7 +1,8 @@
 -- Phoenix OKR Database Schema for Cloudflare D1
 -- This creates the necessary tables for storing OKR data
 
--- Main data table (stores all phoenix data as JSON)
+-- Main data table: row 'main' holds the document-level fields (revision, removedOutlets, metadata);
+-- outlets are stored in the outlets / performance_logs / comments tables below
 CREATE TABLE IF NOT EXISTS phoenix_data (
     id TEXT PRIMARY KEY,
     data TEXT NOT NULL,
@@ -16,6 +17,7 @@ CREATE TABLE IF NOT EXISTS phoenix_backups (
 );
 
 -- Outlets table (normalized structure for better queries)
+-- Existing databases: apply src/migrations/0001-normalize-outlets.sql once for the added columns
 CREATE TABLE IF NOT EXISTS outlets (
     code TEXT PRIMARY KEY,
     name TEXT,
@@ -23,13 +25,19 @@ CREATE TABLE IF NOT EXISTS outlets (
     description TEXT,
     key_results TEXT, -- JSON array
     action_plans TEXT, -- JSON object
-    performance_data TEXT, -- JSON object
-    comments TEXT, -- JSON array
+    performance_data TEXT, -- JSON object: performanceData entries that are not revenue/trano terms
+    comments TEXT, -- JSON array (unused - chat messages live in the comments table)
     date_added TEXT NOT NULL,
-    last_modified TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    last_modified TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    am TEXT,
+    okr TEXT, -- JSON object: remaining okr fields (progress, dateAssigned, ...); NULL when no OKR is assigned
+    kr_progress TEXT, -- JSON object: okr.krProgress without the chat messages
+    performance_terms TEXT, -- JSON array: performanceData terms whose values are in performance_logs
+    extra TEXT, -- JSON object: any other outlet fields (salesTargets, lastModified, ...)
+    revision INTEGER NOT NULL DEFAULT 0
 );
 
--- Performance tracking table
+-- Performance history (append-only; per outlet and term, the row with the latest period, then id, is the current value)
 CREATE TABLE IF NOT EXISTS performance_logs (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     outlet_code TEXT NOT NULL,
@@ -37,25 +45,171 @@ CREATE TABLE IF NOT EXISTS performance_logs (
     revenue INTEGER,
     trano INTEGER,
     recorded_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    period TEXT, -- period the values are for: 'YYYY-MM' or a custom period's start date; NULL for values recorded before entries were dated
+    author TEXT, -- user id, e.g. 'outlet:JKJSTT1' or 'hq:admin@alpro.com'
     FOREIGN KEY (outlet_code) REFERENCES outlets (code)
 );
 
--- Comments table
+-- Comments table (okr.krProgress[kr_key].chatMessages[action_key] messages)
 CREATE TABLE IF NOT EXISTS comments (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     outlet_code TEXT NOT NULL,
     comment TEXT NOT NULL,
     author TEXT,
     created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    kr_key TEXT, -- 'kr1', 'kr2', ...
+    action_key TEXT, -- 'action_0', 'action_1', ...
     FOREIGN KEY (outlet_code) REFERENCES outlets (code)
 );
 
+-- Users table (login accounts with salted PBKDF2 password hashes)
+-- Populated by: node import-users.js --outlets <csv> --hq <csv> --target d1
+CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY, -- 'outlet:<CODE>' or 'hq:<email>'
+    type TEXT NOT NULL, -- 'outlet' or 'hq'
+    identifier TEXT NOT NULL, -- outlet code (upper case) or email (lower case)
+    name TEXT,
+    role TEXT NOT NULL, -- 'OUTLET', 'ADMIN', 'AM', 'SUPERVISOR', ...
+    outlets TEXT, -- JSON array of outlet codes
+    am TEXT,
+    password_hash TEXT NOT NULL,
+    must_change_password INTEGER NOT NULL DEFAULT 0, -- 1 after an admin reset or for default passwords
+    token_version INTEGER NOT NULL DEFAULT 0, -- raised by every new password; older session tokens are refused
+    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Roles table (admin-defined roles and overrides of the built-in roles in config.js)
+CREATE TABLE IF NOT EXISTS roles (
+    id TEXT PRIMARY KEY, -- e.g. 'REGIONAL_MANAGER'
+    name TEXT NOT NULL,
+    description TEXT,
+    permissions TEXT NOT NULL, -- JSON array of permission ids from CONFIG.PERMISSIONS
+    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Reward schemes (tiers and reward percentages per outlet cluster and months, see src/lib/reward-schemes.js)
+CREATE TABLE IF NOT EXISTS reward_schemes (
+    id TEXT PRIMARY KEY, -- e.g. 'MALL_OUTLETS'
+    name TEXT NOT NULL,
+    description TEXT,
+    basis TEXT NOT NULL, -- 'revenue', 'trano' or 'both'
+    tiers TEXT NOT NULL, -- JSON array: [{ tier, name, medal, threshold, rewardPercent }]
+    outlets TEXT NOT NULL, -- JSON array of outlet codes, or ['*']
+    start_month TEXT, -- 'YYYY-MM', NULL = no start
+    end_month TEXT, -- 'YYYY-MM', NULL = open-ended
+    version INTEGER NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+
+-- Every version of every reward scheme; periods are scored with the version in effect when they ended
+CREATE TABLE IF NOT EXISTS reward_scheme_versions (
+    scheme_id TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    scheme TEXT, -- JSON snapshot of the scheme, NULL when it was deleted
+    changed_by TEXT, -- 'hq:<email>'
+    changed_at TEXT NOT NULL,
+    PRIMARY KEY (scheme_id, version)
+);
+
+-- Medal ledger (append-only, see src/lib/medals.js): an 'awarded' row per medal,
+-- then 'approved' / 'revoked' rows that point at it
+CREATE TABLE IF NOT EXISTS medal_ledger (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, -- the medal id of 'awarded' rows
+    medal_id INTEGER, -- the 'awarded' row an 'approved' / 'revoked' row is for, NULL on 'awarded' rows
+    action TEXT NOT NULL, -- 'awarded', 'approved' or 'revoked'
+    outlet_code TEXT NOT NULL,
+    period TEXT NOT NULL, -- 'YYYY-MM' or a custom period's start date
+    kind TEXT NOT NULL, -- 'tier' or 'special'
+    medal TEXT, -- JSON on 'awarded' rows: { type, tier, tierName, emoji, rewardAmount, ... }
+    reason TEXT,
+    actor TEXT NOT NULL, -- 'hq:<email>'
+    created_at TEXT NOT NULL
+);
+
+-- Reward payout state per outlet and month (see src/lib/reward-report.js)
+CREATE TABLE IF NOT EXISTS reward_payouts (
+    month TEXT NOT NULL, -- 'YYYY-MM'
+    outlet_code TEXT NOT NULL,
+    status TEXT NOT NULL, -- 'pending', 'approved' or 'paid'
+    snapshot TEXT, -- JSON: the report row frozen when approved, NULL when pending
+    changed_by TEXT NOT NULL, -- 'hq:<email>'
+    changed_at TEXT NOT NULL,
+    PRIMARY KEY (month, outlet_code)
+);
+
+-- Outlet master list: names, AMs and regions for every module (see src/lib/outlet-registry.js)
+CREATE TABLE IF NOT EXISTS outlet_registry (
+    code TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    am TEXT,
+    region TEXT NOT NULL, -- e.g. 'JKJ'; named in CONFIG.REGIONS
+    opening_date TEXT, -- 'YYYY-MM-DD'
+    status TEXT NOT NULL DEFAULT 'active', -- 'active' or 'closed'
+    store_type TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    updated_by TEXT -- 'hq:<email>', or 'import' for outlets added from login accounts
+);
+
+-- AM hierarchy (append-only, see src/lib/hierarchy.js): outlet -> AM and AM -> regional manager
+CREATE TABLE IF NOT EXISTS hierarchy_assignments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    level TEXT NOT NULL, -- 'outlet' (child: outlet code) or 'am' (child: AM email)
+    child TEXT NOT NULL,
+    parent TEXT, -- AM or regional manager email, NULL when left without one
+    effective_from TEXT NOT NULL, -- 'YYYY-MM-DD'
+    reason TEXT,
+    actor TEXT NOT NULL, -- 'hq:<email>', or 'import' for seeded assignments
+    created_at TEXT NOT NULL
+);
+
+-- Audit log (append-only, see src/lib/audit.js): one row per changed field of every write
+CREATE TABLE IF NOT EXISTS audit_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    outlet_code TEXT,
+    action TEXT NOT NULL, -- 'okr_assignment', 'kr_edit', 'action_toggle', 'like', 'medal_award', 'outlet_delete', ...
+    path TEXT, -- field inside the outlet, e.g. 'okr.krProgress.kr1.likes.action_0'
+    old_value TEXT, -- JSON
+    new_value TEXT, -- JSON
+    actor TEXT, -- 'hq:<email>' or 'outlet:<CODE>'
+    role TEXT,
+    created_at TEXT NOT NULL
+);
+
+-- Login events table (every sign-in attempt, used for throttling and the admin audit API)
+CREATE TABLE IF NOT EXISTS login_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL, -- 'outlet:<CODE>' or 'hq:<email>', whether or not the account exists
+    type TEXT,
+    ip TEXT,
+    user_agent TEXT,
+    outcome TEXT NOT NULL, -- 'success', 'failure' or 'locked'
+    reason TEXT, -- 'invalid_credentials', 'account_locked', 'ip_locked'
+    created_at TEXT NOT NULL
+);
+
 -- Indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_outlets_last_modified ON outlets(last_modified);
 CREATE INDEX IF NOT EXISTS idx_performance_outlet ON performance_logs(outlet_code);
+CREATE INDEX IF NOT EXISTS idx_performance_outlet_term ON performance_logs(outlet_code, term, id);
+CREATE INDEX IF NOT EXISTS idx_performance_outlet_period ON performance_logs(outlet_code, period);
 CREATE INDEX IF NOT EXISTS idx_comments_outlet ON comments(outlet_code);
 CREATE INDEX IF NOT EXISTS idx_backups_created ON phoenix_backups(created_at);
+CREATE INDEX IF NOT EXISTS idx_login_events_user ON login_events(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_login_events_ip ON login_events(ip, created_at);
+CREATE INDEX IF NOT EXISTS idx_reward_scheme_versions_changed ON reward_scheme_versions(changed_at);
+CREATE INDEX IF NOT EXISTS idx_outlet_registry_region ON outlet_registry(region);
+CREATE INDEX IF NOT EXISTS idx_hierarchy_assignments_child ON hierarchy_assignments(level, child, effective_from);
+CREATE INDEX IF NOT EXISTS idx_audit_events_outlet ON audit_events(outlet_code, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events(actor, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_events_created ON audit_events(created_at);
+CREATE INDEX IF NOT EXISTS idx_medal_ledger_outlet ON medal_ledger(outlet_code, period);
+-- Tier medals are computed once per outlet and period
+CREATE UNIQUE INDEX IF NOT EXISTS idx_medal_ledger_tier ON medal_ledger(outlet_code, period) WHERE action = 'awarded' AND kind = 'tier';
 
 -- Insert default/sample data if needed
 INSERT OR IGNORE INTO phoenix_data (id, data, updated_at) 
-VALUES ('main', '{"outlets":{}}', CURRENT_TIMESTAMP);
\ No newline at end of file
+VALUES ('main', '{}', CURRENT_TIMESTAMP);
\ No newline at end of file
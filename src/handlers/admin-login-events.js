@@ -0,0 +1,20 @@
+/**
+ * Admin login audit endpoint for the Phoenix OKR worker
+ *
+ * GET /api/admin/login-events?userId=&ip=&outcome=&since=&limit= - Sign-in attempts, newest first
+ */
+
+import { parseLoginEventQuery } from '../lib/login-throttle.js';
+import { hasPermission } from '../lib/permissions.js';
+import { createD1LoginEventStore } from '../stores/d1-login-events.js';
+import { jsonResponse, errorResponse, unauthorizedResponse } from './http.js';
+
+export async function handleAdminLoginEvents(request, env, session) {
+  if (!session) return unauthorizedResponse();
+  if (!hasPermission(session, 'manage_users')) return errorResponse('Permission required: manage_users', 403);
+  if (request.method !== 'GET') return new Response('Method not allowed', { status: 405 });
+
+  const params = Object.fromEntries(new URL(request.url).searchParams);
+  const events = await createD1LoginEventStore(env.PHOENIX_DB).list(parseLoginEventQuery(params));
+  return jsonResponse({ success: true, events, count: events.length });
+}
@@ -0,0 +1,23 @@
+/**
+ * Admin user management endpoints for the Phoenix OKR worker
+ *
+ * POST /api/admin/users/:id/reset-password - Issue a one-time temporary password
+ */
+
+import { resetPassword } from '../lib/auth.js';
+import { hasPermission } from '../lib/permissions.js';
+import { createD1UserStore } from '../stores/d1-users.js';
+import { jsonResponse, errorResponse, unauthorizedResponse } from './http.js';
+
+export async function handleAdminUsers(request, env, session) {
+  if (!session) return unauthorizedResponse();
+  if (!hasPermission(session, 'manage_users')) return errorResponse('Permission required: manage_users', 403);
+
+  const match = new URL(request.url).pathname.match(/^\/api\/admin\/users\/([^/]+)\/reset-password$/);
+  if (!match || request.method !== 'POST') {
+    return new Response('Not Found', { status: 404 });
+  }
+
+  const result = await resetPassword(decodeURIComponent(match[1]), createD1UserStore(env.PHOENIX_DB));
+  return jsonResponse(result.body, result.status);
+}
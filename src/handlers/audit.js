@@ -0,0 +1,21 @@
+/**
+ * Audit log endpoint for the Phoenix OKR worker
+ *
+ * GET /api/audit?outlet=&actor=&action=&from=&to=&limit= - Changes with their actor, newest first (view_audit)
+ */
+
+import { parseAuditQuery } from '../lib/audit.js';
+import { hasPermission } from '../lib/permissions.js';
+import { createD1AuditLogStore } from '../stores/d1-audit-log.js';
+import { jsonResponse, errorResponse, unauthorizedResponse } from './http.js';
+
+export async function handleAudit(request, env, session) {
+  if (!session) return unauthorizedResponse();
+  if (!hasPermission(session, 'view_audit')) return errorResponse('Permission required: view_audit', 403);
+  if (request.method !== 'GET') return new Response('Method not allowed', { status: 405 });
+
+  const query = parseAuditQuery(Object.fromEntries(new URL(request.url).searchParams));
+  if (query.status) return jsonResponse(query.body, query.status);
+  const events = await createD1AuditLogStore(env.PHOENIX_DB).list(query);
+  return jsonResponse({ success: true, events, count: events.length });
+}
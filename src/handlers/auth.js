@@ -0,0 +1,75 @@
+/**
+ * Authentication endpoints for the Phoenix OKR worker
+ *
+ * POST /api/auth/login - Verify credentials server-side and issue a signed token
+ *                        (throttled per account and IP, every attempt lands in login_events)
+ * GET  /api/auth/me    - Return the user behind the current token
+ * POST /api/auth/change-password - Change own password, returns a fresh token
+ *
+ * The signing secret comes from the AUTH_SECRET binding:
+ *   wrangler secret put AUTH_SECRET
+ */
+
+import { login, getSessionUser, resolveSessionUser, changePassword } from '../lib/auth.js';
+import { createUserCredentialStore } from '../lib/credentials.js';
+import { createD1UserStore } from '../stores/d1-users.js';
+import { createD1LoginEventStore } from '../stores/d1-login-events.js';
+import { createD1RoleStore } from '../stores/d1-roles.js';
+import { createD1HierarchyStore } from '../stores/d1-hierarchy.js';
+import { jsonResponse, errorResponse, unauthorizedResponse, readJson } from './http.js';
+
+// Accounts live in the D1 users table (populate with import-users.js --target d1)
+function getCredentialStore(env) {
+  return createUserCredentialStore(createD1UserStore(env.PHOENIX_DB));
+}
+
+// Accounts a session must still match, and the role registry and AM hierarchy
+// the session user's permissions and outlets come from
+function getSessionStores(env) {
+  return {
+    userStore: createD1UserStore(env.PHOENIX_DB),
+    roleStore: createD1RoleStore(env.PHOENIX_DB),
+    hierarchyStore: createD1HierarchyStore(env.PHOENIX_DB)
+  };
+}
+
+// Resolve the session user for any /api request (null when anonymous, or when the
+// password changed since the token was issued), with permissions from the current
+// role registry and outlets from the AM hierarchy
+export async function getSession(request, env) {
+  const user = await getSessionUser(request.headers.get('Authorization'), env.AUTH_SECRET);
+  return resolveSessionUser(user, getSessionStores(env));
+}
+
+export async function handleAuth(request, env, session) {
+  const path = new URL(request.url).pathname;
+
+  if (!env.AUTH_SECRET) {
+    return errorResponse('Authentication is not configured (AUTH_SECRET missing)', 503);
+  }
+
+  if (path === '/api/auth/login' && request.method === 'POST') {
+    const body = await readJson(request);
+    const result = await login(body, getCredentialStore(env), env.AUTH_SECRET, {
+      loginEvents: createD1LoginEventStore(env.PHOENIX_DB),
+      ...getSessionStores(env),
+      ip: request.headers.get('CF-Connecting-IP'),
+      userAgent: request.headers.get('User-Agent')
+    });
+    return jsonResponse(result.body, result.status, result.headers);
+  }
+
+  if (path === '/api/auth/me' && request.method === 'GET') {
+    if (!session) return unauthorizedResponse();
+    return jsonResponse({ success: true, user: session });
+  }
+
+  if (path === '/api/auth/change-password' && request.method === 'POST') {
+    if (!session) return unauthorizedResponse();
+    const body = await readJson(request);
+    const result = await changePassword(body, session, createD1UserStore(env.PHOENIX_DB), env.AUTH_SECRET, getSessionStores(env));
+    return jsonResponse(result.body, result.status);
+  }
+
+  return new Response('Method not allowed', { status: 405 });
+}
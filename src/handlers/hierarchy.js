@@ -0,0 +1,48 @@
+/**
+ * AM hierarchy endpoints for the Phoenix OKR worker
+ *
+ * GET  /api/hierarchy             - Regional managers -> AMs -> outlets on ?date= (default today, HQ users)
+ * GET  /api/hierarchy/history     - Assignments of ?outlet= or of and under ?am= (HQ users)
+ * POST /api/hierarchy/assignments - Move an outlet to an AM or an AM to a regional manager (manage_hierarchy)
+ */
+
+import { hierarchyTree, assignmentHistory, assignManager, peopleDirectory } from '../lib/hierarchy.js';
+import { hasPermission } from '../lib/permissions.js';
+import { createD1HierarchyStore } from '../stores/d1-hierarchy.js';
+import { createD1OutletRegistryStore } from '../stores/d1-outlet-registry.js';
+import { createD1UserStore } from '../stores/d1-users.js';
+import { jsonResponse, errorResponse, unauthorizedResponse, readJson } from './http.js';
+
+export async function handleHierarchy(request, env, session) {
+  if (!session) return unauthorizedResponse();
+
+  const url = new URL(request.url);
+  const match = url.pathname.match(/^\/api\/hierarchy(?:\/(history|assignments))?$/);
+  if (!match) return new Response('Not Found', { status: 404 });
+  const store = createD1HierarchyStore(env.PHOENIX_DB);
+  const outletStore = createD1OutletRegistryStore(env.PHOENIX_DB);
+  const userStore = createD1UserStore(env.PHOENIX_DB);
+  const query = Object.fromEntries(url.searchParams);
+
+  let result;
+  if (request.method === 'GET' && !match[1]) {
+    result = hierarchyTree(query, {
+      entries: await store.entries(),
+      outlets: await outletStore.list(),
+      people: peopleDirectory(await userStore.list())
+    }, session);
+  } else if (request.method === 'GET' && match[1] === 'history') {
+    result = assignmentHistory(query, {
+      entries: await store.entries(),
+      people: peopleDirectory(await userStore.list())
+    }, session);
+  } else if (request.method === 'POST' && match[1] === 'assignments') {
+    if (!hasPermission(session, 'manage_hierarchy')) {
+      return errorResponse('Permission required: manage_hierarchy', 403);
+    }
+    result = await assignManager(await readJson(request), { entries: await store.entries(), outletStore, userStore }, store, session);
+  } else {
+    return new Response('Method not allowed', { status: 405 });
+  }
+  return jsonResponse(result.body, result.status);
+}
@@ -0,0 +1,36 @@
+/**
+ * Response helpers shared by the worker route handlers
+ */
+
+import { PASSWORD_CHANGE_REQUIRED } from '../lib/auth.js';
+
+export function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+export function errorResponse(error, status) {
+  return jsonResponse({ success: false, error }, status);
+}
+
+export function unauthorizedResponse() {
+  return errorResponse('Authentication required', 401);
+}
+
+export function passwordChangeRequiredResponse() {
+  return jsonResponse({
+    success: false,
+    error: PASSWORD_CHANGE_REQUIRED,
+    code: 'PASSWORD_CHANGE_REQUIRED'
+  }, 403);
+}
+
+export async function readJson(request) {
+  try {
+    return await request.json();
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,30 @@
+/**
+ * Leaderboard endpoint for the Phoenix OKR worker
+ *
+ * GET /api/leaderboard?by=outlet|am|manager|region&metric=trano_growth|revenue_achievement|action_completion&period=
+ *   - Rankings across all outlets (any signed-in user)
+ */
+
+import { leaderboard } from '../lib/leaderboard.js';
+import { outletDirectory } from '../lib/outlet-registry.js';
+import { peopleDirectory } from '../lib/hierarchy.js';
+import { createD1PhoenixDataStore } from '../stores/d1-phoenix-data.js';
+import { createD1OutletRegistryStore } from '../stores/d1-outlet-registry.js';
+import { createD1HierarchyStore } from '../stores/d1-hierarchy.js';
+import { createD1UserStore } from '../stores/d1-users.js';
+import { jsonResponse, unauthorizedResponse } from './http.js';
+
+export async function handleLeaderboard(request, env, session) {
+  if (!session) return unauthorizedResponse();
+  if (request.method !== 'GET') return new Response('Method not allowed', { status: 405 });
+
+  const store = createD1PhoenixDataStore(env.PHOENIX_DB);
+  const result = await leaderboard(Object.fromEntries(new URL(request.url).searchParams), {
+    data: await store.load(),
+    historyFor: code => store.performanceHistory(code),
+    outlets: outletDirectory(await createD1OutletRegistryStore(env.PHOENIX_DB).list()),
+    hierarchy: await createD1HierarchyStore(env.PHOENIX_DB).entries(),
+    people: peopleDirectory(await createD1UserStore(env.PHOENIX_DB).list())
+  }, session);
+  return jsonResponse(result.body, result.status);
+}
@@ -0,0 +1,66 @@
+/**
+ * Medal ledger endpoints for the Phoenix OKR worker
+ *
+ * GET  /api/medals             - Medals of the caller's outlets (?outlet=&period=&status=&kind=)
+ * POST /api/medals             - Award a special medal (award_medal)
+ * POST /api/medals/tier-awards - Award the tier medals of an ended period (award_medal)
+ * POST /api/medals/:id/approve - Approve a medal (approve_medal)
+ * POST /api/medals/:id/revoke  - Revoke a medal with a reason (approve_medal)
+ */
+
+import { listMedals, awardSpecialMedal, awardTierMedals, changeMedalStatus } from '../lib/medals.js';
+import { medalAuditEvents } from '../lib/audit.js';
+import { hasPermission } from '../lib/permissions.js';
+import { createD1MedalStore } from '../stores/d1-medals.js';
+import { createD1RewardSchemeStore } from '../stores/d1-reward-schemes.js';
+import { createD1PhoenixDataStore } from '../stores/d1-phoenix-data.js';
+import { createD1AuditLogStore } from '../stores/d1-audit-log.js';
+import { jsonResponse, errorResponse, unauthorizedResponse, readJson } from './http.js';
+
+const MEDAL_ACTIONS = { approve: 'approved', revoke: 'revoked' };
+
+export async function handleMedals(request, env, session) {
+  if (!session) return unauthorizedResponse();
+
+  const url = new URL(request.url);
+  const match = url.pathname.match(/^\/api\/medals(?:\/(tier-awards)|\/([^/]+)\/(approve|revoke))?$/);
+  if (!match) return new Response('Not Found', { status: 404 });
+  const store = createD1MedalStore(env.PHOENIX_DB);
+
+  if (request.method === 'GET' && !match[1] && !match[2]) {
+    const result = await listMedals(store, session, Object.fromEntries(url.searchParams));
+    return jsonResponse(result.body, result.status);
+  }
+  if (request.method !== 'POST') return new Response('Method not allowed', { status: 405 });
+
+  const permission = match[3] ? 'approve_medal' : 'award_medal';
+  if (!hasPermission(session, permission)) {
+    return errorResponse(`Permission required: ${permission}`, 403);
+  }
+
+  const body = await readJson(request);
+  const audited = async result => {
+    await createD1AuditLogStore(env.PHOENIX_DB).append(medalAuditEvents(result, session));
+    return jsonResponse(result.body, result.status);
+  };
+  if (match[3]) {
+    return audited(await changeMedalStatus(decodeURIComponent(match[2]), MEDAL_ACTIONS[match[3]], body, store, session));
+  }
+
+  const phoenixStore = createD1PhoenixDataStore(env.PHOENIX_DB);
+  const data = await phoenixStore.load();
+  if (!match[1]) {
+    return audited(await awardSpecialMedal(body, data, store, session));
+  }
+
+  try {
+    return await audited(await awardTierMedals(body, data, store, code => phoenixStore.performanceHistory(code),
+      await createD1RewardSchemeStore(env.PHOENIX_DB).versions(), session));
+  } catch (error) {
+    // idx_medal_ledger_tier: another request awarded some of these medals first
+    if (/UNIQUE constraint failed/i.test(error.message)) {
+      return errorResponse('Tier medals for this period were just awarded by another request; run it again to see them', 409);
+    }
+    throw error;
+  }
+}
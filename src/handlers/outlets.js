@@ -0,0 +1,46 @@
+/**
+ * Outlet registry endpoints for the Phoenix OKR worker
+ *
+ * GET    /api/outlets       - Registry outlets, filtered by ?status, ?region, ?am (any signed-in user)
+ * GET    /api/outlets/:code - One outlet (any signed-in user)
+ * POST   /api/outlets       - Register an outlet (manage_outlets)
+ * PUT    /api/outlets/:code - Update an outlet's name, AM, region, opening date, status or store type (manage_outlets)
+ * DELETE /api/outlets/:code - Remove a code entered by mistake (manage_outlets)
+ */
+
+import { listOutlets, getOutlet, createOutlet, updateOutlet, deleteOutlet } from '../lib/outlet-registry.js';
+import { hasPermission } from '../lib/permissions.js';
+import { createD1OutletRegistryStore } from '../stores/d1-outlet-registry.js';
+import { createD1PhoenixDataStore } from '../stores/d1-phoenix-data.js';
+import { jsonResponse, errorResponse, unauthorizedResponse, readJson } from './http.js';
+
+export async function handleOutlets(request, env, session) {
+  if (!session) return unauthorizedResponse();
+
+  const store = createD1OutletRegistryStore(env.PHOENIX_DB);
+  const url = new URL(request.url);
+  const match = url.pathname.match(/^\/api\/outlets(?:\/([^/]+))?$/);
+  if (!match) return new Response('Not Found', { status: 404 });
+  const code = match[1] ? decodeURIComponent(match[1]) : null;
+
+  if (request.method === 'GET') {
+    const result = code ? await getOutlet(code, store) : await listOutlets(store, Object.fromEntries(url.searchParams));
+    return jsonResponse(result.body, result.status);
+  }
+
+  if (!hasPermission(session, 'manage_outlets')) {
+    return errorResponse('Permission required: manage_outlets', 403);
+  }
+
+  let result;
+  if (request.method === 'POST' && !code) {
+    result = await createOutlet(await readJson(request), store, session);
+  } else if (request.method === 'PUT' && code) {
+    result = await updateOutlet(code, await readJson(request), store, session);
+  } else if (request.method === 'DELETE' && code) {
+    result = await deleteOutlet(code, store, await createD1PhoenixDataStore(env.PHOENIX_DB).load());
+  } else {
+    return new Response('Method not allowed', { status: 405 });
+  }
+  return jsonResponse(result.body, result.status);
+}
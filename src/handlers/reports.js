@@ -0,0 +1,58 @@
+/**
+ * Report endpoints for the Phoenix OKR worker
+ *
+ * GET  /api/reports/rewards?month=YYYY-MM&format=csv|xlsx|json - Monthly reward payouts of the caller's outlets
+ * POST /api/reports/rewards/status                             - Approve, pay or reopen payouts (approve_payouts)
+ */
+
+import { rewardReport, setRewardPayoutStatus } from '../lib/reward-report.js';
+import { hasPermission } from '../lib/permissions.js';
+import { outletDirectory } from '../lib/outlet-registry.js';
+import { peopleDirectory } from '../lib/hierarchy.js';
+import { createD1PhoenixDataStore } from '../stores/d1-phoenix-data.js';
+import { createD1RewardSchemeStore } from '../stores/d1-reward-schemes.js';
+import { createD1MedalStore } from '../stores/d1-medals.js';
+import { createD1RewardPayoutStore } from '../stores/d1-reward-payouts.js';
+import { createD1OutletRegistryStore } from '../stores/d1-outlet-registry.js';
+import { createD1HierarchyStore } from '../stores/d1-hierarchy.js';
+import { createD1UserStore } from '../stores/d1-users.js';
+import { jsonResponse, errorResponse, unauthorizedResponse, readJson } from './http.js';
+
+// Everything the reward payout report is built from
+async function rewardReportSources(env) {
+  const store = createD1PhoenixDataStore(env.PHOENIX_DB);
+  return {
+    data: await store.load(),
+    historyFor: code => store.performanceHistory(code),
+    schemeVersions: await createD1RewardSchemeStore(env.PHOENIX_DB).versions(),
+    medalEntries: await createD1MedalStore(env.PHOENIX_DB).entries(),
+    outlets: outletDirectory(await createD1OutletRegistryStore(env.PHOENIX_DB).list()),
+    hierarchy: await createD1HierarchyStore(env.PHOENIX_DB).entries(),
+    people: peopleDirectory(await createD1UserStore(env.PHOENIX_DB).list())
+  };
+}
+
+export async function handleReports(request, env, session) {
+  if (!session) return unauthorizedResponse();
+
+  const url = new URL(request.url);
+  const payouts = createD1RewardPayoutStore(env.PHOENIX_DB);
+
+  if (url.pathname === '/api/reports/rewards') {
+    if (request.method !== 'GET') return new Response('Method not allowed', { status: 405 });
+    const result = await rewardReport(Object.fromEntries(url.searchParams), await rewardReportSources(env), payouts, session);
+    if (!result.headers) return jsonResponse(result.body, result.status);
+    return new Response(result.body, { status: result.status, headers: result.headers });
+  }
+
+  if (url.pathname === '/api/reports/rewards/status') {
+    if (request.method !== 'POST') return new Response('Method not allowed', { status: 405 });
+    if (!hasPermission(session, 'approve_payouts')) {
+      return errorResponse('Permission required: approve_payouts', 403);
+    }
+    const result = await setRewardPayoutStatus(await readJson(request), await rewardReportSources(env), payouts, session);
+    return jsonResponse(result.body, result.status);
+  }
+
+  return new Response('Not Found', { status: 404 });
+}
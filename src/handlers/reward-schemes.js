@@ -0,0 +1,57 @@
+/**
+ * Reward scheme endpoints for the Phoenix OKR worker
+ *
+ * GET    /api/reward-schemes             - Schemes and the one each of the caller's outlets is on (any signed-in user)
+ * POST   /api/reward-schemes             - Create a scheme (manage_reward_schemes)
+ * PUT    /api/reward-schemes/:id         - Update a scheme (manage_reward_schemes)
+ * DELETE /api/reward-schemes/:id         - Delete a scheme (manage_reward_schemes)
+ * GET    /api/reward-schemes/:id/history - Every version of a scheme (any signed-in user)
+ */
+
+import {
+  listRewardSchemes,
+  createRewardScheme,
+  updateRewardScheme,
+  deleteRewardScheme,
+  rewardSchemeHistory
+} from '../lib/reward-schemes.js';
+import { hasPermission, filterDataForUser } from '../lib/permissions.js';
+import { createD1RewardSchemeStore } from '../stores/d1-reward-schemes.js';
+import { createD1PhoenixDataStore } from '../stores/d1-phoenix-data.js';
+import { jsonResponse, errorResponse, unauthorizedResponse, readJson } from './http.js';
+
+export async function handleRewardSchemes(request, env, session) {
+  if (!session) return unauthorizedResponse();
+
+  const store = createD1RewardSchemeStore(env.PHOENIX_DB);
+  const match = new URL(request.url).pathname.match(/^\/api\/reward-schemes(?:\/([^/]+)(\/history)?)?$/);
+  if (!match) return new Response('Not Found', { status: 404 });
+  const id = match[1] ? decodeURIComponent(match[1]) : null;
+
+  if (request.method === 'GET' && !id) {
+    const data = filterDataForUser(await createD1PhoenixDataStore(env.PHOENIX_DB).load(), session);
+    const result = await listRewardSchemes(store, data.outlets || {});
+    return jsonResponse(result.body, result.status);
+  }
+  if (match[2]) {
+    if (request.method !== 'GET') return new Response('Method not allowed', { status: 405 });
+    const result = await rewardSchemeHistory(id, store);
+    return jsonResponse(result.body, result.status);
+  }
+
+  if (!hasPermission(session, 'manage_reward_schemes')) {
+    return errorResponse('Permission required: manage_reward_schemes', 403);
+  }
+
+  let result;
+  if (request.method === 'POST' && !id) {
+    result = await createRewardScheme(await readJson(request), store, session);
+  } else if (request.method === 'PUT' && id) {
+    result = await updateRewardScheme(id, await readJson(request), store, session);
+  } else if (request.method === 'DELETE' && id) {
+    result = await deleteRewardScheme(id, store, session);
+  } else {
+    return new Response('Method not allowed', { status: 405 });
+  }
+  return jsonResponse(result.body, result.status);
+}
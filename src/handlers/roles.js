@@ -0,0 +1,44 @@
+/**
+ * Role registry endpoints for the Phoenix OKR worker
+ *
+ * GET    /api/roles     - Permission catalog and roles (any signed-in user)
+ * POST   /api/roles     - Create a role (manage_roles)
+ * PUT    /api/roles/:id - Update a role (manage_roles)
+ * DELETE /api/roles/:id - Delete an unused custom role (manage_roles)
+ */
+
+import { listRoles, createRole, updateRole, deleteRole } from '../lib/roles.js';
+import { hasPermission } from '../lib/permissions.js';
+import { createD1RoleStore } from '../stores/d1-roles.js';
+import { createD1UserStore } from '../stores/d1-users.js';
+import { jsonResponse, errorResponse, unauthorizedResponse, readJson } from './http.js';
+
+export async function handleRoles(request, env, session) {
+  if (!session) return unauthorizedResponse();
+
+  const roleStore = createD1RoleStore(env.PHOENIX_DB);
+  const match = new URL(request.url).pathname.match(/^\/api\/roles(?:\/([^/]+))?$/);
+  if (!match) return new Response('Not Found', { status: 404 });
+  const id = match[1] ? decodeURIComponent(match[1]) : null;
+
+  if (request.method === 'GET' && !id) {
+    const result = await listRoles(roleStore);
+    return jsonResponse(result.body, result.status);
+  }
+
+  if (!hasPermission(session, 'manage_roles')) {
+    return errorResponse('Permission required: manage_roles', 403);
+  }
+
+  let result;
+  if (request.method === 'POST' && !id) {
+    result = await createRole(await readJson(request), roleStore, session);
+  } else if (request.method === 'PUT' && id) {
+    result = await updateRole(id, await readJson(request), roleStore, session);
+  } else if (request.method === 'DELETE' && id) {
+    result = await deleteRole(id, roleStore, createD1UserStore(env.PHOENIX_DB));
+  } else {
+    return new Response('Method not allowed', { status: 405 });
+  }
+  return jsonResponse(result.body, result.status);
+}
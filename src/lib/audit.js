@@ -0,0 +1,196 @@
+/**
+ * Audit Log for Phoenix OKR Backends
+ * Every write to the Phoenix document and to the medal ledger is recorded as
+ * audit events, one per changed field, in an append-only log (data/audit-log.jsonl
+ * for api-server.js, the audit_events table in D1). GET /api/audit (view_audit)
+ * reads it back, newest first.
+ *
+ * Event: { id, outlet, action, path, oldValue, newValue, actor, role, createdAt }
+ *   path - field inside the outlet, e.g. 'okr.krProgress.kr1.completedActions'
+ *          (null when the whole outlet was created or deleted; 'medals.<id>' for medals)
+ *   actor - session user id ('hq:<email>' / 'outlet:<CODE>'), role - its role name
+ *
+ * Fields are compared down to plain-object leaves; arrays (key results, action
+ * plans, completed actions, comment threads) count as one value.
+ */
+
+const { performanceAuthor } = require('./performance.js');
+const { isDate } = require('./periods.js');
+
+// Fields the server maintains itself (see revisions.js); changing them is not an edit
+const SERVER_FIELDS = ['revision', 'lastUpdated', 'lastModified'];
+
+// What a change to a field path is, first match wins
+const AUDIT_ACTIONS = [
+    [/^okr\.(objective|description)$/, 'okr_edit'],
+    [/^okr\.keyResults$/, 'kr_edit'],
+    [/^okr\.actionPlans\b/, 'action_plan_edit'],
+    [/\.completedActions$/, 'action_toggle'],
+    [/\.likes\b/, 'like'],
+    [/\.priorities\b/, 'priority_change'],
+    [/\.(comments|chatMessages)\b/, 'comment'],
+    [/^salesTargets\b/, 'target_change'],
+    [/^performanceData\b/, 'performance_edit']
+];
+
+const AUDIT_QUERY_LIMIT = 1000;
+
+function invalid(error, status = 400) {
+    return { status, body: { success: false, error } };
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function auditAction(path, newValue) {
+    if (path === 'okr') {
+        return newValue === null ? 'okr_removal' : 'okr_assignment';
+    }
+    const match = AUDIT_ACTIONS.find(([pattern]) => pattern.test(path));
+    return match ? match[1] : 'outlet_edit';
+}
+
+// [{ path, oldValue, newValue }] for every leaf that differs
+function changedFields(before, after, prefix = '') {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap(key => {
+        if (!prefix && SERVER_FIELDS.includes(key)) return [];
+        const path = prefix ? `${prefix}.${key}` : key;
+        const oldValue = before[key] === undefined ? null : before[key];
+        const newValue = after[key] === undefined ? null : after[key];
+        if (sameValue(oldValue, newValue)) return [];
+        if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+            return changedFields(oldValue, newValue, path);
+        }
+        return [{ path, oldValue, newValue }];
+    });
+}
+
+function actorFields(user, now) {
+    return {
+        actor: performanceAuthor(user),
+        role: user ? (user.roleName || user.role || user.type || null) : null,
+        createdAt: now.toISOString()
+    };
+}
+
+/**
+ * Audit events of a document write
+ * @param {Object} current - Document before the write
+ * @param {Object} data - Document the write saves
+ * @returns {Object[]} Events without id, in outlet order
+ */
+function auditEvents(current, data, user, now = new Date()) {
+    const before = (current && current.outlets) || {};
+    const after = (data && data.outlets) || {};
+    const actor = actorFields(user, now);
+    const codes = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+    return codes.flatMap(outlet => {
+        if (before[outlet] === after[outlet]) return [];
+        if (!before[outlet] || !after[outlet]) {
+            const created = !before[outlet];
+            return [{
+                outlet,
+                action: created ? 'outlet_create' : 'outlet_delete',
+                path: null,
+                oldValue: created ? null : before[outlet],
+                newValue: created ? after[outlet] : null,
+                ...actor
+            }];
+        }
+        return changedFields(before[outlet], after[outlet]).map(change => ({
+            outlet,
+            action: auditAction(change.path, change.newValue),
+            ...change,
+            ...actor
+        }));
+    });
+}
+
+/**
+ * Audit events of a medal route result (award, tier awards, approve, revoke)
+ * @param {Object} result - { status, body } from medals.js
+ */
+function medalAuditEvents(result, user, now = new Date()) {
+    if (result.status >= 300) return [];
+    const actor = actorFields(user, now);
+    const awarded = result.body.awarded || (result.body.medal && result.body.medal.status === 'pending' ? [result.body.medal] : []);
+    if (awarded.length > 0) {
+        return awarded.map(medal => ({
+            outlet: medal.outletCode,
+            action: 'medal_award',
+            path: `medals.${medal.id}`,
+            oldValue: null,
+            newValue: medal,
+            ...actor
+        }));
+    }
+    const medal = result.body.medal;
+    if (!medal) return [];
+    return [{
+        outlet: medal.outletCode,
+        action: medal.status === 'approved' ? 'medal_approve' : 'medal_revoke',
+        path: `medals.${medal.id}.status`,
+        oldValue: medal.status === 'revoked' && medal.approvedBy ? 'approved' : 'pending',
+        newValue: medal.status,
+        ...actor
+    }];
+}
+
+// 'YYYY-MM-DD' or an ISO timestamp; a bare date as `to` covers the whole day
+function queryTime(value, endOfDay) {
+    if (isDate(value)) {
+        return endOfDay ? `${value}T23:59:59.999Z` : `${value}T00:00:00.000Z`;
+    }
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Read GET /api/audit?outlet=&actor=&action=&from=&to=&limit=
+ * actor matches the full id ('hq:ana@alpro.com') or the part after the type ('ana@alpro.com')
+ * @returns {Object} { outlet?, actor?, action?, from?, to?, limit } or { status, body }
+ */
+function parseAuditQuery(params = {}) {
+    const query = {
+        outlet: params.outlet ? String(params.outlet).trim().toUpperCase() : undefined,
+        actor: params.actor ? String(params.actor).trim() : undefined,
+        action: params.action ? String(params.action).trim() : undefined
+    };
+    for (const [name, endOfDay] of [['from', false], ['to', true]]) {
+        if (!params[name]) continue;
+        query[name] = queryTime(String(params[name]).trim(), endOfDay);
+        if (!query[name]) {
+            return invalid(`${name} must be a date (YYYY-MM-DD) or an ISO timestamp`);
+        }
+    }
+    const limit = parseInt(params.limit, 10);
+    query.limit = Number.isFinite(limit) && limit > 0 ? Math.min(limit, AUDIT_QUERY_LIMIT) : 200;
+    return query;
+}
+
+/**
+ * Whether an event passes the filters of parseAuditQuery (the JSONL store filters in memory)
+ */
+function matchesAuditQuery(event, query) {
+    return (!query.outlet || event.outlet === query.outlet) &&
+        (!query.actor || event.actor === query.actor || String(event.actor).split(':').slice(1).join(':') === query.actor) &&
+        (!query.action || event.action === query.action) &&
+        (!query.from || event.createdAt >= query.from) &&
+        (!query.to || event.createdAt <= query.to);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        auditEvents,
+        medalAuditEvents,
+        parseAuditQuery,
+        matchesAuditQuery
+    };
+}
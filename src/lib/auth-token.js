@@ -0,0 +1,116 @@
+/**
+ * Signed Session Tokens for Phoenix OKR Backends
+ * Shared by api-server.js (Node) and src/worker.js (Cloudflare Workers)
+ *
+ * Token format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256 signature)
+ * Only Web Crypto is used so the same code runs on both platforms.
+ */
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function base64UrlEncode(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+    const binary = atob(padded);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+async function importSigningKey(secret) {
+    if (!secret) {
+        throw new Error('Auth secret is not configured');
+    }
+    return crypto.subtle.importKey(
+        'raw',
+        encoder.encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign', 'verify']
+    );
+}
+
+/**
+ * Sign a session payload
+ * @param {Object} payload - Claims to embed (user identity, role, outlets)
+ * @param {string} secret - Server-side signing secret
+ * @param {number} ttlMs - Lifetime in milliseconds (CONFIG.AUTH.SESSION_TIMEOUT)
+ * @returns {Promise<{token: string, expiresAt: string}>}
+ */
+async function signToken(payload, secret, ttlMs) {
+    const issuedAt = Date.now();
+    const claims = { ...payload, iat: issuedAt, exp: issuedAt + ttlMs };
+
+    const body = base64UrlEncode(encoder.encode(JSON.stringify(claims)));
+    const key = await importSigningKey(secret);
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(body));
+
+    return {
+        token: `${body}.${base64UrlEncode(new Uint8Array(signature))}`,
+        expiresAt: new Date(claims.exp).toISOString()
+    };
+}
+
+/**
+ * Verify a token's signature and expiry
+ * @returns {Promise<Object|null>} The claims, or null if the token is invalid or expired
+ */
+async function verifyToken(token, secret) {
+    if (typeof token !== 'string' || !token.includes('.')) {
+        return null;
+    }
+
+    const [body, signature] = token.split('.');
+    if (!body || !signature) {
+        return null;
+    }
+
+    try {
+        const key = await importSigningKey(secret);
+        const valid = await crypto.subtle.verify(
+            'HMAC',
+            key,
+            base64UrlDecode(signature),
+            encoder.encode(body)
+        );
+        if (!valid) {
+            return null;
+        }
+
+        const claims = JSON.parse(decoder.decode(base64UrlDecode(body)));
+        if (!claims.exp || Date.now() > claims.exp) {
+            return null;
+        }
+        return claims;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Extract the token from an "Authorization: Bearer <token>" header value
+ */
+function getBearerToken(headerValue) {
+    if (!headerValue) return null;
+    const match = /^Bearer\s+(.+)$/i.exec(headerValue.trim());
+    return match ? match[1] : null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        signToken,
+        verifyToken,
+        getBearerToken,
+        base64UrlEncode,
+        base64UrlDecode
+    };
+}
@@ -0,0 +1,213 @@
+/**
+ * Session Authentication for Phoenix OKR Backends
+ * Platform-neutral login and token checks shared by api-server.js and src/worker.js
+ */
+
+const CONFIG = require('../../config.js');
+const { signToken, verifyToken, getBearerToken } = require('./auth-token.js');
+const { verifyPassword, validateNewPassword, generateTemporaryPassword } = require('./passwords.js');
+const { userId, sessionUserId, withPassword } = require('./users.js');
+const { buildSessionUser } = require('./credentials.js');
+const { getLockout, createLoginEvent } = require('./login-throttle.js');
+const { resolveUserRoles } = require('./roles.js');
+const { applyHierarchyScope } = require('./hierarchy.js');
+
+const INVALID_CREDENTIALS = 'Invalid credentials';
+const PASSWORD_CHANGE_REQUIRED = 'Password change required';
+const TOO_MANY_ATTEMPTS = 'Too many failed sign-in attempts. Please try again later.';
+
+/**
+ * Issue a signed session for an authenticated user
+ * @returns {Promise<{token: string, expiresAt: string, user: Object}>}
+ */
+async function issueSession(user, secret) {
+    const { token, expiresAt } = await signToken({ user }, secret, CONFIG.AUTH.SESSION_TIMEOUT);
+    return { token, expiresAt, user };
+}
+
+/**
+ * Resolve the session user from an Authorization header
+ * @returns {Promise<Object|null>} The session user, or null if missing/invalid/expired
+ */
+async function getSessionUser(authorizationHeader, secret) {
+    const token = getBearerToken(authorizationHeader);
+    if (!token || !secret) return null;
+
+    const claims = await verifyToken(token, secret);
+    return claims ? claims.user : null;
+}
+
+/**
+ * The session user with permissions from the current role registry and, for HQ
+ * users who manage outlets in the AM hierarchy, those outlets
+ * With a userStore, a token issued before the account's last password change (or
+ * for an account that no longer exists) resolves to null.
+ * @param {Object} user - Session user from the token (or null)
+ * @param {Object} [stores] - { userStore, roleStore, hierarchyStore }; any may be left out
+ * @returns {Promise<Object|null>}
+ */
+async function resolveSessionUser(user, stores = {}) {
+    if (user && stores.userStore) {
+        const record = await stores.userStore.getById(sessionUserId(user));
+        if (!record || (Number(record.tokenVersion) || 0) !== (Number(user.tokenVersion) || 0)) return null;
+    }
+    const resolved = stores.roleStore ? await resolveUserRoles(user, stores.roleStore) : user;
+    return stores.hierarchyStore ? applyHierarchyScope(resolved, await stores.hierarchyStore.entries()) : resolved;
+}
+
+/**
+ * Handle a login request body and return the HTTP status plus JSON payload
+ * Body: { type: 'outlet' | 'hq', username, password }
+ * Unknown accounts and wrong passwords get the same message; repeated failures
+ * lock the account or IP for a while (see login-throttle.js).
+ * @param {Object} body - Parsed request body
+ * @param {Object} credentialStore - Object with verify(type, identifier, password)
+ * @param {string} secret - Signing secret
+ * @param {Object} [context] - { loginEvents, ip, userAgent } to throttle and record the attempt,
+ *                             { userStore, roleStore, hierarchyStore } to return the user's resolved permissions and outlets
+ * @returns {Promise<{status: number, body: Object, headers?: Object}>}
+ */
+async function login(body, credentialStore, secret, context = {}) {
+    const { type, username, password } = body || {};
+
+    if (!['outlet', 'hq'].includes(type) || !username || !password) {
+        return {
+            status: 400,
+            body: { success: false, error: 'type, username and password are required' }
+        };
+    }
+
+    const { loginEvents } = context;
+    const attempt = {
+        userId: userId(type, String(username)),
+        type: type,
+        ip: context.ip,
+        userAgent: context.userAgent
+    };
+
+    if (loginEvents) {
+        const lockout = await getLockout(loginEvents, attempt);
+        if (lockout) {
+            await loginEvents.record(createLoginEvent(attempt, 'locked', lockout.reason));
+            return {
+                status: 429,
+                body: { success: false, error: TOO_MANY_ATTEMPTS, retryAfter: lockout.retryAfterSeconds },
+                headers: { 'Retry-After': String(lockout.retryAfterSeconds) }
+            };
+        }
+    }
+
+    const user = await credentialStore.verify(type, String(username), String(password));
+    if (loginEvents) {
+        await loginEvents.record(createLoginEvent(attempt, user ? 'success' : 'failure', user ? null : 'invalid_credentials'));
+    }
+    if (!user) {
+        return { status: 401, body: { success: false, error: INVALID_CREDENTIALS } };
+    }
+
+    const session = await issueSession(user, secret);
+    return {
+        status: 200,
+        body: {
+            success: true,
+            token: session.token,
+            expiresAt: session.expiresAt,
+            user: await resolveSessionUser(session.user, context)
+        }
+    };
+}
+
+/**
+ * Change the signed-in user's password and issue a fresh session
+ * Other sessions of the user, issued for the old password, stop working.
+ * Body: { currentPassword, newPassword }
+ * @param {Object} body - Parsed request body
+ * @param {Object} sessionUser - User from the current session
+ * @param {Object} userStore - Object with async get(type, identifier) and upsert(record)
+ * @param {string} secret - Signing secret
+ * @param {Object} [stores] - { userStore, roleStore, hierarchyStore }, to return the user's resolved permissions and outlets
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function changePassword(body, sessionUser, userStore, secret, stores = {}) {
+    const { currentPassword, newPassword } = body || {};
+
+    if (!currentPassword || !newPassword) {
+        return {
+            status: 400,
+            body: { success: false, error: 'currentPassword and newPassword are required' }
+        };
+    }
+
+    const record = await userStore.getById(sessionUserId(sessionUser));
+    if (!record || !(await verifyPassword(String(currentPassword), record.passwordHash))) {
+        return { status: 401, body: { success: false, error: 'Current password is incorrect' } };
+    }
+
+    const policyError = validateNewPassword(newPassword, { identifier: record.identifier });
+    if (policyError) {
+        return { status: 400, body: { success: false, error: policyError } };
+    }
+    if (newPassword === currentPassword) {
+        return {
+            status: 400,
+            body: { success: false, error: 'New password must be different from the current password' }
+        };
+    }
+
+    const updated = await withPassword(record, newPassword, false);
+    await userStore.upsert(updated);
+
+    // The old token is stale now (and may still carry mustChangePassword), so replace it
+    const session = await issueSession(buildSessionUser(updated), secret);
+    return {
+        status: 200,
+        body: {
+            success: true,
+            token: session.token,
+            expiresAt: session.expiresAt,
+            user: await resolveSessionUser(session.user, stores)
+        }
+    };
+}
+
+/**
+ * Replace a user's password with a one-time temporary password (admin action)
+ * The user must choose a new password after signing in with it; their current
+ * sessions stop working.
+ * @param {string} id - User id ('outlet:<CODE>' or 'hq:<email>')
+ * @param {Object} userStore - Object with async getById(id) and upsert(record)
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function resetPassword(id, userStore) {
+    const record = id ? await userStore.getById(id) : null;
+    if (!record) {
+        return { status: 404, body: { success: false, error: `User ${id} not found` } };
+    }
+
+    const temporaryPassword = generateTemporaryPassword();
+    await userStore.upsert(await withPassword(record, temporaryPassword, true));
+
+    return {
+        status: 200,
+        body: {
+            success: true,
+            userId: record.id,
+            temporaryPassword: temporaryPassword,
+            mustChangePassword: true
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        issueSession,
+        getSessionUser,
+        resolveSessionUser,
+        login,
+        changePassword,
+        resetPassword,
+        INVALID_CREDENTIALS,
+        PASSWORD_CHANGE_REQUIRED,
+        TOO_MANY_ATTEMPTS
+    };
+}
@@ -0,0 +1,178 @@
+/**
+ * Backups for Phoenix OKR Backends
+ * Both backends write a full copy of the data on every save (backups/*.json
+ * for api-server.js, phoenix_backups rows in D1).
+ *
+ * Restore: POST /api/backups/:id/restore puts the outlets of a backup back, either all
+ * of them (the document as it was, outlets added since are removed) or one
+ * outlet with body { outlet: 'CODE' }, leaving every other outlet alone.
+ *
+ * A restore is an ordinary write: it needs If-Match (the document ETag, or the
+ * outlet's ETag for a single outlet), bumps the revision and records the
+ * restored performanceData in the performance history like any other save.
+ * The handlers back up the current data first, so a restore can be undone by
+ * restoring that safety backup.
+ *
+ * Retention (CONFIG.BACKUPS): every backup is kept for a day, then thinned to
+ * the latest backup per hour for a week, per day for 90 days and per month
+ * after that. Backups whose time is unknown are never pruned.
+ */
+
+const CONFIG = require('../../config.js');
+
+const { getAccessibleOutlets, canAccessOutlet } = require('./permissions.js');
+const { documentRevision, outletRevision, formatETag, commitRevision, checkDocumentWrite, checkOutletWrite } = require('./revisions.js');
+const { performanceChanges } = require('./performance.js');
+
+// Backup files of api-server.js (backups/phoenix-data-<timestamp>.json)
+const BACKUP_FILENAME_PATTERN = /^phoenix-data-[\w-]+\.json$/;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function invalid(error, status = 400) {
+    return { status, body: { success: false, error } };
+}
+
+function isBackupFilename(filename) {
+    return BACKUP_FILENAME_PATTERN.test(String(filename || ''));
+}
+
+/**
+ * When a backup file was written, from its name (phoenix-data-2026-10-19T05-07-36-907Z.json)
+ * @returns {string|null} ISO timestamp
+ */
+function backupFileTime(filename) {
+    const match = String(filename).match(/^phoenix-data-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/);
+    return match ? `${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z` : null;
+}
+
+/**
+ * Backups the retention policy no longer keeps
+ * @param {Object[]} backups - [{ id, createdAt }]
+ * @param {Object} [policy] - { KEEP_ALL_HOURS, HOURLY_DAYS, DAILY_DAYS } (default CONFIG.BACKUPS)
+ * @returns {string[]} Ids to delete
+ */
+function backupsToPrune(backups, now = new Date(), policy = CONFIG.BACKUPS) {
+    const kept = new Set();
+    const pruned = [];
+    const timed = backups
+        .map(backup => ({ id: backup.id, time: Date.parse(backup.createdAt) }))
+        .filter(backup => !Number.isNaN(backup.time))
+        .sort((a, b) => b.time - a.time);
+
+    // Newest first, so the first backup seen in an hour/day/month is the one kept
+    timed.forEach(({ id, time }) => {
+        const age = now.getTime() - time;
+        if (age < policy.KEEP_ALL_HOURS * HOUR_MS) return;
+        const iso = new Date(time).toISOString();
+        const bucket = age < policy.HOURLY_DAYS * DAY_MS ? iso.slice(0, 13)
+            : age < policy.DAILY_DAYS * DAY_MS ? iso.slice(0, 10) : iso.slice(0, 7);
+        if (kept.has(bucket)) {
+            pruned.push(id);
+        } else {
+            kept.add(bucket);
+        }
+    });
+    return pruned;
+}
+
+/**
+ * Backup storage for GET /api/status
+ * @param {Object[]} backups - [{ createdAt, bytes }]
+ * @returns {Object} { count, bytes, oldest, newest, retention }
+ */
+function backupUsage(backups) {
+    const times = backups.map(backup => backup.createdAt).filter(time => !Number.isNaN(Date.parse(time))).sort();
+    const { KEEP_ALL_HOURS, HOURLY_DAYS, DAILY_DAYS } = CONFIG.BACKUPS;
+    return {
+        count: backups.length,
+        bytes: backups.reduce((total, backup) => total + (backup.bytes || 0), 0),
+        oldest: times[0] || null,
+        newest: times[times.length - 1] || null,
+        retention: `all for ${KEEP_ALL_HOURS}h, hourly for ${HOURLY_DAYS} days, daily for ${DAILY_DAYS} days, monthly after that`
+    };
+}
+
+/**
+ * Work out the document a restore would save
+ * @param {Object} current - Stored document
+ * @param {Object} backup - Document held by the backup
+ * @param {Object} body - { outlet? } - restore only this outlet
+ * @param {string} ifMatch - Raw If-Match header
+ * @returns {Object} { data, outletCode, revision, changedOutlets, removedOutlets, performance } or { status, body }
+ */
+function planRestore(current, backup, body, user, ifMatch, now = new Date()) {
+    if (!backup || typeof backup.outlets !== 'object' || backup.outlets === null) {
+        return invalid('The backup holds no outlet data', 422);
+    }
+    const outletCode = body && body.outlet ? String(body.outlet).trim().toUpperCase() : null;
+    const outlets = (current && current.outlets) || {};
+
+    let data;
+    if (outletCode) {
+        if (!canAccessOutlet(user, outletCode)) {
+            return invalid(`You do not have access to outlet ${outletCode}`, 403);
+        }
+        if (!backup.outlets[outletCode]) {
+            return invalid(`Outlet ${outletCode} is not in the backup`, 404);
+        }
+        const conflict = checkOutletWrite(ifMatch, current, outletCode);
+        if (conflict) return conflict;
+        data = { ...current, outlets: { ...outlets, [outletCode]: backup.outlets[outletCode] } };
+    } else {
+        if (getAccessibleOutlets(user) !== 'ALL') {
+            return invalid('Restoring a whole backup needs access to all outlets - restore single outlets instead', 403);
+        }
+        const conflict = checkDocumentWrite(ifMatch, current, user);
+        if (conflict) return conflict;
+        data = { ...current, outlets: { ...backup.outlets } };
+    }
+
+    const { revision, changedOutlets, removedOutlets } = commitRevision(current, data);
+    changedOutlets.forEach(code => {
+        data.outlets[code] = { ...data.outlets[code], lastModified: now.toISOString() };
+    });
+    return {
+        data,
+        outletCode,
+        revision,
+        changedOutlets,
+        removedOutlets,
+        performance: performanceChanges(current, data, changedOutlets, user, now)
+    };
+}
+
+/**
+ * Response to a restore the handler has saved
+ * @param {string} backupId - Backup restored from
+ * @param {string} safetyBackup - Backup of the data as it was before the restore
+ * @param {Object} plan - planRestore result
+ */
+function restoreResult(backupId, safetyBackup, plan) {
+    const { data, outletCode, revision, changedOutlets, removedOutlets } = plan;
+    return {
+        status: 200,
+        headers: { ETag: formatETag(outletCode ? outletRevision(data.outlets[outletCode]) : documentRevision(data)) },
+        body: {
+            success: true,
+            message: outletCode ? `Outlet ${outletCode} restored from ${backupId}` : `Data restored from ${backupId}`,
+            restoredFrom: backupId,
+            outlet: outletCode,
+            safetyBackup,
+            revision,
+            changedOutlets,
+            removedOutlets
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        isBackupFilename,
+        backupFileTime,
+        backupsToPrune,
+        backupUsage,
+        planRestore,
+        restoreResult
+    };
+}
@@ -0,0 +1,81 @@
+/**
+ * Server-side Credential Verification for OKR Phoenix Project
+ * Checks login attempts against the hashed user store (users table in D1,
+ * data/users.json for api-server.js). Populate it with import-users.js.
+ */
+
+const { verifyPassword, hashPassword } = require('./passwords.js');
+const { normalizeIdentifier } = require('./users.js');
+
+// Compared against when the account does not exist, so both cases take the same time
+let dummyHashPromise = null;
+
+function getDummyHash() {
+    if (!dummyHashPromise) {
+        dummyHashPromise = hashPassword('phoenix-dummy-password');
+    }
+    return dummyHashPromise;
+}
+
+/**
+ * Build the session user object the dashboards already expect in sessionStorage
+ */
+function buildSessionUser(record) {
+    const user = record.type === 'outlet'
+        ? {
+            type: 'outlet',
+            username: record.identifier,
+            outletName: record.name,
+            am: record.am,
+            role: 'OUTLET',
+            accessibleOutlets: [record.identifier]
+        }
+        : {
+            type: 'hq',
+            email: record.identifier,
+            name: record.name,
+            role: record.role,
+            // Assigned outlets; roles.applyRoles widens this to 'ALL' for view_all_outlets roles
+            accessibleOutlets: record.outlets || []
+        };
+
+    // Sessions for temporary/default passwords may only change the password
+    if (record.mustChangePassword) {
+        user.mustChangePassword = true;
+    }
+    // The password the session was issued for (see resolveSessionUser)
+    user.tokenVersion = Number(record.tokenVersion) || 0;
+    return user;
+}
+
+/**
+ * Create a credential store backed by a user store
+ * @param {Object} userStore - Object with async get(type, identifier) returning a user record
+ */
+function createUserCredentialStore(userStore) {
+    return {
+        /**
+         * Verify a login attempt
+         * @returns {Promise<Object|null>} Session user, or null when the credentials do not match
+         */
+        async verify(type, identifier, password) {
+            if (!['outlet', 'hq'].includes(type) || !identifier || !password) return null;
+
+            const record = await userStore.get(type, normalizeIdentifier(type, identifier));
+            if (!record) {
+                await verifyPassword(password, await getDummyHash());
+                return null;
+            }
+
+            const valid = await verifyPassword(password, record.passwordHash);
+            return valid ? buildSessionUser(record) : null;
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createUserCredentialStore,
+        buildSessionUser
+    };
+}
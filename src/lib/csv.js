@@ -0,0 +1,79 @@
+/**
+ * CSV Parsing for Sheet Exports
+ * Same quoting rules as GoogleSheetsAPI.parseCSVLine, plus escaped quotes ("")
+ * and quoted fields that span lines, as produced by Google Sheets "Download as CSV".
+ */
+
+/**
+ * Parse a single CSV line handling quoted fields with commas
+ */
+function parseCSVLine(line) {
+    return parseCSV(line)[0] || [];
+}
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ * Blank lines are dropped.
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let current = '';
+    let inQuotes = false;
+    const input = String(text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(current);
+            current = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(current);
+            if (row.some(cell => cell.trim() !== '')) rows.push(row);
+            row = [];
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    row.push(current);
+    if (row.some(cell => cell.trim() !== '')) rows.push(row);
+    return rows;
+}
+
+/**
+ * Quote a value for CSV output
+ */
+function toCSVCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows (arrays of values) to CSV text
+ */
+function toCSV(rows) {
+    return rows.map(row => row.map(toCSVCell).join(',')).join('\n');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseCSV,
+        parseCSVLine,
+        toCSV
+    };
+}
@@ -0,0 +1,162 @@
+/**
+ * Data Diff for Phoenix OKR Backends
+ * GET /api/backups/diff?from=X&to=Y compares two snapshots of the Phoenix
+ * document - backups, 'current' (the stored data) or, on api-server.js, versions
+ * recorded by server/versioning.js - outlet by outlet, so "who removed my OKR"
+ * can be answered from the data.
+ *
+ * Outlet diff: { code, name, change: 'added' | 'removed' | 'changed',
+ *   fields: [{ field, from, to }],                 name, objective, description, monthlyTarget
+ *   keyResults: [{ kr, from, to }],                KR text ('kr1' is okr.keyResults[0])
+ *   actionPlans: [{ kr, index, from, to }],        action text added, removed or reworded
+ *   actions: [{ kr, index, action, ticked }],      completedActions ticked (true) or unticked (false)
+ *   performance: [{ term, field, from, to }] }     revenue/trano of baseline, term1-3
+ * Only the outlets the caller may access are compared.
+ */
+
+const { canAccessOutlet } = require('./permissions.js');
+const { documentRevision } = require('./revisions.js');
+const { PERFORMANCE_TERMS, PERFORMANCE_FIELDS } = require('./performance.js');
+
+function invalid(error, status = 400) {
+    return { status, body: { success: false, error } };
+}
+
+function valueOrNull(value) {
+    return value === undefined || value === '' ? null : value;
+}
+
+function keysOf(...objects) {
+    return [...new Set(objects.flatMap(object => Object.keys(object || {})))];
+}
+
+function outletFields(outlet) {
+    const okr = outlet.okr || {};
+    return {
+        name: valueOrNull(outlet.name),
+        objective: valueOrNull(okr.objective),
+        description: valueOrNull(okr.description),
+        monthlyTarget: valueOrNull(outlet.salesTargets && outlet.salesTargets.monthlyTarget)
+    };
+}
+
+function keyResultTexts(outlet) {
+    const keyResults = (outlet.okr && Array.isArray(outlet.okr.keyResults)) ? outlet.okr.keyResults : [];
+    return Object.fromEntries(keyResults.map((text, i) => [`kr${i + 1}`, text]));
+}
+
+function completedActions(outlet, kr) {
+    const progress = outlet.okr && outlet.okr.krProgress && outlet.okr.krProgress[kr];
+    return new Set(progress && Array.isArray(progress.completedActions) ? progress.completedActions : []);
+}
+
+/**
+ * What changed in one outlet between two versions of it
+ * @param {Object} [before] - Outlet as it was (missing when it was added)
+ * @param {Object} [after] - Outlet as it is (missing when it was removed)
+ * @returns {Object|null} Outlet diff, null when nothing changed
+ */
+function diffOutlet(code, before, after) {
+    const from = before || {};
+    const to = after || {};
+
+    const fromFields = outletFields(from);
+    const toFields = outletFields(to);
+    const fields = Object.keys(toFields)
+        .filter(field => fromFields[field] !== toFields[field])
+        .map(field => ({ field, from: fromFields[field], to: toFields[field] }));
+
+    const fromKeyResults = keyResultTexts(from);
+    const toKeyResults = keyResultTexts(to);
+    const keyResults = keysOf(fromKeyResults, toKeyResults)
+        .filter(kr => fromKeyResults[kr] !== toKeyResults[kr])
+        .map(kr => ({ kr, from: valueOrNull(fromKeyResults[kr]), to: valueOrNull(toKeyResults[kr]) }));
+
+    const fromPlans = (from.okr && from.okr.actionPlans) || {};
+    const toPlans = (to.okr && to.okr.actionPlans) || {};
+    const actionPlans = [];
+    const actions = [];
+    keysOf(fromPlans, toPlans).forEach(kr => {
+        const fromActions = fromPlans[kr] || [];
+        const toActions = toPlans[kr] || [];
+        for (let index = 0; index < Math.max(fromActions.length, toActions.length); index++) {
+            if (fromActions[index] !== toActions[index]) {
+                actionPlans.push({ kr, index, from: valueOrNull(fromActions[index]), to: valueOrNull(toActions[index]) });
+            }
+        }
+        const fromDone = completedActions(from, kr);
+        const toDone = completedActions(to, kr);
+        [...new Set([...fromDone, ...toDone])].sort((a, b) => a - b).forEach(index => {
+            if (fromDone.has(index) === toDone.has(index)) return;
+            actions.push({ kr, index, action: valueOrNull(toActions[index] ?? fromActions[index]), ticked: toDone.has(index) });
+        });
+    });
+
+    const fromPerformance = from.performanceData || {};
+    const toPerformance = to.performanceData || {};
+    const performance = [];
+    PERFORMANCE_TERMS.forEach(term => {
+        PERFORMANCE_FIELDS.forEach(field => {
+            const fromValue = valueOrNull(fromPerformance[term] && fromPerformance[term][field]);
+            const toValue = valueOrNull(toPerformance[term] && toPerformance[term][field]);
+            if (fromValue !== toValue) {
+                performance.push({ term, field, from: fromValue, to: toValue });
+            }
+        });
+    });
+
+    const change = !before ? 'added' : !after ? 'removed' : 'changed';
+    if (change === 'changed' && fields.length + keyResults.length + actionPlans.length + actions.length + performance.length === 0) {
+        return null;
+    }
+    return { code, name: toFields.name || fromFields.name, change, fields, keyResults, actionPlans, actions, performance };
+}
+
+/**
+ * Read ?from=&to= of GET /api/backups/diff
+ * @returns {Object} { from, to } or { status, body }
+ */
+function parseDiffQuery(query) {
+    const from = query && query.from ? String(query.from).trim() : '';
+    const to = query && query.to ? String(query.to).trim() : '';
+    if (!from || !to) {
+        return invalid('from and to are required (backup ids, or "current" for the stored data)');
+    }
+    return { from, to };
+}
+
+/**
+ * Per-outlet diff of two snapshots of the Phoenix document
+ * @param {Object} from - { id, createdAt?, data }
+ * @param {Object} to - { id, createdAt?, data }
+ * @returns {Object} { status, body }
+ */
+function dataDiff(from, to, user) {
+    const fromOutlets = (from.data && from.data.outlets) || {};
+    const toOutlets = (to.data && to.data.outlets) || {};
+    const outlets = keysOf(fromOutlets, toOutlets)
+        .filter(code => canAccessOutlet(user, code))
+        .sort()
+        .map(code => diffOutlet(code, fromOutlets[code], toOutlets[code]))
+        .filter(Boolean);
+    const count = change => outlets.filter(outlet => outlet.change === change).length;
+
+    return {
+        status: 200,
+        body: {
+            success: true,
+            from: { id: from.id, createdAt: from.createdAt || null, revision: documentRevision(from.data) },
+            to: { id: to.id, createdAt: to.createdAt || null, revision: documentRevision(to.data) },
+            summary: { added: count('added'), removed: count('removed'), changed: count('changed') },
+            outlets
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        diffOutlet,
+        parseDiffQuery,
+        dataDiff
+    };
+}
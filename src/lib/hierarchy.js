@@ -0,0 +1,369 @@
+/**
+ * Area Manager Hierarchy for Phoenix OKR Backends
+ * Who manages which outlet: outlet -> AM -> regional manager -> HQ. AMs and
+ * regional managers are HQ users (by email). The hierarchy lives in an
+ * append-only log of assignments (hierarchy_assignments table in D1,
+ * data/hierarchy.jsonl for api-server.js), each effective from a date, so a
+ * move to another AM never rewrites the past: the leaderboard and the reward
+ * report attribute a period to the managers in place on its first day.
+ * Results are kept per period, not per day, so assignments take effect on the
+ * first day of a month; a mid-month date would leave that whole month with the
+ * previous managers. (An outlet's own periods that start mid-month go to the
+ * managers in place on their start date.)
+ *
+ * Assignment: { id, level: 'outlet' | 'am', child, parent, effectiveFrom, reason, actor, createdAt }
+ * - level 'outlet': child is an outlet code, parent the AM's email
+ * - level 'am': child is an AM's email, parent the regional manager's email
+ * parent is null when the outlet or AM is left without a manager. On a date,
+ * the assignment in effect is the one with the latest effectiveFrom on or
+ * before it; of two with the same effectiveFrom the later one wins, so a
+ * mistake is corrected by assigning again.
+ *
+ * The hierarchy replaces the two sources that used to disagree: column E of
+ * the HQ sheet (the outlets an HQ account lists) and the free-text AM of
+ * outlet rows. Both seed it once (seededAssignments); after that it is
+ * managed through /api/hierarchy by users with manage_hierarchy. An HQ user
+ * who is in the hierarchy (now or before) can access exactly the outlets
+ * under them today - none once all of them have moved to other managers.
+ */
+
+const { performanceAuthor } = require('./performance.js');
+const { today, isDate } = require('./periods.js');
+
+// Seeded assignments cover all earlier results
+const SEED_EFFECTIVE_FROM = '2000-01-01';
+const MAX_REASON_LENGTH = 500;
+
+function invalid(error, status = 400) {
+    return { status, body: { success: false, error } };
+}
+
+// Outlet users see their own AM on their outlet; the hierarchy itself is for HQ
+function hqOnly(user) {
+    return user && user.type === 'hq' ? null : invalid('Only HQ users can view the AM hierarchy', 403);
+}
+
+function normalizeEmail(value) {
+    return String(value || '').trim().toLowerCase();
+}
+
+/**
+ * First day of a period: 'YYYY-MM' -> 'YYYY-MM-01'; custom period ids are their start date
+ */
+function periodStartDate(periodId) {
+    return periodId.length === 7 ? `${periodId}-01` : periodId;
+}
+
+/**
+ * The assignment in effect on a date for every outlet and AM
+ * @param {Object[]} entries - Assignments, oldest first
+ * @returns {Map} 'outlet:<code>' / 'am:<email>' -> assignment
+ */
+function assignmentsAsOf(entries, date) {
+    const current = new Map();
+    entries.forEach(entry => {
+        if (entry.effectiveFrom > date) return;
+        const key = `${entry.level}:${entry.child}`;
+        const previous = current.get(key);
+        if (!previous || entry.effectiveFrom >= previous.effectiveFrom) {
+            current.set(key, entry);
+        }
+    });
+    return current;
+}
+
+/**
+ * Names and roles of HQ users by email, for labelling managers
+ * @param {Object[]} users - User records (user store list())
+ */
+function peopleDirectory(users) {
+    return Object.fromEntries(users
+        .filter(user => user.type === 'hq')
+        .map(user => [user.identifier, { name: user.name || user.identifier, role: user.role }]));
+}
+
+function personName(people, email) {
+    return email ? ((people[email] && people[email].name) || email) : null;
+}
+
+/**
+ * AM and regional manager of every outlet that has an AM on a date
+ * @param {Object[]} entries - Assignments, oldest first
+ * @param {Object} [people] - peopleDirectory()
+ * @returns {Object} { outletCode: { am, amName, regionalManager, regionalManagerName, since } }
+ */
+function managersAsOf(entries, date, people = {}) {
+    const assignments = assignmentsAsOf(entries, date);
+    const managers = {};
+    for (const entry of assignments.values()) {
+        if (entry.level !== 'outlet' || !entry.parent) continue;
+        const amAssignment = assignments.get(`am:${entry.parent}`);
+        const regionalManager = amAssignment ? amAssignment.parent : null;
+        managers[entry.child] = {
+            am: entry.parent,
+            amName: personName(people, entry.parent),
+            regionalManager,
+            regionalManagerName: personName(people, regionalManager),
+            since: entry.effectiveFrom
+        };
+    }
+    return managers;
+}
+
+/**
+ * Outlets an HQ user manages on a date, as their AM or their AM's regional manager
+ * @returns {string[]} Outlet codes, sorted
+ */
+function outletsManagedBy(entries, email, date) {
+    return Object.entries(managersAsOf(entries, date))
+        .filter(([, managers]) => managers.am === email || managers.regionalManager === email)
+        .map(([outletCode]) => outletCode)
+        .sort();
+}
+
+// An assignment to the manager (as AM or regional manager) or of the manager (an AM under a regional manager)
+function involvesManager(entry, email) {
+    return entry.parent === email || (entry.level === 'am' && entry.child === email);
+}
+
+/**
+ * Whether an email has been an AM or regional manager in the hierarchy by a date
+ */
+function inHierarchy(entries, email, date) {
+    return entries.some(entry => entry.effectiveFrom <= date && involvesManager(entry, email));
+}
+
+/**
+ * Scope an HQ session to the outlets it manages today; users who were ever in
+ * the hierarchy get exactly those (possibly none), users never in it keep the
+ * outlets of their account (column E), and 'ALL' stays 'ALL'
+ * @param {Object} user - Session user with roles applied (or null)
+ * @param {Object[]} entries - Assignments, oldest first
+ */
+function applyHierarchyScope(user, entries, now = new Date()) {
+    if (!user || user.type !== 'hq' || user.accessibleOutlets === 'ALL') return user;
+    const date = today(now);
+    if (!inHierarchy(entries, user.email, date)) return user;
+    return { ...user, accessibleOutlets: outletsManagedBy(entries, user.email, date) };
+}
+
+/**
+ * The AM an outlet starts with: an HQ account that lists it in column E (the
+ * one named in the outlet's AM column, then role AM, when several do), else the
+ * HQ account whose name is the outlet's AM
+ * @param {Object[]} users - User records
+ * @param {Object[]} outlets - Registry outlets
+ * @returns {Object[]} Assignments to append, effective from SEED_EFFECTIVE_FROM
+ */
+function seededAssignments(users, outlets) {
+    const hq = users.filter(user => user.type === 'hq');
+    const sameName = (user, name) => Boolean(name) && (user.name || '').trim().toLowerCase() === name.trim().toLowerCase();
+    const assignments = [];
+
+    [...outlets].sort((a, b) => a.code.localeCompare(b.code)).forEach(outlet => {
+        const listed = hq.filter(user => (user.outlets || []).includes(outlet.code)).sort((a, b) =>
+            (sameName(b, outlet.am) - sameName(a, outlet.am)) ||
+            ((b.role === 'AM') - (a.role === 'AM')) ||
+            a.identifier.localeCompare(b.identifier));
+        const am = listed[0] || hq.filter(user => sameName(user, outlet.am)).sort((a, b) => a.identifier.localeCompare(b.identifier))[0];
+        if (!am) return;
+        assignments.push({
+            level: 'outlet',
+            child: outlet.code,
+            parent: am.identifier,
+            effectiveFrom: SEED_EFFECTIVE_FROM,
+            reason: 'Imported from the HQ and Outlet Login sheets',
+            actor: 'import'
+        });
+    });
+    return assignments;
+}
+
+/**
+ * GET /api/hierarchy?date=YYYY-MM-DD (default today)
+ * @param {Object} sources - { entries, outlets, people } - outlets: registry outlets (store.list())
+ * @returns {Object} body: { date, regionalManagers: [{ email, name, ams }], amsWithoutManager,
+ *   outletsWithoutAM } - an AM: { email, name, since, outlets: [{ code, name, status, since }] }
+ */
+function hierarchyTree(query, sources, user, now = new Date()) {
+    const denied = hqOnly(user);
+    if (denied) return denied;
+    const date = (query && query.date) || today(now);
+    if (!isDate(date)) {
+        return invalid('date must be YYYY-MM-DD');
+    }
+
+    const { entries, outlets, people } = sources;
+    const assignments = assignmentsAsOf(entries, date);
+    const managers = managersAsOf(entries, date, people);
+    const registered = new Map(outlets.map(outlet => [outlet.code, outlet]));
+    const ams = new Map();
+    const amNode = email => {
+        if (!ams.has(email)) {
+            const managed = assignments.get(`am:${email}`);
+            ams.set(email, {
+                email,
+                name: personName(people, email),
+                regionalManager: managed ? managed.parent : null,
+                since: managed ? managed.effectiveFrom : null,
+                outlets: []
+            });
+        }
+        return ams.get(email);
+    };
+
+    const outletCodes = [...new Set([...registered.keys(), ...Object.keys(managers)])].sort();
+    const outletsWithoutAM = [];
+    outletCodes.forEach(code => {
+        const outlet = registered.get(code) || { name: code, status: null };
+        const node = { code, name: outlet.name, status: outlet.status };
+        if (managers[code]) {
+            amNode(managers[code].am).outlets.push({ ...node, since: managers[code].since });
+        } else {
+            outletsWithoutAM.push(node);
+        }
+    });
+    for (const entry of assignments.values()) {
+        if (entry.level === 'am' && entry.parent) amNode(entry.child);
+    }
+
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    const regionalManagers = new Map();
+    const amsWithoutManager = [];
+    [...ams.values()].sort(byName).forEach(({ regionalManager, ...am }) => {
+        if (!regionalManager) {
+            amsWithoutManager.push(am);
+            return;
+        }
+        if (!regionalManagers.has(regionalManager)) {
+            regionalManagers.set(regionalManager, { email: regionalManager, name: personName(people, regionalManager), ams: [] });
+        }
+        regionalManagers.get(regionalManager).ams.push(am);
+    });
+
+    return {
+        status: 200,
+        body: {
+            success: true,
+            date,
+            regionalManagers: [...regionalManagers.values()].sort(byName),
+            amsWithoutManager,
+            outletsWithoutAM
+        }
+    };
+}
+
+/**
+ * GET /api/hierarchy/history?outlet=CODE or ?am=email
+ * Every assignment of the outlet, or every assignment to, of or under the AM,
+ * by effective date; replaced: a later assignment with the same effective date corrected it
+ */
+function assignmentHistory(query, sources, user) {
+    const denied = hqOnly(user);
+    if (denied) return denied;
+    const outletCode = String((query && query.outlet) || '').trim().toUpperCase();
+    const email = normalizeEmail(query && query.am);
+    if (!outletCode && !email) {
+        return invalid('outlet or am is required');
+    }
+
+    const { entries, people } = sources;
+    const matches = outletCode
+        ? entry => entry.level === 'outlet' && entry.child === outletCode
+        : entry => involvesManager(entry, email);
+    const latest = new Map();
+    entries.forEach(entry => latest.set(`${entry.level}:${entry.child}:${entry.effectiveFrom}`, entry.id));
+
+    const assignments = entries.filter(matches)
+        .map(entry => ({
+            ...entry,
+            childName: entry.level === 'am' ? personName(people, entry.child) : entry.child,
+            parentName: personName(people, entry.parent),
+            replaced: latest.get(`${entry.level}:${entry.child}:${entry.effectiveFrom}`) !== entry.id
+        }))
+        .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom) || a.id - b.id);
+    return { status: 200, body: { success: true, assignments } };
+}
+
+async function requireHQUser(userStore, email, field) {
+    if (!email) return `${field} must be the email of an HQ user`;
+    return (await userStore.get('hq', email)) ? null : `${field} ${email} is not an HQ user`;
+}
+
+/**
+ * POST /api/hierarchy/assignments
+ * Body: { outletCode, am, effectiveFrom?, reason? } moves an outlet to an AM (am: null leaves it without one), or
+ *       { am, regionalManager, effectiveFrom?, reason? } puts an AM under a regional manager (or none)
+ * effectiveFrom is the first day of a month, by default the current one (the new manager
+ * takes this month's results along); a past month re-attributes results from that month on.
+ * @param {Object} sources - { entries, outletStore, userStore }
+ */
+async function assignManager(body, sources, store, user, now = new Date()) {
+    const fields = body || {};
+    const level = fields.outletCode !== undefined ? 'outlet' : fields.regionalManager !== undefined ? 'am' : null;
+    if (!level) {
+        return invalid('Send { outletCode, am } to assign an outlet or { am, regionalManager } to assign an AM');
+    }
+    const effectiveFrom = fields.effectiveFrom || periodStartDate(today(now).slice(0, 7));
+    if (!isDate(effectiveFrom)) {
+        return invalid('effectiveFrom must be YYYY-MM-DD');
+    }
+    if (effectiveFrom !== periodStartDate(effectiveFrom.slice(0, 7))) {
+        return invalid('effectiveFrom must be the first day of a month - each month counts for the managers in place on its first day');
+    }
+    const reason = fields.reason ? String(fields.reason).trim() : null;
+    if (reason && reason.length > MAX_REASON_LENGTH) {
+        return invalid(`reason must be at most ${MAX_REASON_LENGTH} characters`);
+    }
+
+    const { entries, outletStore, userStore } = sources;
+    let child;
+    let parent;
+    if (level === 'outlet') {
+        child = String(fields.outletCode || '').trim().toUpperCase();
+        if (!(await outletStore.get(child))) {
+            return invalid(`Outlet ${child} is not in the registry`, 404);
+        }
+        parent = fields.am === null ? null : normalizeEmail(fields.am);
+        const error = parent === null ? null : await requireHQUser(userStore, parent, 'am');
+        if (error) return invalid(error);
+    } else {
+        child = normalizeEmail(fields.am);
+        parent = fields.regionalManager === null ? null : normalizeEmail(fields.regionalManager);
+        const error = await requireHQUser(userStore, child, 'am') ||
+            (parent === null ? null : await requireHQUser(userStore, parent, 'regionalManager'));
+        if (error) return invalid(error);
+        if (parent === child) {
+            return invalid('An AM cannot be their own regional manager');
+        }
+    }
+
+    const current = assignmentsAsOf(entries, effectiveFrom).get(`${level}:${child}`);
+    if ((current ? current.parent : null) === parent) {
+        return invalid(`${child} already has this manager on ${effectiveFrom}`, 409);
+    }
+
+    const [assignment] = await store.append([{
+        level,
+        child,
+        parent,
+        effectiveFrom,
+        reason,
+        actor: performanceAuthor(user)
+    }]);
+    return { status: 201, body: { success: true, assignment } };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        periodStartDate,
+        peopleDirectory,
+        managersAsOf,
+        outletsManagedBy,
+        applyHierarchyScope,
+        seededAssignments,
+        hierarchyTree,
+        assignmentHistory,
+        assignManager
+    };
+}
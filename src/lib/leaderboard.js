@@ -0,0 +1,177 @@
+/**
+ * Leaderboards for Phoenix OKR Backends
+ * GET /api/leaderboard?by=outlet|am|manager|region&metric=...&period=YYYY-MM
+ * ranks outlets, or their AMs, regional managers or regions, on one metric for
+ * a period (default: the current month):
+ * - trano_growth: trano so far against the baseline pro rata to the days of the
+ *   terms entered (calculatePeriodProgress), as growth in %
+ * - revenue_achievement: revenue so far against the monthly target, in %
+ * - action_completion: share of OKR action plans completed, in %
+ * A group is scored on the sums of its outlets (e.g. total trano against total
+ * expected trano), so large outlets weigh more than small ones.
+ *
+ * An outlet counts for the AM and regional manager it had in the AM hierarchy
+ * (src/lib/hierarchy.js) on the first day of the period, so a later move does
+ * not take its results along; outlets without one fall back to the AM of the
+ * outlet registry (src/lib/outlet-registry.js), which also gives names and
+ * regions. Regions are named in CONFIG.REGIONS. Every
+ * signed-in user sees the whole board, but only names, codes and the metric;
+ * entries for outlets the user can access are marked mine.
+ */
+
+const { canAccessOutlet } = require('./permissions.js');
+const { TERM_IDS, today, isPeriodId } = require('./periods.js');
+const { performanceReport } = require('./performance.js');
+const { calculateActionCompletion, monthlyTargets, achievedTotals } = require('./scorecard.js');
+const { regionOfCode, regionName } = require('./outlet-registry.js');
+const { periodStartDate, managersAsOf } = require('./hierarchy.js');
+
+const LEADERBOARD_GROUPS = ['outlet', 'am', 'manager', 'region'];
+
+// Metric: the parts summed per group, and the value computed from the sums (null when it cannot be computed)
+const LEADERBOARD_METRICS = {
+    trano_growth: {
+        parts: ['trano', 'expectedTrano'],
+        value: ({ trano, expectedTrano }) => expectedTrano > 0 ? Math.round((trano / expectedTrano - 1) * 1000) / 10 : null
+    },
+    revenue_achievement: {
+        parts: ['revenue', 'revenueTarget'],
+        value: ({ revenue, revenueTarget }) => revenueTarget > 0 ? Math.round(revenue / revenueTarget * 1000) / 10 : null
+    },
+    action_completion: {
+        parts: ['completedActions', 'totalActions'],
+        value: ({ completedActions, totalActions }) => totalActions > 0 ? Math.round(completedActions / totalActions * 1000) / 10 : null
+    }
+};
+
+function invalid(error, status = 400) {
+    return { status, body: { success: false, error } };
+}
+
+/**
+ * Metric parts of one outlet for the period; a metric the outlet has no data for leaves its parts out
+ */
+function outletParts(outlet, report) {
+    const parts = {};
+    const { current, progress } = report;
+    const lastTerm = [...TERM_IDS].reverse().find(term => current[term]);
+    if (lastTerm && progress[lastTerm]) {
+        parts.trano = progress[lastTerm].trano;
+        parts.expectedTrano = progress[lastTerm].expectedTrano;
+    }
+    const target = monthlyTargets(outlet).revenue;
+    if (target > 0) {
+        parts.revenue = achievedTotals(current).revenue;
+        parts.revenueTarget = target;
+    }
+    const actions = calculateActionCompletion(outlet);
+    if (actions.total > 0) {
+        parts.completedActions = actions.completed;
+        parts.totalActions = actions.total;
+    }
+    return parts;
+}
+
+/**
+ * The group an outlet counts for
+ * @param {Object} labels - { outletCode, name, am, amName, regionalManager, regionalManagerName, region }
+ */
+function groupKey(by, labels) {
+    if (by === 'outlet') {
+        const { outletCode, name, amName, regionalManagerName, region } = labels;
+        return { id: outletCode, name, am: amName, regionalManager: regionalManagerName || '', region };
+    }
+    if (by === 'am') {
+        return { id: labels.am || '-', name: labels.amName || 'No AM' };
+    }
+    if (by === 'manager') {
+        return { id: labels.regionalManager || '-', name: labels.regionalManagerName || 'No regional manager' };
+    }
+    return { id: labels.region, name: regionName(labels.region) };
+}
+
+/**
+ * Standard competition ranking (1, 2, 2, 4); entries without a value come last, unranked
+ */
+function rankEntries(entries) {
+    const ranked = entries.filter(entry => entry.value !== null).sort((a, b) => b.value - a.value || a.name.localeCompare(b.name));
+    ranked.forEach((entry, i) => {
+        entry.rank = i > 0 && ranked[i - 1].value === entry.value ? ranked[i - 1].rank : i + 1;
+    });
+    const unranked = entries.filter(entry => entry.value === null).sort((a, b) => a.name.localeCompare(b.name));
+    unranked.forEach(entry => { entry.rank = null; });
+    return [...ranked, ...unranked];
+}
+
+/**
+ * GET /api/leaderboard result
+ * @param {Object} query - { by = 'outlet', metric = 'revenue_achievement', period }
+ * @param {Object} sources - { data, historyFor, outlets, hierarchy, people } - historyFor: async outletCode =>
+ *   performance entries; outlets: the outlet registry by code (outletDirectory); hierarchy: the AM hierarchy
+ *   assignments; people: HQ users by email (peopleDirectory)
+ * @returns {Promise<Object>} { status, body } - body.entries: [{ rank, id, name, value, outlets, mine, am?, regionalManager?, region? }]
+ */
+async function leaderboard(query, sources, user, now = new Date()) {
+    const by = (query && query.by) || 'outlet';
+    const metric = (query && query.metric) || 'revenue_achievement';
+    const periodId = (query && query.period) || today(now).slice(0, 7);
+    if (!LEADERBOARD_GROUPS.includes(by)) {
+        return invalid(`by must be one of: ${LEADERBOARD_GROUPS.join(', ')}`);
+    }
+    if (!LEADERBOARD_METRICS[metric]) {
+        return invalid(`metric must be one of: ${Object.keys(LEADERBOARD_METRICS).join(', ')}`);
+    }
+    if (!isPeriodId(periodId)) {
+        return invalid('period must be YYYY-MM or the start date (YYYY-MM-DD) of a custom period');
+    }
+
+    const { data, historyFor, outlets = {}, hierarchy = [], people = {} } = sources;
+    const { parts, value } = LEADERBOARD_METRICS[metric];
+    const managers = managersAsOf(hierarchy, periodStartDate(periodId), people);
+    const groups = new Map();
+
+    for (const [outletCode, outlet] of Object.entries(data.outlets || {})) {
+        const report = performanceReport(outletCode, outlet, await historyFor(outletCode), periodId, now);
+        if (report.status !== 200) continue;
+
+        const registered = outlets[outletCode] || {};
+        const fallbackAM = registered.am || outlet.am || '';
+        const key = groupKey(by, {
+            outletCode,
+            name: registered.name || outlet.name || outletCode,
+            am: fallbackAM,
+            amName: fallbackAM,
+            ...managers[outletCode],
+            region: registered.region || regionOfCode(outletCode)
+        });
+        if (!groups.has(key.id)) {
+            groups.set(key.id, { ...key, outlets: 0, mine: false, sums: null });
+        }
+
+        const group = groups.get(key.id);
+        const outletValues = outletParts(outlet, report.body);
+        group.outlets += 1;
+        group.mine = group.mine || canAccessOutlet(user, outletCode);
+        if (parts.every(part => outletValues[part] !== undefined)) {
+            group.sums = group.sums || Object.fromEntries(parts.map(part => [part, 0]));
+            parts.forEach(part => { group.sums[part] += outletValues[part]; });
+        }
+    }
+
+    const entries = rankEntries([...groups.values()].map(({ sums, ...group }) => ({
+        ...group,
+        value: sums ? value(sums) : null
+    })));
+    return {
+        status: 200,
+        body: { success: true, by, metric, period: periodId, entries }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LEADERBOARD_GROUPS,
+        LEADERBOARD_METRICS,
+        leaderboard
+    };
+}
@@ -0,0 +1,88 @@
+/**
+ * Login Throttling for Phoenix OKR Backends
+ * Failed sign-ins are read back from the login event store (login_events in D1,
+ * data/login-events.jsonl for api-server.js). An account or IP that reaches its
+ * failure limit inside CONFIG.AUTH.LOGIN_FAILURE_WINDOW is refused until the
+ * oldest counted failure leaves the window.
+ *
+ * Event store interface:
+ *   record(event)
+ *   failureStats({ userId | ip, since }) -> { count, oldestAt }
+ *   lastSuccessAt(userId) -> ISO string or null
+ *   list({ userId, ip, outcome, since, limit }) -> events, newest first
+ */
+
+const CONFIG = require('../../config.js');
+
+/**
+ * Check whether a login attempt may proceed
+ * @param {Object} loginEvents - Login event store
+ * @param {Object} attempt - { userId, ip }
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<{reason: string, retryAfterSeconds: number}|null>} Lockout, or null when allowed
+ */
+async function getLockout(loginEvents, attempt, now = Date.now()) {
+    const window = CONFIG.AUTH.LOGIN_FAILURE_WINDOW;
+    const windowStart = new Date(now - window).toISOString();
+
+    // A successful sign-in clears the account's failure count (but not the IP's)
+    const lastSuccess = await loginEvents.lastSuccessAt(attempt.userId);
+    const accountSince = lastSuccess && lastSuccess > windowStart ? lastSuccess : windowStart;
+
+    const checks = [
+        { reason: 'account_locked', limit: CONFIG.AUTH.MAX_FAILURES_PER_ACCOUNT, query: { userId: attempt.userId, since: accountSince } }
+    ];
+    if (attempt.ip) {
+        checks.push({ reason: 'ip_locked', limit: CONFIG.AUTH.MAX_FAILURES_PER_IP, query: { ip: attempt.ip, since: windowStart } });
+    }
+
+    for (const check of checks) {
+        const stats = await loginEvents.failureStats(check.query);
+        if (stats.count >= check.limit) {
+            const unlockAt = new Date(stats.oldestAt).getTime() + window;
+            return {
+                reason: check.reason,
+                retryAfterSeconds: Math.max(1, Math.ceil((unlockAt - now) / 1000))
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Build a login event record
+ */
+function createLoginEvent(attempt, outcome, reason) {
+    return {
+        userId: attempt.userId,
+        type: attempt.type || null,
+        ip: attempt.ip || null,
+        userAgent: attempt.userAgent || null,
+        outcome: outcome,
+        reason: reason || null,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Parse admin query parameters for listing login events
+ * @param {Object} params - Plain object of query string values
+ */
+function parseLoginEventQuery(params = {}) {
+    const limit = parseInt(params.limit, 10);
+    return {
+        userId: params.userId || undefined,
+        ip: params.ip || undefined,
+        outcome: ['success', 'failure', 'locked'].includes(params.outcome) ? params.outcome : undefined,
+        since: params.since || undefined,
+        limit: Number.isFinite(limit) && limit > 0 ? Math.min(limit, 1000) : 100
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getLockout,
+        createLoginEvent,
+        parseLoginEventQuery
+    };
+}
@@ -0,0 +1,287 @@
+/**
+ * Medal Ledger for Phoenix OKR Backends
+ * Medals live in an append-only ledger (medal_ledger table in D1,
+ * data/medal-ledger.jsonl for api-server.js). Awarding a medal appends an
+ * 'awarded' entry whose id is the medal id; approving or revoking it appends an
+ * entry pointing at that medal. Nothing is edited or deleted.
+ *
+ * - Tier medals: the reward tier an outlet's scorecard reached in a period that
+ *   has ended, computed once per outlet per period (POST /api/medals/tier-awards).
+ * - Special medals (CONFIG.MEDAL_TYPES): awarded by HQ users with award_medal.
+ * Medals start pending; users with approve_medal approve or revoke them.
+ *
+ * Entry: { id, medalId, action: 'awarded' | 'approved' | 'revoked', outletCode,
+ *          period, kind: 'tier' | 'special', medal, reason, actor, createdAt }
+ * medal (awarded entries only): { type, typeName?, typeEmoji?, tier, tierName, emoji,
+ *          rewardAmount, rewardPercent?, revenue?, target?, schemeId?, schemeVersion? }
+ */
+
+const CONFIG = require('../../config.js');
+const { canAccessOutlet } = require('./permissions.js');
+const { performanceAuthor } = require('./performance.js');
+const { today, isPeriodId, resolvePeriod, currentPeriodId } = require('./periods.js');
+const { outletScorecard, basisMeasures } = require('./scorecard.js');
+
+const MEDAL_STATUSES = ['pending', 'approved', 'revoked'];
+const MEDAL_KINDS = ['tier', 'special'];
+const MAX_REASON_LENGTH = 500;
+
+function invalid(error, status = 400) {
+    return { status, body: { success: false, error } };
+}
+
+/**
+ * Fold ledger entries into medals with their current status
+ * @param {Object[]} entries - Ledger entries, oldest first
+ * @returns {Object[]} [{ id, outletCode, period, kind, ...medal, reason, awardedBy, awardedAt,
+ *   status, approvedBy, approvedAt, revokedBy, revokedAt, revokeReason }]
+ */
+function buildMedals(entries) {
+    const medals = new Map();
+    entries.forEach(entry => {
+        if (entry.action === 'awarded') {
+            medals.set(entry.id, {
+                id: entry.id,
+                outletCode: entry.outletCode,
+                period: entry.period,
+                kind: entry.kind,
+                ...entry.medal,
+                reason: entry.reason || null,
+                awardedBy: entry.actor,
+                awardedAt: entry.createdAt,
+                status: 'pending',
+                approvedBy: null,
+                approvedAt: null,
+                revokedBy: null,
+                revokedAt: null,
+                revokeReason: null
+            });
+            return;
+        }
+        const medal = medals.get(entry.medalId);
+        if (!medal) return;
+        if (entry.action === 'approved') {
+            Object.assign(medal, { status: 'approved', approvedBy: entry.actor, approvedAt: entry.createdAt });
+        } else if (entry.action === 'revoked') {
+            Object.assign(medal, { status: 'revoked', revokedBy: entry.actor, revokedAt: entry.createdAt, revokeReason: entry.reason });
+        }
+    });
+    return [...medals.values()];
+}
+
+// Medals are awarded and approved from HQ, whatever an outlet role is granted
+function hqOnly(user) {
+    return user && user.type === 'hq' ? null : invalid('Only HQ users can award, approve or revoke medals', 403);
+}
+
+function tierInfo(tierNumber) {
+    const tier = CONFIG.REWARD_TIERS[tierNumber - 1];
+    return { tierName: tier.name, emoji: tier.medal };
+}
+
+/**
+ * GET /api/medals - medals of the outlets the user can see, newest first
+ * Query: outlet, period, status, kind (all optional)
+ */
+async function listMedals(store, user, query = {}) {
+    if (query.status && !MEDAL_STATUSES.includes(query.status)) {
+        return invalid(`status must be one of: ${MEDAL_STATUSES.join(', ')}`);
+    }
+    if (query.kind && !MEDAL_KINDS.includes(query.kind)) {
+        return invalid(`kind must be one of: ${MEDAL_KINDS.join(', ')}`);
+    }
+    const outletCode = query.outlet ? String(query.outlet).toUpperCase() : null;
+    const medals = buildMedals(await store.entries())
+        .filter(medal => canAccessOutlet(user, medal.outletCode))
+        .filter(medal => !outletCode || medal.outletCode === outletCode)
+        .filter(medal => !query.period || medal.period === query.period)
+        .filter(medal => !query.status || medal.status === query.status)
+        .filter(medal => !query.kind || medal.kind === query.kind)
+        .reverse();
+
+    const counted = medals.filter(medal => medal.status !== 'revoked');
+    return {
+        status: 200,
+        body: {
+            success: true,
+            medals,
+            totals: {
+                medals: counted.length,
+                rewardAmount: counted.reduce((sum, medal) => sum + (medal.rewardAmount || 0), 0)
+            }
+        }
+    };
+}
+
+/**
+ * POST /api/medals - award a special medal
+ * Body: { outletCode, type, tier: 1-3, rewardAmount, reason, period? } (period default: the outlet's current one)
+ */
+async function awardSpecialMedal(body, data, store, user, now = new Date()) {
+    const forbidden = hqOnly(user);
+    if (forbidden) return forbidden;
+    const { type, tier, rewardAmount, reason } = body || {};
+    const outletCode = String((body && body.outletCode) || '').toUpperCase();
+    const outlet = (data.outlets || {})[outletCode];
+
+    if (!outlet) {
+        return invalid(outletCode ? `Outlet ${outletCode} not found` : 'outletCode is required', outletCode ? 404 : 400);
+    }
+    if (!canAccessOutlet(user, outletCode)) {
+        return invalid(`You do not have access to outlet ${outletCode}`, 403);
+    }
+    if (!CONFIG.MEDAL_TYPES[type]) {
+        return invalid(`type must be one of: ${Object.keys(CONFIG.MEDAL_TYPES).join(', ')}`);
+    }
+    if (!Number.isInteger(tier) || tier < 1 || tier > CONFIG.REWARD_TIERS.length) {
+        return invalid(`tier must be 1 to ${CONFIG.REWARD_TIERS.length}`);
+    }
+    if (typeof rewardAmount !== 'number' || !(rewardAmount >= 0)) {
+        return invalid('rewardAmount must be a number of at least 0');
+    }
+    if (typeof reason !== 'string' || !reason.trim() || reason.length > MAX_REASON_LENGTH) {
+        return invalid(`reason is required (at most ${MAX_REASON_LENGTH} characters)`);
+    }
+    const period = body.period === undefined ? currentPeriodId(outlet, now) : body.period;
+    if (!isPeriodId(period) || !resolvePeriod(outlet, period)) {
+        return invalid(`Unknown period ${period} for outlet ${outletCode}`);
+    }
+
+    const [entry] = await store.append([{
+        medalId: null,
+        action: 'awarded',
+        outletCode,
+        period,
+        kind: 'special',
+        medal: {
+            type,
+            typeName: CONFIG.MEDAL_TYPES[type].name,
+            typeEmoji: CONFIG.MEDAL_TYPES[type].emoji,
+            tier,
+            ...tierInfo(tier),
+            rewardAmount
+        },
+        reason: reason.trim(),
+        actor: performanceAuthor(user)
+    }]);
+    return { status: 201, body: { success: true, medal: buildMedals([entry])[0] } };
+}
+
+/**
+ * POST /api/medals/tier-awards - body { period }
+ * Awards each outlet the user can access the tier its scorecard reached in the period.
+ * Outlets whose period has not ended, that reached no tier or already have the medal are skipped.
+ * @param {Function} historyFor - async outletCode => that outlet's performance entries
+ * @param {Object[]} schemeVersions - Every reward scheme version
+ */
+async function awardTierMedals(body, data, store, historyFor, schemeVersions, user, now = new Date()) {
+    const forbidden = hqOnly(user);
+    if (forbidden) return forbidden;
+    const periodId = body && body.period;
+    if (!isPeriodId(periodId)) {
+        return invalid('period must be YYYY-MM or the start date (YYYY-MM-DD) of a custom period');
+    }
+
+    const awarded = new Set(buildMedals(await store.entries())
+        .filter(medal => medal.kind === 'tier' && medal.period === periodId)
+        .map(medal => medal.outletCode));
+    const entries = [];
+    const skipped = [];
+
+    for (const [outletCode, outlet] of Object.entries(data.outlets || {})) {
+        if (!canAccessOutlet(user, outletCode)) continue;
+        const period = resolvePeriod(outlet, periodId);
+        if (!period) continue;
+        if (period.end >= today(now)) {
+            skipped.push({ outletCode, reason: `${period.label} ends on ${period.end}` });
+            continue;
+        }
+        if (awarded.has(outletCode)) {
+            skipped.push({ outletCode, reason: 'Tier medal already awarded for this period' });
+            continue;
+        }
+
+        const scorecard = outletScorecard(outletCode, outlet, await historyFor(outletCode), schemeVersions, periodId, now).body;
+        if (scorecard.tier.tier === 0) {
+            // Only the measures the scheme is based on need a target
+            const missing = basisMeasures(scorecard.scheme.basis).filter(measure => !scorecard[measure].target);
+            skipped.push({ outletCode, reason: missing.length > 0 ? `No monthly ${missing.join(' and ')} target set` : 'No tier reached' });
+            continue;
+        }
+        entries.push({
+            medalId: null,
+            action: 'awarded',
+            outletCode,
+            period: periodId,
+            kind: 'tier',
+            medal: {
+                type: null,
+                tier: scorecard.tier.tier,
+                tierName: scorecard.tier.name,
+                emoji: scorecard.tier.medal,
+                rewardAmount: scorecard.reward.amount,
+                rewardPercent: scorecard.reward.percent,
+                revenue: scorecard.revenue.achieved,
+                target: scorecard.revenue.target,
+                schemeId: scorecard.scheme.id,
+                schemeVersion: scorecard.scheme.version
+            },
+            reason: null,
+            actor: performanceAuthor(user)
+        });
+    }
+
+    const stored = await store.append(entries);
+    return { status: 200, body: { success: true, period: periodId, awarded: buildMedals(stored), skipped } };
+}
+
+/**
+ * POST /api/medals/:id/approve and /api/medals/:id/revoke (revoke needs body { reason })
+ * @param {string} action - 'approved' or 'revoked'
+ */
+async function changeMedalStatus(medalId, action, body, store, user) {
+    const forbidden = hqOnly(user);
+    if (forbidden) return forbidden;
+    const id = Number(medalId);
+    const entries = await store.entries();
+    const medal = buildMedals(entries).find(candidate => candidate.id === id);
+    if (!medal || !canAccessOutlet(user, medal.outletCode)) {
+        return invalid(`Medal ${medalId} not found`, 404);
+    }
+    if (medal.status === 'revoked') {
+        return invalid(`Medal ${id} has been revoked`, 409);
+    }
+    if (action === 'approved' && medal.status === 'approved') {
+        return invalid(`Medal ${id} is already approved`, 409);
+    }
+    const reason = body && body.reason;
+    if (action === 'revoked' && (typeof reason !== 'string' || !reason.trim() || reason.length > MAX_REASON_LENGTH)) {
+        return invalid(`reason is required (at most ${MAX_REASON_LENGTH} characters)`);
+    }
+
+    const [entry] = await store.append([{
+        medalId: id,
+        action,
+        outletCode: medal.outletCode,
+        period: medal.period,
+        kind: medal.kind,
+        medal: null,
+        reason: action === 'revoked' ? reason.trim() : null,
+        actor: performanceAuthor(user)
+    }]);
+    return {
+        status: 200,
+        body: { success: true, medal: buildMedals([...entries, entry]).find(candidate => candidate.id === id) }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MEDAL_STATUSES,
+        buildMedals,
+        listMedals,
+        awardSpecialMedal,
+        awardTierMedals,
+        changeMedalStatus
+    };
+}
@@ -0,0 +1,239 @@
+/**
+ * Partial Outlet Updates for Phoenix OKR Backends
+ * PATCH /api/outlet/:code accepts either a JSON Merge Patch (RFC 7396) or a
+ * JSON Patch (RFC 6902) document. Both are applied as a list of path
+ * operations, and every path is checked before anything changes. That way a
+ * checkbox toggle that sends okr.krProgress.kr2.completedActions cannot wipe
+ * the rest of the outlet.
+ *
+ * Operation: { op: 'add' | 'remove' | 'replace' | 'test', path: '/okr/...', value? }
+ */
+
+const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+const JSON_PATCH_TYPE = 'application/json-patch+json';
+
+// Top-level outlet fields a client may change; dateAdded/lastUpdated/lastModified are server-owned
+const PATCHABLE_FIELDS = ['name', 'am', 'okr', 'performanceData', 'salesTargets', 'salesTarget', 'specialMedals'];
+
+// Containers that hold unrelated data - they can be extended but never removed or overwritten whole
+const PROTECTED_CONTAINERS = [
+    ['okr'],
+    ['okr', 'krProgress'],
+    ['okr', 'krProgress', '*'],
+    ['performanceData'],
+    ['performanceData', '*'],
+    ['salesTargets']
+];
+
+const FORBIDDEN_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+const SUPPORTED_OPS = ['add', 'remove', 'replace', 'test'];
+
+class PatchError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function escapeSegment(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * "/okr/krProgress/kr1" -> ['okr', 'krProgress', 'kr1'] (with ~1 and ~0 unescaped)
+ */
+function parsePointer(pointer) {
+    if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+        throw new PatchError(`Invalid path "${pointer}" - paths must start with /`);
+    }
+    const segments = pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+    segments.forEach(segment => {
+        if (segment === '' || FORBIDDEN_SEGMENTS.includes(segment)) {
+            throw new PatchError(`Invalid path "${pointer}"`);
+        }
+    });
+    if (!PATCHABLE_FIELDS.includes(segments[0])) {
+        throw new PatchError(`Field "${segments[0]}" cannot be patched`);
+    }
+    return segments;
+}
+
+function isProtectedContainer(segments) {
+    return PROTECTED_CONTAINERS.some(pattern =>
+        pattern.length === segments.length &&
+        pattern.every((part, i) => part === '*' || part === segments[i])
+    );
+}
+
+// A merge patch value that creates a new object still treats null members as "leave out"
+function withoutNulls(value) {
+    if (!isPlainObject(value)) return value;
+    const result = {};
+    Object.entries(value).forEach(([key, member]) => {
+        if (member !== null) result[key] = withoutNulls(member);
+    });
+    return result;
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Resolve an array index segment; '-' means "after the last element" and is only valid for add
+ */
+function arrayIndex(array, segment, op, pointer) {
+    if (segment === '-' && op === 'add') return array.length;
+    if (!/^(0|[1-9][0-9]*)$/.test(segment)) {
+        throw new PatchError(`Invalid array index in "${pointer}"`);
+    }
+    const index = Number(segment);
+    const max = op === 'add' ? array.length : array.length - 1;
+    if (index > max) {
+        throw new PatchError(`Array index out of range in "${pointer}"`, 422);
+    }
+    return index;
+}
+
+function applyOperation(target, operation) {
+    if (!isPlainObject(operation)) {
+        throw new PatchError('Each patch operation must be an object');
+    }
+    const { op, path } = operation;
+    if (!SUPPORTED_OPS.includes(op)) {
+        throw new PatchError(`Unsupported patch operation "${op}"`);
+    }
+    if (op !== 'remove' && !('value' in operation)) {
+        throw new PatchError(`Operation "${op}" on "${path}" requires a value`);
+    }
+
+    const segments = parsePointer(path);
+    const key = segments[segments.length - 1];
+    let parent = target;
+    for (const segment of segments.slice(0, -1)) {
+        const next = Array.isArray(parent) ? parent[arrayIndex(parent, segment, 'get', path)] : parent[segment];
+        if (next === null || typeof next !== 'object') {
+            throw new PatchError(`Path "${path}" does not exist`, 422);
+        }
+        parent = next;
+    }
+
+    const exists = Array.isArray(parent)
+        ? /^(0|[1-9][0-9]*)$/.test(key) && Number(key) < parent.length
+        : Object.prototype.hasOwnProperty.call(parent, key);
+
+    if (op === 'test') {
+        if (!exists || !isEqual(parent[key], operation.value)) {
+            throw new PatchError(`Test failed for "${path}"`, 409);
+        }
+        return;
+    }
+
+    if (isProtectedContainer(segments)) {
+        if (op !== 'add' || exists || !isPlainObject(operation.value)) {
+            throw new PatchError(`"${path}" cannot be ${op === 'remove' ? 'removed' : 'replaced'} - patch the fields inside it`);
+        }
+    }
+
+    if (Array.isArray(parent)) {
+        const index = arrayIndex(parent, key, op, path);
+        if (op === 'add') parent.splice(index, 0, operation.value);
+        else if (op === 'replace') parent[index] = operation.value;
+        else parent.splice(index, 1);
+        return;
+    }
+
+    if ((op === 'remove' || op === 'replace') && !exists) {
+        throw new PatchError(`Path "${path}" does not exist`, 422);
+    }
+    if (op === 'remove') delete parent[key];
+    else parent[key] = operation.value;
+}
+
+/**
+ * Turn a JSON Merge Patch into JSON Patch operations against the current outlet:
+ * objects recurse, null removes, anything else sets the value. Null for a member
+ * the outlet does not have is a no-op (RFC 7396), though its path is still checked.
+ */
+function mergePatchToOperations(target, patch, prefix = '') {
+    const operations = [];
+    Object.entries(patch).forEach(([key, value]) => {
+        const path = `${prefix}/${escapeSegment(key)}`;
+        const current = isPlainObject(target) ? target[key] : undefined;
+        if (value === null) {
+            if (isPlainObject(target) && Object.prototype.hasOwnProperty.call(target, key)) {
+                operations.push({ op: 'remove', path });
+            } else {
+                parsePointer(path);
+            }
+        } else if (isPlainObject(value) && isPlainObject(current)) {
+            operations.push(...mergePatchToOperations(current, value, path));
+        } else {
+            operations.push({ op: current === undefined ? 'add' : 'replace', path, value: withoutNulls(value) });
+        }
+    });
+    return operations;
+}
+
+/**
+ * Work out which patch format a request carries
+ * @returns {'merge'|'json-patch'|null} null when the content type is not supported
+ */
+function patchFormat(contentType, body) {
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    if (type === MERGE_PATCH_TYPE) return 'merge';
+    if (type === JSON_PATCH_TYPE) return 'json-patch';
+    if (type === 'application/json') return Array.isArray(body) ? 'json-patch' : 'merge';
+    return null;
+}
+
+/**
+ * Apply a PATCH body to an outlet without touching the stored copy
+ * @param {Object} outlet - Current outlet data
+ * @param {*} body - Parsed request body
+ * @param {string} contentType - Request Content-Type header
+ * @returns {Object} { status: 200, outlet } or { status, body } describing why the patch was refused
+ */
+function applyOutletPatch(outlet, body, contentType) {
+    const format = patchFormat(contentType, body);
+    if (!format) {
+        return {
+            status: 415,
+            body: { success: false, error: `Use ${MERGE_PATCH_TYPE} or ${JSON_PATCH_TYPE}` }
+        };
+    }
+
+    try {
+        let operations;
+        if (format === 'merge') {
+            if (!isPlainObject(body)) throw new PatchError('A merge patch must be a JSON object');
+            if (Object.keys(body).length === 0) throw new PatchError('Patch contains no changes');
+            operations = mergePatchToOperations(outlet, body);
+        } else {
+            if (!Array.isArray(body)) throw new PatchError('A JSON Patch must be an array of operations');
+            if (body.length === 0) throw new PatchError('Patch contains no changes');
+            operations = body;
+        }
+
+        const patched = JSON.parse(JSON.stringify(outlet));
+        operations.forEach(operation => applyOperation(patched, operation));
+        return { status: 200, outlet: patched };
+    } catch (error) {
+        if (!(error instanceof PatchError)) throw error;
+        return { status: error.status, body: { success: false, error: error.message } };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MERGE_PATCH_TYPE,
+        JSON_PATCH_TYPE,
+        PATCHABLE_FIELDS,
+        mergePatchToOperations,
+        applyOutletPatch
+    };
+}
@@ -0,0 +1,249 @@
+/**
+ * Outlet Registry for Phoenix OKR Backends
+ * The master list of Apotek Alpro outlets: code, name, AM, region, opening
+ * date, status and store type. Dashboards, the leaderboard and the reward
+ * report take outlet names and AMs from here rather than from login accounts
+ * or Phoenix data. Kept in the outlet registry store (outlet_registry table in
+ * D1, data/outlet-registry.json for api-server.js) and managed through
+ * /api/outlets by users with manage_outlets.
+ *
+ * Outlet: { code, name, am, region, openingDate, status: 'active' | 'closed',
+ *           storeType, createdAt, updatedAt, updatedBy }
+ * region defaults to the prefix of the code (JKJSTT1 -> JKJ), named in CONFIG.REGIONS.
+ * Close an outlet rather than delete it; deleting is for codes entered by mistake.
+ */
+
+const CONFIG = require('../../config.js');
+const { performanceAuthor } = require('./performance.js');
+
+const OUTLET_STATUSES = ['active', 'closed'];
+const REGION_PREFIX_LENGTH = 3;
+const MAX_FIELD_LENGTH = 100;
+const CODE_PATTERN = /^[A-Z0-9]{3,20}$/;
+const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+function invalid(error, status = 400) {
+    return { status, body: { success: false, error } };
+}
+
+function normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Region id an outlet code belongs to by default
+ */
+function regionOfCode(outletCode) {
+    return outletCode.slice(0, REGION_PREFIX_LENGTH);
+}
+
+function regionName(regionId) {
+    return (CONFIG.REGIONS || {})[regionId] || regionId;
+}
+
+function optionalText(fields, field, fallback) {
+    const value = fields[field];
+    if (value === undefined) return { value: fallback };
+    if (value === null || value === '') return { value: null };
+    if (typeof value !== 'string' || value.trim().length > MAX_FIELD_LENGTH) {
+        return { error: `${field} must be text of at most ${MAX_FIELD_LENGTH} characters` };
+    }
+    return { value: value.trim() };
+}
+
+/**
+ * Outlet fields from a create/update body, on top of the existing outlet for updates
+ * @returns {Object} { outlet } or { error }
+ */
+function buildOutlet(code, body, existing) {
+    const fields = body || {};
+    const base = existing || { am: null, region: regionOfCode(code), openingDate: null, status: 'active', storeType: null };
+
+    const name = fields.name !== undefined ? fields.name : base.name;
+    if (!name || typeof name !== 'string' || !name.trim() || name.trim().length > MAX_FIELD_LENGTH) {
+        return { error: `name is required (at most ${MAX_FIELD_LENGTH} characters)` };
+    }
+    const am = optionalText(fields, 'am', base.am);
+    if (am.error) return am;
+    const storeType = optionalText(fields, 'storeType', base.storeType);
+    if (storeType.error) return storeType;
+
+    const region = fields.region !== undefined ? normalizeCode(fields.region) || regionOfCode(code) : base.region;
+    if (!/^[A-Z0-9]{1,10}$/.test(region)) {
+        return { error: 'region must be a region code such as JKJ' };
+    }
+    const openingDate = fields.openingDate !== undefined ? fields.openingDate || null : base.openingDate;
+    if (openingDate !== null && !DATE_PATTERN.test(openingDate)) {
+        return { error: 'openingDate must be YYYY-MM-DD or null' };
+    }
+    const status = fields.status !== undefined ? fields.status : base.status;
+    if (!OUTLET_STATUSES.includes(status)) {
+        return { error: `status must be one of: ${OUTLET_STATUSES.join(', ')}` };
+    }
+
+    return {
+        outlet: {
+            code,
+            name: name.trim(),
+            am: am.value,
+            region,
+            openingDate,
+            status,
+            storeType: storeType.value
+        }
+    };
+}
+
+/**
+ * Names, AMs and regions by outlet code, for modules that label outlets
+ * @param {Object[]} records - Registry outlets (store.list())
+ * @returns {Object} { outletCode: { name, am, region, status } }
+ */
+function outletDirectory(records) {
+    return Object.fromEntries(records.map(outlet => [outlet.code, {
+        name: outlet.name,
+        am: outlet.am || '',
+        region: outlet.region,
+        status: outlet.status
+    }]));
+}
+
+/**
+ * Registry outlets to import: outlet login accounts (name and AM from the Outlet Login sheet),
+ * then Phoenix outlets without an account
+ * @param {Object[]} accounts - User records or accounts from accountsFromOutletRows
+ * @param {Object} [phoenixOutlets] - Phoenix data outlets by code
+ * @returns {Object[]} One outlet per code; the caller adds those not registered yet
+ */
+function importedOutlets(accounts, phoenixOutlets = {}, now = new Date()) {
+    const at = now.toISOString();
+    const outlets = new Map();
+    const add = (code, name, am) => {
+        if (outlets.has(code)) return;
+        outlets.set(code, {
+            code,
+            name: (name || '').trim() || code,
+            am: (am || '').trim() || null,
+            region: regionOfCode(code),
+            openingDate: null,
+            status: 'active',
+            storeType: null,
+            createdAt: at,
+            updatedAt: at,
+            updatedBy: 'import'
+        });
+    };
+    accounts.filter(account => account.type === 'outlet').forEach(account => add(account.identifier, account.name, account.am));
+    Object.entries(phoenixOutlets).forEach(([code, outlet]) => add(code, outlet.name, outlet.am));
+    return [...outlets.values()];
+}
+
+/**
+ * GET /api/outlets - registry outlets sorted by code
+ * Query: status, region, am (all optional)
+ */
+async function listOutlets(store, query = {}) {
+    if (query.status && !OUTLET_STATUSES.includes(query.status)) {
+        return invalid(`status must be one of: ${OUTLET_STATUSES.join(', ')}`);
+    }
+    const region = query.region ? normalizeCode(query.region) : null;
+    const outlets = (await store.list())
+        .filter(outlet => !query.status || outlet.status === query.status)
+        .filter(outlet => !region || outlet.region === region)
+        .filter(outlet => !query.am || (outlet.am || '').toLowerCase() === String(query.am).toLowerCase())
+        .sort((a, b) => a.code.localeCompare(b.code));
+    const regions = [...new Set(outlets.map(outlet => outlet.region))].sort()
+        .map(id => ({ id, name: regionName(id) }));
+    return { status: 200, body: { success: true, outlets, regions, statuses: OUTLET_STATUSES } };
+}
+
+/**
+ * GET /api/outlets/:code
+ */
+async function getOutlet(code, store) {
+    const outletCode = normalizeCode(code);
+    const outlet = await store.get(outletCode);
+    return outlet
+        ? { status: 200, body: { success: true, outlet } }
+        : invalid(`Outlet ${outletCode} is not in the registry`, 404);
+}
+
+/**
+ * POST /api/outlets - body { code, name, am?, region?, openingDate?, status?, storeType? }
+ */
+async function createOutlet(body, store, user, now = new Date()) {
+    const code = normalizeCode(body && body.code);
+    if (!CODE_PATTERN.test(code)) {
+        return invalid('code must be 3 to 20 letters or digits, e.g. JKJSTT1');
+    }
+    if (await store.get(code)) {
+        return invalid(`Outlet ${code} already exists`, 409);
+    }
+    const built = buildOutlet(code, body, null);
+    if (built.error) return invalid(built.error);
+
+    const outlet = {
+        ...built.outlet,
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString(),
+        updatedBy: performanceAuthor(user)
+    };
+    await store.put(outlet);
+    return { status: 201, body: { success: true, outlet } };
+}
+
+/**
+ * PUT /api/outlets/:code - any of the create fields except code
+ */
+async function updateOutlet(code, body, store, user, now = new Date()) {
+    const outletCode = normalizeCode(code);
+    const existing = await store.get(outletCode);
+    if (!existing) {
+        return invalid(`Outlet ${outletCode} is not in the registry`, 404);
+    }
+    if (body && body.code !== undefined && normalizeCode(body.code) !== outletCode) {
+        return invalid('An outlet code cannot be changed; add the new code and close the old one');
+    }
+    const built = buildOutlet(outletCode, body, existing);
+    if (built.error) return invalid(built.error);
+
+    const outlet = {
+        ...built.outlet,
+        createdAt: existing.createdAt,
+        updatedAt: now.toISOString(),
+        updatedBy: performanceAuthor(user)
+    };
+    await store.put(outlet);
+    return { status: 200, body: { success: true, outlet } };
+}
+
+/**
+ * DELETE /api/outlets/:code - for codes entered by mistake; outlets that have run the program are closed instead
+ * @param {Object} data - Phoenix data, to refuse deleting an outlet that is in the program
+ */
+async function deleteOutlet(code, store, data) {
+    const outletCode = normalizeCode(code);
+    if (!(await store.get(outletCode))) {
+        return invalid(`Outlet ${outletCode} is not in the registry`, 404);
+    }
+    if ((data.outlets || {})[outletCode]) {
+        return invalid(`Outlet ${outletCode} is in the Phoenix program; set its status to closed instead`, 409);
+    }
+    await store.remove(outletCode);
+    return { status: 200, body: { success: true, deleted: outletCode } };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        OUTLET_STATUSES,
+        regionOfCode,
+        regionName,
+        outletDirectory,
+        importedOutlets,
+        listOutlets,
+        getOutlet,
+        createOutlet,
+        updateOutlet,
+        deleteOutlet
+    };
+}
@@ -0,0 +1,132 @@
+/**
+ * Salted Password Hashing for Phoenix OKR User Store
+ * PBKDF2-SHA256 via Web Crypto so Node and Cloudflare Workers share one format:
+ *   pbkdf2-sha256$<iterations>$<base64url salt>$<base64url hash>
+ */
+
+const CONFIG = require('../../config.js');
+const { base64UrlEncode, base64UrlDecode } = require('./auth-token.js');
+
+// Cloudflare Workers cap PBKDF2 at 100,000 iterations
+const ITERATIONS = 100000;
+const SALT_BYTES = 16;
+const HASH_BITS = 256;
+const SCHEME = 'pbkdf2-sha256';
+
+// Shared passwords handed out before the user store existed (the old generate-outlets.js script)
+const KNOWN_DEFAULT_PASSWORDS = ['Alpro@123'];
+
+// Temporary passwords avoid look-alike characters (0/O, 1/l/I) so they can be read out
+const TEMPORARY_PASSWORD_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghjkmnpqrstuvwxyz23456789';
+const TEMPORARY_PASSWORD_LENGTH = 12;
+
+async function derive(password, salt, iterations) {
+    const keyMaterial = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(password),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        keyMaterial,
+        HASH_BITS
+    );
+    return new Uint8Array(bits);
+}
+
+/**
+ * Hash a password with a fresh random salt
+ * @returns {Promise<string>} Encoded hash safe to store
+ */
+async function hashPassword(password) {
+    if (typeof password !== 'string' || password.length === 0) {
+        throw new Error('Password must be a non-empty string');
+    }
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const hash = await derive(password, salt, ITERATIONS);
+    return `${SCHEME}$${ITERATIONS}$${base64UrlEncode(salt)}$${base64UrlEncode(hash)}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, storedHash) {
+    if (typeof password !== 'string' || typeof storedHash !== 'string') {
+        return false;
+    }
+
+    const [scheme, iterations, salt, expected] = storedHash.split('$');
+    if (scheme !== SCHEME || !iterations || !salt || !expected) {
+        return false;
+    }
+
+    const actual = await derive(password, base64UrlDecode(salt), parseInt(iterations, 10));
+    const expectedBytes = base64UrlDecode(expected);
+    if (actual.length !== expectedBytes.length) {
+        return false;
+    }
+
+    let diff = 0;
+    for (let i = 0; i < actual.length; i++) {
+        diff |= actual[i] ^ expectedBytes[i];
+    }
+    return diff === 0;
+}
+
+function isKnownDefaultPassword(password) {
+    return KNOWN_DEFAULT_PASSWORDS.includes(password);
+}
+
+/**
+ * Check a new password against the password policy
+ * @param {string} password - Proposed password
+ * @param {Object} [context] - { identifier } to reject passwords equal to the login name
+ * @returns {string|null} Error message, or null when the password is acceptable
+ */
+function validateNewPassword(password, context = {}) {
+    const minLength = CONFIG.AUTH.PASSWORD_MIN_LENGTH;
+
+    if (typeof password !== 'string' || password.length < minLength) {
+        return `Password must be at least ${minLength} characters`;
+    }
+    if (isKnownDefaultPassword(password)) {
+        return 'The shared default password cannot be used';
+    }
+    if (context.identifier && password.toLowerCase() === String(context.identifier).toLowerCase()) {
+        return 'Password cannot be the same as your login';
+    }
+    return null;
+}
+
+/**
+ * Generate a random one-time password for admin resets
+ */
+function generateTemporaryPassword() {
+    const alphabet = TEMPORARY_PASSWORD_ALPHABET;
+    // Largest multiple of the alphabet size that fits in a byte, to avoid modulo bias
+    const limit = 256 - (256 % alphabet.length);
+    let password = '';
+
+    while (password.length < TEMPORARY_PASSWORD_LENGTH) {
+        const bytes = crypto.getRandomValues(new Uint8Array(TEMPORARY_PASSWORD_LENGTH * 2));
+        for (const byte of bytes) {
+            if (byte < limit && password.length < TEMPORARY_PASSWORD_LENGTH) {
+                password += alphabet[byte % alphabet.length];
+            }
+        }
+    }
+    return password;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        hashPassword,
+        verifyPassword,
+        isKnownDefaultPassword,
+        validateNewPassword,
+        generateTemporaryPassword
+    };
+}
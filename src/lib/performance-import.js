@@ -0,0 +1,240 @@
+/**
+ * Bulk Performance Import for Phoenix OKR Backends
+ * POST /api/import/performance takes a POS export (CSV, or one sheet of an
+ * .xlsx file) with one row per outlet and term:
+ *
+ *   Outlet Code,Term,Revenue,Trano,Period
+ *   JKJSTT1,term1,25700643,291,2026-10
+ *
+ * Period is optional (default: each outlet's current period). Terms may be
+ * written "term1", "Term 1" or "1"; thousands separators (,) in amounts are
+ * ignored. Every row is checked the same way as a single
+ * POST /api/outlet/:code/performance, plus that the code is a Phoenix outlet the
+ * caller can access. A dry run returns the diff; applying needs the file to be
+ * free of errors and records all rows in one revision.
+ */
+
+const { parseCSV } = require('./csv.js');
+const { readXLSXRows } = require('./xlsx.js');
+const { canAccessOutlet } = require('./permissions.js');
+const {
+    performanceAuthor,
+    validatePerformanceEntry,
+    applyPerformanceEntry,
+    performanceReport
+} = require('./performance.js');
+
+const IMPORT_CONTENT_TYPES = {
+    csv: 'text/csv',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Header per field, and the names accepted for it (compared lowercase without spaces or punctuation)
+const IMPORT_COLUMNS = {
+    outletCode: { header: 'Outlet Code', names: ['outletcode', 'outlet', 'code', 'kodeoutlet', 'storecode'] },
+    term: { header: 'Term', names: ['term'] },
+    revenue: { header: 'Revenue', names: ['revenue', 'sales', 'omzet'] },
+    trano: { header: 'Trano', names: ['trano', 'transactions', 'transaksi'] },
+    period: { header: 'Period', names: ['period', 'month'] }
+};
+const REQUIRED_COLUMNS = ['outletCode', 'term', 'revenue', 'trano'];
+
+function badRequest(error, status = 400) {
+    return { status, body: { success: false, error } };
+}
+
+function headerKey(value) {
+    return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Rows of cell text from an uploaded file
+ * @param {string} contentType - Request Content-Type (text/csv or the .xlsx type)
+ * @param {Uint8Array} bytes - Request body
+ * @param {string} [sheetName] - Worksheet of an .xlsx file (default: the first)
+ * @returns {Promise<Object>} { rows } or { status, body }
+ */
+async function readImportFile(contentType, bytes, sheetName) {
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    if (!Object.values(IMPORT_CONTENT_TYPES).includes(type)) {
+        return badRequest(`Content-Type must be ${IMPORT_CONTENT_TYPES.csv} or ${IMPORT_CONTENT_TYPES.xlsx}`, 415);
+    }
+    if (!bytes || bytes.length === 0) {
+        return badRequest('Upload a CSV or .xlsx file as the request body');
+    }
+    if (type === IMPORT_CONTENT_TYPES.csv) {
+        return { rows: parseCSV(new TextDecoder().decode(bytes)) };
+    }
+    try {
+        return { rows: await readXLSXRows(bytes, sheetName) };
+    } catch (error) {
+        return badRequest(error.message);
+    }
+}
+
+function parseTerm(value) {
+    const key = headerKey(value);
+    if (/^\d+$/.test(key)) return `term${key}`;
+    return key;
+}
+
+function parseAmount(value) {
+    const text = String(value ?? '').replace(/[,\s]/g, '');
+    return /^\d+(\.\d+)?$/.test(text) ? Number(text) : text === '' ? null : NaN;
+}
+
+/**
+ * Map the header row to fields and turn the other rows into records
+ * @returns {Object} { records: [{ row, outletCode, term, revenue, trano, period }] } or { status, body }
+ */
+function readImportRecords(rows) {
+    if (rows.length === 0) {
+        return badRequest('The file is empty');
+    }
+    const header = rows[0].map(headerKey);
+    const columns = {};
+    Object.entries(IMPORT_COLUMNS).forEach(([field, { names }]) => {
+        const index = header.findIndex(name => names.includes(name));
+        if (index >= 0) columns[field] = index;
+    });
+    const missing = REQUIRED_COLUMNS.filter(field => columns[field] === undefined);
+    if (missing.length > 0) {
+        return badRequest(`Missing column${missing.length > 1 ? 's' : ''}: ${missing.map(field => IMPORT_COLUMNS[field].header).join(', ')} ` +
+            `(header row: ${rows[0].join(', ')})`);
+    }
+
+    const cell = (row, field) => columns[field] === undefined ? '' : String(row[columns[field]] ?? '').trim();
+    return {
+        records: rows.slice(1).map((row, i) => ({
+            row: i + 2,
+            outletCode: cell(row, 'outletCode').toUpperCase(),
+            term: parseTerm(cell(row, 'term')),
+            revenue: parseAmount(cell(row, 'revenue')),
+            trano: parseAmount(cell(row, 'trano')),
+            period: cell(row, 'period') || undefined
+        }))
+    };
+}
+
+function sameValue(before, after) {
+    return Boolean(before) && before.revenue === after.revenue && before.trano === after.trano;
+}
+
+/**
+ * Check every record against the stored data and work out what applying them changes
+ * @param {Object[]} records - From readImportRecords
+ * @param {Object} data - Current Phoenix document
+ * @param {Function} historyFor - async outletCode => that outlet's performance entries
+ * @param {Object} user - Session user
+ * @returns {Promise<Object>} { changes, errors, outlets: { code: updated outlet }, entries } -
+ *   changes: [{ row, outletCode, term, period, before, after, status: 'new' | 'updated' | 'unchanged' }]
+ *   entries: history entries to record for the new and updated rows
+ */
+async function planPerformanceImport(records, data, historyFor, user, now = new Date()) {
+    const outlets = {};
+    const histories = {};
+    const seen = new Map();
+    const plan = { changes: [], errors: [], outlets, entries: [] };
+
+    for (const record of records) {
+        const fail = error => plan.errors.push({ row: record.row, outletCode: record.outletCode || null, error });
+
+        if (!record.outletCode) {
+            fail('Outlet code is empty');
+            continue;
+        }
+        if (!((data.outlets || {})[record.outletCode])) {
+            fail(`Unknown outlet code ${record.outletCode}`);
+            continue;
+        }
+        if (!canAccessOutlet(user, record.outletCode)) {
+            fail(`No access to outlet ${record.outletCode}`);
+            continue;
+        }
+        const validated = validatePerformanceEntry(record, user);
+        if (!validated.entry) {
+            fail(validated.body.error);
+            continue;
+        }
+
+        if (!histories[record.outletCode]) {
+            histories[record.outletCode] = [...(await historyFor(record.outletCode))];
+            outlets[record.outletCode] = data.outlets[record.outletCode];
+        }
+        const history = histories[record.outletCode];
+        const applied = applyPerformanceEntry(outlets[record.outletCode], validated.entry, history, now);
+        if (!applied.outlet) {
+            fail(applied.body.error);
+            continue;
+        }
+
+        const [entry] = applied.performance;
+        const key = `${record.outletCode}/${entry.term}/${entry.period}`;
+        if (seen.has(key)) {
+            fail(`Same outlet, term and period as row ${seen.get(key)}`);
+            continue;
+        }
+        seen.set(key, record.row);
+
+        const report = performanceReport(record.outletCode, outlets[record.outletCode], history, entry.period, now);
+        const before = report.body.current[entry.term];
+        const after = { revenue: entry.revenue, trano: entry.trano };
+        const status = !before ? 'new' : sameValue(before, after) ? 'unchanged' : 'updated';
+        plan.changes.push({
+            row: record.row,
+            outletCode: record.outletCode,
+            term: entry.term,
+            period: entry.period,
+            before: before ? { revenue: before.revenue, trano: before.trano } : null,
+            after,
+            status
+        });
+        if (status === 'unchanged') continue;
+
+        const logged = { outletCode: record.outletCode, ...entry, author: performanceAuthor(user) };
+        outlets[record.outletCode] = applied.outlet;
+        // Pending rows count as history, so a later row in the file sees them
+        history.push({ ...logged, id: Math.max(0, ...history.map(existing => existing.id)) + 1, recordedAt: null });
+        plan.entries.push(logged);
+    }
+    return plan;
+}
+
+/**
+ * Response body shared by the dry run and the applied import
+ */
+function importSummary(plan, dryRun) {
+    const count = status => plan.changes.filter(change => change.status === status).length;
+    return {
+        success: plan.errors.length === 0,
+        dryRun,
+        summary: {
+            rows: plan.changes.length + plan.errors.length,
+            new: count('new'),
+            updated: count('updated'),
+            unchanged: count('unchanged'),
+            errors: plan.errors.length,
+            outlets: [...new Set(plan.entries.map(entry => entry.outletCode))].length
+        },
+        changes: plan.changes,
+        errors: plan.errors
+    };
+}
+
+/**
+ * ?dryRun=true|1 on the import URL
+ */
+function isDryRun(query) {
+    return ['true', '1'].includes(String((query && query.dryRun) || '').toLowerCase());
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        IMPORT_CONTENT_TYPES,
+        readImportFile,
+        readImportRecords,
+        planPerformanceImport,
+        importSummary,
+        isDryRun
+    };
+}
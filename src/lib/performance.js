@@ -0,0 +1,224 @@
+/**
+ * Performance History for Phoenix OKR Backends
+ * Every revenue/trano entry for a term (baseline, term1-3) is kept as a log
+ * entry with its period (see periods.js), author and time;
+ * outlet.performanceData only holds the latest period's values. Entries come
+ * from POST /api/outlet/:code/performance and from document writes that change
+ * performanceData (those count for the outlet's current period).
+ *
+ * Entry: { id, outletCode, term, period: 'YYYY-MM' | 'YYYY-MM-DD' | null, revenue, trano, author, recordedAt }
+ * (period is null for values recorded before entries were dated)
+ */
+
+const { sessionUserId } = require('./users.js');
+const { hasPermission } = require('./permissions.js');
+const { today, isPeriodId, resolvePeriod, currentPeriodId } = require('./periods.js');
+const { calculatePeriodProgress } = require('./scorecard.js');
+
+const PERFORMANCE_TERMS = ['baseline', 'term1', 'term2', 'term3'];
+const PERFORMANCE_FIELDS = ['revenue', 'trano'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isAmount(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Author recorded on an entry: the session user's store id, e.g. "outlet:JKJSTT1"
+ */
+function performanceAuthor(user) {
+    return user ? sessionUserId(user) : null;
+}
+
+/**
+ * { revenue: 100, trano: 5 } - a term value that is kept in the history
+ */
+function isPerformanceValue(value) {
+    if (!isPlainObject(value)) return false;
+    const keys = Object.keys(value);
+    return keys.length > 0 &&
+        keys.every(key => PERFORMANCE_FIELDS.includes(key) && typeof value[key] === 'number' && Number.isFinite(value[key]));
+}
+
+function badRequest(error) {
+    return { status: 400, body: { success: false, error } };
+}
+
+/**
+ * Period id from a query string (?period=, or ?month=YYYY-MM); missing means the outlet's current period
+ * @returns {Object} { periodId: string | null } or { status, body }
+ */
+function parsePeriodQuery(query) {
+    const value = query.period || query.month;
+    if (value === undefined || value === null || value === '') {
+        return { periodId: null };
+    }
+    if (!isPeriodId(String(value))) {
+        return badRequest('period must be YYYY-MM or the start date (YYYY-MM-DD) of a custom period');
+    }
+    return { periodId: String(value) };
+}
+
+/**
+ * Validate a POST /api/outlet/:code/performance body
+ * Body: { term, revenue, trano, period? } - period defaults to the outlet's current period
+ * @returns {Object} { entry: { term, period, revenue, trano } } or { status, body }
+ */
+function validatePerformanceEntry(body, user) {
+    const { term, revenue, trano } = body || {};
+    if (!PERFORMANCE_TERMS.includes(term)) {
+        return badRequest(`term must be one of ${PERFORMANCE_TERMS.join(', ')}`);
+    }
+    if (!isAmount(revenue) || !isAmount(trano)) {
+        return badRequest('revenue and trano must be numbers of 0 or more');
+    }
+    if (term === 'baseline' && !hasPermission(user, 'edit_baseline')) {
+        return { status: 403, body: { success: false, error: 'Permission required: edit_baseline' } };
+    }
+
+    const parsed = parsePeriodQuery(body);
+    if (parsed.status) return parsed;
+    return { entry: { term, period: parsed.periodId, revenue, trano } };
+}
+
+// Entries in the order they take effect: by period (undated first), then as recorded
+function inEffectOrder(a, b) {
+    return (a.period || '').localeCompare(b.period || '') || a.id - b.id;
+}
+
+/**
+ * Apply a new entry to the outlet
+ * performanceData only moves when no later period already has an entry for the
+ * term, so correcting last month does not overwrite this month's numbers.
+ * @param {Object} outlet - Current outlet
+ * @param {Object} entry - Validated entry (period null = the outlet's current period)
+ * @param {Object[]} history - The outlet's existing entries
+ * @returns {Object} { outlet, performance: [entry] } for writeOutlet, or { status, body }
+ */
+function applyPerformanceEntry(outlet, entry, history, now = new Date()) {
+    const period = resolvePeriod(outlet, entry.period || currentPeriodId(outlet, now));
+    if (!period) {
+        return { status: 404, body: { success: false, error: `Period ${entry.period} not found` } };
+    }
+    if (period.start > today(now)) {
+        return badRequest('period cannot be in the future');
+    }
+
+    const dated = { ...entry, period: period.id };
+    const superseded = history.some(existing => existing.term === entry.term && (existing.period || '') > period.id);
+    if (superseded) {
+        return { outlet, performance: [dated] };
+    }
+    return {
+        outlet: {
+            ...outlet,
+            performanceData: {
+                ...(outlet.performanceData || {}),
+                [entry.term]: { revenue: entry.revenue, trano: entry.trano }
+            }
+        },
+        performance: [dated]
+    };
+}
+
+/**
+ * Entries for the performanceData terms a document write changed
+ * @param {Object} currentData - Stored document
+ * @param {Object} nextData - Document about to be saved
+ * @param {string[]} outletCodes - Outlets the write changed (commitRevision's changedOutlets)
+ * @returns {Object[]} Entries without id/recordedAt, in each outlet's current period
+ */
+function performanceChanges(currentData, nextData, outletCodes, user, now = new Date()) {
+    const entries = [];
+    outletCodes.forEach(outletCode => {
+        const before = (((currentData || {}).outlets || {})[outletCode] || {}).performanceData || {};
+        const outlet = (nextData.outlets || {})[outletCode] || {};
+        if (!isPlainObject(outlet.performanceData)) return;
+
+        Object.entries(outlet.performanceData).forEach(([term, value]) => {
+            if (!isPerformanceValue(value) || JSON.stringify(value) === JSON.stringify(before[term])) return;
+            entries.push({
+                outletCode,
+                term,
+                period: currentPeriodId(outlet, now),
+                revenue: value.revenue ?? null,
+                trano: value.trano ?? null,
+                author: performanceAuthor(user)
+            });
+        });
+    });
+    return entries;
+}
+
+function entryValue(entry) {
+    return {
+        revenue: entry.revenue,
+        trano: entry.trano,
+        period: entry.period,
+        author: entry.author,
+        recordedAt: entry.recordedAt
+    };
+}
+
+/**
+ * GET /api/outlet/:code/performance result for one period
+ * current: the baseline in effect (it carries over from earlier periods) and the
+ * period's latest term entries; in the current period, terms that have no dated
+ * entries yet fall back to performanceData.
+ * progress: calculatePeriodProgress over current
+ * history: the period's entries, newest first
+ * @returns {Object} { status, body }
+ */
+function performanceReport(outletCode, outlet, history, periodId, now = new Date()) {
+    const currentId = currentPeriodId(outlet, now);
+    const period = resolvePeriod(outlet, periodId || currentId);
+    if (!period) {
+        return { status: 404, body: { success: false, error: `Period ${periodId} not found` } };
+    }
+
+    const current = {};
+    PERFORMANCE_TERMS.forEach(term => { current[term] = null; });
+    history
+        .filter(entry => entry.term === 'baseline' ? (entry.period || '') <= period.id : entry.period === period.id)
+        .sort(inEffectOrder)
+        .forEach(entry => { current[entry.term] = entryValue(entry); });
+
+    if (period.id === currentId) {
+        Object.entries(outlet.performanceData || {}).forEach(([term, value]) => {
+            const dated = history.some(entry => entry.term === term && entry.period !== null);
+            if (current[term] || dated || !isPerformanceValue(value)) return;
+            current[term] = { ...value, period: null, author: null, recordedAt: null };
+        });
+    }
+
+    return {
+        status: 200,
+        body: {
+            success: true,
+            outletCode,
+            period: { ...period, current: period.id === currentId },
+            current,
+            progress: calculatePeriodProgress(current, period),
+            history: history
+                .filter(entry => entry.period === period.id)
+                .sort((a, b) => b.id - a.id)
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PERFORMANCE_TERMS,
+        PERFORMANCE_FIELDS,
+        performanceAuthor,
+        isPerformanceValue,
+        parsePeriodQuery,
+        validatePerformanceEntry,
+        applyPerformanceEntry,
+        performanceChanges,
+        performanceReport
+    };
+}
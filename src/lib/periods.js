@@ -0,0 +1,233 @@
+/**
+ * Program Periods for Phoenix OKR Backends
+ * A period is the stretch of time one set of baseline/term1-3 numbers belongs
+ * to. Every calendar month is a period (id 'YYYY-MM') split into terms at
+ * CONFIG.PERIODS.TERM_END_DAYS. An outlet can define its own ranges or term
+ * boundaries in outlet.periods, keyed by id: 'YYYY-MM' when the range is
+ * exactly a calendar month, otherwise its start date 'YYYY-MM-DD'. Ids
+ * therefore sort in start-date order.
+ *
+ * Stored definition: outlet.periods[id] = { label?, start, end, termEndDays }
+ * Period: { id, label, start, end, days, custom, termEndDays, terms: [{ id, start, end, days }] }
+ * Dates are 'YYYY-MM-DD' (UTC) and end dates are inclusive.
+ */
+
+const CONFIG = require('../../config.js');
+const { TERM_IDS } = require('./scorecard.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+function parseDate(value) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return null;
+    const ms = Date.parse(`${value}T00:00:00Z`);
+    // Rejects dates that roll over, e.g. 2026-02-30
+    return Number.isNaN(ms) || new Date(ms).toISOString().slice(0, 10) !== value ? null : ms;
+}
+
+function formatDate(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+    return formatDate(parseDate(date) + days * DAY_MS);
+}
+
+function daysBetween(start, end) {
+    return Math.round((parseDate(end) - parseDate(start)) / DAY_MS) + 1;
+}
+
+function today(now = new Date()) {
+    return now.toISOString().slice(0, 10);
+}
+
+function isDate(value) {
+    return parseDate(value) !== null;
+}
+
+function isPeriodId(value) {
+    return typeof value === 'string' && (MONTH_PATTERN.test(value) || parseDate(value) !== null);
+}
+
+function monthRange(monthId) {
+    const [year, month] = monthId.split('-').map(Number);
+    return {
+        start: `${monthId}-01`,
+        end: formatDate(Date.UTC(year, month, 0))
+    };
+}
+
+function defaultLabel(id, start, end) {
+    if (MONTH_PATTERN.test(id)) {
+        return new Date(`${start}T00:00:00Z`).toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    }
+    return `${start} to ${end}`;
+}
+
+function buildPeriod(id, definition, custom) {
+    const { start, end, termEndDays } = definition;
+    const days = daysBetween(start, end);
+    const ends = [...termEndDays, days];
+    let termStart = start;
+    let previous = 0;
+
+    const terms = TERM_IDS.map((termId, i) => {
+        const term = { id: termId, start: termStart, end: addDays(start, ends[i] - 1), days: ends[i] - previous };
+        termStart = addDays(term.end, 1);
+        previous = ends[i];
+        return term;
+    });
+
+    return {
+        id,
+        label: definition.label || defaultLabel(id, start, end),
+        start,
+        end,
+        days,
+        custom,
+        termEndDays: [...termEndDays],
+        terms
+    };
+}
+
+/**
+ * Period by id for an outlet: its own definition, or the calendar month with the default terms
+ * @returns {Object|null} null for an unknown custom id
+ */
+function resolvePeriod(outlet, periodId) {
+    const definition = ((outlet && outlet.periods) || {})[periodId];
+    if (definition) return buildPeriod(periodId, definition, true);
+    if (MONTH_PATTERN.test(periodId)) {
+        return buildPeriod(periodId, { ...monthRange(periodId), termEndDays: CONFIG.PERIODS.TERM_END_DAYS }, false);
+    }
+    return null;
+}
+
+/**
+ * Period a date falls in - the outlet's own periods win over calendar months
+ */
+function periodForDate(outlet, date) {
+    const covering = Object.entries((outlet && outlet.periods) || {})
+        .filter(([, definition]) => definition.start <= date && date <= definition.end)
+        .map(([id]) => id)
+        .sort();
+    return resolvePeriod(outlet, covering.length > 0 ? covering[covering.length - 1] : date.slice(0, 7));
+}
+
+function currentPeriodId(outlet, now = new Date()) {
+    return periodForDate(outlet, today(now)).id;
+}
+
+function invalid(error, status = 400) {
+    return { status, body: { success: false, error } };
+}
+
+/**
+ * Validate a period definition for an outlet
+ * Body: { start, end, label?, termEndDays? } - termEndDays are the last days of term1 and term2
+ * (default CONFIG.PERIODS.TERM_END_DAYS); term3 runs to the end of the period.
+ * @returns {Object} { id, definition } or { status, body }
+ */
+function validatePeriodDefinition(body, outlet) {
+    const { start, end, label } = body || {};
+    if (parseDate(start) === null || parseDate(end) === null) {
+        return invalid('start and end must be dates (YYYY-MM-DD)');
+    }
+    if (end < start) {
+        return invalid('end must not be before start');
+    }
+    const days = daysBetween(start, end);
+    if (days > CONFIG.PERIODS.MAX_DAYS) {
+        return invalid(`A period can be at most ${CONFIG.PERIODS.MAX_DAYS} days`);
+    }
+
+    const termEndDays = body.termEndDays === undefined ? CONFIG.PERIODS.TERM_END_DAYS : body.termEndDays;
+    const validEnds = Array.isArray(termEndDays) &&
+        termEndDays.length === TERM_IDS.length - 1 &&
+        termEndDays.every((day, i) => Number.isInteger(day) && day >= 1 && day > (i === 0 ? 0 : termEndDays[i - 1])) &&
+        termEndDays[termEndDays.length - 1] < days;
+    if (!validEnds) {
+        return invalid(`termEndDays must be ${TERM_IDS.length - 1} increasing day numbers inside the ${days}-day period`);
+    }
+    if (label !== undefined && (typeof label !== 'string' || label.length > 80)) {
+        return invalid('label must be text of at most 80 characters');
+    }
+
+    const month = monthRange(start.slice(0, 7));
+    const id = month.start === start && month.end === end ? start.slice(0, 7) : start;
+
+    const overlapping = Object.entries((outlet && outlet.periods) || {})
+        .find(([otherId, other]) => otherId !== id && other.start <= end && start <= other.end);
+    if (overlapping) {
+        return invalid(`Overlaps period ${overlapping[0]} (${overlapping[1].start} to ${overlapping[1].end})`, 409);
+    }
+
+    const definition = { start, end, termEndDays: [...termEndDays] };
+    if (label) definition.label = label;
+    return { id, definition };
+}
+
+/**
+ * Add or replace one of the outlet's own periods (POST /api/outlet/:code/periods)
+ * @returns {Object} { outlet } or { status, body }
+ */
+function definePeriod(outlet, body) {
+    const validated = validatePeriodDefinition(body, outlet);
+    if (!validated.id) return validated;
+    return { outlet: { ...outlet, periods: { ...(outlet.periods || {}), [validated.id]: validated.definition } } };
+}
+
+/**
+ * Remove one of the outlet's own periods; refused while entries are filed under it
+ * (a calendar month with custom terms goes back to the default terms)
+ * @returns {Object} { outlet } or { status, body }
+ */
+function removePeriod(outlet, periodId, history) {
+    if (!(outlet.periods || {})[periodId]) {
+        return invalid(`Period ${periodId} not found`, 404);
+    }
+    const entries = history.filter(entry => entry.period === periodId).length;
+    if (entries > 0 && !MONTH_PATTERN.test(periodId)) {
+        return invalid(`Period ${periodId} has ${entries} performance entries`, 409);
+    }
+    const periods = { ...outlet.periods };
+    delete periods[periodId];
+    return { outlet: { ...outlet, periods } };
+}
+
+/**
+ * Periods worth browsing for an outlet, newest first: its own periods, periods
+ * with performance entries and the current one
+ */
+function listPeriods(outlet, history, now = new Date()) {
+    const currentId = currentPeriodId(outlet, now);
+    const ids = new Set([currentId, ...Object.keys((outlet && outlet.periods) || {})]);
+    history.forEach(entry => { if (entry.period) ids.add(entry.period); });
+
+    return [...ids]
+        .map(id => resolvePeriod(outlet, id))
+        .filter(Boolean)
+        .sort((a, b) => b.id.localeCompare(a.id))
+        .map(period => ({
+            ...period,
+            current: period.id === currentId,
+            entries: history.filter(entry => entry.period === period.id).length
+        }));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TERM_IDS,
+        today,
+        isDate,
+        isPeriodId,
+        resolvePeriod,
+        periodForDate,
+        currentPeriodId,
+        validatePeriodDefinition,
+        definePeriod,
+        removePeriod,
+        listPeriods
+    };
+}
@@ -0,0 +1,146 @@
+/**
+ * Outlet Access Rules for Phoenix OKR Backends
+ * Same rules as AuthService.canAccessOutlet, enforced on the server:
+ * - Outlet users: only their own outlet code
+ * - HQ roles: only the outlets assigned to them
+ * - Roles with view_all_outlets: every outlet
+ * Session users must have gone through roles.applyRoles so permissions and
+ * accessibleOutlets reflect the current role registry.
+ */
+
+// Permission each kind of change needs (audit event actions from audit.js);
+// other changes only need access to the outlet
+const CHANGE_PERMISSIONS = {
+    okr_assignment: 'assign_okr',
+    okr_removal: 'assign_okr',
+    okr_edit: 'edit_okr',
+    kr_edit: 'edit_okr',
+    action_plan_edit: 'edit_okr',
+    like: 'like',
+    comment: 'comment'
+};
+
+const BASELINE_PATH = ['performanceData', 'baseline'];
+
+function hasPermission(user, permission) {
+    return !!user && Array.isArray(user.permissions) && user.permissions.includes(permission);
+}
+
+// The baseline inside a value found at path (a missing baseline counts as zeros)
+function baselineIn(value, path) {
+    const baseline = BASELINE_PATH.slice(path.length)
+        .reduce((inner, key) => (inner && typeof inner === 'object' ? inner[key] : undefined), value) || {};
+    return { revenue: baseline.revenue || 0, trano: baseline.trano || 0 };
+}
+
+// Whether an audit event changes performanceData.baseline; events on the whole
+// outlet or on performanceData carry the baseline inside their values
+function changesBaseline(event) {
+    if (event.action === 'outlet_delete') return false;
+    const path = event.path ? event.path.split('.') : [];
+    const depth = Math.min(path.length, BASELINE_PATH.length);
+    if (path.slice(0, depth).join('.') !== BASELINE_PATH.slice(0, depth).join('.')) return false;
+    if (path.length >= BASELINE_PATH.length) return true;
+    const before = baselineIn(event.oldValue, path);
+    const after = baselineIn(event.newValue, path);
+    return before.revenue !== after.revenue || before.trano !== after.trano;
+}
+
+function changePermissions(event) {
+    const permissions = [];
+    if (CHANGE_PERMISSIONS[event.action]) permissions.push(CHANGE_PERMISSIONS[event.action]);
+    // A new outlet may come with its OKR
+    if (event.action === 'outlet_create' && event.newValue && event.newValue.okr) permissions.push('assign_okr');
+    if (changesBaseline(event)) permissions.push('edit_baseline');
+    return permissions;
+}
+
+/**
+ * Refuse a write that changes something the user's role does not allow,
+ * e.g. the baseline without edit_baseline or a comment without comment
+ * @param {Object[]} events - audit.auditEvents of the write
+ * @returns {Object|null} { status: 403, body } or null when every change is allowed
+ */
+function checkChangePermissions(events, user) {
+    const missing = [...new Set(events.flatMap(changePermissions))]
+        .filter(permission => !hasPermission(user, permission));
+    if (missing.length === 0) return null;
+    return { status: 403, body: { success: false, error: `Permission required: ${missing.join(', ')}` } };
+}
+
+/**
+ * Outlet codes the user may access, or 'ALL'
+ */
+function getAccessibleOutlets(user) {
+    if (!user) return [];
+    if (user.accessibleOutlets === 'ALL') return 'ALL';
+    if (user.type === 'outlet') return [String(user.username).toUpperCase()];
+    return (user.accessibleOutlets || []).map(code => String(code).toUpperCase());
+}
+
+function canAccessOutlet(user, outletCode) {
+    const accessible = getAccessibleOutlets(user);
+    if (accessible === 'ALL') return true;
+    return accessible.includes(String(outletCode).toUpperCase());
+}
+
+/**
+ * Return a copy of the Phoenix data containing only the outlets the user may see
+ */
+function filterDataForUser(data, user) {
+    const outlets = data.outlets || {};
+    if (getAccessibleOutlets(user) === 'ALL') {
+        return data;
+    }
+
+    const visible = {};
+    Object.keys(outlets).forEach(code => {
+        if (canAccessOutlet(user, code)) {
+            visible[code] = outlets[code];
+        }
+    });
+    const removedOutlets = {};
+    Object.entries(data.removedOutlets || {}).forEach(([code, revision]) => {
+        if (canAccessOutlet(user, code)) {
+            removedOutlets[code] = revision;
+        }
+    });
+    return { ...data, outlets: visible, removedOutlets };
+}
+
+/**
+ * Merge a full-document save into the stored data, honouring outlet scope
+ * Users who see every outlet replace the whole document. Everyone else only updates the outlets
+ * they own; other outlets in the submission are skipped and outlets missing
+ * from it are left untouched (deletes go through DELETE /api/outlet/:code).
+ * @returns {{data: Object, skippedOutlets: string[]}}
+ */
+function mergeScopedSave(currentData, submittedData, user) {
+    if (getAccessibleOutlets(user) === 'ALL') {
+        return { data: submittedData, skippedOutlets: [] };
+    }
+
+    const merged = { ...currentData, outlets: { ...(currentData.outlets || {}) } };
+    const skippedOutlets = [];
+
+    Object.entries(submittedData.outlets || {}).forEach(([code, outlet]) => {
+        if (canAccessOutlet(user, code)) {
+            merged.outlets[code] = outlet;
+        } else {
+            skippedOutlets.push(code);
+        }
+    });
+
+    return { data: merged, skippedOutlets };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        hasPermission,
+        checkChangePermissions,
+        getAccessibleOutlets,
+        canAccessOutlet,
+        filterDataForUser,
+        mergeScopedSave
+    };
+}
@@ -0,0 +1,194 @@
+/**
+ * Revision Numbers for Phoenix OKR Data
+ * Every write to the Phoenix document bumps data.revision, and each outlet it
+ * touched records that number in outlet.revision. GET responses carry the
+ * revision as an ETag. Writes must send it back in If-Match, so a client
+ * working from an old copy gets a 409 instead of silently overwriting someone
+ * else's changes.
+ *
+ * Removed outlets are remembered in data.removedOutlets ({ code: revision }) so
+ * a conflict response can tell the client what disappeared since its copy.
+ *
+ * phoenix-store.js loads this file in the browser with a <script> tag, so it
+ * has no top-level requires: permissions.js is only loaded by checkDocumentWrite.
+ */
+
+const REVISION_CONFLICT = 'REVISION_CONFLICT';
+const PRECONDITION_REQUIRED = 'PRECONDITION_REQUIRED';
+
+// Fields the server maintains itself; they never count as a change to an outlet
+const SERVER_FIELDS = ['revision', 'lastUpdated', 'lastModified'];
+
+function documentRevision(data) {
+    return Number(data && data.revision) || 0;
+}
+
+function outletRevision(outlet) {
+    return Number(outlet && outlet.revision) || 0;
+}
+
+function formatETag(revision) {
+    return `"${revision}"`;
+}
+
+/**
+ * Parse an If-Match header
+ * @returns {null|'*'|number[]} null when the header is missing
+ */
+function parseIfMatch(header) {
+    if (header === undefined || header === null || String(header).trim() === '') return null;
+    if (String(header).trim() === '*') return '*';
+    return String(header).split(',')
+        .map(tag => tag.trim().replace(/^W\//, '').replace(/^"|"$/g, ''))
+        .filter(tag => /^\d+$/.test(tag))
+        .map(Number);
+}
+
+/**
+ * Check a write's If-Match header against the current revision
+ * @param {string} ifMatch - Raw If-Match header
+ * @param {number} currentRevision - Revision the write would replace
+ * @param {Function} describeConflict - baseRevision => extra fields for the 409 body
+ * @returns {Object|null} { status, body, headers? } when the write must be refused, null when it may go ahead
+ */
+function checkIfMatch(ifMatch, currentRevision, describeConflict = () => ({})) {
+    const expected = parseIfMatch(ifMatch);
+    if (expected === null) {
+        return {
+            status: 428,
+            body: {
+                success: false,
+                error: 'If-Match header required - send the ETag from your last read',
+                code: PRECONDITION_REQUIRED,
+                currentRevision
+            }
+        };
+    }
+    if (expected === '*' || expected.includes(currentRevision)) {
+        return null;
+    }
+    const baseRevision = expected.length > 0 ? Math.max(...expected) : null;
+    return {
+        status: 409,
+        body: {
+            success: false,
+            error: `Data changed on the server (now at revision ${currentRevision}) - reload and try again`,
+            code: REVISION_CONFLICT,
+            currentRevision,
+            baseRevision,
+            ...describeConflict(baseRevision)
+        },
+        headers: { ETag: formatETag(currentRevision) }
+    };
+}
+
+function withoutServerFields(outlet) {
+    if (!outlet || typeof outlet !== 'object') return outlet;
+    const copy = { ...outlet };
+    SERVER_FIELDS.forEach(field => delete copy[field]);
+    return copy;
+}
+
+function sameOutlet(a, b) {
+    return JSON.stringify(withoutServerFields(a)) === JSON.stringify(withoutServerFields(b));
+}
+
+/**
+ * Stamp the next revision onto a document that is about to be saved
+ * Outlets whose content changed get the new revision; unchanged outlets keep the
+ * revision they already had, whatever the client sent.
+ * @param {Object} currentData - Stored document
+ * @param {Object} nextData - Document about to be saved (modified in place)
+ * @returns {{data: Object, revision: number, changedOutlets: string[], removedOutlets: string[]}}
+ */
+function commitRevision(currentData, nextData) {
+    const revision = documentRevision(currentData) + 1;
+    const before = (currentData && currentData.outlets) || {};
+    const after = nextData.outlets || {};
+    const changedOutlets = [];
+    const removedOutlets = Object.keys(before).filter(code => !(code in after));
+
+    Object.keys(after).forEach(code => {
+        if (code in before && sameOutlet(before[code], after[code])) {
+            after[code] = { ...after[code], revision: outletRevision(before[code]) };
+        } else {
+            after[code] = { ...after[code], revision };
+            changedOutlets.push(code);
+        }
+    });
+
+    const removed = { ...((currentData && currentData.removedOutlets) || {}) };
+    removedOutlets.forEach(code => { removed[code] = revision; });
+    changedOutlets.forEach(code => { delete removed[code]; });
+
+    nextData.outlets = after;
+    nextData.removedOutlets = removed;
+    nextData.revision = revision;
+    return { data: nextData, revision, changedOutlets, removedOutlets };
+}
+
+/**
+ * Outlets added, changed or removed after a given revision
+ */
+function changesSince(data, baseRevision) {
+    const base = Number(baseRevision) || 0;
+    return {
+        changedOutlets: Object.entries((data && data.outlets) || {})
+            .filter(([, outlet]) => outletRevision(outlet) > base)
+            .map(([code]) => code),
+        removedOutlets: Object.entries((data && data.removedOutlets) || {})
+            .filter(([, revision]) => revision > base)
+            .map(([code]) => code)
+    };
+}
+
+/**
+ * If-Match check for a full-document save (POST /api/phoenix-data)
+ * Users limited to some outlets only conflict when one of their outlets changed.
+ * The 409 body holds the caller's view of the current document plus the outlets
+ * that changed since their copy, which is what the client needs to rebase.
+ */
+function checkDocumentWrite(ifMatch, currentData, user) {
+    const { getAccessibleOutlets, canAccessOutlet, filterDataForUser } = require('./permissions');
+
+    // Scoped users only write their own outlets, so changes elsewhere are not a conflict for them
+    const expected = parseIfMatch(ifMatch);
+    if (Array.isArray(expected) && expected.length > 0 && getAccessibleOutlets(user) !== 'ALL') {
+        const changes = changesSince(currentData, Math.max(...expected));
+        const touched = [...changes.changedOutlets, ...changes.removedOutlets].filter(code => canAccessOutlet(user, code));
+        if (touched.length === 0) return null;
+    }
+
+    return checkIfMatch(ifMatch, documentRevision(currentData), baseRevision => {
+        const changes = changesSince(currentData, baseRevision);
+        return {
+            changedOutlets: changes.changedOutlets.filter(code => canAccessOutlet(user, code)),
+            removedOutlets: changes.removedOutlets.filter(code => canAccessOutlet(user, code)),
+            data: filterDataForUser(currentData, user)
+        };
+    });
+}
+
+/**
+ * If-Match check for a single-outlet write; an outlet that does not exist yet is at revision 0
+ */
+function checkOutletWrite(ifMatch, currentData, outletCode) {
+    const outlet = ((currentData && currentData.outlets) || {})[outletCode];
+    return checkIfMatch(ifMatch, outletRevision(outlet), () => ({ data: outlet || null }));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REVISION_CONFLICT,
+        PRECONDITION_REQUIRED,
+        documentRevision,
+        outletRevision,
+        formatETag,
+        parseIfMatch,
+        checkIfMatch,
+        commitRevision,
+        changesSince,
+        checkDocumentWrite,
+        checkOutletWrite
+    };
+}
@@ -0,0 +1,233 @@
+/**
+ * Monthly Reward Payout Report for Phoenix OKR Backends
+ * GET /api/reports/rewards?month=YYYY-MM lists, per outlet, what its reward for
+ * the month comes to: the AM and regional manager (from the AM hierarchy on the
+ * first of the month, see src/lib/hierarchy.js), monthly target, revenue, achievement, tier,
+ * reward % and amount (from the scorecard) and the approved special medals of
+ * the medal ledger. format=csv (default), xlsx or json.
+ *
+ * Every row has a payout state that users with approve_payouts change:
+ *   pending -> approved -> paid (approved rows can go back to pending)
+ * Approving freezes the row's figures, so later edits to targets or revenue do
+ * not change an approved or paid payout; paid rows are final.
+ *
+ * Payout record: { month, outletCode, status, row (frozen figures, null when pending), changedBy, changedAt }
+ */
+
+const { toCSV } = require('./csv.js');
+const { XLSX_CONTENT_TYPE, writeXLSX } = require('./xlsx.js');
+const { canAccessOutlet } = require('./permissions.js');
+const { performanceAuthor } = require('./performance.js');
+const { today, resolvePeriod } = require('./periods.js');
+const { outletScorecard } = require('./scorecard.js');
+const { buildMedals } = require('./medals.js');
+const { periodStartDate, managersAsOf } = require('./hierarchy.js');
+
+const PAYOUT_STATUSES = ['pending', 'approved', 'paid'];
+// Allowed changes: status -> statuses it can move to
+const PAYOUT_TRANSITIONS = { pending: ['approved'], approved: ['pending', 'paid'], paid: [] };
+const REPORT_FORMATS = { csv: 'text/csv; charset=utf-8', xlsx: XLSX_CONTENT_TYPE, json: null };
+
+// Columns of the CSV/XLSX file: header and row field
+const REPORT_COLUMNS = [
+    ['Outlet Code', 'outletCode'],
+    ['Outlet Name', 'outletName'],
+    ['AM', 'am'],
+    ['Regional Manager', 'regionalManager'],
+    ['Monthly Target', 'monthlyTarget'],
+    ['Revenue', 'revenue'],
+    ['Achievement %', 'achievementPercent'],
+    ['Tier', 'tierName'],
+    ['Reward %', 'rewardPercent'],
+    ['Reward Amount', 'rewardAmount'],
+    ['Special Medals', 'specialMedalNames'],
+    ['Special Medal Amount', 'specialMedalAmount'],
+    ['Total Payout', 'totalPayout'],
+    ['Status', 'status'],
+    ['Status Changed By', 'changedBy'],
+    ['Status Changed At', 'changedAt']
+];
+
+function invalid(error, status = 400) {
+    return { status, body: { success: false, error } };
+}
+
+function isMonth(value) {
+    return typeof value === 'string' && /^\d{4}-(0[1-9]|1[0-2])$/.test(value);
+}
+
+/**
+ * Figures of one outlet for the month, as they stand now
+ */
+function liveRow(outletCode, outlet, scorecard, medals, registered, managers) {
+    const specials = medals.filter(medal => medal.kind === 'special' && medal.outletCode === outletCode && medal.status === 'approved');
+    const specialMedalAmount = specials.reduce((sum, medal) => sum + (medal.rewardAmount || 0), 0);
+    return {
+        outletName: registered.name || outlet.name || outletCode,
+        am: managers ? managers.amName : registered.am || outlet.am || '',
+        regionalManager: (managers && managers.regionalManagerName) || '',
+        monthlyTarget: scorecard.revenue.target,
+        revenue: scorecard.revenue.achieved,
+        achievementPercent: scorecard.revenue.percent,
+        tier: scorecard.tier.tier,
+        tierName: scorecard.tier.name,
+        rewardPercent: scorecard.reward.percent,
+        rewardAmount: scorecard.reward.amount,
+        schemeId: scorecard.scheme.id,
+        specialMedals: specials.map(medal => ({ id: medal.id, type: medal.type, tierName: medal.tierName, rewardAmount: medal.rewardAmount })),
+        specialMedalNames: specials.map(medal => `${medal.typeName} (${medal.tierName})`).join('; '),
+        specialMedalAmount,
+        totalPayout: scorecard.reward.amount + specialMedalAmount
+    };
+}
+
+/**
+ * Report rows for the outlets the user can access
+ * @param {Object} sources - { data, historyFor, schemeVersions, medalEntries, outlets, hierarchy, people, payouts }
+ *   historyFor: async outletCode => performance entries; medalEntries: the medal ledger;
+ *   outlets: the outlet registry by code (outletDirectory); hierarchy: the AM hierarchy assignments;
+ *   people: HQ users by email (peopleDirectory); payouts: the month's payout records
+ * @returns {Promise<Object[]>} Rows sorted by outlet code
+ */
+async function rewardReportRows(month, sources, user, now = new Date()) {
+    const { data, historyFor, schemeVersions, medalEntries, payouts, outlets = {}, hierarchy = [], people = {} } = sources;
+    const medals = buildMedals(medalEntries).filter(medal => medal.period === month);
+    const managers = managersAsOf(hierarchy, periodStartDate(month), people);
+    const payoutFor = new Map(payouts.map(payout => [payout.outletCode, payout]));
+    const rows = [];
+
+    for (const [outletCode, outlet] of Object.entries(data.outlets || {}).sort(([a], [b]) => a.localeCompare(b))) {
+        if (!canAccessOutlet(user, outletCode)) continue;
+        const payout = payoutFor.get(outletCode) || { status: 'pending', row: null, changedBy: null, changedAt: null };
+        let figures = payout.row;
+        if (!figures) {
+            const scorecard = outletScorecard(outletCode, outlet, await historyFor(outletCode), schemeVersions, month, now);
+            if (scorecard.status !== 200) continue;
+            figures = liveRow(outletCode, outlet, scorecard.body, medals, outlets[outletCode] || {}, managers[outletCode]);
+        }
+        rows.push({
+            outletCode,
+            ...figures,
+            status: payout.status,
+            changedBy: payout.changedBy,
+            changedAt: payout.changedAt
+        });
+    }
+    return rows;
+}
+
+// The figures an approved payout keeps: the row without its outlet code and payout state
+function frozenFigures(row) {
+    const { outletCode, status, changedBy, changedAt, ...figures } = row;
+    return figures;
+}
+
+function reportTotals(rows) {
+    const sum = field => rows.reduce((total, row) => total + (row[field] || 0), 0);
+    return {
+        outlets: rows.length,
+        rewardAmount: sum('rewardAmount'),
+        specialMedalAmount: sum('specialMedalAmount'),
+        totalPayout: sum('totalPayout'),
+        byStatus: Object.fromEntries(PAYOUT_STATUSES.map(status => [status, rows.filter(row => row.status === status).length]))
+    };
+}
+
+/**
+ * GET /api/reports/rewards?month=YYYY-MM&format=csv|xlsx|json
+ * @param {Object} sources - { data, historyFor, schemeVersions, medalEntries, outlets, hierarchy, people } (see rewardReportRows)
+ * @param {Object} store - Payout store: list(month), save(records)
+ * @returns {Promise<Object>} { status, body, headers } - body is text (csv), bytes (xlsx) or an object (json, errors)
+ */
+async function rewardReport(query, sources, store, user, now = new Date()) {
+    const month = query && query.month;
+    const format = String((query && query.format) || 'csv').toLowerCase();
+    if (!isMonth(month)) {
+        return invalid('month must be YYYY-MM');
+    }
+    if (!(format in REPORT_FORMATS)) {
+        return invalid(`format must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}`);
+    }
+
+    const rows = await rewardReportRows(month, { ...sources, payouts: await store.list(month) }, user, now);
+    if (format === 'json') {
+        return { status: 200, body: { success: true, month, rows, totals: reportTotals(rows) } };
+    }
+
+    const table = [REPORT_COLUMNS.map(([header]) => header), ...rows.map(row => REPORT_COLUMNS.map(([, field]) => row[field] ?? null))];
+    return {
+        status: 200,
+        headers: {
+            'Content-Type': REPORT_FORMATS[format],
+            'Content-Disposition': `attachment; filename="rewards-${month}.${format}"`
+        },
+        body: format === 'csv' ? toCSV(table) + '\n' : writeXLSX(table, `Rewards ${month}`)
+    };
+}
+
+/**
+ * POST /api/reports/rewards/status - body { month, status, outlets? }
+ * Moves the listed outlets (default: every outlet in the user's report) to status.
+ * Rows that cannot make the change (e.g. paid rows, or pending rows marked paid) are skipped.
+ * Approving and paying need the month to have ended.
+ * @param {Object} sources - As for rewardReport
+ */
+async function setRewardPayoutStatus(body, sources, store, user, now = new Date()) {
+    const { month, status, outlets } = body || {};
+    if (!isMonth(month)) {
+        return invalid('month must be YYYY-MM');
+    }
+    if (!PAYOUT_STATUSES.includes(status)) {
+        return invalid(`status must be one of: ${PAYOUT_STATUSES.join(', ')}`);
+    }
+    if (outlets !== undefined && !(Array.isArray(outlets) && outlets.length > 0 && outlets.every(code => typeof code === 'string'))) {
+        return invalid('outlets must be a non-empty array of outlet codes');
+    }
+    if (status !== 'pending' && resolvePeriod({}, month).end >= today(now)) {
+        return invalid(`${month} has not ended yet`, 409);
+    }
+
+    const rows = await rewardReportRows(month, { ...sources, payouts: await store.list(month) }, user, now);
+    const wanted = outlets ? new Set(outlets.map(code => code.toUpperCase())) : null;
+    const skipped = wanted
+        ? [...wanted].filter(code => !rows.some(row => row.outletCode === code)).map(outletCode => ({ outletCode, reason: 'Not in your report' }))
+        : [];
+    const changedAt = now.toISOString();
+    const records = [];
+
+    rows.filter(row => !wanted || wanted.has(row.outletCode)).forEach(row => {
+        if (row.status === status) return;
+        if (!PAYOUT_TRANSITIONS[row.status].includes(status)) {
+            skipped.push({ outletCode: row.outletCode, reason: `A ${row.status} payout cannot be marked ${status}` });
+            return;
+        }
+        records.push({
+            month,
+            outletCode: row.outletCode,
+            status,
+            row: status === 'pending' ? null : frozenFigures(row),
+            changedBy: performanceAuthor(user),
+            changedAt
+        });
+    });
+
+    await store.save(records);
+    return {
+        status: 200,
+        body: {
+            success: true,
+            month,
+            status,
+            changed: records.map(record => record.outletCode),
+            skipped
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PAYOUT_STATUSES,
+        rewardReport,
+        setRewardPayoutStatus
+    };
+}
@@ -0,0 +1,336 @@
+/**
+ * Reward Schemes for Phoenix OKR Backends
+ * A scheme sets the sales target tiers and reward percentages for a group of
+ * outlets - a cluster such as new or mall outlets, or '*' for the whole
+ * program - over a range of months. The built-in DEFAULT scheme is
+ * CONFIG.REWARD_TIERS on revenue; admins add schemes through
+ * /api/reward-schemes and they are kept in the reward scheme store
+ * (reward_schemes table in D1, data/reward-schemes.json for api-server.js).
+ *
+ * Scheme: { id, name, description, basis: 'revenue' | 'trano' | 'both',
+ *           tiers: [{ tier, name, medal, threshold, rewardPercent }],
+ *           outlets: [outlet codes] | ['*'], startMonth, endMonth, version }
+ * basis 'trano' measures the terms' trano against salesTargets.monthlyTranoTarget;
+ * 'both' needs revenue and trano to reach a tier's threshold.
+ *
+ * Every change is kept as a numbered version ({ schemeId, version, scheme,
+ * changedBy, changedAt }; scheme is null for a delete). A period is scored with
+ * the versions in effect when it ended, or now for a running period, so later
+ * edits leave rewards already earned alone.
+ */
+
+const CONFIG = require('../../config.js');
+const { normalizeRoleId } = require('./roles.js');
+const { performanceAuthor } = require('./performance.js');
+const { today, periodForDate } = require('./periods.js');
+
+const DEFAULT_SCHEME_ID = 'DEFAULT';
+const REWARD_BASES = ['revenue', 'trano', 'both'];
+const ALL_OUTLETS = '*';
+// The dashboards show up to three tiers (bronze, silver, gold)
+const MAX_TIERS = 3;
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+function defaultScheme() {
+    return {
+        id: DEFAULT_SCHEME_ID,
+        name: 'Phoenix default',
+        description: 'CONFIG.REWARD_TIERS on revenue; applies where no other scheme does',
+        basis: 'revenue',
+        tiers: CONFIG.REWARD_TIERS.map(tier => ({ ...tier })),
+        outlets: [ALL_OUTLETS],
+        startMonth: null,
+        endMonth: null,
+        version: 0,
+        builtIn: true
+    };
+}
+
+function invalid(error, status = 400) {
+    return { status, body: { success: false, error } };
+}
+
+function validateTiers(tiers) {
+    if (!Array.isArray(tiers) || tiers.length === 0 || tiers.length > MAX_TIERS) {
+        return { error: `tiers must be a list of 1 to ${MAX_TIERS} tiers, lowest first` };
+    }
+    const normalized = [];
+    for (const [i, tier] of tiers.entries()) {
+        const { name, medal, threshold, rewardPercent } = tier || {};
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            return { error: `Tier ${i + 1} needs a name` };
+        }
+        if (typeof threshold !== 'number' || !(threshold > 0 && threshold <= 2)) {
+            return { error: `Tier ${i + 1} threshold must be a share of the target above 0 and at most 2 (e.g. 0.8 for 80%)` };
+        }
+        if (i > 0 && threshold <= normalized[i - 1].threshold) {
+            return { error: 'Tier thresholds must increase from the first tier to the last' };
+        }
+        if (typeof rewardPercent !== 'number' || !(rewardPercent >= 0 && rewardPercent <= 100)) {
+            return { error: `Tier ${i + 1} rewardPercent must be a number from 0 to 100` };
+        }
+        if (medal !== undefined && typeof medal !== 'string') {
+            return { error: `Tier ${i + 1} medal must be a string` };
+        }
+        normalized.push({
+            tier: i + 1,
+            name: name.trim(),
+            medal: medal || (CONFIG.REWARD_TIERS[i] || {}).medal || '🏅',
+            threshold,
+            rewardPercent
+        });
+    }
+    return { tiers: normalized };
+}
+
+function validateOutlets(outlets) {
+    if (!Array.isArray(outlets) || outlets.length === 0) {
+        return { error: `outlets must list outlet codes, or be ["${ALL_OUTLETS}"] for every outlet` };
+    }
+    const codes = [...new Set(outlets.map(code => String(code || '').trim().toUpperCase()))];
+    if (codes.includes(ALL_OUTLETS)) {
+        return codes.length === 1 ? { outlets: codes } : { error: `"${ALL_OUTLETS}" cannot be combined with outlet codes` };
+    }
+    const bad = codes.filter(code => !/^[A-Z0-9]+$/.test(code));
+    if (bad.length > 0) {
+        return { error: `Invalid outlet codes: ${bad.join(', ')}` };
+    }
+    return { outlets: codes.sort() };
+}
+
+/**
+ * Scheme from a create/update body, on top of the existing scheme for updates
+ * @returns {Object} { scheme } or { error }
+ */
+function buildScheme(body, existing) {
+    const fields = body || {};
+    const base = existing || { description: '', basis: 'revenue', startMonth: null, endMonth: null };
+
+    const name = fields.name !== undefined ? fields.name : base.name;
+    if (!name || typeof name !== 'string' || !name.trim()) {
+        return { error: 'name is required' };
+    }
+    if (fields.description !== undefined && typeof fields.description !== 'string') {
+        return { error: 'description must be a string' };
+    }
+    const basis = fields.basis !== undefined ? fields.basis : base.basis;
+    if (!REWARD_BASES.includes(basis)) {
+        return { error: `basis must be one of: ${REWARD_BASES.join(', ')}` };
+    }
+
+    const tiers = fields.tiers !== undefined || !existing ? validateTiers(fields.tiers) : { tiers: base.tiers };
+    if (tiers.error) return tiers;
+    const outlets = fields.outlets !== undefined || !existing ? validateOutlets(fields.outlets) : { outlets: base.outlets };
+    if (outlets.error) return outlets;
+
+    const startMonth = fields.startMonth !== undefined ? fields.startMonth || null : base.startMonth;
+    const endMonth = fields.endMonth !== undefined ? fields.endMonth || null : base.endMonth;
+    for (const [field, value] of [['startMonth', startMonth], ['endMonth', endMonth]]) {
+        if (value !== null && !MONTH_PATTERN.test(value)) {
+            return { error: `${field} must be YYYY-MM or null` };
+        }
+    }
+    if (startMonth && endMonth && startMonth > endMonth) {
+        return { error: 'startMonth must not be after endMonth' };
+    }
+
+    return {
+        scheme: {
+            name: name.trim(),
+            description: fields.description !== undefined ? fields.description : base.description,
+            basis,
+            tiers: tiers.tiers,
+            outlets: outlets.outlets,
+            startMonth,
+            endMonth
+        }
+    };
+}
+
+function coversMonth(scheme, month) {
+    return (!scheme.startMonth || scheme.startMonth <= month) && (!scheme.endMonth || month <= scheme.endMonth);
+}
+
+function monthsOverlap(a, b) {
+    return (a.startMonth || '0000-00') <= (b.endMonth || '9999-99') && (b.startMonth || '0000-00') <= (a.endMonth || '9999-99');
+}
+
+/**
+ * Outlets both schemes would claim in the same month, if their months overlap.
+ * Outlet lists take precedence over '*', so only schemes of the same kind collide.
+ */
+function conflictingOutlets(a, b) {
+    if (!monthsOverlap(a, b)) return [];
+    const aAll = a.outlets.includes(ALL_OUTLETS);
+    const bAll = b.outlets.includes(ALL_OUTLETS);
+    if (aAll || bAll) return aAll && bAll ? [ALL_OUTLETS] : [];
+    return a.outlets.filter(code => b.outlets.includes(code));
+}
+
+function findConflict(scheme, others) {
+    for (const other of others) {
+        const shared = conflictingOutlets(scheme, other);
+        if (shared.length > 0) {
+            const months = `${other.startMonth || 'the start'} to ${other.endMonth || 'open end'}`;
+            return invalid(`Scheme ${other.id} already covers ${shared.includes(ALL_OUTLETS) ? 'all outlets' : shared.join(', ')} ` +
+                `from ${months}; narrow the outlets or months of one of them`, 409);
+        }
+    }
+    return null;
+}
+
+async function nextVersion(store, schemeId) {
+    const versions = await store.versions(schemeId);
+    return versions.reduce((latest, entry) => Math.max(latest, entry.version), 0) + 1;
+}
+
+/**
+ * Store the scheme (null deletes it) as a new version
+ */
+async function commitScheme(store, schemeId, scheme, user, now) {
+    const change = {
+        schemeId,
+        version: await nextVersion(store, schemeId),
+        changedBy: performanceAuthor(user),
+        changedAt: now.toISOString()
+    };
+    change.scheme = scheme ? { ...scheme, id: schemeId, version: change.version } : null;
+    await store.commit(change);
+    return change;
+}
+
+/**
+ * Scheme that scores a period for an outlet, with the versions in effect at the period's end
+ * @param {Object[]} versions - Every stored version (store.versions())
+ * @param {string} outletCode
+ * @param {Object} period - From resolvePeriod
+ * @returns {Object} A stored scheme (with its version) or the built-in DEFAULT
+ */
+function schemeForPeriod(versions, outletCode, period, now = new Date()) {
+    const asOf = period.end < today(now) ? `${period.end}T23:59:59.999Z` : now.toISOString();
+    const latest = {};
+    versions
+        .filter(entry => entry.changedAt <= asOf)
+        .forEach(entry => {
+            const current = latest[entry.schemeId];
+            if (!current || entry.version > current.version) latest[entry.schemeId] = entry;
+        });
+
+    const month = period.start.slice(0, 7);
+    const active = Object.values(latest)
+        .map(entry => entry.scheme)
+        .filter(scheme => scheme && coversMonth(scheme, month))
+        .sort((a, b) => a.id.localeCompare(b.id));
+    return active.find(scheme => scheme.outlets.includes(outletCode))
+        || active.find(scheme => scheme.outlets.includes(ALL_OUTLETS))
+        || defaultScheme();
+}
+
+/**
+ * GET /api/reward-schemes - the schemes, and which one applies to each given outlet's current period
+ * @param {Object} outlets - Map of outlet code to outlet (the caller's outlets)
+ */
+async function listRewardSchemes(store, outlets = {}, now = new Date()) {
+    const versions = await store.versions();
+    const stored = (await store.list()).sort((a, b) => a.id.localeCompare(b.id));
+    const current = {};
+    Object.entries(outlets).forEach(([code, outlet]) => {
+        current[code] = schemeForPeriod(versions, code, periodForDate(outlet, today(now)), now).id;
+    });
+    return {
+        status: 200,
+        body: {
+            success: true,
+            bases: REWARD_BASES,
+            schemes: [defaultScheme(), ...stored],
+            current
+        }
+    };
+}
+
+/**
+ * POST /api/reward-schemes - body { id?, name, description?, basis?, tiers, outlets, startMonth?, endMonth? }
+ */
+async function createRewardScheme(body, store, user, now = new Date()) {
+    const built = buildScheme(body, null);
+    if (built.error) return invalid(built.error);
+
+    const id = normalizeRoleId((body && body.id) || built.scheme.name);
+    if (!id) {
+        return invalid('Scheme id must contain letters or digits');
+    }
+    if (id === DEFAULT_SCHEME_ID || await store.get(id)) {
+        return invalid(`Scheme ${id} already exists`, 409);
+    }
+    const conflict = findConflict(built.scheme, await store.list());
+    if (conflict) return conflict;
+
+    const change = await commitScheme(store, id, { ...built.scheme, createdAt: now.toISOString() }, user, now);
+    return { status: 201, body: { success: true, scheme: change.scheme } };
+}
+
+/**
+ * PUT /api/reward-schemes/:id - any of the create fields
+ */
+async function updateRewardScheme(id, body, store, user, now = new Date()) {
+    const schemeId = normalizeRoleId(id);
+    if (schemeId === DEFAULT_SCHEME_ID) {
+        return invalid('The DEFAULT scheme comes from CONFIG.REWARD_TIERS; add a scheme for all outlets ("*") to replace it', 403);
+    }
+    const existing = await store.get(schemeId);
+    if (!existing) {
+        return invalid(`Scheme ${schemeId} not found`, 404);
+    }
+
+    const built = buildScheme(body, existing);
+    if (built.error) return invalid(built.error);
+    const conflict = findConflict(built.scheme, (await store.list()).filter(scheme => scheme.id !== schemeId));
+    if (conflict) return conflict;
+
+    const change = await commitScheme(store, schemeId, { ...built.scheme, createdAt: existing.createdAt }, user, now);
+    return { status: 200, body: { success: true, scheme: change.scheme } };
+}
+
+/**
+ * DELETE /api/reward-schemes/:id - ended periods keep the scheme they were scored with
+ */
+async function deleteRewardScheme(id, store, user, now = new Date()) {
+    const schemeId = normalizeRoleId(id);
+    if (schemeId === DEFAULT_SCHEME_ID) {
+        return invalid('The DEFAULT scheme cannot be deleted', 403);
+    }
+    if (!(await store.get(schemeId))) {
+        return invalid(`Scheme ${schemeId} not found`, 404);
+    }
+    await commitScheme(store, schemeId, null, user, now);
+    return { status: 200, body: { success: true, deleted: schemeId } };
+}
+
+/**
+ * GET /api/reward-schemes/:id/history - every version of a scheme, oldest first
+ */
+async function rewardSchemeHistory(id, store) {
+    const schemeId = normalizeRoleId(id);
+    if (schemeId === DEFAULT_SCHEME_ID) {
+        return { status: 200, body: { success: true, schemeId, versions: [] } };
+    }
+    const versions = await store.versions(schemeId);
+    if (versions.length === 0) {
+        return invalid(`Scheme ${schemeId} not found`, 404);
+    }
+    return { status: 200, body: { success: true, schemeId, versions } };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_SCHEME_ID,
+        REWARD_BASES,
+        defaultScheme,
+        schemeForPeriod,
+        listRewardSchemes,
+        createRewardScheme,
+        updateRewardScheme,
+        deleteRewardScheme,
+        rewardSchemeHistory
+    };
+}
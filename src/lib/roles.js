@@ -0,0 +1,242 @@
+/**
+ * Role Registry for Phoenix OKR Backends
+ * Built-in roles come from CONFIG.DEFAULT_ROLES; admins add or edit roles through
+ * /api/roles and they are kept in the role store (roles table in D1,
+ * data/roles.json for api-server.js). Session tokens only carry the role id, so
+ * permission changes apply on the next request.
+ *
+ * Role: { id, name, description, permissions: [permission ids] | ['*'], builtIn }
+ */
+
+const CONFIG = require('../../config.js');
+const { hasPermission } = require('./permissions.js');
+
+// Only the Admin role is locked, so nobody can remove the last way back in
+const LOCKED_ROLE = 'ADMIN';
+const OUTLET_ROLE = 'OUTLET';
+const FALLBACK_HQ_ROLE = 'AM';
+
+/**
+ * "Regional Manager" -> "REGIONAL_MANAGER"
+ */
+function normalizeRoleId(value) {
+    return String(value || '')
+        .trim()
+        .toUpperCase()
+        .replace(/[^A-Z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Combine built-in roles with stored roles (stored entries override built-ins, except ADMIN)
+ * @param {Object[]} storedRoles - Roles from the role store
+ * @returns {Object} Map of role id to role
+ */
+function buildRoleRegistry(storedRoles = []) {
+    const registry = {};
+    Object.entries(CONFIG.DEFAULT_ROLES).forEach(([id, role]) => {
+        registry[id] = { id, ...role, builtIn: true };
+    });
+    storedRoles.forEach(role => {
+        if (role.id === LOCKED_ROLE) return;
+        registry[role.id] = { ...role, builtIn: Boolean(CONFIG.DEFAULT_ROLES[role.id]) };
+    });
+    return registry;
+}
+
+function expandPermissions(permissions) {
+    return permissions.includes('*') ? Object.keys(CONFIG.PERMISSIONS) : permissions;
+}
+
+/**
+ * Role id that applies to a session user
+ */
+function roleIdForUser(user) {
+    return user.type === 'outlet' ? OUTLET_ROLE : normalizeRoleId(user.role);
+}
+
+/**
+ * Resolve a session user's permissions and outlet scope from the registry
+ * Tokens hold the assigned outlets; view_all_outlets widens that to 'ALL'.
+ */
+function applyRoles(user, registry) {
+    if (!user) return null;
+
+    const role = registry[roleIdForUser(user)] || (user.type === 'hq' ? registry[FALLBACK_HQ_ROLE] : null);
+    const permissions = role ? expandPermissions(role.permissions) : [];
+    const assigned = Array.isArray(user.accessibleOutlets) ? user.accessibleOutlets : [];
+
+    return {
+        ...user,
+        roleName: role ? role.name : user.role,
+        permissions,
+        accessibleOutlets: permissions.includes('view_all_outlets')
+            ? 'ALL'
+            : (user.type === 'outlet' ? [user.username] : assigned)
+    };
+}
+
+/**
+ * Load the registry from a role store and apply it to a user
+ * @param {Object} user - Session user from the token (or null)
+ * @param {Object} roleStore - Object with async list()
+ */
+async function resolveUserRoles(user, roleStore) {
+    if (!user) return null;
+    return applyRoles(user, buildRoleRegistry(await roleStore.list()));
+}
+
+function validateRoleFields(body, { requireName }) {
+    const { name, description, permissions } = body || {};
+
+    if (requireName && (!name || !String(name).trim())) {
+        return 'name is required';
+    }
+    if (permissions !== undefined) {
+        if (!Array.isArray(permissions)) {
+            return 'permissions must be an array of permission ids';
+        }
+        const unknown = permissions.filter(p => p !== '*' && !CONFIG.PERMISSIONS[p]);
+        if (unknown.length > 0) {
+            return `Unknown permissions: ${unknown.join(', ')}`;
+        }
+    }
+    if (description !== undefined && typeof description !== 'string') {
+        return 'description must be a string';
+    }
+    return null;
+}
+
+// Nobody can hand out permissions they do not hold themselves (no way up through manage_roles)
+function checkGrants(permissions, existing, user) {
+    const held = existing ? expandPermissions(existing) : [];
+    const ungranted = expandPermissions(permissions)
+        .filter(permission => !held.includes(permission) && !hasPermission(user, permission));
+    if (ungranted.length === 0) return null;
+    return {
+        status: 403,
+        body: { success: false, error: `You cannot grant permissions you do not hold: ${ungranted.join(', ')}` }
+    };
+}
+
+/**
+ * GET /api/roles - permission catalog plus every role
+ */
+async function listRoles(roleStore) {
+    const registry = buildRoleRegistry(await roleStore.list());
+    return {
+        status: 200,
+        body: {
+            success: true,
+            permissions: Object.entries(CONFIG.PERMISSIONS).map(([id, permission]) => ({ id, ...permission })),
+            roles: Object.values(registry)
+        }
+    };
+}
+
+/**
+ * POST /api/roles - body { id?, name, description?, permissions }
+ * @param {Object} user - Session user; the role can only hold permissions the user holds
+ */
+async function createRole(body, roleStore, user) {
+    const error = validateRoleFields(body, { requireName: true });
+    if (error) {
+        return { status: 400, body: { success: false, error } };
+    }
+    const forbidden = checkGrants(body.permissions || [], null, user);
+    if (forbidden) return forbidden;
+
+    const id = normalizeRoleId(body.id || body.name);
+    const registry = buildRoleRegistry(await roleStore.list());
+    if (!id) {
+        return { status: 400, body: { success: false, error: 'Role id must contain letters or digits' } };
+    }
+    if (registry[id]) {
+        return { status: 409, body: { success: false, error: `Role ${id} already exists` } };
+    }
+
+    const now = new Date().toISOString();
+    const role = {
+        id,
+        name: String(body.name).trim(),
+        description: body.description || '',
+        permissions: body.permissions || [],
+        createdAt: now,
+        updatedAt: now
+    };
+    await roleStore.upsert(role);
+    return { status: 201, body: { success: true, role: { ...role, builtIn: false } } };
+}
+
+/**
+ * PUT /api/roles/:id - body { name?, description?, permissions? }
+ * @param {Object} user - Session user; permissions the role gains must be ones the user holds
+ */
+async function updateRole(id, body, roleStore, user) {
+    const roleId = normalizeRoleId(id);
+    if (roleId === LOCKED_ROLE) {
+        return { status: 403, body: { success: false, error: 'The ADMIN role cannot be changed' } };
+    }
+
+    const error = validateRoleFields(body, { requireName: false });
+    if (error) {
+        return { status: 400, body: { success: false, error } };
+    }
+
+    const existing = buildRoleRegistry(await roleStore.list())[roleId];
+    if (!existing) {
+        return { status: 404, body: { success: false, error: `Role ${roleId} not found` } };
+    }
+    if (body.permissions !== undefined) {
+        const forbidden = checkGrants(body.permissions, existing.permissions, user);
+        if (forbidden) return forbidden;
+    }
+
+    const role = {
+        id: roleId,
+        name: body.name !== undefined ? String(body.name).trim() : existing.name,
+        description: body.description !== undefined ? body.description : existing.description,
+        permissions: body.permissions !== undefined ? body.permissions : existing.permissions,
+        createdAt: existing.createdAt || new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+    await roleStore.upsert(role);
+    return { status: 200, body: { success: true, role: { ...role, builtIn: existing.builtIn } } };
+}
+
+/**
+ * DELETE /api/roles/:id - custom roles that no user holds
+ */
+async function deleteRole(id, roleStore, userStore) {
+    const roleId = normalizeRoleId(id);
+    if (CONFIG.DEFAULT_ROLES[roleId]) {
+        return { status: 403, body: { success: false, error: 'Built-in roles cannot be deleted' } };
+    }
+    if (!(await roleStore.get(roleId))) {
+        return { status: 404, body: { success: false, error: `Role ${roleId} not found` } };
+    }
+
+    const holders = (await userStore.list()).filter(user => user.type === 'hq' && normalizeRoleId(user.role) === roleId);
+    if (holders.length > 0) {
+        return {
+            status: 409,
+            body: { success: false, error: `Role ${roleId} is assigned to ${holders.length} users` }
+        };
+    }
+
+    await roleStore.remove(roleId);
+    return { status: 200, body: { success: true, deleted: roleId } };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        normalizeRoleId,
+        buildRoleRegistry,
+        applyRoles,
+        resolveUserRoles,
+        listRoles,
+        createRole,
+        updateRole,
+        deleteRole
+    };
+}
@@ -0,0 +1,229 @@
+/**
+ * Outlet Scorecard for Phoenix OKR Backends
+ * The progress and reward numbers the dashboards show on outlet cards and in
+ * the detail view, computed once on the server:
+ * - actions: share of OKR action plans marked complete
+ * - progress: each term against the pro-rata baseline (calculatePeriodProgress)
+ * - tier: the tier of the outlet's reward scheme (src/lib/reward-schemes.js) the
+ *   period's revenue and/or trano reach against the outlet's monthly targets,
+ *   and the reward it pays (a share of revenue)
+ *
+ * okr-phoenix-real.html loads this file with a <script> tag so the numbers it
+ * shows while values are typed follow the same rules. Nothing is required at
+ * load for that reason; outletScorecard requires the period and scheme lookups
+ * when it runs.
+ */
+
+const TERM_IDS = ['term1', 'term2', 'term3'];
+const NOT_QUALIFIED = { tier: 0, name: 'Not Qualified', medal: '⚪', threshold: 0, rewardPercent: 0 };
+
+/**
+ * Completed share of the outlet's OKR action plans, overall and per key result
+ * Completed indexes that no longer point at an action (the plan was shortened) are not counted.
+ * @returns {Object} { completed, total, percent, keyResults: { kr1: { completed, total, percent }, ... } } - percent is 0 without actions
+ */
+function calculateActionCompletion(outlet) {
+    const actionPlans = (outlet && outlet.okr && outlet.okr.actionPlans) || {};
+    const krProgress = (outlet && outlet.okr && outlet.okr.krProgress) || {};
+    const share = (completed, total) => ({ completed, total, percent: total > 0 ? Math.round(completed / total * 100) : 0 });
+    const keyResults = {};
+    let total = 0;
+    let completed = 0;
+
+    Object.keys(actionPlans).forEach(krKey => {
+        const actions = Array.isArray(actionPlans[krKey]) ? actionPlans[krKey] : [];
+        const done = new Set(((krProgress[krKey] || {}).completedActions || []).map(Number));
+        const krCompleted = [...done].filter(index => Number.isInteger(index) && index >= 0 && index < actions.length).length;
+        keyResults[krKey] = share(krCompleted, actions.length);
+        total += actions.length;
+        completed += krCompleted;
+    });
+
+    return { ...share(completed, total), keyResults };
+}
+
+function positiveTarget(value) {
+    const target = Number(value);
+    return Number.isFinite(target) && target > 0 ? target : 0;
+}
+
+/**
+ * Monthly targets set in the detail view (older data used salesTarget)
+ * @returns {Object} { revenue, trano } - 0 when not set
+ */
+function monthlyTargets(outlet) {
+    const targets = (outlet && (outlet.salesTargets || outlet.salesTarget)) || {};
+    return { revenue: positiveTarget(targets.monthlyTarget), trano: positiveTarget(targets.monthlyTranoTarget) };
+}
+
+/**
+ * Revenue and trano so far in the period: the sums of the term values
+ */
+function achievedTotals(values) {
+    const total = measure => TERM_IDS.reduce((sum, term) => sum + (((values || {})[term] || {})[measure] || 0), 0);
+    return { revenue: total('revenue'), trano: total('trano') };
+}
+
+function basisMeasures(basis) {
+    return basis === 'both' ? ['revenue', 'trano'] : [basis];
+}
+
+/**
+ * Whether the outlet has a target for every measure of the scheme's basis (no tier can be reached without)
+ */
+function hasSchemeTargets(scheme, targets) {
+    return basisMeasures(scheme.basis).every(measure => targets[measure] > 0);
+}
+
+/**
+ * Amounts a scheme tier needs, rounded like the dashboards show them (null for measures the basis ignores)
+ */
+function tierAmounts(tier, basis, targets) {
+    const measures = basisMeasures(basis);
+    const amount = measure => measures.includes(measure) ? Math.round(targets[measure] * tier.threshold) : null;
+    return { targetAmount: amount('revenue'), targetTrano: amount('trano') };
+}
+
+/**
+ * Highest tier of the scheme that every measure of its basis reaches
+ * @returns {Object} { tier, name, medal, threshold, rewardPercent, targetAmount, targetTrano } - tier 0 without the targets
+ */
+function tierForScheme(scheme, achieved, targets) {
+    const notQualified = { ...NOT_QUALIFIED, targetAmount: null, targetTrano: null };
+    if (!hasSchemeTargets(scheme, targets)) return notQualified;
+
+    const measures = basisMeasures(scheme.basis);
+    const reached = scheme.tiers
+        .map(tier => ({ ...tier, ...tierAmounts(tier, scheme.basis, targets) }))
+        .filter(tier => measures.every(measure => achieved[measure] >= tier[measure === 'revenue' ? 'targetAmount' : 'targetTrano']));
+    return reached.length > 0 ? reached[reached.length - 1] : notQualified;
+}
+
+function achievement(achieved, target) {
+    return {
+        achieved,
+        target: target || null,
+        percent: target > 0 ? Math.round(achieved / target * 1000) / 10 : null
+    };
+}
+
+/**
+ * Progress of each term against the baseline, pro rata to the days elapsed
+ * Term N compares terms 1..N together with baseline * (days in terms 1..N / days in period),
+ * so a 31-day month or a custom range is measured on its real length. The baseline is the
+ * value for the whole period.
+ * @param {Object} values - { baseline, term1, term2, term3 } each { revenue, trano }
+ * @param {Object} period - From resolvePeriod (src/lib/periods.js)
+ * @returns {Object} term id -> { days, revenue, trano, expectedRevenue, expectedTrano, percent } or null without a baseline
+ */
+function calculatePeriodProgress(values, period) {
+    const baseline = (values && values.baseline) || {};
+    const progress = {};
+    let revenue = 0;
+    let trano = 0;
+    let days = 0;
+
+    period.terms.forEach(term => {
+        const actual = (values && values[term.id]) || {};
+        revenue += actual.revenue || 0;
+        trano += actual.trano || 0;
+        days += term.days;
+
+        if (!(baseline.revenue > 0) || !(baseline.trano > 0)) {
+            progress[term.id] = null;
+            return;
+        }
+        const expectedRevenue = baseline.revenue * days / period.days;
+        const expectedTrano = baseline.trano * days / period.days;
+        progress[term.id] = {
+            days,
+            revenue,
+            trano,
+            expectedRevenue: Math.round(expectedRevenue),
+            expectedTrano: Math.round(expectedTrano),
+            percent: Math.round((revenue / expectedRevenue * 100 + trano / expectedTrano * 100) / 2)
+        };
+    });
+    return progress;
+}
+
+/**
+ * Scorecard for one period's values
+ * @param {Object} outlet - Stored outlet (OKR, sales targets)
+ * @param {Object} values - { baseline, term1, term2, term3 } each { revenue, trano } or null
+ * @param {Object} period - From resolvePeriod
+ * @param {Object} [scheme] - Reward scheme for the period (default: the built-in DEFAULT)
+ */
+function calculateScorecard(outlet, values, period, scheme = require('./reward-schemes.js').defaultScheme()) {
+    const targets = monthlyTargets(outlet);
+    const achieved = achievedTotals(values);
+    const tier = tierForScheme(scheme, achieved, targets);
+    const next = hasSchemeTargets(scheme, targets) ? scheme.tiers.find(candidate => candidate.tier > tier.tier) : null;
+    const nextAmounts = next ? tierAmounts(next, scheme.basis, targets) : null;
+
+    return {
+        actions: calculateActionCompletion(outlet),
+        progress: calculatePeriodProgress(values, period),
+        revenue: achievement(achieved.revenue, targets.revenue),
+        trano: achievement(achieved.trano, targets.trano),
+        scheme: {
+            id: scheme.id,
+            name: scheme.name,
+            version: scheme.version,
+            basis: scheme.basis,
+            tiers: scheme.tiers
+        },
+        tier,
+        nextTier: next ? {
+            tier: next.tier,
+            name: next.name,
+            ...nextAmounts,
+            remaining: nextAmounts.targetAmount === null ? null : Math.max(0, nextAmounts.targetAmount - achieved.revenue),
+            remainingTrano: nextAmounts.targetTrano === null ? null : Math.max(0, nextAmounts.targetTrano - achieved.trano)
+        } : null,
+        reward: {
+            percent: tier.rewardPercent,
+            amount: Math.round(achieved.revenue * tier.rewardPercent / 100)
+        }
+    };
+}
+
+/**
+ * GET /api/outlet/:code/scorecard result for one period (default the current one)
+ * Uses the same period values as GET /api/outlet/:code/performance.
+ * @param {Object[]} schemeVersions - Every reward scheme version (rewardSchemes.versions())
+ * @returns {Object} { status, body }
+ */
+function outletScorecard(outletCode, outlet, history, schemeVersions, periodId, now = new Date()) {
+    const { performanceReport } = require('./performance.js');
+    const { schemeForPeriod } = require('./reward-schemes.js');
+    const report = performanceReport(outletCode, outlet, history, periodId, now);
+    if (report.status !== 200) return report;
+
+    const { period, current } = report.body;
+    return {
+        status: 200,
+        body: {
+            success: true,
+            outletCode,
+            period,
+            ...calculateScorecard(outlet, current, period, schemeForPeriod(schemeVersions, outletCode, period, now))
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TERM_IDS,
+        calculateActionCompletion,
+        monthlyTargets,
+        achievedTotals,
+        basisMeasures,
+        hasSchemeTargets,
+        tierAmounts,
+        tierForScheme,
+        calculatePeriodProgress,
+        calculateScorecard,
+        outletScorecard
+    };
+}
@@ -0,0 +1,160 @@
+/**
+ * User Records for the Phoenix OKR User Store
+ * Shape shared by the JSON file store (api-server.js) and the D1 users table:
+ *   { id, type, identifier, name, role, outlets, am, passwordHash, mustChangePassword, tokenVersion, createdAt, updatedAt }
+ * tokenVersion goes up with every new password; session tokens carry the version
+ * they were issued for, so setting a password ends the sessions issued before it.
+ */
+
+const { hashPassword, isKnownDefaultPassword } = require('./passwords.js');
+const { normalizeRoleId } = require('./roles.js');
+
+function normalizeIdentifier(type, identifier) {
+    const value = String(identifier || '').trim();
+    return type === 'outlet' ? value.toUpperCase() : value.toLowerCase();
+}
+
+function userId(type, identifier) {
+    return `${type}:${normalizeIdentifier(type, identifier)}`;
+}
+
+/**
+ * Store id for a session user (outlet users carry username, HQ users email)
+ */
+function sessionUserId(user) {
+    return userId(user.type, user.type === 'outlet' ? user.username : user.email);
+}
+
+function nextTokenVersion(record) {
+    return (Number(record && record.tokenVersion) || 0) + 1;
+}
+
+/**
+ * Turn "Outlet Login" rows into accounts
+ * Columns: A = outlet code, B = outlet name, C = AM, D = password
+ */
+function accountsFromOutletRows(rows) {
+    const accounts = [];
+    const skipped = [];
+
+    // Skip header row (index 0)
+    for (let i = 1; i < rows.length; i++) {
+        const row = rows[i] || [];
+        const code = normalizeIdentifier('outlet', row[0]);
+        const password = (row[3] || '').trim();
+
+        if (!code) {
+            skipped.push({ sheet: 'Outlet Login', row: i + 1, reason: 'missing outlet code' });
+        } else if (!password) {
+            skipped.push({ sheet: 'Outlet Login', row: i + 1, identifier: code, reason: 'missing password' });
+        } else {
+            accounts.push({
+                type: 'outlet',
+                identifier: code,
+                name: (row[1] || '').trim(),
+                am: (row[2] || '').trim(),
+                role: 'OUTLET',
+                outlets: [code],
+                password: password
+            });
+        }
+    }
+
+    return { accounts, skipped };
+}
+
+/**
+ * Turn "HQ Login" rows into accounts
+ * Columns: A = name, B = email, D = role (e.g. "Regional Manager" -> REGIONAL_MANAGER),
+ * E = comma-separated outlets, H = password
+ * Rows without a password are skipped - there is no shared default.
+ */
+function accountsFromHQRows(rows) {
+    const accounts = [];
+    const skipped = [];
+
+    for (let i = 1; i < rows.length; i++) {
+        const row = rows[i] || [];
+        const email = normalizeIdentifier('hq', row[1]);
+        const password = (row[7] || '').trim();
+
+        if (!email) {
+            skipped.push({ sheet: 'HQ Login', row: i + 1, reason: 'missing email' });
+        } else if (!password) {
+            skipped.push({ sheet: 'HQ Login', row: i + 1, identifier: email, reason: 'missing password' });
+        } else {
+            accounts.push({
+                type: 'hq',
+                identifier: email,
+                name: (row[0] || '').trim() || email.split('@')[0].toUpperCase(),
+                am: '',
+                role: normalizeRoleId(row[3]) || 'AM',
+                outlets: (row[4] || '').split(',').map(o => o.trim().toUpperCase()).filter(o => o.length > 0),
+                password: password
+            });
+        }
+    }
+
+    return { accounts, skipped };
+}
+
+/**
+ * Build a stored user record, hashing the plaintext password
+ * Accounts still on a known shared default must change it at next login.
+ * @param {Object} account - Account from accountsFrom*Rows (or an admin form)
+ * @param {Object} [existing] - Existing record, to keep createdAt and end its sessions
+ */
+async function createUserRecord(account, existing) {
+    const now = new Date().toISOString();
+    return {
+        id: userId(account.type, account.identifier),
+        type: account.type,
+        identifier: normalizeIdentifier(account.type, account.identifier),
+        name: account.name || '',
+        role: account.role,
+        outlets: account.outlets || [],
+        am: account.am || '',
+        passwordHash: await hashPassword(account.password),
+        mustChangePassword: account.mustChangePassword ?? isKnownDefaultPassword(account.password),
+        tokenVersion: existing ? nextTokenVersion(existing) : 0,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now
+    };
+}
+
+/**
+ * Return a copy of a record with a new password hash (tokens issued before it stop working)
+ * @param {Object} record - Stored user record
+ * @param {string} password - New plaintext password
+ * @param {boolean} mustChangePassword - True for admin-issued temporary passwords
+ */
+async function withPassword(record, password, mustChangePassword) {
+    return {
+        ...record,
+        passwordHash: await hashPassword(password),
+        mustChangePassword: mustChangePassword,
+        tokenVersion: nextTokenVersion(record),
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Strip the password hash before returning a record from the API
+ */
+function toPublicUser(record) {
+    const { passwordHash, ...user } = record;
+    return user;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        normalizeIdentifier,
+        userId,
+        sessionUserId,
+        accountsFromOutletRows,
+        accountsFromHQRows,
+        createUserRecord,
+        withPassword,
+        toPublicUser
+    };
+}
@@ -0,0 +1,287 @@
+/**
+ * XLSX Reading and Writing for Sheet Uploads and Reports
+ * Reads the cell text of one worksheet from an .xlsx file (a zip of XML parts)
+ * into the same array-of-rows shape parseCSV returns, so imports handle both
+ * formats alike. Only what imports need is supported: shared, inline and
+ * literal string cells and numbers; formulas give their cached value and
+ * styles (including date formats) are ignored.
+ *
+ * writeXLSX does the reverse for downloads: one unstyled sheet of numbers and
+ * inline strings, stored without compression.
+ *
+ * Inflating uses DecompressionStream, available in Cloudflare Workers and Node 18+.
+ */
+
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const ZIP_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function invalidFile(reason) {
+    return new Error(`Not a readable .xlsx file: ${reason}`);
+}
+
+/**
+ * Central directory of a zip archive: entry name -> { method, size, offset }
+ */
+function readZipDirectory(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let end = -1;
+    // The end record sits in the last 22 bytes plus an optional comment of up to 64 KB
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === ZIP_END_OF_DIRECTORY) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) throw invalidFile('missing zip directory');
+
+    const entries = {};
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+    const decoder = new TextDecoder();
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(position, true) !== ZIP_DIRECTORY_ENTRY) throw invalidFile('corrupt zip directory');
+        const nameLength = view.getUint16(position + 28, true);
+        const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+        entries[name] = {
+            method: view.getUint16(position + 10, true),
+            size: view.getUint32(position + 20, true),
+            offset: view.getUint32(position + 42, true)
+        };
+        position += 46 + nameLength + view.getUint16(position + 30, true) + view.getUint16(position + 32, true);
+    }
+    return { view, entries };
+}
+
+async function inflateRaw(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function readZipText(bytes, zip, name) {
+    const entry = zip.entries[name];
+    if (!entry) return null;
+    if (zip.view.getUint32(entry.offset, true) !== ZIP_LOCAL_HEADER) throw invalidFile(`corrupt entry ${name}`);
+
+    const start = entry.offset + 30 + zip.view.getUint16(entry.offset + 26, true) + zip.view.getUint16(entry.offset + 28, true);
+    const data = bytes.subarray(start, start + entry.size);
+    if (entry.method === 0) return new TextDecoder().decode(data);
+    if (entry.method === 8) return new TextDecoder().decode(await inflateRaw(data));
+    throw invalidFile(`unsupported compression in ${name}`);
+}
+
+function decodeXml(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            return String.fromCodePoint(entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1)));
+        }
+        return XML_ENTITIES[entity] ?? match;
+    });
+}
+
+function attribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? decodeXml(match[1]) : null;
+}
+
+// All <t> runs inside an element, e.g. a shared string with rich-text formatting
+function textRuns(xml) {
+    return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(match => decodeXml(match[1])).join('');
+}
+
+function columnIndex(reference) {
+    const letters = (reference || '').match(/^[A-Z]+/);
+    if (!letters) return null;
+    return [...letters[0]].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Path of a worksheet inside the archive - the named sheet, or the first one
+ */
+async function worksheetPath(bytes, zip, sheetName) {
+    const workbook = await readZipText(bytes, zip, 'xl/workbook.xml');
+    if (!workbook) throw invalidFile('missing workbook');
+
+    const sheets = [...workbook.matchAll(/<sheet\s[^>]*>/g)].map(match => ({
+        name: attribute(match[0], 'name'),
+        relationship: attribute(match[0], 'r:id')
+    }));
+    const sheet = sheetName ? sheets.find(candidate => candidate.name === sheetName) : sheets[0];
+    if (!sheet) {
+        throw new Error(sheetName ? `Sheet "${sheetName}" not found (sheets: ${sheets.map(s => s.name).join(', ')})` : 'The workbook has no sheets');
+    }
+
+    const relationships = await readZipText(bytes, zip, 'xl/_rels/workbook.xml.rels') || '';
+    const relationship = [...relationships.matchAll(/<Relationship\s[^>]*>/g)]
+        .map(match => match[0])
+        .find(tag => attribute(tag, 'Id') === sheet.relationship);
+    const target = relationship ? attribute(relationship, 'Target') : null;
+    if (!target) throw invalidFile(`no part for sheet "${sheet.name}"`);
+    return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+}
+
+/**
+ * Read a worksheet into rows of cell text
+ * @param {Uint8Array} bytes - The .xlsx file
+ * @param {string} [sheetName] - Worksheet to read (default: the first)
+ * @returns {Promise<string[][]>} Rows with blank rows dropped, like parseCSV
+ */
+async function readXLSXRows(bytes, sheetName) {
+    const zip = readZipDirectory(bytes);
+    const sharedStrings = [...(await readZipText(bytes, zip, 'xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)]
+        .map(match => textRuns(match[1]));
+    const sheet = await readZipText(bytes, zip, await worksheetPath(bytes, zip, sheetName));
+    if (!sheet) throw invalidFile('missing worksheet');
+
+    const rows = [];
+    for (const rowMatch of sheet.matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        const row = [];
+        for (const cellMatch of (rowMatch[1] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const index = columnIndex(attribute(cellMatch[0], 'r')) ?? row.length;
+            const type = attribute(cellMatch[0], 't');
+            const content = cellMatch[2] || '';
+            const value = (content.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+            let text = '';
+            if (type === 's') text = sharedStrings[Number(value)] ?? '';
+            else if (type === 'inlineStr') text = textRuns(content);
+            else if (value !== undefined) text = decodeXml(value);
+
+            while (row.length < index) row.push('');
+            row[index] = text;
+        }
+        if (row.some(cell => cell.trim() !== '')) rows.push(row);
+    }
+    return rows;
+}
+
+function encodeXml(text) {
+    return String(text).replace(/[&<>"]/g, char => `&${Object.keys(XML_ENTITIES).find(name => XML_ENTITIES[name] === char)};`)
+        // Characters XML 1.0 does not allow
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    }
+    return name;
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256).map((_, n) => {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            return c;
+        });
+    }
+    let crc = 0xffffffff;
+    for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Zip archive of uncompressed files
+ * @param {Object} files - name -> text
+ */
+function writeZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    Object.entries(files).forEach(([name, text]) => {
+        const nameBytes = encoder.encode(name);
+        const data = encoder.encode(text);
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, ZIP_LOCAL_HEADER, true);
+        header.setUint16(4, 20, true);
+        header.setUint32(14, crc32(data), true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, nameBytes.length, true);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, ZIP_DIRECTORY_ENTRY, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint32(16, crc32(data), true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, nameBytes.length, true);
+        entry.setUint32(42, offset, true);
+
+        parts.push(new Uint8Array(header.buffer), nameBytes, data);
+        directory.push(new Uint8Array(entry.buffer), nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, ZIP_END_OF_DIRECTORY, true);
+    end.setUint16(8, directory.length / 2, true);
+    end.setUint16(10, directory.length / 2, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    const all = [...parts, ...directory, new Uint8Array(end.buffer)];
+    const bytes = new Uint8Array(all.reduce((sum, part) => sum + part.length, 0));
+    all.reduce((position, part) => {
+        bytes.set(part, position);
+        return position + part.length;
+    }, 0);
+    return bytes;
+}
+
+/**
+ * Write rows to a one-sheet .xlsx file
+ * Finite numbers become number cells, anything else text; null and undefined leave the cell empty.
+ * @param {Array[]} rows - Rows of values, e.g. a header row then data rows
+ * @param {string} [sheetName] - Worksheet name (at most 31 characters)
+ * @returns {Uint8Array} The .xlsx file
+ */
+function writeXLSX(rows, sheetName = 'Sheet1') {
+    const sheetRows = rows.map((row, r) => {
+        const cells = row.map((value, c) => {
+            const reference = `${columnName(c)}${r + 1}`;
+            if (value === null || value === undefined || value === '') return '';
+            if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${reference}"><v>${value}</v></c>`;
+            return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${encodeXml(value)}</t></is></c>`;
+        });
+        return `<row r="${r + 1}">${cells.join('')}</row>`;
+    });
+
+    const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    const main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+    const relationships = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    return writeZip({
+        '[Content_Types].xml': `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+            '</Types>',
+        '_rels/.rels': `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+            `<Relationship Id="rId1" Type="${relationships}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+        'xl/workbook.xml': `${xml}<workbook xmlns="${main}" xmlns:r="${relationships}">` +
+            `<sheets><sheet name="${encodeXml(String(sheetName).slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+        'xl/_rels/workbook.xml.rels': `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+            `<Relationship Id="rId1" Type="${relationships}/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+        'xl/worksheets/sheet1.xml': `${xml}<worksheet xmlns="${main}"><sheetData>${sheetRows.join('')}</sheetData></worksheet>`
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        XLSX_CONTENT_TYPE,
+        readXLSXRows,
+        writeXLSX
+    };
+}
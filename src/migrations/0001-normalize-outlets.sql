@@ -0,0 +1,18 @@
+-- Phoenix OKR D1 migration 0001: normalized outlet storage
+-- For databases created before outlets moved out of the phoenix_data 'main' blob.
+-- Run once, then deploy the worker:
+--   wrangler d1 execute phoenix-okr-database --file=./src/migrations/0001-normalize-outlets.sql
+-- The worker's first request copies the old blob to phoenix_backups (id 'pre_normalize_<ms>')
+-- and splits it into the outlets, performance_logs and comments tables.
+
+ALTER TABLE outlets ADD COLUMN am TEXT;
+ALTER TABLE outlets ADD COLUMN okr TEXT;
+ALTER TABLE outlets ADD COLUMN kr_progress TEXT;
+ALTER TABLE outlets ADD COLUMN performance_terms TEXT;
+ALTER TABLE outlets ADD COLUMN extra TEXT;
+ALTER TABLE outlets ADD COLUMN revision INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE comments ADD COLUMN kr_key TEXT;
+ALTER TABLE comments ADD COLUMN action_key TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_performance_outlet_term ON performance_logs(outlet_code, term, id);
@@ -0,0 +1,11 @@
+-- Phoenix OKR D1 migration 0002: dated performance history
+-- performance_logs rows record the month the values are for and who entered them.
+-- Run once (after 0001), then deploy the worker:
+--   wrangler d1 execute phoenix-okr-database --file=./src/migrations/0002-performance-history.sql
+-- Existing rows keep month and author NULL; they still count as the current values
+-- until a dated entry for the same term replaces them.
+
+ALTER TABLE performance_logs ADD COLUMN month TEXT;
+ALTER TABLE performance_logs ADD COLUMN author TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_performance_outlet_month ON performance_logs(outlet_code, month);
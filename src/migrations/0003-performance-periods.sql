@@ -0,0 +1,9 @@
+-- Phoenix OKR D1 migration 0003: performance history by program period
+-- Entries are filed under a period ('YYYY-MM', or a custom period's start date)
+-- instead of a calendar month. Month ids are valid period ids, so rows keep their value.
+-- Run once (after 0002), then deploy the worker:
+--   wrangler d1 execute phoenix-okr-database --file=./src/migrations/0003-performance-periods.sql
+
+DROP INDEX IF EXISTS idx_performance_outlet_month;
+ALTER TABLE performance_logs RENAME COLUMN month TO period;
+CREATE INDEX IF NOT EXISTS idx_performance_outlet_period ON performance_logs(outlet_code, period);
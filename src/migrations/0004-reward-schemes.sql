@@ -0,0 +1,31 @@
+-- Phoenix OKR D1 migration 0004: reward schemes
+-- Adds the reward scheme tables. Until a scheme is added every outlet keeps the
+-- built-in tiers (CONFIG.REWARD_TIERS). Run once (after 0003), then deploy the worker:
+--   wrangler d1 execute phoenix-okr-database --file=./src/migrations/0004-reward-schemes.sql
+
+-- Reward schemes (tiers and reward percentages per outlet cluster and months, see src/lib/reward-schemes.js)
+CREATE TABLE IF NOT EXISTS reward_schemes (
+    id TEXT PRIMARY KEY, -- e.g. 'MALL_OUTLETS'
+    name TEXT NOT NULL,
+    description TEXT,
+    basis TEXT NOT NULL, -- 'revenue', 'trano' or 'both'
+    tiers TEXT NOT NULL, -- JSON array: [{ tier, name, medal, threshold, rewardPercent }]
+    outlets TEXT NOT NULL, -- JSON array of outlet codes, or ['*']
+    start_month TEXT, -- 'YYYY-MM', NULL = no start
+    end_month TEXT, -- 'YYYY-MM', NULL = open-ended
+    version INTEGER NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+
+-- Every version of every reward scheme; periods are scored with the version in effect when they ended
+CREATE TABLE IF NOT EXISTS reward_scheme_versions (
+    scheme_id TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    scheme TEXT, -- JSON snapshot of the scheme, NULL when it was deleted
+    changed_by TEXT, -- 'hq:<email>'
+    changed_at TEXT NOT NULL,
+    PRIMARY KEY (scheme_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reward_scheme_versions_changed ON reward_scheme_versions(changed_at);
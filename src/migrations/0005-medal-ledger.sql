@@ -0,0 +1,23 @@
+-- Phoenix OKR D1 migration 0005: medal ledger
+-- Adds the medal_ledger table. Medals the dashboard kept in each browser's
+-- localStorage are not carried over. Run once (after 0004), then deploy the worker:
+--   wrangler d1 execute phoenix-okr-database --file=./src/migrations/0005-medal-ledger.sql
+
+-- Medal ledger (append-only, see src/lib/medals.js): an 'awarded' row per medal,
+-- then 'approved' / 'revoked' rows that point at it
+CREATE TABLE IF NOT EXISTS medal_ledger (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, -- the medal id of 'awarded' rows
+    medal_id INTEGER, -- the 'awarded' row an 'approved' / 'revoked' row is for, NULL on 'awarded' rows
+    action TEXT NOT NULL, -- 'awarded', 'approved' or 'revoked'
+    outlet_code TEXT NOT NULL,
+    period TEXT NOT NULL, -- 'YYYY-MM' or a custom period's start date
+    kind TEXT NOT NULL, -- 'tier' or 'special'
+    medal TEXT, -- JSON on 'awarded' rows: { type, tier, tierName, emoji, rewardAmount, ... }
+    reason TEXT,
+    actor TEXT NOT NULL, -- 'hq:<email>'
+    created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_medal_ledger_outlet ON medal_ledger(outlet_code, period);
+-- Tier medals are computed once per outlet and period
+CREATE UNIQUE INDEX IF NOT EXISTS idx_medal_ledger_tier ON medal_ledger(outlet_code, period) WHERE action = 'awarded' AND kind = 'tier';
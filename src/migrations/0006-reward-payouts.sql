@@ -0,0 +1,15 @@
+-- Phoenix OKR D1 migration 0006: reward payouts
+-- Adds the payout state of the monthly reward report. Every outlet and month
+-- starts pending. Run once (after 0005), then deploy the worker:
+--   wrangler d1 execute phoenix-okr-database --file=./src/migrations/0006-reward-payouts.sql
+
+-- Reward payout state per outlet and month (see src/lib/reward-report.js)
+CREATE TABLE IF NOT EXISTS reward_payouts (
+    month TEXT NOT NULL, -- 'YYYY-MM'
+    outlet_code TEXT NOT NULL,
+    status TEXT NOT NULL, -- 'pending', 'approved' or 'paid'
+    snapshot TEXT, -- JSON: the report row frozen when approved, NULL when pending
+    changed_by TEXT NOT NULL, -- 'hq:<email>'
+    changed_at TEXT NOT NULL,
+    PRIMARY KEY (month, outlet_code)
+);
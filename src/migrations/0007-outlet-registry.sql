@@ -0,0 +1,33 @@
+-- Phoenix OKR D1 migration 0007: outlet registry
+-- Adds the outlet master list and fills it from the outlet login accounts
+-- (name and AM from the Outlet Login sheet), then from Phoenix outlets that
+-- have no account. Region is the code prefix. Run once (after 0006), then
+-- deploy the worker:
+--   wrangler d1 execute phoenix-okr-database --file=./src/migrations/0007-outlet-registry.sql
+
+-- Outlet master list: names, AMs and regions for every module (see src/lib/outlet-registry.js)
+CREATE TABLE IF NOT EXISTS outlet_registry (
+    code TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    am TEXT,
+    region TEXT NOT NULL, -- e.g. 'JKJ'; named in CONFIG.REGIONS
+    opening_date TEXT, -- 'YYYY-MM-DD'
+    status TEXT NOT NULL DEFAULT 'active', -- 'active' or 'closed'
+    store_type TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    updated_by TEXT -- 'hq:<email>', or 'import' for outlets added from login accounts
+);
+
+CREATE INDEX IF NOT EXISTS idx_outlet_registry_region ON outlet_registry(region);
+
+INSERT OR IGNORE INTO outlet_registry (code, name, am, region, status, created_at, updated_at, updated_by)
+SELECT identifier, COALESCE(NULLIF(TRIM(name), ''), identifier), NULLIF(TRIM(am), ''), SUBSTR(identifier, 1, 3), 'active',
+       strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), 'import'
+FROM users
+WHERE type = 'outlet';
+
+INSERT OR IGNORE INTO outlet_registry (code, name, am, region, status, created_at, updated_at, updated_by)
+SELECT code, COALESCE(NULLIF(TRIM(name), ''), code), NULLIF(TRIM(am), ''), SUBSTR(code, 1, 3), 'active',
+       strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), 'import'
+FROM outlets;
@@ -0,0 +1,43 @@
+-- Phoenix OKR D1 migration 0008: area manager hierarchy
+-- Adds the effective-dated AM / regional manager assignments and, while the
+-- table is still empty, gives every registry outlet its AM: the HQ account
+-- that lists it in column E of the HQ sheet (the one named in the outlet's AM
+-- column, then role AM, when several do), else the HQ account whose name is
+-- the outlet's AM. Seeded assignments are effective from 2000-01-01. Run after
+-- 0007 (on a new database: after importing the users), then deploy the worker:
+--   wrangler d1 execute phoenix-okr-database --file=./src/migrations/0008-hierarchy.sql
+
+-- AM hierarchy (append-only, see src/lib/hierarchy.js): outlet -> AM and AM -> regional manager
+CREATE TABLE IF NOT EXISTS hierarchy_assignments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    level TEXT NOT NULL, -- 'outlet' (child: outlet code) or 'am' (child: AM email)
+    child TEXT NOT NULL,
+    parent TEXT, -- AM or regional manager email, NULL when left without one
+    effective_from TEXT NOT NULL, -- 'YYYY-MM-DD'
+    reason TEXT,
+    actor TEXT NOT NULL, -- 'hq:<email>', or 'import' for seeded assignments
+    created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_hierarchy_assignments_child ON hierarchy_assignments(level, child, effective_from);
+
+-- Candidate AMs per outlet: accounts listing it in column E (source 0) before accounts named in its AM column (source 1)
+INSERT INTO hierarchy_assignments (level, child, parent, effective_from, reason, actor, created_at)
+SELECT 'outlet', code, am, '2000-01-01', 'Imported from the HQ and Outlet Login sheets', 'import', strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+FROM (
+    SELECT code, am, ROW_NUMBER() OVER (PARTITION BY code ORDER BY source, named DESC, role = 'AM' DESC, am) AS rank
+    FROM (
+        SELECT r.code, u.identifier AS am, u.role, 0 AS source,
+               TRIM(COALESCE(r.am, '')) <> '' AND LOWER(TRIM(COALESCE(u.name, ''))) = LOWER(TRIM(r.am)) AS named
+        FROM outlet_registry r
+        JOIN users u ON u.type = 'hq' AND u.outlets IS NOT NULL
+        JOIN json_each(u.outlets) o ON o.value = r.code
+        UNION ALL
+        SELECT r.code, u.identifier, u.role, 1, 1
+        FROM outlet_registry r
+        JOIN users u ON u.type = 'hq' AND LOWER(TRIM(COALESCE(u.name, ''))) = LOWER(TRIM(r.am))
+        WHERE TRIM(COALESCE(r.am, '')) <> ''
+    )
+)
+WHERE rank = 1 AND NOT EXISTS (SELECT 1 FROM hierarchy_assignments)
+ORDER BY code;
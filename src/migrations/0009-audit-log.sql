@@ -0,0 +1,22 @@
+-- Phoenix OKR D1 migration 0009: audit log
+-- Adds the append-only audit_events table that records every change to the
+-- Phoenix document and the medal ledger with its actor (GET /api/audit).
+-- Run after 0008, then deploy the worker:
+--   wrangler d1 execute phoenix-okr-database --file=./src/migrations/0009-audit-log.sql
+
+-- Audit log (append-only, see src/lib/audit.js): one row per changed field of every write
+CREATE TABLE IF NOT EXISTS audit_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    outlet_code TEXT,
+    action TEXT NOT NULL, -- 'okr_assignment', 'kr_edit', 'action_toggle', 'like', 'medal_award', 'outlet_delete', ...
+    path TEXT, -- field inside the outlet, e.g. 'okr.krProgress.kr1.likes.action_0'
+    old_value TEXT, -- JSON
+    new_value TEXT, -- JSON
+    actor TEXT, -- 'hq:<email>' or 'outlet:<CODE>'
+    role TEXT,
+    created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_outlet ON audit_events(outlet_code, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events(actor, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_events_created ON audit_events(created_at);
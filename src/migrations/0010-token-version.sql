@@ -0,0 +1,10 @@
+-- Phoenix OKR D1 migration 0010: session token versions
+-- Adds users.token_version. Every new password (change, admin reset or
+-- re-import) raises it, and session tokens issued for an older version are
+-- refused, so a changed password signs out the sessions that used the old one.
+-- Run after 0009, then deploy the worker:
+--   wrangler d1 execute phoenix-okr-database --file=./src/migrations/0010-token-version.sql
+-- Sessions issued before the deploy carry no version and count as version 0,
+-- so they keep working until the account's password next changes.
+
+ALTER TABLE users ADD COLUMN token_version INTEGER NOT NULL DEFAULT 0;
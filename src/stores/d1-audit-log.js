@@ -0,0 +1,79 @@
+/**
+ * D1 Audit Log Store for the Phoenix OKR worker
+ * Appends to and reads the audit_events table defined in src/database-schema.sql.
+ * Document writes add their events in the same batch as the save (see
+ * d1-phoenix-data.js); append() is for the other writes (medals).
+ */
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    outlet: row.outlet_code,
+    action: row.action,
+    path: row.path,
+    oldValue: row.old_value === null ? null : JSON.parse(row.old_value),
+    newValue: row.new_value === null ? null : JSON.parse(row.new_value),
+    actor: row.actor,
+    role: row.role,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Column values of an event, as json_each rows for INSERT ... SELECT
+ */
+export function auditRow(event) {
+  return {
+    outlet_code: event.outlet ?? null,
+    action: event.action,
+    path: event.path ?? null,
+    old_value: event.oldValue === null || event.oldValue === undefined ? null : JSON.stringify(event.oldValue),
+    new_value: event.newValue === null || event.newValue === undefined ? null : JSON.stringify(event.newValue),
+    actor: event.actor ?? null,
+    role: event.role ?? null,
+    created_at: event.createdAt
+  };
+}
+
+export const AUDIT_COLUMNS = ['outlet_code', 'action', 'path', 'old_value', 'new_value', 'actor', 'role', 'created_at'];
+
+// Build a WHERE clause from the filters of parseAuditQuery (src/lib/audit.js)
+function buildFilter(query) {
+  const clauses = [];
+  const params = [];
+  if (query.outlet) { clauses.push('outlet_code = ?'); params.push(query.outlet); }
+  if (query.actor) {
+    clauses.push("(actor = ? OR substr(actor, instr(actor, ':') + 1) = ?)");
+    params.push(query.actor, query.actor);
+  }
+  if (query.action) { clauses.push('action = ?'); params.push(query.action); }
+  if (query.from) { clauses.push('created_at >= ?'); params.push(query.from); }
+  if (query.to) { clauses.push('created_at <= ?'); params.push(query.to); }
+  return {
+    where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+    params
+  };
+}
+
+export function createD1AuditLogStore(db) {
+  return {
+    async append(events) {
+      if (events.length === 0) return;
+      await db.prepare(`
+        INSERT INTO audit_events (${AUDIT_COLUMNS.join(', ')})
+        SELECT ${AUDIT_COLUMNS.map(column => `json_extract(value, '$.${column}')`).join(', ')}
+        FROM json_each(?)
+      `).bind(JSON.stringify(events.map(auditRow))).run();
+    },
+
+    /**
+     * Events matching a parseAuditQuery result, newest first
+     */
+    async list(query = {}) {
+      const { where, params } = buildFilter(query);
+      const result = await db.prepare(`SELECT * FROM audit_events ${where} ORDER BY id DESC LIMIT ?`)
+        .bind(...params, query.limit || 200).all();
+      return (result.results || []).map(fromRow);
+    }
+  };
+}
@@ -0,0 +1,50 @@
+/**
+ * D1 Hierarchy Store for the Phoenix OKR worker
+ * Appends to and reads the hierarchy_assignments table defined in src/database-schema.sql
+ */
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    level: row.level,
+    child: row.child,
+    parent: row.parent,
+    effectiveFrom: row.effective_from,
+    reason: row.reason,
+    actor: row.actor,
+    createdAt: row.created_at
+  };
+}
+
+export function createD1HierarchyStore(db) {
+  return {
+    /**
+     * Record assignments in one batch
+     */
+    async append(newEntries) {
+      if (newEntries.length === 0) return [];
+      const createdAt = new Date().toISOString();
+      const results = await db.batch(newEntries.map(entry => db.prepare(`
+        INSERT INTO hierarchy_assignments (level, child, parent, effective_from, reason, actor, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        entry.level,
+        entry.child,
+        entry.parent ?? null,
+        entry.effectiveFrom,
+        entry.reason ?? null,
+        entry.actor,
+        createdAt
+      )));
+      return newEntries.map((entry, i) => ({ id: results[i].meta.last_row_id, ...entry, createdAt }));
+    },
+
+    /**
+     * Every assignment, oldest first
+     */
+    async entries() {
+      const result = await db.prepare('SELECT * FROM hierarchy_assignments ORDER BY id').all();
+      return (result.results || []).map(fromRow);
+    }
+  };
+}
@@ -0,0 +1,73 @@
+/**
+ * D1 Login Event Store for the Phoenix OKR worker
+ * Reads and writes the login_events table defined in src/database-schema.sql
+ */
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    type: row.type,
+    ip: row.ip,
+    userAgent: row.user_agent,
+    outcome: row.outcome,
+    reason: row.reason,
+    createdAt: row.created_at
+  };
+}
+
+// Build a WHERE clause from the optional userId / ip / outcome / since filters
+function buildFilter(query) {
+  const clauses = [];
+  const params = [];
+  if (query.userId) { clauses.push('user_id = ?'); params.push(query.userId); }
+  if (query.ip) { clauses.push('ip = ?'); params.push(query.ip); }
+  if (query.outcome) { clauses.push('outcome = ?'); params.push(query.outcome); }
+  if (query.since) { clauses.push('created_at > ?'); params.push(query.since); }
+  return {
+    where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+    params
+  };
+}
+
+export function createD1LoginEventStore(db) {
+  return {
+    async record(event) {
+      await db.prepare(`
+        INSERT INTO login_events (user_id, type, ip, user_agent, outcome, reason, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        event.userId,
+        event.type,
+        event.ip,
+        event.userAgent,
+        event.outcome,
+        event.reason,
+        event.createdAt
+      ).run();
+      return event;
+    },
+
+    async failureStats(query) {
+      const { where, params } = buildFilter({ ...query, outcome: 'failure' });
+      const row = await db.prepare(`SELECT COUNT(*) AS count, MIN(created_at) AS oldest_at FROM login_events ${where}`)
+        .bind(...params).first();
+      return { count: row ? row.count : 0, oldestAt: row ? row.oldest_at : null };
+    },
+
+    async lastSuccessAt(userId) {
+      const row = await db.prepare(`
+        SELECT MAX(created_at) AS last_success FROM login_events
+        WHERE user_id = ? AND outcome = 'success'
+      `).bind(userId).first();
+      return row ? row.last_success : null;
+    },
+
+    async list(query = {}) {
+      const { where, params } = buildFilter(query);
+      const result = await db.prepare(`SELECT * FROM login_events ${where} ORDER BY id DESC LIMIT ?`)
+        .bind(...params, query.limit || 100).all();
+      return (result.results || []).map(fromRow);
+    }
+  };
+}
@@ -0,0 +1,54 @@
+/**
+ * D1 Medal Ledger Store for the Phoenix OKR worker
+ * Appends to and reads the medal_ledger table defined in src/database-schema.sql
+ */
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    medalId: row.medal_id,
+    action: row.action,
+    outletCode: row.outlet_code,
+    period: row.period,
+    kind: row.kind,
+    medal: row.medal ? JSON.parse(row.medal) : null,
+    reason: row.reason,
+    actor: row.actor,
+    createdAt: row.created_at
+  };
+}
+
+export function createD1MedalStore(db) {
+  return {
+    /**
+     * Record entries in one batch; the unique tier index rejects a second tier medal for an outlet and period
+     */
+    async append(newEntries) {
+      if (newEntries.length === 0) return [];
+      const createdAt = new Date().toISOString();
+      const results = await db.batch(newEntries.map(entry => db.prepare(`
+        INSERT INTO medal_ledger (medal_id, action, outlet_code, period, kind, medal, reason, actor, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        entry.medalId ?? null,
+        entry.action,
+        entry.outletCode,
+        entry.period,
+        entry.kind,
+        entry.medal ? JSON.stringify(entry.medal) : null,
+        entry.reason ?? null,
+        entry.actor,
+        createdAt
+      )));
+      return newEntries.map((entry, i) => ({ id: results[i].meta.last_row_id, ...entry, createdAt }));
+    },
+
+    /**
+     * Every entry, oldest first
+     */
+    async entries() {
+      const result = await db.prepare('SELECT * FROM medal_ledger ORDER BY id').all();
+      return (result.results || []).map(fromRow);
+    }
+  };
+}
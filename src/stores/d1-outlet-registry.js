@@ -0,0 +1,59 @@
+/**
+ * D1 Outlet Registry Store for the Phoenix OKR worker
+ * Reads and writes the outlet_registry table defined in src/database-schema.sql
+ */
+
+function fromRow(row) {
+  if (!row) return null;
+  return {
+    code: row.code,
+    name: row.name,
+    am: row.am,
+    region: row.region,
+    openingDate: row.opening_date,
+    status: row.status,
+    storeType: row.store_type,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    updatedBy: row.updated_by
+  };
+}
+
+export function createD1OutletRegistryStore(db) {
+  return {
+    async get(code) {
+      const row = await db.prepare('SELECT * FROM outlet_registry WHERE code = ?').bind(code).first();
+      return fromRow(row);
+    },
+
+    async list() {
+      const result = await db.prepare('SELECT * FROM outlet_registry ORDER BY code').all();
+      return (result.results || []).map(fromRow);
+    },
+
+    async put(outlet) {
+      await db.prepare(`
+        INSERT OR REPLACE INTO outlet_registry
+          (code, name, am, region, opening_date, status, store_type, created_at, updated_at, updated_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        outlet.code,
+        outlet.name,
+        outlet.am,
+        outlet.region,
+        outlet.openingDate,
+        outlet.status,
+        outlet.storeType,
+        outlet.createdAt,
+        outlet.updatedAt,
+        outlet.updatedBy
+      ).run();
+      return outlet;
+    },
+
+    async remove(code) {
+      await db.prepare('DELETE FROM outlet_registry WHERE code = ?').bind(code).run();
+      return code;
+    }
+  };
+}
@@ -0,0 +1,256 @@
+/**
+ * D1 Phoenix Data Store for the Phoenix OKR worker
+ * Outlets live in the normalized outlets, performance_logs and comments tables
+ * (see outlet-rows.js for the mapping). The phoenix_data row 'main' keeps the
+ * document-level fields (revision, removedOutlets, metadata). load() puts the
+ * same aggregate document back together that GET /api/phoenix-data has always
+ * returned.
+ *
+ * Saves are compare-and-set on the document revision: the first statement of
+ * the batch moves 'main' to the new revision and stamps a write id, and every
+ * table write after it only applies while that write id is in place. So two
+ * requests that read the same revision cannot both write.
+ *
+ * performance_logs doubles as the performance history: callers pass the
+ * entries a save adds (see src/lib/performance.js), each with its period and
+ * author, and performanceHistory() reads them back. The audit events of a
+ * save (src/lib/audit.js) go into audit_events in the same batch.
+ *
+ * Databases created before the split still hold every outlet inside the 'main'
+ * row; the first load() moves them into the tables once (after copying the
+ * blob to phoenix_backups).
+ *
+ * Backups are thinned out by the retention policy in src/lib/backups.js
+ * (listBackups/removeBackups, run from the worker's cron trigger).
+ */
+
+import { outletToRows, rowsToOutlet } from './outlet-rows.js';
+import { auditRow, AUDIT_COLUMNS } from './d1-audit-log.js';
+
+const DOCUMENT_ID = 'main';
+
+// Only true while the current batch's UPDATE of 'main' succeeded
+const WRITE_GUARD = `(SELECT json_extract(data, '$.writeId') FROM phoenix_data WHERE id = '${DOCUMENT_ID}') = ?`;
+
+const OUTLET_COLUMNS = [
+  'code', 'name', 'am', 'objective', 'description', 'key_results', 'action_plans', 'okr',
+  'kr_progress', 'performance_data', 'performance_terms', 'extra', 'revision', 'date_added', 'last_modified'
+];
+
+function withoutOutlets(data) {
+  const { outlets, writeId, ...meta } = data;
+  return meta;
+}
+
+// Outlets written by the save that produced data.revision, and outlets it removed
+function changedByRevision(data) {
+  return {
+    changed: Object.keys(data.outlets || {}).filter(code => data.outlets[code].revision === data.revision),
+    removed: Object.keys(data.removedOutlets || {}).filter(code => data.removedOutlets[code] === data.revision)
+  };
+}
+
+export function createD1PhoenixDataStore(db) {
+  /**
+   * Statements that replace the given outlets, delete the removed ones and append logRows, all behind WRITE_GUARD
+   * Rows are passed as one JSON array per table, so a save is a handful of statements however many outlets change.
+   */
+  function outletStatements(data, changed, removed, logRows, writeId, now) {
+    const outletRows = [];
+    const commentRows = [];
+    changed.forEach(code => {
+      const rows = outletToRows(code, data.outlets[code], now);
+      outletRows.push(rows.outlet);
+      commentRows.push(...rows.comments);
+    });
+    const replaced = JSON.stringify([...changed, ...removed]);
+
+    return [
+      db.prepare(`
+        DELETE FROM comments
+        WHERE outlet_code IN (SELECT value FROM json_each(?)) AND ${WRITE_GUARD}
+      `).bind(replaced, writeId),
+      db.prepare(`
+        DELETE FROM performance_logs
+        WHERE outlet_code IN (SELECT value FROM json_each(?)) AND ${WRITE_GUARD}
+      `).bind(JSON.stringify(removed), writeId),
+      db.prepare(`
+        DELETE FROM outlets
+        WHERE code IN (SELECT value FROM json_each(?)) AND ${WRITE_GUARD}
+      `).bind(JSON.stringify(removed), writeId),
+      db.prepare(`
+        INSERT INTO outlets (${OUTLET_COLUMNS.join(', ')})
+        SELECT ${OUTLET_COLUMNS.map(column => `json_extract(value, '$.${column}')`).join(', ')}
+        FROM json_each(?) WHERE ${WRITE_GUARD}
+        ON CONFLICT (code) DO UPDATE SET
+          ${OUTLET_COLUMNS.slice(1).map(column => `${column} = excluded.${column}`).join(', ')}
+      `).bind(JSON.stringify(outletRows), writeId),
+      db.prepare(`
+        INSERT INTO performance_logs (outlet_code, term, period, revenue, trano, author, recorded_at)
+        SELECT json_extract(value, '$.outlet_code'), json_extract(value, '$.term'), json_extract(value, '$.period'),
+               json_extract(value, '$.revenue'), json_extract(value, '$.trano'), json_extract(value, '$.author'), ?
+        FROM json_each(?) WHERE ${WRITE_GUARD}
+      `).bind(now, JSON.stringify(logRows), writeId),
+      db.prepare(`
+        INSERT INTO comments (outlet_code, kr_key, action_key, comment, author, created_at)
+        SELECT json_extract(value, '$.outlet_code'), json_extract(value, '$.kr_key'),
+               json_extract(value, '$.action_key'), json_extract(value, '$.comment'),
+               json_extract(value, '$.author'), json_extract(value, '$.created_at')
+        FROM json_each(?) WHERE ${WRITE_GUARD}
+      `).bind(JSON.stringify(commentRows), writeId)
+    ];
+  }
+
+  /**
+   * Move a pre-normalization document (outlets inside the 'main' row) into the tables
+   */
+  async function migrateLegacyDocument(legacy) {
+    const now = new Date().toISOString();
+    const writeId = crypto.randomUUID();
+    if (Object.keys(legacy.outlets).length > 0) {
+      await store.backup(legacy, `pre_normalize_${Date.now()}`);
+    }
+
+    const meta = { ...withoutOutlets(legacy), writeId };
+    // Undated rows: nobody knows which period the old values were for
+    const logRows = Object.keys(legacy.outlets || {})
+      .flatMap(code => outletToRows(code, legacy.outlets[code], now).logs)
+      .map(log => ({ ...log, period: null, author: null }));
+    await db.batch([
+      db.prepare(`
+        UPDATE phoenix_data SET data = ?, updated_at = ?
+        WHERE id = ? AND json_type(data, '$.outlets') IS NOT NULL
+      `).bind(JSON.stringify(meta), now, DOCUMENT_ID),
+      ...outletStatements(legacy, Object.keys(legacy.outlets || {}), [], logRows, writeId, now)
+    ]);
+  }
+
+  const store = {
+    async load() {
+      const [main, outlets, logs, comments] = await db.batch([
+        db.prepare('SELECT data FROM phoenix_data WHERE id = ?').bind(DOCUMENT_ID),
+        db.prepare('SELECT * FROM outlets ORDER BY rowid'),
+        // The row in effect per outlet and term: latest period (undated rows last), then latest id
+        db.prepare(`
+          SELECT outlet_code, term, revenue, trano FROM (
+            SELECT *, ROW_NUMBER() OVER (PARTITION BY outlet_code, term ORDER BY period DESC, id DESC) AS position
+            FROM performance_logs
+          ) WHERE position = 1
+        `),
+        db.prepare('SELECT * FROM comments ORDER BY id')
+      ]);
+
+      const document = main.results[0] ? JSON.parse(main.results[0].data) : {};
+      if (document.outlets) {
+        await migrateLegacyDocument(document);
+        return store.load();
+      }
+
+      const data = withoutOutlets(document);
+      data.outlets = {};
+      outlets.results.forEach(row => {
+        data.outlets[row.code] = rowsToOutlet(
+          row,
+          logs.results.filter(log => log.outlet_code === row.code),
+          comments.results.filter(comment => comment.outlet_code === row.code)
+        );
+      });
+      return data;
+    },
+
+    /**
+     * Save the document if the stored copy is still at expectedRevision
+     * Only outlets stamped with the new revision (and outlets removed by it) are written.
+     * @param {Object[]} [performanceEntries] - History entries the save adds
+     *   ({ outletCode, term, period, revenue, trano, author }); the latest period per term must match performanceData
+     * @param {Object[]} [auditEvents] - Audit events of the save (see src/lib/audit.js)
+     * @returns {boolean} false when another write got there first
+     */
+    async save(data, expectedRevision, performanceEntries = [], auditEvents = []) {
+      const now = new Date().toISOString();
+      const writeId = crypto.randomUUID();
+      const { changed, removed } = changedByRevision(data);
+      const meta = { ...withoutOutlets(data), writeId };
+      const logRows = performanceEntries.map(entry => ({
+        outlet_code: entry.outletCode,
+        term: entry.term,
+        period: entry.period,
+        revenue: entry.revenue,
+        trano: entry.trano,
+        author: entry.author
+      }));
+
+      const results = await db.batch([
+        db.prepare(`
+          INSERT OR IGNORE INTO phoenix_data (id, data, updated_at) VALUES (?, '{}', ?)
+        `).bind(DOCUMENT_ID, now),
+        db.prepare(`
+          UPDATE phoenix_data SET data = ?, updated_at = ?
+          WHERE id = ? AND COALESCE(json_extract(data, '$.revision'), 0) = ?
+        `).bind(JSON.stringify(meta), now, DOCUMENT_ID, expectedRevision),
+        ...outletStatements(data, changed, removed, logRows, writeId, now),
+        db.prepare(`
+          INSERT INTO audit_events (${AUDIT_COLUMNS.join(', ')})
+          SELECT ${AUDIT_COLUMNS.map(column => `json_extract(value, '$.${column}')`).join(', ')}
+          FROM json_each(?) WHERE ${WRITE_GUARD}
+        `).bind(JSON.stringify(auditEvents.map(auditRow)), writeId)
+      ]);
+      return results[1].meta.changes > 0;
+    },
+
+    /**
+     * All performance entries for an outlet, oldest first
+     */
+    async performanceHistory(outletCode) {
+      const { results } = await db.prepare(`
+        SELECT id, outlet_code, term, period, revenue, trano, author, recorded_at
+        FROM performance_logs WHERE outlet_code = ? ORDER BY id
+      `).bind(outletCode).all();
+      return (results || []).map(row => ({
+        id: row.id,
+        outletCode: row.outlet_code,
+        term: row.term,
+        period: row.period,
+        revenue: row.revenue,
+        trano: row.trano,
+        author: row.author,
+        recordedAt: row.recorded_at
+      }));
+    },
+
+    async backup(data, id = `backup_${Date.now()}`) {
+      await db.prepare(`
+        INSERT INTO phoenix_backups (id, data, created_at)
+        VALUES (?, ?, ?)
+      `).bind(id, JSON.stringify(data), new Date().toISOString()).run();
+    },
+
+    /**
+     * Every backup without its data, newest first
+     * @returns {Promise<Object[]>} [{ id, createdAt, bytes }]
+     */
+    async listBackups() {
+      const result = await db.prepare(`
+        SELECT id, created_at, LENGTH(data) AS bytes FROM phoenix_backups
+        ORDER BY created_at DESC
+      `).all();
+      return (result.results || []).map(row => ({ id: row.id, createdAt: row.created_at, bytes: row.bytes }));
+    },
+
+    /**
+     * One backup with its data, or null
+     */
+    async getBackup(id) {
+      const row = await db.prepare('SELECT id, data, created_at FROM phoenix_backups WHERE id = ?').bind(id).first();
+      return row ? { id: row.id, createdAt: row.created_at, data: JSON.parse(row.data) } : null;
+    },
+
+    async removeBackups(ids) {
+      if (ids.length === 0) return;
+      await db.prepare('DELETE FROM phoenix_backups WHERE id IN (SELECT value FROM json_each(?))')
+        .bind(JSON.stringify(ids)).run();
+    }
+  };
+
+  return store;
+}
@@ -0,0 +1,40 @@
+/**
+ * D1 Reward Payout Store for the Phoenix OKR worker
+ * Reads and writes the reward_payouts table defined in src/database-schema.sql
+ */
+
+function fromRow(row) {
+  return {
+    month: row.month,
+    outletCode: row.outlet_code,
+    status: row.status,
+    row: row.snapshot ? JSON.parse(row.snapshot) : null,
+    changedBy: row.changed_by,
+    changedAt: row.changed_at
+  };
+}
+
+export function createD1RewardPayoutStore(db) {
+  return {
+    async list(month) {
+      const result = await db.prepare('SELECT * FROM reward_payouts WHERE month = ? ORDER BY outlet_code').bind(month).all();
+      return (result.results || []).map(fromRow);
+    },
+
+    async save(records) {
+      if (records.length === 0) return records;
+      await db.batch(records.map(record => db.prepare(`
+        INSERT OR REPLACE INTO reward_payouts (month, outlet_code, status, snapshot, changed_by, changed_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).bind(
+        record.month,
+        record.outletCode,
+        record.status,
+        record.row ? JSON.stringify(record.row) : null,
+        record.changedBy,
+        record.changedAt
+      )));
+      return records;
+    }
+  };
+}
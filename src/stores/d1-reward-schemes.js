@@ -0,0 +1,88 @@
+/**
+ * D1 Reward Scheme Store for the Phoenix OKR worker
+ * Reads and writes the reward_schemes and reward_scheme_versions tables defined
+ * in src/database-schema.sql
+ */
+
+function fromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description || '',
+    basis: row.basis,
+    tiers: JSON.parse(row.tiers || '[]'),
+    outlets: JSON.parse(row.outlets || '[]'),
+    startMonth: row.start_month,
+    endMonth: row.end_month,
+    version: row.version,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function fromVersionRow(row) {
+  return {
+    schemeId: row.scheme_id,
+    version: row.version,
+    scheme: row.scheme ? JSON.parse(row.scheme) : null,
+    changedBy: row.changed_by,
+    changedAt: row.changed_at
+  };
+}
+
+export function createD1RewardSchemeStore(db) {
+  return {
+    async get(id) {
+      const row = await db.prepare('SELECT * FROM reward_schemes WHERE id = ?').bind(id).first();
+      return fromRow(row);
+    },
+
+    async list() {
+      const result = await db.prepare('SELECT * FROM reward_schemes ORDER BY id').all();
+      return (result.results || []).map(fromRow);
+    },
+
+    async versions(id) {
+      const statement = id
+        ? db.prepare('SELECT * FROM reward_scheme_versions WHERE scheme_id = ? ORDER BY changed_at, version').bind(id)
+        : db.prepare('SELECT * FROM reward_scheme_versions ORDER BY changed_at, scheme_id, version');
+      const result = await statement.all();
+      return (result.results || []).map(fromVersionRow);
+    },
+
+    /**
+     * Record a version and make it the current scheme (or delete the scheme when change.scheme is null).
+     * The (scheme_id, version) key rejects a concurrent change to the same scheme.
+     */
+    async commit(change) {
+      const { scheme } = change;
+      await db.batch([
+        db.prepare(`
+          INSERT INTO reward_scheme_versions (scheme_id, version, scheme, changed_by, changed_at)
+          VALUES (?, ?, ?, ?, ?)
+        `).bind(change.schemeId, change.version, scheme ? JSON.stringify(scheme) : null, change.changedBy, change.changedAt),
+        scheme
+          ? db.prepare(`
+              INSERT OR REPLACE INTO reward_schemes
+                (id, name, description, basis, tiers, outlets, start_month, end_month, version, created_at, updated_at)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).bind(
+              change.schemeId,
+              scheme.name,
+              scheme.description,
+              scheme.basis,
+              JSON.stringify(scheme.tiers),
+              JSON.stringify(scheme.outlets),
+              scheme.startMonth,
+              scheme.endMonth,
+              change.version,
+              scheme.createdAt || change.changedAt,
+              change.changedAt
+            )
+          : db.prepare('DELETE FROM reward_schemes WHERE id = ?').bind(change.schemeId)
+      ]);
+      return change;
+    }
+  };
+}
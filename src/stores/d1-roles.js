@@ -0,0 +1,50 @@
+/**
+ * D1 Role Store for the Phoenix OKR worker
+ * Reads and writes the roles table defined in src/database-schema.sql
+ */
+
+function fromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description || '',
+    permissions: JSON.parse(row.permissions || '[]'),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export function createD1RoleStore(db) {
+  return {
+    async get(id) {
+      const row = await db.prepare('SELECT * FROM roles WHERE id = ?').bind(id).first();
+      return fromRow(row);
+    },
+
+    async list() {
+      const result = await db.prepare('SELECT * FROM roles ORDER BY id').all();
+      return (result.results || []).map(fromRow);
+    },
+
+    async upsert(role) {
+      await db.prepare(`
+        INSERT OR REPLACE INTO roles (id, name, description, permissions, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).bind(
+        role.id,
+        role.name,
+        role.description,
+        JSON.stringify(role.permissions || []),
+        role.createdAt,
+        role.updatedAt
+      ).run();
+      return role;
+    },
+
+    async remove(id) {
+      const result = await db.prepare('DELETE FROM roles WHERE id = ?').bind(id).run();
+      return result.meta ? result.meta.changes > 0 : true;
+    }
+  };
+}
@@ -0,0 +1,65 @@
+/**
+ * D1 User Store for the Phoenix OKR worker
+ * Reads and writes the users table defined in src/database-schema.sql
+ */
+
+import { userId } from '../lib/users.js';
+
+function fromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    type: row.type,
+    identifier: row.identifier,
+    name: row.name || '',
+    role: row.role,
+    outlets: row.outlets ? JSON.parse(row.outlets) : [],
+    am: row.am || '',
+    passwordHash: row.password_hash,
+    mustChangePassword: Boolean(row.must_change_password),
+    tokenVersion: Number(row.token_version) || 0,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export function createD1UserStore(db) {
+  return {
+    async get(type, identifier) {
+      const row = await db.prepare('SELECT * FROM users WHERE id = ?')
+        .bind(userId(type, identifier)).first();
+      return fromRow(row);
+    },
+
+    async getById(id) {
+      const row = await db.prepare('SELECT * FROM users WHERE id = ?').bind(id).first();
+      return fromRow(row);
+    },
+
+    async list() {
+      const result = await db.prepare('SELECT * FROM users ORDER BY type, identifier').all();
+      return (result.results || []).map(fromRow);
+    },
+
+    async upsert(record) {
+      await db.prepare(`
+        INSERT OR REPLACE INTO users
+          (id, type, identifier, name, role, outlets, am, password_hash, must_change_password, token_version, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        record.id,
+        record.type,
+        record.identifier,
+        record.name,
+        record.role,
+        JSON.stringify(record.outlets || []),
+        record.am,
+        record.passwordHash,
+        record.mustChangePassword ? 1 : 0,
+        record.tokenVersion || 0,
+        record.createdAt,
+        record.updatedAt
+      ).run();
+    }
+  };
+}
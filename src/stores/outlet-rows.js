@@ -0,0 +1,201 @@
+/**
+ * Outlet <-> D1 row mapping for the normalized Phoenix tables
+ *
+ * An outlet object is split into:
+ * - one outlets row: name, am, the OKR text fields, OKR state and everything
+ *   else as JSON columns
+ * - performance_logs rows: one per { revenue, trano } term of performanceData
+ *   (append-only; the latest row per term - by period, then id - is the current value)
+ * - comments rows: one per krProgress chat message
+ *
+ * Anything that does not fit a column as-is stays in a JSON column, so
+ * rowsToOutlet(outletToRows(outlet)) gives back the same outlet.
+ */
+
+import { isPerformanceValue } from '../lib/performance.js';
+
+const MESSAGE_FIELDS = ['user', 'message', 'timestamp'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toJson(value) {
+  return value === undefined ? null : JSON.stringify(value);
+}
+
+function fromJson(text) {
+  return text === null || text === undefined ? undefined : JSON.parse(text);
+}
+
+function isStorableMessage(message) {
+  return isPlainObject(message) &&
+    typeof message.message === 'string' &&
+    typeof message.timestamp === 'string' &&
+    Object.keys(message).every(key => MESSAGE_FIELDS.includes(key) && typeof message[key] === 'string');
+}
+
+function splitPerformance(code, performanceData) {
+  if (!isPlainObject(performanceData)) {
+    return { rest: performanceData, terms: null, logs: [] };
+  }
+  const rest = {};
+  const terms = [];
+  const logs = [];
+  Object.entries(performanceData).forEach(([term, value]) => {
+    // { revenue: 100, trano: 5 } -> a performance_logs row; anything else stays JSON
+    if (isPerformanceValue(value)) {
+      terms.push(term);
+      logs.push({
+        outlet_code: code,
+        term,
+        revenue: value.revenue ?? null,
+        trano: value.trano ?? null
+      });
+    } else {
+      rest[term] = value;
+    }
+  });
+  return { rest, terms, logs };
+}
+
+// Chat messages move to comment rows; the rest of krProgress is kept as JSON
+function splitKrProgress(code, krProgress) {
+  if (!isPlainObject(krProgress)) {
+    return { rest: krProgress, comments: [] };
+  }
+  const rest = {};
+  const comments = [];
+  Object.entries(krProgress).forEach(([krKey, progress]) => {
+    if (!isPlainObject(progress) || !isPlainObject(progress.chatMessages)) {
+      rest[krKey] = progress;
+      return;
+    }
+    const keptMessages = {};
+    Object.entries(progress.chatMessages).forEach(([actionKey, messages]) => {
+      if (Array.isArray(messages) && messages.length > 0 && messages.every(isStorableMessage)) {
+        messages.forEach(message => comments.push({
+          outlet_code: code,
+          kr_key: krKey,
+          action_key: actionKey,
+          comment: message.message,
+          author: message.user ?? null,
+          created_at: message.timestamp
+        }));
+      } else {
+        keptMessages[actionKey] = messages;
+      }
+    });
+    rest[krKey] = { ...progress, chatMessages: keptMessages };
+  });
+  return { rest, comments };
+}
+
+/**
+ * @returns {{outlet: Object, logs: Object[], comments: Object[]}} rows for the three tables
+ */
+export function outletToRows(code, outlet, now) {
+  const { name, am, okr, performanceData, dateAdded, revision, ...extra } = outlet;
+  const row = {
+    code,
+    name: typeof name === 'string' ? name : null,
+    am: typeof am === 'string' ? am : null,
+    objective: null,
+    description: null,
+    key_results: null,
+    action_plans: null,
+    okr: null,
+    kr_progress: null,
+    performance_data: null,
+    performance_terms: null,
+    extra: null,
+    revision: Number(revision) || 0,
+    date_added: typeof dateAdded === 'string' ? dateAdded : '',
+    last_modified: now
+  };
+  if (name !== undefined && row.name === null) extra.name = name;
+  if (am !== undefined && row.am === null) extra.am = am;
+  if (dateAdded !== undefined && row.date_added === '') extra.dateAdded = dateAdded;
+
+  let comments = [];
+  if (isPlainObject(okr)) {
+    const { objective, description, keyResults, actionPlans, krProgress, ...okrRest } = okr;
+    row.objective = typeof objective === 'string' ? objective : null;
+    row.description = typeof description === 'string' ? description : null;
+    if (objective !== undefined && row.objective === null) okrRest.objective = objective;
+    if (description !== undefined && row.description === null) okrRest.description = description;
+    row.key_results = toJson(keyResults);
+    row.action_plans = toJson(actionPlans);
+    row.okr = JSON.stringify(okrRest);
+    const progress = splitKrProgress(code, krProgress);
+    row.kr_progress = toJson(progress.rest);
+    comments = progress.comments;
+  } else if (okr !== undefined) {
+    extra.okr = okr;
+  }
+
+  let logs = [];
+  if (performanceData !== undefined) {
+    const performance = splitPerformance(code, performanceData);
+    row.performance_data = toJson(performance.rest);
+    row.performance_terms = toJson(performance.terms);
+    logs = performance.logs;
+  }
+
+  row.extra = Object.keys(extra).length > 0 ? JSON.stringify(extra) : null;
+  return { outlet: row, logs, comments };
+}
+
+/**
+ * Rebuild an outlet from its row, the performance_logs row in effect per term and its comments (in id order)
+ */
+export function rowsToOutlet(row, latestLogs = [], comments = []) {
+  const outlet = {};
+  if (row.date_added) outlet.dateAdded = row.date_added;
+  if (row.name !== null) outlet.name = row.name;
+  if (row.am !== null) outlet.am = row.am;
+
+  const terms = fromJson(row.performance_terms);
+  const performanceRest = fromJson(row.performance_data);
+  if (Array.isArray(terms)) {
+    const performanceData = {};
+    terms.forEach(term => {
+      const log = latestLogs.find(entry => entry.term === term);
+      if (!log) return;
+      performanceData[term] = {};
+      if (log.revenue !== null) performanceData[term].revenue = log.revenue;
+      if (log.trano !== null) performanceData[term].trano = log.trano;
+    });
+    outlet.performanceData = { ...performanceData, ...performanceRest };
+  } else if (performanceRest !== undefined) {
+    outlet.performanceData = performanceRest;
+  }
+
+  if (row.okr !== null) {
+    const okr = {};
+    if (row.objective !== null) okr.objective = row.objective;
+    if (row.description !== null) okr.description = row.description;
+    if (row.key_results !== null) okr.keyResults = fromJson(row.key_results);
+    if (row.action_plans !== null) okr.actionPlans = fromJson(row.action_plans);
+    Object.assign(okr, fromJson(row.okr));
+
+    const krProgress = fromJson(row.kr_progress);
+    if (krProgress !== undefined) {
+      comments.forEach(comment => {
+        const progress = krProgress[comment.kr_key];
+        if (!isPlainObject(progress) || !isPlainObject(progress.chatMessages)) return;
+        const messages = progress.chatMessages[comment.action_key] || [];
+        const message = comment.author !== null ? { user: comment.author } : {};
+        message.message = comment.comment;
+        message.timestamp = comment.created_at;
+        progress.chatMessages[comment.action_key] = [...messages, message];
+      });
+      okr.krProgress = krProgress;
+    }
+    outlet.okr = okr;
+  }
+
+  Object.assign(outlet, fromJson(row.extra));
+  outlet.revision = row.revision;
+  return outlet;
+}
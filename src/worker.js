@@ -6,16 +6,59 @@
  * - RESTful API for Phoenix OKR data management
  * - D1 SQLite database integration
  * - CORS enabled for cross-origin requests
- * - Automatic backups on data updates
+ * - Automatic backups on data updates, pruned hourly by a cron trigger
  * - Individual outlet management
  * - Health check endpoint
+ * - Signed session tokens required for every write route
  */
 
+import CONFIG from '../config.js';
+import { handleAuth, getSession } from './handlers/auth.js';
+import { handleAdminUsers } from './handlers/admin-users.js';
+import { handleAdminLoginEvents } from './handlers/admin-login-events.js';
+import { handleRoles } from './handlers/roles.js';
+import { handleRewardSchemes } from './handlers/reward-schemes.js';
+import { handleMedals } from './handlers/medals.js';
+import { handleReports } from './handlers/reports.js';
+import { handleLeaderboard } from './handlers/leaderboard.js';
+import { handleOutlets } from './handlers/outlets.js';
+import { handleHierarchy } from './handlers/hierarchy.js';
+import { handleAudit } from './handlers/audit.js';
+import { jsonResponse, unauthorizedResponse, errorResponse, passwordChangeRequiredResponse, readJson } from './handlers/http.js';
+import { canAccessOutlet, filterDataForUser, mergeScopedSave, hasPermission, checkChangePermissions } from './lib/permissions.js';
+import { applyOutletPatch } from './lib/outlet-patch.js';
+import {
+  REVISION_CONFLICT,
+  documentRevision,
+  outletRevision,
+  formatETag,
+  commitRevision,
+  checkDocumentWrite,
+  checkOutletWrite
+} from './lib/revisions.js';
+import {
+  performanceAuthor,
+  parsePeriodQuery,
+  validatePerformanceEntry,
+  applyPerformanceEntry,
+  performanceChanges,
+  performanceReport
+} from './lib/performance.js';
+import { definePeriod, removePeriod, listPeriods } from './lib/periods.js';
+import { calculateActionCompletion, outletScorecard } from './lib/scorecard.js';
+import { readImportFile, readImportRecords, planPerformanceImport, importSummary, isDryRun } from './lib/performance-import.js';
+import { planRestore, restoreResult, backupsToPrune, backupUsage } from './lib/backups.js';
+import { parseDiffQuery, dataDiff } from './lib/data-diff.js';
+import { auditEvents } from './lib/audit.js';
+import { createD1PhoenixDataStore } from './stores/d1-phoenix-data.js';
+import { createD1RewardSchemeStore } from './stores/d1-reward-schemes.js';
+
 // CORS headers for cross-origin requests
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match',
+  'Access-Control-Expose-Headers': 'ETag, Retry-After, Content-Disposition',
   'Access-Control-Max-Age': '86400',
 };
 
@@ -31,9 +74,12 @@ export default {
 
     try {
       let response;
+      const session = path.startsWith('/api/') ? await getSession(request, env) : null;
 
-      // Route handling
-      if (path === '/' || path === '/index.html') {
+      // Sessions on a temporary password may only use the auth endpoints
+      if (session?.mustChangePassword && !path.startsWith('/api/auth/')) {
+        response = passwordChangeRequiredResponse();
+      } else if (path === '/' || path === '/index.html') {
         response = await handleIndex(request, env);
       } else if (path === '/okr-login.html') {
         response = await handleLoginPage(request, env);
@@ -41,16 +87,38 @@ export default {
         response = await handlePhoenixFrontend(request, env);
       } else if (path === '/config.js') {
         response = await handleConfig(request, env);
-      } else if (path === '/google-sheets-api.js') {
-        response = await handleGoogleSheetsAPI(request, env);
       } else if (path === '/api/status' || path === '/health') {
         response = await handleStatus(request, env);
+      } else if (path.startsWith('/api/auth/')) {
+        response = await handleAuth(request, env, session);
       } else if (path === '/api/phoenix-data') {
-        response = await handlePhoenixData(request, env);
+        response = await handlePhoenixData(request, env, session);
       } else if (path.startsWith('/api/outlet/')) {
-        response = await handleOutlet(request, env);
-      } else if (path === '/api/backups') {
-        response = await handleBackups(request, env);
+        response = await handleOutlet(request, env, session);
+      } else if (path === '/api/import/performance') {
+        response = await handlePerformanceImport(request, env, session, url);
+      } else if (path === '/api/backups' || path.startsWith('/api/backups/')) {
+        response = await handleBackups(request, env, session);
+      } else if (path.startsWith('/api/admin/users/')) {
+        response = await handleAdminUsers(request, env, session);
+      } else if (path === '/api/admin/login-events') {
+        response = await handleAdminLoginEvents(request, env, session);
+      } else if (path === '/api/roles' || path.startsWith('/api/roles/')) {
+        response = await handleRoles(request, env, session);
+      } else if (path === '/api/reward-schemes' || path.startsWith('/api/reward-schemes/')) {
+        response = await handleRewardSchemes(request, env, session);
+      } else if (path === '/api/medals' || path.startsWith('/api/medals/')) {
+        response = await handleMedals(request, env, session);
+      } else if (path.startsWith('/api/reports/')) {
+        response = await handleReports(request, env, session);
+      } else if (path === '/api/leaderboard') {
+        response = await handleLeaderboard(request, env, session);
+      } else if (path === '/api/outlets' || path.startsWith('/api/outlets/')) {
+        response = await handleOutlets(request, env, session);
+      } else if (path === '/api/hierarchy' || path.startsWith('/api/hierarchy/')) {
+        response = await handleHierarchy(request, env, session);
+      } else if (path === '/api/audit') {
+        response = await handleAudit(request, env, session);
       } else {
         response = new Response('Not Found', { status: 404 });
       }
@@ -76,86 +144,100 @@ export default {
         }
       });
     }
+  },
+
+  // Cron trigger (wrangler.toml [triggers])
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(pruneBackups(env));
   }
 };
 
+// Delete the backups the retention policy (CONFIG.BACKUPS) no longer keeps
+async function pruneBackups(env) {
+  const store = createD1PhoenixDataStore(env.PHOENIX_DB);
+  const pruned = backupsToPrune(await store.listBackups());
+  await store.removeBackups(pruned);
+  if (pruned.length > 0) {
+    console.log(`🧹 Pruned ${pruned.length} backups`);
+  }
+  return pruned;
+}
+
 // Status endpoint
 async function handleStatus(request, env) {
+  const store = createD1PhoenixDataStore(env.PHOENIX_DB);
   return new Response(JSON.stringify({
     success: true,
     status: 'online',
     platform: 'Cloudflare Workers',
     timestamp: new Date().toISOString(),
-    version: '1.0.0'
+    version: '1.0.0',
+    backupStorage: backupUsage(await store.listBackups())
   }), {
     headers: { 'Content-Type': 'application/json' }
   });
 }
 
 // Phoenix data management
-async function handlePhoenixData(request, env) {
+async function handlePhoenixData(request, env, session) {
   const method = request.method;
 
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  const store = createD1PhoenixDataStore(env.PHOENIX_DB);
+
   if (method === 'GET') {
-    // Get data from D1 database
+    // Get data from D1 database (only the outlets the caller may see)
     try {
-      const result = await env.PHOENIX_DB.prepare(
-        'SELECT data FROM phoenix_data WHERE id = ?'
-      ).bind('main').first();
-
-      if (result) {
-        const data = JSON.parse(result.data);
-        return new Response(JSON.stringify({
-          success: true,
-          data: data,
-          timestamp: new Date().toISOString()
-        }), {
-          headers: { 'Content-Type': 'application/json' }
-        });
-      } else {
-        // Return empty structure if no data exists
-        return new Response(JSON.stringify({
-          success: true,
-          data: { outlets: {} },
-          timestamp: new Date().toISOString()
-        }), {
-          headers: { 'Content-Type': 'application/json' }
-        });
-      }
+      const stored = await store.load();
+      const revision = documentRevision(stored);
+      return jsonResponse({
+        success: true,
+        data: filterDataForUser(stored, session),
+        revision: revision,
+        timestamp: new Date().toISOString()
+      }, 200, { ETag: formatETag(revision) });
     } catch (error) {
       throw new Error(`Database read error: ${error.message}`);
     }
   }
 
   if (method === 'POST') {
-    // Save data to D1 database
+    // Save data to D1 database (If-Match: the ETag from GET /api/phoenix-data)
     try {
       const body = await request.json();
-      const dataToSave = body.data || body;
-      
-      // Insert or update data in D1
-      await env.PHOENIX_DB.prepare(`
-        INSERT OR REPLACE INTO phoenix_data (id, data, updated_at) 
-        VALUES (?, ?, ?)
-      `).bind('main', JSON.stringify(dataToSave), new Date().toISOString()).run();
-
-      // Create backup entry
-      await env.PHOENIX_DB.prepare(`
-        INSERT INTO phoenix_backups (id, data, created_at) 
-        VALUES (?, ?, ?)
-      `).bind(
-        `backup_${Date.now()}`,
-        JSON.stringify(dataToSave),
-        new Date().toISOString()
-      ).run();
+      const current = await store.load();
 
-      return new Response(JSON.stringify({
+      const conflict = checkDocumentWrite(request.headers.get('If-Match'), current, session);
+      if (conflict) {
+        return jsonResponse(conflict.body, conflict.status, conflict.headers);
+      }
+
+      // Non-admin users can only change the outlets they own
+      const { data: dataToSave, skippedOutlets } = mergeScopedSave(current, body.data || body, session);
+      const events = auditEvents(current, dataToSave, session);
+      const forbidden = checkChangePermissions(events, session);
+      if (forbidden) {
+        return jsonResponse(forbidden.body, forbidden.status);
+      }
+      const { revision, changedOutlets } = commitRevision(current, dataToSave);
+
+      const performanceEntries = performanceChanges(current, dataToSave, changedOutlets, session);
+      if (!(await store.save(dataToSave, documentRevision(current), performanceEntries, events))) {
+        return revisionRaceResponse();
+      }
+      await store.backup(dataToSave);
+
+      return jsonResponse({
         success: true,
         message: 'Data saved successfully',
-        timestamp: new Date().toISOString()
-      }), {
-        headers: { 'Content-Type': 'application/json' }
-      });
+        timestamp: new Date().toISOString(),
+        revision: revision,
+        changedOutlets: changedOutlets,
+        skippedOutlets: skippedOutlets
+      }, 200, { ETag: formatETag(revision) });
 
     } catch (error) {
       throw new Error(`Database write error: ${error.message}`);
@@ -165,48 +247,69 @@ async function handlePhoenixData(request, env) {
   return new Response('Method not allowed', { status: 405 });
 }
 
+// Another request saved between our read and our write; the client re-reads and retries
+function revisionRaceResponse() {
+  return jsonResponse({
+    success: false,
+    error: 'Data changed on the server while saving - reload and try again',
+    code: REVISION_CONFLICT
+  }, 409);
+}
+
 // Individual outlet management
-async function handleOutlet(request, env) {
+async function handleOutlet(request, env, session) {
   const url = new URL(request.url);
   const pathParts = url.pathname.split('/');
   const outletCode = pathParts[3]; // /api/outlet/{code}
+  const resource = pathParts[4]; // /api/outlet/{code}/performance|scorecard, /api/outlet/{code}/periods[/{id}]
 
   if (!outletCode) {
     return new Response('Outlet code required', { status: 400 });
   }
 
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  if (!canAccessOutlet(session, outletCode)) {
+    return errorResponse(`You do not have access to outlet ${outletCode}`, 403);
+  }
+
   const method = request.method;
+  const store = createD1PhoenixDataStore(env.PHOENIX_DB);
+
+  if (resource === 'performance') {
+    return handleOutletPerformance(request, store, session, outletCode);
+  }
+  if (resource === 'periods') {
+    return handleOutletPeriods(request, store, session, outletCode, pathParts[5]);
+  }
+  if (resource === 'scorecard') {
+    return handleOutletScorecard(request, store, createD1RewardSchemeStore(env.PHOENIX_DB), outletCode);
+  }
+  if (resource) {
+    return new Response('Not Found', { status: 404 });
+  }
 
   if (method === 'GET') {
     // Get specific outlet data
     try {
-      const result = await env.PHOENIX_DB.prepare(
-        'SELECT data FROM phoenix_data WHERE id = ?'
-      ).bind('main').first();
-
-      if (result) {
-        const data = JSON.parse(result.data);
-        const outlet = data.outlets && data.outlets[outletCode];
-        
-        if (outlet) {
-          return new Response(JSON.stringify({
-            success: true,
-            data: outlet,
-            outletCode: outletCode
-          }), {
-            headers: { 'Content-Type': 'application/json' }
-          });
-        }
+      const data = await store.load();
+      const outlet = data.outlets && data.outlets[outletCode];
+
+      if (outlet) {
+        return jsonResponse({
+          success: true,
+          data: outlet,
+          outletCode: outletCode
+        }, 200, { ETag: formatETag(outletRevision(outlet)) });
       }
 
-      return new Response(JSON.stringify({
+      return jsonResponse({
         success: false,
         error: 'Outlet not found',
         outletCode: outletCode
-      }), {
-        status: 404,
-        headers: { 'Content-Type': 'application/json' }
-      });
+      }, 404);
 
     } catch (error) {
       throw new Error(`Outlet read error: ${error.message}`);
@@ -217,61 +320,275 @@ async function handleOutlet(request, env) {
     // Update specific outlet
     try {
       const body = await request.json();
-      
-      // Get current data
-      const result = await env.PHOENIX_DB.prepare(
-        'SELECT data FROM phoenix_data WHERE id = ?'
-      ).bind('main').first();
-
-      let data = { outlets: {} };
-      if (result) {
-        data = JSON.parse(result.data);
+      return await writeOutlet(request, store, session, outletCode, outlet => ({
+        outlet: {
+          ...body,
+          dateAdded: outlet?.dateAdded || new Date().toISOString()
+        }
+      }), 'updated successfully');
+    } catch (error) {
+      throw new Error(`Outlet update error: ${error.message}`);
+    }
+  }
+
+  if (method === 'PATCH') {
+    // Partial update - JSON Merge Patch or JSON Patch
+    const body = await readJson(request);
+    return writeOutlet(request, store, session, outletCode, outlet => {
+      if (!outlet) {
+        return { status: 404, body: { success: false, error: 'Outlet not found' } };
       }
+      return applyOutletPatch(outlet, body, request.headers.get('Content-Type'));
+    }, 'patched successfully');
+  }
 
-      // Update outlet
-      if (!data.outlets) data.outlets = {};
-      data.outlets[outletCode] = {
-        ...body,
-        dateAdded: data.outlets[outletCode]?.dateAdded || new Date().toISOString(),
-        lastModified: new Date().toISOString()
-      };
+  return new Response('Method not allowed', { status: 405 });
+}
 
-      // Save updated data
-      await env.PHOENIX_DB.prepare(`
-        INSERT OR REPLACE INTO phoenix_data (id, data, updated_at) 
-        VALUES (?, ?, ?)
-      `).bind('main', JSON.stringify(data), new Date().toISOString()).run();
+// Action completion, term progress, reward tier and reward for a period (?period=, default the current one)
+async function handleOutletScorecard(request, store, rewardSchemes, outletCode) {
+  if (request.method !== 'GET') {
+    return new Response('Method not allowed', { status: 405 });
+  }
+  const url = new URL(request.url);
+  const parsed = parsePeriodQuery(Object.fromEntries(url.searchParams));
+  if (parsed.status) {
+    return jsonResponse(parsed.body, parsed.status);
+  }
 
-      return new Response(JSON.stringify({
-        success: true,
-        message: `Outlet ${outletCode} updated successfully`,
-        data: data.outlets[outletCode]
-      }), {
-        headers: { 'Content-Type': 'application/json' }
-      });
+  const data = await store.load();
+  const outlet = data.outlets && data.outlets[outletCode];
+  if (!outlet) {
+    return jsonResponse({ success: false, error: 'Outlet not found', outletCode: outletCode }, 404);
+  }
+  const result = outletScorecard(outletCode, outlet, await store.performanceHistory(outletCode),
+    await rewardSchemes.versions(), parsed.periodId);
+  return jsonResponse(result.body, result.status, { ETag: formatETag(outletRevision(outlet)) });
+}
 
-    } catch (error) {
-      throw new Error(`Outlet update error: ${error.message}`);
+// Performance for one period: GET ?period= (default the current period), POST { term, revenue, trano, period? }
+async function handleOutletPerformance(request, store, session, outletCode) {
+  if (request.method === 'GET') {
+    const url = new URL(request.url);
+    const parsed = parsePeriodQuery(Object.fromEntries(url.searchParams));
+    if (parsed.status) {
+      return jsonResponse(parsed.body, parsed.status);
+    }
+
+    const data = await store.load();
+    const outlet = data.outlets && data.outlets[outletCode];
+    if (!outlet) {
+      return jsonResponse({ success: false, error: 'Outlet not found', outletCode: outletCode }, 404);
     }
+    const history = await store.performanceHistory(outletCode);
+    const result = performanceReport(outletCode, outlet, history, parsed.periodId);
+    return jsonResponse(result.body, result.status, { ETag: formatETag(outletRevision(outlet)) });
+  }
+
+  if (request.method === 'POST') {
+    const validated = validatePerformanceEntry(await readJson(request), session);
+    if (!validated.entry) {
+      return jsonResponse(validated.body, validated.status);
+    }
+    const entry = { outletCode, ...validated.entry, author: performanceAuthor(session) };
+
+    return writeOutlet(request, store, session, outletCode, async outlet => {
+      if (!outlet) {
+        return { status: 404, body: { success: false, error: 'Outlet not found' } };
+      }
+      return applyPerformanceEntry(outlet, entry, await store.performanceHistory(outletCode));
+    }, `${entry.term} performance recorded`);
   }
 
   return new Response('Method not allowed', { status: 405 });
 }
 
+// Program periods: GET lists them, POST { start, end, label?, termEndDays? } defines one, DELETE /{id} removes one
+async function handleOutletPeriods(request, store, session, outletCode, periodId) {
+  if (request.method === 'GET' && !periodId) {
+    const data = await store.load();
+    const outlet = data.outlets && data.outlets[outletCode];
+    if (!outlet) {
+      return jsonResponse({ success: false, error: 'Outlet not found', outletCode: outletCode }, 404);
+    }
+    return jsonResponse({
+      success: true,
+      outletCode: outletCode,
+      periods: listPeriods(outlet, await store.performanceHistory(outletCode))
+    }, 200, { ETag: formatETag(outletRevision(outlet)) });
+  }
+
+  const isWrite = (request.method === 'POST' && !periodId) || (request.method === 'DELETE' && periodId);
+  if (!isWrite) {
+    return new Response('Method not allowed', { status: 405 });
+  }
+  if (!hasPermission(session, 'manage_periods')) {
+    return errorResponse('Permission required: manage_periods', 403);
+  }
+
+  if (request.method === 'POST') {
+    const body = await readJson(request);
+    return writeOutlet(request, store, session, outletCode, outlet => {
+      if (!outlet) {
+        return { status: 404, body: { success: false, error: 'Outlet not found' } };
+      }
+      return definePeriod(outlet, body);
+    }, 'period saved');
+  }
+
+  return writeOutlet(request, store, session, outletCode, async outlet => {
+    if (!outlet) {
+      return { status: 404, body: { success: false, error: 'Outlet not found' } };
+    }
+    return removePeriod(outlet, decodeURIComponent(periodId), await store.performanceHistory(outletCode));
+  }, 'period removed');
+}
+
+/**
+ * Shared body of the single-outlet writes: If-Match check against the outlet's
+ * revision, then change(current outlet) -> { outlet, performance? } | { status, body }
+ * performance lists the history entries to record; by default they are worked out
+ * from the performanceData change.
+ */
+async function writeOutlet(request, store, session, outletCode, change, successMessage) {
+  const current = await store.load();
+  if (!current.outlets) current.outlets = {};
+
+  const conflict = checkOutletWrite(request.headers.get('If-Match'), current, outletCode);
+  if (conflict) {
+    return jsonResponse(conflict.body, conflict.status, conflict.headers);
+  }
+
+  const outcome = await change(current.outlets[outletCode]);
+  if (!outcome.outlet) {
+    return jsonResponse(outcome.body, outcome.status);
+  }
+
+  const data = { ...current, outlets: { ...current.outlets } };
+  data.outlets[outletCode] = { ...outcome.outlet, lastModified: new Date().toISOString() };
+  const events = auditEvents(current, data, session);
+  const forbidden = checkChangePermissions(events, session);
+  if (forbidden) {
+    return jsonResponse(forbidden.body, forbidden.status);
+  }
+  const { revision, changedOutlets } = commitRevision(current, data);
+  const performanceEntries = outcome.performance || performanceChanges(current, data, changedOutlets, session);
+
+  if (!(await store.save(data, documentRevision(current), performanceEntries, events))) {
+    return revisionRaceResponse();
+  }
+
+  const outlet = data.outlets[outletCode];
+  return jsonResponse({
+    success: true,
+    message: `Outlet ${outletCode} ${successMessage}`,
+    revision: revision,
+    data: outlet
+  }, 200, { ETag: formatETag(outletRevision(outlet)) });
+}
+
+// Bulk revenue/trano import from a POS export (CSV or .xlsx body); ?dryRun=true only returns the diff
+async function handlePerformanceImport(request, env, session, url) {
+  if (!session) {
+    return unauthorizedResponse();
+  }
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405 });
+  }
+  if (!hasPermission(session, 'import_performance')) {
+    return errorResponse('Permission required: import_performance', 403);
+  }
+
+  const query = Object.fromEntries(url.searchParams);
+  const file = await readImportFile(request.headers.get('Content-Type'), new Uint8Array(await request.arrayBuffer()), query.sheet);
+  if (!file.rows) {
+    return jsonResponse(file.body, file.status);
+  }
+  const parsed = readImportRecords(file.rows);
+  if (!parsed.records) {
+    return jsonResponse(parsed.body, parsed.status);
+  }
+  const dryRun = isDryRun(query);
+
+  const store = createD1PhoenixDataStore(env.PHOENIX_DB);
+  const current = await store.load();
+  if (!current.outlets) current.outlets = {};
+  if (!dryRun) {
+    const conflict = checkDocumentWrite(request.headers.get('If-Match'), current, session);
+    if (conflict) {
+      return jsonResponse(conflict.body, conflict.status, conflict.headers);
+    }
+  }
+
+  const plan = await planPerformanceImport(parsed.records, current, code => store.performanceHistory(code), session);
+  const body = importSummary(plan, dryRun);
+  if (dryRun || plan.errors.length > 0 || plan.entries.length === 0) {
+    const status = plan.errors.length > 0 && !dryRun ? 400 : 200;
+    const revision = documentRevision(current);
+    return jsonResponse({ ...body, revision: revision }, status, { ETag: formatETag(revision) });
+  }
+
+  const data = { ...current, outlets: { ...current.outlets, ...plan.outlets } };
+  const { revision } = commitRevision(current, data);
+  if (!(await store.save(data, documentRevision(current), plan.entries, auditEvents(current, data, session)))) {
+    return revisionRaceResponse();
+  }
+  return jsonResponse({ ...body, revision: revision }, 200, { ETag: formatETag(revision) });
+}
+
 // Backup management
-async function handleBackups(request, env) {
-  if (request.method === 'GET') {
+// GET  /api/backups             - Every backup, newest first (view_backups)
+// GET  /api/backups/:id         - One backup with its data (view_backups)
+// GET  /api/backups/diff?from=&to= - Per-outlet diff of two backups or 'current' (view_backups)
+// POST /api/backups/:id/restore - Restore it, or one outlet with { outlet } (restore_backup)
+async function handleBackups(request, env, session) {
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  const match = new URL(request.url).pathname.match(/^\/api\/backups(?:\/([^/]+)(\/restore)?)?$/);
+  if (!match) {
+    return new Response('Not Found', { status: 404 });
+  }
+  const backupId = match[1] ? decodeURIComponent(match[1]) : null;
+  const permission = match[2] ? 'restore_backup' : 'view_backups';
+  if (!hasPermission(session, permission)) {
+    return errorResponse(`Permission required: ${permission}`, 403);
+  }
+
+  const store = createD1PhoenixDataStore(env.PHOENIX_DB);
+
+  if (request.method === 'GET' && backupId === 'diff') {
+    const query = parseDiffQuery(Object.fromEntries(new URL(request.url).searchParams));
+    if (query.status) {
+      return jsonResponse(query.body, query.status);
+    }
+    const snapshot = async id => id === 'current' ? { id, data: await store.load() } : store.getBackup(id);
+    const from = await snapshot(query.from);
+    const to = await snapshot(query.to);
+    if (!from || !to) {
+      return errorResponse(`Backup not found: ${!from ? query.from : query.to}`, 404);
+    }
+    const result = dataDiff(from, to, session);
+    return jsonResponse(result.body, result.status);
+  }
+
+  if (request.method === 'GET' && !match[2]) {
     try {
-      const results = await env.PHOENIX_DB.prepare(`
-        SELECT id, created_at FROM phoenix_backups 
-        ORDER BY created_at DESC 
-        LIMIT 10
-      `).all();
+      if (backupId) {
+        const backup = await store.getBackup(backupId);
+        if (!backup) {
+          return errorResponse('Backup not found', 404);
+        }
+        return jsonResponse({ success: true, ...backup });
+      }
+
+      const backups = await store.listBackups();
 
       return new Response(JSON.stringify({
         success: true,
-        backups: results.results || [],
-        count: results.results?.length || 0
+        backups: backups.map(backup => ({ id: backup.id, created_at: backup.createdAt, bytes: backup.bytes })),
+        count: backups.length
       }), {
         headers: { 'Content-Type': 'application/json' }
       });
@@ -281,6 +598,27 @@ async function handleBackups(request, env) {
     }
   }
 
+  if (request.method === 'POST' && match[2]) {
+    const backup = await store.getBackup(backupId);
+    if (!backup) {
+      return errorResponse('Backup not found', 404);
+    }
+    const current = await store.load();
+    if (!current.outlets) current.outlets = {};
+
+    const plan = planRestore(current, backup.data, await readJson(request), session, request.headers.get('If-Match'));
+    if (!plan.data) {
+      return jsonResponse(plan.body, plan.status, plan.headers);
+    }
+    const safetyBackup = `pre_restore_${Date.now()}`;
+    await store.backup(current, safetyBackup);
+    if (!(await store.save(plan.data, documentRevision(current), plan.performance, auditEvents(current, plan.data, session)))) {
+      return revisionRaceResponse();
+    }
+    const result = restoreResult(backupId, safetyBackup, plan);
+    return jsonResponse(result.body, result.status, result.headers);
+  }
+
   return new Response('Method not allowed', { status: 405 });
 }
 
@@ -332,11 +670,26 @@ async function handleIndex(request, env) {
             <p>This Cloudflare Worker provides these endpoints:</p>
             <ul style="text-align: left; display: inline-block;">
                 <li><code>GET /api/status</code> - Health check</li>
+                <li><code>POST /api/auth/login</code> - Sign in, returns a session token</li>
+                <li><code>POST /api/auth/change-password</code> - Change own password (auth)</li>
+                <li><code>POST /api/admin/users/{id}/reset-password</code> - Issue a temporary password (admin)</li>
+                <li><code>GET /api/admin/login-events</code> - Sign-in attempts (admin)</li>
+                <li><code>GET /api/roles</code> - Role registry (create/edit with manage_roles)</li>
+                <li><code>GET /api/reward-schemes</code> - Reward tier schemes (create/edit with manage_reward_schemes)</li>
+                <li><code>GET /api/medals</code> - Medal ledger (award with award_medal, approve/revoke with approve_medal)</li>
+                <li><code>GET /api/reports/rewards?month=YYYY-MM</code> - Reward payout report as CSV/XLSX (approve with approve_payouts)</li>
+                <li><code>GET /api/leaderboard?by=outlet|am|manager|region&amp;metric=...</code> - Outlet, AM, regional manager and region rankings</li>
+                <li><code>GET /api/outlets</code> - Outlet registry (create/edit with manage_outlets)</li>
+                <li><code>GET /api/hierarchy</code> - AM hierarchy (reassign with manage_hierarchy)</li>
                 <li><code>GET /api/phoenix-data</code> - Get all OKR data</li>
-                <li><code>POST /api/phoenix-data</code> - Save OKR data</li>
+                <li><code>POST /api/phoenix-data</code> - Save OKR data (auth)</li>
                 <li><code>GET /api/outlet/{code}</code> - Get outlet data</li>
-                <li><code>POST /api/outlet/{code}</code> - Update outlet data</li>
+                <li><code>POST /api/outlet/{code}</code> - Update outlet data (auth)</li>
+                <li><code>PATCH /api/outlet/{code}</code> - Patch outlet fields (auth)</li>
+                <li><code>GET /api/audit?outlet=&amp;actor=&amp;from=&amp;to=</code> - Who changed what, newest first (view_audit)</li>
                 <li><code>GET /api/backups</code> - List backups</li>
+                <li><code>GET /api/backups/diff?from={id}&amp;to={id|current}</code> - What changed per outlet between two backups</li>
+                <li><code>POST /api/backups/{id}/restore</code> - Restore a backup or one outlet (restore_backup)</li>
             </ul>
         </div>
     </div>
@@ -982,18 +1335,10 @@ async function handlePhoenixFrontend(request, env) {
                 </div>
                 
                 <div class="medal-tiers">
-                    <div class="tier-item">
-                        <span class="tier-icon">🥉</span>
-                        <span class="tier-label">Tier 1 (90%): 1.95% reward</span>
-                    </div>
-                    <div class="tier-item">
-                        <span class="tier-icon">🥈</span>
-                        <span class="tier-label">Tier 2 (95%): 2.0% reward</span>
-                    </div>
-                    <div class="tier-item">
-                        <span class="tier-icon">🥇</span>
-                        <span class="tier-label">Tier 3 (100%): 2.7% reward</span>
-                    </div>
+                    ${CONFIG.REWARD_TIERS.map(tier => `<div class="tier-item">
+                        <span class="tier-icon">${tier.medal}</span>
+                        <span class="tier-label">Tier ${tier.tier} (${Math.round(tier.threshold * 100)}%): ${tier.rewardPercent}% reward</span>
+                    </div>`).join('')}
                 </div>
                 
                 <button class="btn btn-primary" onclick="showAwardModal()">🏆 Award Special Medal</button>
@@ -1100,7 +1445,6 @@ async function handlePhoenixFrontend(request, env) {
     
     <!-- Configuration and API Scripts -->
     <script src="/config.js"></script>
-    <script src="/google-sheets-api.js"></script>
     
     <!-- Live Backend API Script -->
     <script>
@@ -1137,15 +1481,49 @@ async function handlePhoenixFrontend(request, env) {
                 }
             }
             
+            async postPhoenixData(phoenixData) {
+                const response = await fetch(\`\${this.baseURL}/api/phoenix-data\`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'If-Match': \`"\${phoenixData.revision || 0}"\`,
+                        ...authHeaders()
+                    },
+                    body: JSON.stringify(phoenixData)
+                });
+                return { status: response.status, body: await response.json() };
+            }
+            
             async savePhoenixData(phoenixData) {
                 try {
-                    const response = await fetch(\`\${this.baseURL}/api/phoenix-data\`, {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify(phoenixData)
-                    });
-                    const data = await response.json();
-                    return data.success;
+                    let result = await this.postPhoenixData(phoenixData);
+                    if (result.status === 409 && result.body.code === 'REVISION_CONFLICT') {
+                        // Someone else saved first: keep their outlets, re-send ours on top of their version
+                        const conflict = result.body;
+                        const serverChanged = [...(conflict.changedOutlets || []), ...(conflict.removedOutlets || [])];
+                        const outlets = { ...conflict.data.outlets };
+                        Object.keys(phoenixData.outlets || {}).forEach(code => {
+                            if (!serverChanged.includes(code)) outlets[code] = phoenixData.outlets[code];
+                        });
+                        phoenixData.outlets = outlets;
+                        phoenixData.removedOutlets = conflict.data.removedOutlets || {};
+                        phoenixData.revision = conflict.currentRevision;
+                        if (serverChanged.length > 0) {
+                            showNotification(\`Updated from server: \${serverChanged.join(', ')}\`, 'warning');
+                        }
+                        result = await this.postPhoenixData(phoenixData);
+                    }
+                    if (result.status === 401) {
+                        redirectToLogin();
+                        return false;
+                    }
+                    if (result.body.success) {
+                        phoenixData.revision = result.body.revision;
+                        (result.body.changedOutlets || []).forEach(code => {
+                            if (phoenixData.outlets[code]) phoenixData.outlets[code].revision = result.body.revision;
+                        });
+                    }
+                    return result.body.success;
                 } catch (error) {
                     console.error('❌ Save Phoenix data failed:', error);
                     return false;
@@ -1156,7 +1534,7 @@ async function handlePhoenixFrontend(request, env) {
         // Global variables
         let phoenixData = { outlets: {} };
         let phoenixOutlets = [];
-        let allOutlets = []; // Available outlets from Google Sheets
+        let allOutlets = []; // Active outlets from the outlet registry (GET /api/outlets)
         let currentUser = null;
         let userPermissions = null;
         let currentOKROutlet = null;
@@ -1164,9 +1542,6 @@ async function handlePhoenixFrontend(request, env) {
         let apiOnline = true;
         const apiURL = window.location.origin;
         
-        // Initialize Google Sheets API
-        let googleSheetsAPI = null;
-        
         // Phoenix OKR Templates
         const phoenixOKRTemplates = [
             {
@@ -1227,13 +1602,29 @@ async function handlePhoenixFrontend(request, env) {
             }
         ];
         
+        // Session token issued by POST /api/auth/login
+        function authHeaders() {
+            const token = sessionStorage.getItem(CONFIG.AUTH.TOKEN_KEY);
+            return token ? { 'Authorization': \`Bearer \${token}\` } : {};
+        }
+        
+        function redirectToLogin() {
+            sessionStorage.removeItem('userAuth');
+            sessionStorage.removeItem(CONFIG.AUTH.TOKEN_KEY);
+            window.location.href = '/okr-login.html';
+        }
+        
         // API Functions
         async function apiCall(endpoint, options = {}) {
             try {
                 const response = await fetch(\`\${apiURL}/api\${endpoint}\`, {
-                    headers: { 'Content-Type': 'application/json', ...options.headers },
-                    ...options
+                    ...options,
+                    headers: { 'Content-Type': 'application/json', ...authHeaders(), ...options.headers }
                 });
+                if (response.status === 401) {
+                    redirectToLogin();
+                    return { success: false, error: 'Authentication required' };
+                }
                 const data = await response.json();
                 apiOnline = response.ok;
                 updateStatus(apiOnline);
@@ -1270,31 +1661,29 @@ async function handlePhoenixFrontend(request, env) {
             }, 3000);
         }
         
+        // Permission catalog from config.js - the server resolves each user's role into permission ids
+        const PERMISSION_CATALOG = ${JSON.stringify(CONFIG.PERMISSIONS)};
+        
         // Setup user permissions
         function setupUserPermissions() {
             console.log('🔐 Setting up user permissions for:', currentUser);
             
-            // For this live backend version, assume admin permissions
+            const granted = currentUser.permissions || [];
             userPermissions = {
-                canViewAllOutlets: true,
-                canAddOutlets: true,
-                allowedOutlets: [],
-                canAssignOKR: true,
-                canEditOKR: true,
-                canDeleteOKR: true,
-                canRewardMedals: true,
-                canComment: true,
-                canLike: true,
-                role: 'Admin'
+                allowedOutlets: Array.isArray(currentUser.accessibleOutlets) ? currentUser.accessibleOutlets : [],
+                role: currentUser.roleName || currentUser.role || 'Outlet'
             };
+            Object.entries(PERMISSION_CATALOG).forEach(([id, permission]) => {
+                userPermissions[permission.flag] = granted.includes(id);
+            });
             
             // Update user display
             const userNameElement = document.getElementById('user-name');
             if (userNameElement && currentUser) {
-                userNameElement.textContent = `👑 ${currentUser.name || currentUser.username} (${userPermissions.role})`;
+                userNameElement.textContent = \`👑 \${currentUser.name || currentUser.username} (\${userPermissions.role})\`;
             }
             
-            console.log('👑 Admin permissions set - full access to all functions');
+            console.log('🔑 Permissions set from role:', userPermissions.role, granted);
         }
         
         // Load Phoenix data from live backend
@@ -1304,12 +1693,15 @@ async function handlePhoenixFrontend(request, env) {
                 const result = await apiCall('/phoenix-data');
                 if (result.success) {
                     phoenixData = result.data || { outlets: {} };
-                    phoenixOutlets = Object.keys(phoenixData.outlets).map(code => ({
-                        code: code,
-                        name: phoenixData.outlets[code].name || \`APOTEK ALPRO \${code}\`,
-                        am: phoenixData.outlets[code].am || 'SYSTEM AM',
-                        ...phoenixData.outlets[code]
-                    }));
+                    phoenixOutlets = Object.keys(phoenixData.outlets).map(code => {
+                        const registered = allOutlets.find(outlet => outlet.code === code) || {};
+                        return {
+                            code: code,
+                            ...phoenixData.outlets[code],
+                            name: registered.name || phoenixData.outlets[code].name || code,
+                            am: registered.am || phoenixData.outlets[code].am || ''
+                        };
+                    });
                     
                     renderPhoenixDashboard();
                     console.log(\`✅ Loaded \${phoenixOutlets.length} Phoenix outlets from live backend\`);
@@ -1380,7 +1772,7 @@ async function handlePhoenixFrontend(request, env) {
                 if (element) {
                     element.textContent = value;
                 } else {
-                    console.error(`❌ Element with ID '${id}' not found`);
+                    console.error(\`❌ Element with ID '\${id}' not found\`);
                 }
             };
             
@@ -1426,7 +1818,7 @@ async function handlePhoenixFrontend(request, env) {
                 const lastUpdated = outlet.lastUpdated ? new Date(outlet.lastUpdated).toLocaleDateString() : 'Never';
                 
                 // Calculate overall outlet progress
-                const outletProgress = calculateOutletProgress(outlet);
+                const outletProgress = calculateActionCompletion(outlet).percent;
                 
                 // Get medals for display
                 const medals = outlet.medals || [];
@@ -1548,29 +1940,9 @@ async function handlePhoenixFrontend(request, env) {
             }).join('');
         }
         
-        // Calculate outlet progress based on OKR action plan completion
-        function calculateOutletProgress(outlet) {
-            if (!outlet.okr || !outlet.okr.actionPlans) {
-                return 0; // No OKR assigned
-            }
-            
-            const actionPlans = outlet.okr.actionPlans;
-            const krProgress = outlet.okr.krProgress || {};
-            let totalActions = 0;
-            let completedActions = 0;
-            
-            // Count total and completed actions across all KRs
-            Object.keys(actionPlans).forEach(krKey => {
-                const actions = actionPlans[krKey] || [];
-                totalActions += actions.length;
-                
-                const krData = krProgress[krKey] || {};
-                const completed = krData.completedActions || [];
-                completedActions += completed.length;
-            });
-            
-            return totalActions > 0 ? Math.round((completedActions / totalActions) * 100) : 0;
-        }
+        // OKR action plan completion: calculateActionCompletion from src/lib/scorecard.js,
+        // the rule GET /api/outlet/:code/scorecard uses
+        const calculateActionCompletion = ${calculateActionCompletion};
         
         function formatCurrency(amount) {
             return 'Rp ' + amount.toLocaleString('id-ID');
@@ -1765,7 +2137,7 @@ async function handlePhoenixFrontend(request, env) {
                                 \${outlet.okr.description ? \`<div style="color: #718096; font-size: 0.9rem; margin-bottom: 15px;">\${outlet.okr.description}</div>\` : ''}
                             </div>
                             <div style="text-align: right;">
-                                <div style="color: #48bb78; font-weight: 700; font-size: 1.2rem;">\${calculateOutletProgress(outlet)}%</div>
+                                <div style="color: #48bb78; font-weight: 700; font-size: 1.2rem;">\${calculateActionCompletion(outlet).percent}%</div>
                                 <div style="color: #718096; font-size: 0.8rem;">Progress</div>
                             </div>
                         </div>
@@ -1824,11 +2196,11 @@ async function handlePhoenixFrontend(request, env) {
             const outletList = document.getElementById('outlet-list');
             
             if (!allOutlets || allOutlets.length === 0) {
-                outletList.innerHTML = `
+                outletList.innerHTML = \`
                     <div style="text-align: center; padding: 20px; color: #718096;">
-                        No outlets available. Please check Google Sheets integration.
+                        No outlets available. Register outlets with /api/outlets.
                     </div>
-                `;
+                \`;
                 return;
             }
             
@@ -1836,11 +2208,11 @@ async function handlePhoenixFrontend(request, env) {
             const availableOutlets = allOutlets.filter(outlet => !phoenixData.outlets[outlet.code]);
             
             if (availableOutlets.length === 0) {
-                outletList.innerHTML = `
+                outletList.innerHTML = \`
                     <div style="text-align: center; padding: 20px; color: #718096;">
                         All outlets are already added to Phoenix Program.
                     </div>
-                `;
+                \`;
                 return;
             }
             
@@ -1915,6 +2287,7 @@ async function handlePhoenixFrontend(request, env) {
         // Authentication functions
         function logout() {
             sessionStorage.removeItem('userAuth');
+            sessionStorage.removeItem(CONFIG.AUTH.TOKEN_KEY);
             window.location.href = '/okr-login.html';
         }
         
@@ -2068,44 +2441,29 @@ async function handlePhoenixFrontend(request, env) {
             console.log('🚀 Phoenix OKR Dashboard - Live Backend Version');
             console.log('📡 API URL:', apiURL);
             
-            // Check authentication first (with demo bypass for testing)
-            let userAuth = sessionStorage.getItem('userAuth');
-            
-            // Demo mode: Auto-create demo user if no auth found
-            if (!userAuth) {
-                console.log('🔧 No authentication found, creating demo user for testing');
-                const demoUser = {
-                    username: 'demo-admin',
-                    type: 'hq',
-                    role: 'ADMIN',
-                    name: 'Demo Admin',
-                    email: 'demo@example.com'
-                };
-                sessionStorage.setItem('userAuth', JSON.stringify(demoUser));
-                userAuth = JSON.stringify(demoUser);
-                console.log('✅ Demo user created for testing');
+            // Check authentication first - writes are rejected without a session token
+            const userAuth = sessionStorage.getItem('userAuth');
+            if (!userAuth || !sessionStorage.getItem(CONFIG.AUTH.TOKEN_KEY)) {
+                console.log('🔐 No session found, redirecting to login');
+                redirectToLogin();
+                return;
             }
             
             currentUser = JSON.parse(userAuth);
+            if (currentUser.mustChangePassword) {
+                console.log('🔑 Password change required, returning to login');
+                redirectToLogin();
+                return;
+            }
             console.log('✅ User authenticated:', currentUser.username);
             
             // Setup user permissions
             setupUserPermissions();
             
-            // Initialize Google Sheets API
-            if (typeof GoogleSheetsAPI !== 'undefined') {
-                googleSheetsAPI = new GoogleSheetsAPI();
-                console.log('✅ Google Sheets API initialized');
-                
-                // Load all available outlets
-                try {
-                    allOutlets = await googleSheetsAPI.getAvailableOutlets();
-                    console.log(\`✅ Loaded \${allOutlets.length} available outlets from Google Sheets\`);
-                } catch (error) {
-                    console.warn('⚠️ Failed to load outlets from Google Sheets:', error);
-                    allOutlets = [];
-                }
-            }
+            // Load outlet names and AMs from the outlet registry
+            const registry = await apiCall('/outlets?status=active');
+            allOutlets = registry.success ? registry.outlets : [];
+            console.log(\`✅ Loaded \${allOutlets.length} outlets from the outlet registry\`);
             
             // Load Phoenix data
             await loadPhoenixData();
@@ -2191,6 +2549,7 @@ async function handleLoginPage(request, env) {
             font-size: 1.1rem; font-weight: 600; cursor: pointer;
         }
         .login-btn:hover { transform: translateY(-2px); }
+        .login-error { display: none; color: #e53e3e; margin-bottom: 15px; font-weight: 500; }
     </style>
 </head>
 <body>
@@ -2210,17 +2569,33 @@ async function handleLoginPage(request, env) {
         
         <form id="loginForm">
             <div class="form-group">
-                <label class="form-label">Email Address</label>
-                <input type="email" class="form-input" id="emailInput" placeholder="Enter your email address" required>
+                <label class="form-label" id="usernameLabel">Email Address</label>
+                <input type="text" class="form-input" id="emailInput" placeholder="Enter your email address" required>
             </div>
             <div class="form-group">
                 <label class="form-label">Password</label>
                 <input type="password" class="form-input" id="passwordInput" placeholder="Enter your password" required>
             </div>
-            <button type="submit" class="login-btn">🔓 Sign In</button>
+            <div class="login-error" id="loginError"></div>
+            <button type="submit" class="login-btn" id="loginButton">🔓 Sign In</button>
+        </form>
+        
+        <form id="changePasswordForm" style="display: none;">
+            <p class="login-subtitle">Your password was reset or is a shared default. Choose a new password to continue.</p>
+            <div class="form-group">
+                <label class="form-label">New Password</label>
+                <input type="password" class="form-input" id="newPasswordInput" placeholder="At least 8 characters" required>
+            </div>
+            <div class="form-group">
+                <label class="form-label">Confirm New Password</label>
+                <input type="password" class="form-input" id="confirmPasswordInput" placeholder="Repeat the new password" required>
+            </div>
+            <div class="login-error" id="changePasswordError"></div>
+            <button type="submit" class="login-btn" id="changePasswordButton">🔑 Change Password</button>
         </form>
     </div>
     
+    <script src="/config.js"></script>
     <script>
         let selectedUserType = 'hq';
         document.querySelectorAll('.user-type-option').forEach(option => {
@@ -2228,21 +2603,89 @@ async function handleLoginPage(request, env) {
                 document.querySelectorAll('.user-type-option').forEach(opt => opt.classList.remove('active'));
                 option.classList.add('active');
                 selectedUserType = option.dataset.type;
+                document.getElementById('usernameLabel').textContent = selectedUserType === 'hq' ? 'Email Address' : 'Outlet Code';
+                document.getElementById('emailInput').placeholder = selectedUserType === 'hq' ? 'Enter your email address' : 'Enter your outlet code';
             });
         });
         
-        document.getElementById('loginForm').addEventListener('submit', (e) => {
+        document.getElementById('loginForm').addEventListener('submit', async (e) => {
             e.preventDefault();
-            const email = document.getElementById('emailInput').value;
-            const userData = {
-                username: email.split('@')[0],
-                type: selectedUserType,
-                role: selectedUserType === 'hq' ? 'ADMIN' : 'OUTLET',
-                name: email.split('@')[0].toUpperCase(),
-                email: email
-            };
-            sessionStorage.setItem('userAuth', JSON.stringify(userData));
-            window.location.href = '/okr-phoenix-live.html';
+            const errorElement = document.getElementById('loginError');
+            const loginButton = document.getElementById('loginButton');
+            errorElement.style.display = 'none';
+            loginButton.disabled = true;
+            
+            try {
+                const response = await fetch('/api/auth/login', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        type: selectedUserType,
+                        username: document.getElementById('emailInput').value.trim(),
+                        password: document.getElementById('passwordInput').value
+                    })
+                });
+                const result = await response.json();
+                if (!response.ok || !result.success) {
+                    throw new Error(result.error || 'Login failed');
+                }
+                
+                sessionStorage.setItem(CONFIG.AUTH.TOKEN_KEY, result.token);
+                sessionStorage.setItem('userAuth', JSON.stringify({ ...result.user, expiresAt: result.expiresAt }));
+                if (result.user.mustChangePassword) {
+                    currentPassword = document.getElementById('passwordInput').value;
+                    document.getElementById('loginForm').style.display = 'none';
+                    document.getElementById('changePasswordForm').style.display = 'block';
+                    return;
+                }
+                window.location.href = '/okr-phoenix-live.html';
+            } catch (error) {
+                errorElement.textContent = error.message;
+                errorElement.style.display = 'block';
+            } finally {
+                loginButton.disabled = false;
+            }
+        });
+        
+        // Temporary/default passwords must be replaced before the dashboard can be used
+        let currentPassword = '';
+        document.getElementById('changePasswordForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const errorElement = document.getElementById('changePasswordError');
+            const button = document.getElementById('changePasswordButton');
+            const newPassword = document.getElementById('newPasswordInput').value;
+            errorElement.style.display = 'none';
+            
+            if (newPassword !== document.getElementById('confirmPasswordInput').value) {
+                errorElement.textContent = 'Passwords do not match';
+                errorElement.style.display = 'block';
+                return;
+            }
+            
+            button.disabled = true;
+            try {
+                const response = await fetch('/api/auth/change-password', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': 'Bearer ' + sessionStorage.getItem(CONFIG.AUTH.TOKEN_KEY)
+                    },
+                    body: JSON.stringify({ currentPassword, newPassword })
+                });
+                const result = await response.json();
+                if (!response.ok || !result.success) {
+                    throw new Error(result.error || 'Password change failed');
+                }
+                
+                sessionStorage.setItem(CONFIG.AUTH.TOKEN_KEY, result.token);
+                sessionStorage.setItem('userAuth', JSON.stringify({ ...result.user, expiresAt: result.expiresAt }));
+                window.location.href = '/okr-phoenix-live.html';
+            } catch (error) {
+                errorElement.textContent = error.message;
+                errorElement.style.display = 'block';
+            } finally {
+                button.disabled = false;
+            }
         });
     </script>
 </body>
@@ -2258,29 +2701,9 @@ async function handleConfig(request, env) {
   const configJs = `window.CONFIG = {
     APP: { NAME: 'Phoenix OKR Project', VERSION: '2.0.0', CACHE_DURATION: 300000 },
     GOOGLE_SHEETS: { BASE_URL: 'https://sheets.googleapis.com/v4/spreadsheets', API_KEY: 'demo-api-key' },
-    API: { BASE_URL: '${new URL(request.url).origin}' }
+    API: { BASE_URL: '${new URL(request.url).origin}' },
+    AUTH: { TOKEN_KEY: ${JSON.stringify(CONFIG.AUTH.TOKEN_KEY)} },
+    REWARD_TIERS: ${JSON.stringify(CONFIG.REWARD_TIERS)}
 };`;
   return new Response(configJs, { headers: { 'Content-Type': 'application/javascript' } });
-}
-
-// Google Sheets API handler
-async function handleGoogleSheetsAPI(request, env) {
-  const googleSheetsJs = `class GoogleSheetsAPI {
-    constructor() { this.cache = new Map(); }
-    async loadOutletCredentials() {
-        return {
-            'TBTMR': { password: 'demo123', outletName: 'APOTEK ALPRO TEBET TIMUR', am: 'JESIKA SILISTIANI' },
-            'VTRYA': { password: 'demo123', outletName: 'APOTEK ALPRO VETERAN RAYA', am: 'HANNA DWI KARJAN' },
-            'TOMNG': { password: 'demo123', outletName: 'APOTEK ALPRO TOMANG', am: 'DWI KRIZAWAN' },
-            'BELLZ': { password: 'demo123', outletName: 'APOTEK ALPRO BELLEZA', am: 'DWI SAMARKANDI' },
-            'GOLDV': { password: 'demo123', outletName: 'APOTEK ALPRO GOLDEN VIENNA', am: 'SYSTEM AM' }
-        };
-    }
-    async getAvailableOutlets() {
-        const credentials = await this.loadOutletCredentials();
-        return Object.keys(credentials).map(code => ({ code, name: credentials[code].outletName, am: credentials[code].am }));
-    }
-}
-window.GoogleSheetsAPI = GoogleSheetsAPI;`;
-  return new Response(googleSheetsJs, { headers: { 'Content-Type': 'application/javascript' } });
 }
\ No newline at end of file
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { login, getSessionUser, resolveSessionUser, changePassword, resetPassword } = require('../src/lib/auth.js');
+const { createUserCredentialStore } = require('../src/lib/credentials.js');
+const { createUserRecord } = require('../src/lib/users.js');
+const { signToken } = require('../src/lib/auth-token.js');
+
+const SECRET = 'test-secret';
+const PASSWORD = 'Outlet-pass-1';
+
+function memoryUserStore(records) {
+    const users = new Map(records.map(record => [record.id, record]));
+    return {
+        async get(type, identifier) { return users.get(`${type}:${identifier}`) || null; },
+        async getById(id) { return users.get(id) || null; },
+        async upsert(record) { users.set(record.id, record); }
+    };
+}
+
+async function setup() {
+    const record = await createUserRecord({ type: 'outlet', identifier: 'JKJSVR1', name: 'Veteran', role: 'OUTLET', password: PASSWORD });
+    const userStore = memoryUserStore([record]);
+    const signIn = async () => {
+        const result = await login({ type: 'outlet', username: 'JKJSVR1', password: PASSWORD }, createUserCredentialStore(userStore), SECRET);
+        assert.equal(result.status, 200);
+        return result.body.token;
+    };
+    // The session user api-server.js and the worker put on each request
+    const session = async token => resolveSessionUser(await getSessionUser(`Bearer ${token}`, SECRET), { userStore });
+    return { userStore, signIn, session };
+}
+
+test('a fresh token resolves to its user', async () => {
+    const { signIn, session } = await setup();
+    assert.equal((await session(await signIn())).username, 'JKJSVR1');
+});
+
+test('changing the password ends the sessions issued before it', async () => {
+    const { userStore, signIn, session } = await setup();
+    const other = await signIn();
+    const current = await signIn();
+
+    const result = await changePassword({ currentPassword: PASSWORD, newPassword: 'Outlet-pass-2' }, await session(current), userStore, SECRET);
+    assert.equal(result.status, 200);
+    assert.equal(await session(current), null);
+    assert.equal(await session(other), null);
+    assert.equal((await session(result.body.token)).username, 'JKJSVR1');
+});
+
+test('an admin reset ends the user\'s sessions', async () => {
+    const { userStore, signIn, session } = await setup();
+    const token = await signIn();
+    assert.equal((await resetPassword('outlet:JKJSVR1', userStore)).status, 200);
+    assert.equal(await session(token), null);
+});
+
+test('a token without a version is accepted until the password first changes', async () => {
+    const { userStore, session } = await setup();
+    const { token } = await signToken({ user: { type: 'outlet', username: 'JKJSVR1', role: 'OUTLET', accessibleOutlets: ['JKJSVR1'] } }, SECRET, 60000);
+    assert.equal((await session(token)).username, 'JKJSVR1');
+    await resetPassword('outlet:JKJSVR1', userStore);
+    assert.equal(await session(token), null);
+});
+
+test('a token for a deleted account is refused', async () => {
+    const { signIn } = await setup();
+    const token = await signIn();
+    const user = await getSessionUser(`Bearer ${token}`, SECRET);
+    assert.equal(await resolveSessionUser(user, { userStore: memoryUserStore([]) }), null);
+});
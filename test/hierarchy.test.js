@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { applyHierarchyScope, assignManager, managersAsOf, periodStartDate } = require('../src/lib/hierarchy.js');
+
+const NOW = new Date('2026-09-15T08:00:00Z');
+
+function assignment(level, child, parent, effectiveFrom) {
+    return { level, child, parent, effectiveFrom, reason: 'test', actor: 'admin@x.id' };
+}
+
+function hqUser(email, accessibleOutlets) {
+    return { type: 'hq', email, role: 'AM', accessibleOutlets };
+}
+
+const seeded = [
+    assignment('outlet', 'A1', 'am@x.id', '2000-01-01'),
+    assignment('outlet', 'A2', 'am@x.id', '2000-01-01'),
+    assignment('am', 'am@x.id', 'rm@x.id', '2000-01-01')
+];
+
+test('an AM is scoped to the outlets they manage today', () => {
+    const user = applyHierarchyScope(hqUser('am@x.id', ['A1', 'A2', 'Z9']), seeded, NOW);
+    assert.deepEqual(user.accessibleOutlets, ['A1', 'A2']);
+});
+
+test('a regional manager is scoped to the outlets of their AMs', () => {
+    const user = applyHierarchyScope(hqUser('rm@x.id', []), seeded, NOW);
+    assert.deepEqual(user.accessibleOutlets, ['A1', 'A2']);
+});
+
+test('an AM whose outlets all moved away is scoped to none, not to column E', () => {
+    const entries = [
+        ...seeded,
+        assignment('outlet', 'A1', 'b@x.id', '2026-09-01'),
+        assignment('outlet', 'A2', 'b@x.id', '2026-09-01')
+    ];
+    const user = applyHierarchyScope(hqUser('am@x.id', ['A1', 'A2']), entries, NOW);
+    assert.deepEqual(user.accessibleOutlets, []);
+    assert.deepEqual(applyHierarchyScope(hqUser('b@x.id', []), entries, NOW).accessibleOutlets, ['A1', 'A2']);
+});
+
+test('a move that takes effect later does not change today\'s scope', () => {
+    const entries = [...seeded, assignment('outlet', 'A1', 'b@x.id', '2026-10-01')];
+    assert.deepEqual(applyHierarchyScope(hqUser('am@x.id', []), entries, NOW).accessibleOutlets, ['A1', 'A2']);
+    assert.deepEqual(applyHierarchyScope(hqUser('b@x.id', ['B7']), entries, NOW).accessibleOutlets, ['B7']);
+});
+
+test('HQ users never in the hierarchy keep the outlets of their account', () => {
+    const user = hqUser('new@x.id', ['C3']);
+    assert.equal(applyHierarchyScope(user, seeded, NOW), user);
+});
+
+test('ALL access and outlet users are left alone', () => {
+    const admin = hqUser('am@x.id', 'ALL');
+    assert.equal(applyHierarchyScope(admin, seeded, NOW), admin);
+    const outlet = { type: 'outlet', email: 'am@x.id', accessibleOutlets: ['A1'] };
+    assert.equal(applyHierarchyScope(outlet, seeded, NOW), outlet);
+    assert.equal(applyHierarchyScope(null, seeded, NOW), null);
+});
+
+// assignManager with an in-memory log, registry and HQ users
+function assign(body, entries = [...seeded]) {
+    const sources = {
+        entries,
+        outletStore: { async get(code) { return ['A1', 'A2'].includes(code) ? { code } : null; } },
+        userStore: { async get(type, email) { return ['am@x.id', 'b@x.id', 'rm@x.id'].includes(email) ? { type, identifier: email } : null; } }
+    };
+    const store = { async append(added) { entries.push(...added); return added; } };
+    return assignManager(body, sources, store, hqUser('admin@x.id', 'ALL'), NOW);
+}
+
+test('assignments must start on the first day of a month', async () => {
+    const midMonth = await assign({ outletCode: 'A1', am: 'b@x.id', effectiveFrom: '2026-09-15' });
+    assert.equal(midMonth.status, 400);
+    assert.match(midMonth.body.error, /first day of a month/);
+    assert.equal((await assign({ am: 'am@x.id', regionalManager: 'b@x.id', effectiveFrom: '2026-10-02' })).status, 400);
+    assert.equal((await assign({ outletCode: 'A1', am: 'b@x.id', effectiveFrom: '2026-10-01' })).status, 201);
+});
+
+test('a move without a date takes the current month to the new AM', async () => {
+    const entries = [...seeded];
+    const moved = await assign({ outletCode: 'A1', am: 'b@x.id' }, entries);
+    assert.equal(moved.status, 201);
+    assert.equal(moved.body.assignment.effectiveFrom, '2026-09-01');
+    assert.equal(managersAsOf(entries, periodStartDate('2026-09')).A1.am, 'b@x.id');
+    assert.equal(managersAsOf(entries, periodStartDate('2026-08')).A1.am, 'am@x.id');
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const CONFIG = require('../config.js');
+const { awardTierMedals } = require('../src/lib/medals.js');
+
+const ADMIN = { type: 'hq', email: 'admin@x.id', accessibleOutlets: 'ALL' };
+const NOW = new Date('2026-09-15T00:00:00Z');
+
+function memoryLedger() {
+    const entries = [];
+    return {
+        async entries() { return entries; },
+        async append(added) {
+            const stored = added.map(entry => ({ ...entry, id: entries.length + 1, createdAt: NOW.toISOString() }));
+            entries.push(...stored);
+            return stored;
+        }
+    };
+}
+
+function tranoScheme(outlets) {
+    return {
+        schemeId: 'trano',
+        version: 1,
+        changedAt: '2026-01-01T00:00:00.000Z',
+        scheme: {
+            id: 'trano',
+            name: 'Trano',
+            outlets,
+            startMonth: '2026-01',
+            endMonth: null,
+            basis: 'trano',
+            tiers: CONFIG.REWARD_TIERS.map(tier => ({ ...tier }))
+        }
+    };
+}
+
+// Skip reasons for one outlet with the given sales targets and no performance entries
+async function skipReason(salesTargets, schemeVersions) {
+    const data = { outlets: { JKJSVR1: { name: 'Veteran', salesTargets } } };
+    const result = await awardTierMedals({ period: '2026-08' }, data, memoryLedger(), async () => [], schemeVersions, ADMIN, NOW);
+    assert.equal(result.status, 200);
+    assert.deepEqual(result.body.awarded, []);
+    return result.body.skipped.map(skip => skip.reason);
+}
+
+test('an outlet without a revenue target is skipped for it under the default scheme', async () => {
+    assert.deepEqual(await skipReason({}, []), ['No monthly revenue target set']);
+    assert.deepEqual(await skipReason({ monthlyTarget: 100000000 }, []), ['No tier reached']);
+});
+
+test('a trano-basis scheme only needs a trano target', async () => {
+    const versions = [tranoScheme(['JKJSVR1'])];
+    assert.deepEqual(await skipReason({ monthlyTranoTarget: 500 }, versions), ['No tier reached']);
+    assert.deepEqual(await skipReason({ monthlyTarget: 100000000 }, versions), ['No monthly trano target set']);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MERGE_PATCH_TYPE, mergePatchToOperations, applyOutletPatch } = require('../src/lib/outlet-patch.js');
+
+function outlet() {
+    return {
+        name: 'Test outlet',
+        okr: {
+            objective: 'Grow',
+            actionPlans: { kr1: ['First', 'Second'] },
+            krProgress: { kr1: { completedActions: [0], likes: { action_1: ['a@x.id'] } } }
+        }
+    };
+}
+
+test('null removes a member the outlet has', () => {
+    const result = applyOutletPatch(outlet(), { okr: { krProgress: { kr1: { likes: { action_1: null } } } } }, MERGE_PATCH_TYPE);
+    assert.equal(result.status, 200);
+    assert.deepEqual(result.outlet.okr.krProgress.kr1.likes, {});
+    assert.deepEqual(result.outlet.okr.krProgress.kr1.completedActions, [0]);
+});
+
+test('null for a top-level member the outlet lacks is a no-op', () => {
+    const stored = outlet();
+    delete stored.name;
+    assert.deepEqual(mergePatchToOperations(stored, { name: null }), []);
+    const result = applyOutletPatch(stored, { name: null }, MERGE_PATCH_TYPE);
+    assert.equal(result.status, 200);
+    assert.deepEqual(result.outlet, stored);
+});
+
+test('null for a nested member the outlet lacks is a no-op', () => {
+    const result = applyOutletPatch(outlet(), { okr: { krProgress: { kr1: { likes: { action_0: null } } } } }, MERGE_PATCH_TYPE);
+    assert.equal(result.status, 200);
+    assert.deepEqual(result.outlet, outlet());
+});
+
+test('a no-op null next to a real change still applies the change', () => {
+    const result = applyOutletPatch(outlet(), { am: null, okr: { objective: 'Grow more' } }, MERGE_PATCH_TYPE);
+    assert.equal(result.status, 200);
+    assert.equal(result.outlet.okr.objective, 'Grow more');
+    assert.equal('am' in result.outlet, false);
+});
+
+test('null for a field that cannot be patched is refused even when absent', () => {
+    const result = applyOutletPatch(outlet(), { dateAdded: null }, MERGE_PATCH_TYPE);
+    assert.equal(result.status, 400);
+});
+
+test('an empty patch is refused', () => {
+    assert.equal(applyOutletPatch(outlet(), {}, MERGE_PATCH_TYPE).status, 400);
+    assert.equal(applyOutletPatch(outlet(), [], 'application/json-patch+json').status, 400);
+});
+
+test('removing an absent member with JSON Patch still fails', () => {
+    const result = applyOutletPatch(outlet(), [{ op: 'remove', path: '/am' }], 'application/json-patch+json');
+    assert.equal(result.status, 422);
+});
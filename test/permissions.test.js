@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkChangePermissions } = require('../src/lib/permissions.js');
+const { applyRoles, buildRoleRegistry } = require('../src/lib/roles.js');
+const { auditEvents } = require('../src/lib/audit.js');
+const { MERGE_PATCH_TYPE, applyOutletPatch } = require('../src/lib/outlet-patch.js');
+
+const REGISTRY = buildRoleRegistry();
+const AM = applyRoles({ type: 'hq', email: 'am@x.id', role: 'AM', accessibleOutlets: ['JKJSTT1'] }, REGISTRY);
+const OUTLET = applyRoles({ type: 'outlet', username: 'JKJSTT1', role: 'OUTLET' }, REGISTRY);
+
+function document(outlet) {
+    return { outlets: { JKJSTT1: outlet } };
+}
+
+function stored() {
+    return {
+        performanceData: { baseline: { revenue: 41194983, trano: 476 }, term1: { revenue: 0, trano: 0 } },
+        okr: { objective: 'Grow', krProgress: { kr1: { likes: {}, comments: {} } } }
+    };
+}
+
+// The check both backends run on a write, here for a merge patch of JKJSTT1
+function patchAs(user, patch, outlet = stored()) {
+    const result = applyOutletPatch(outlet, patch, MERGE_PATCH_TYPE);
+    assert.equal(result.status, 200);
+    return checkChangePermissions(auditEvents(document(outlet), document(result.outlet), user), user);
+}
+
+test('the baseline cannot be changed without edit_baseline', () => {
+    const refused = patchAs(AM, { performanceData: { baseline: { revenue: 1, trano: 1 } } });
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.error, 'Permission required: edit_baseline');
+    assert.equal(patchAs(OUTLET, { performanceData: { baseline: { revenue: 1, trano: 1 } } }), null);
+    assert.equal(patchAs(AM, { performanceData: { term1: { revenue: 5, trano: 1 } } }), null);
+});
+
+test('a baseline inside a whole new performanceData or outlet counts as a change', () => {
+    const withoutData = { okr: stored().okr };
+    assert.equal(patchAs(AM, { performanceData: { baseline: { revenue: 1, trano: 1 } } }, withoutData).status, 403);
+
+    const created = outlet => checkChangePermissions(auditEvents({ outlets: {} }, document(outlet), AM), AM);
+    assert.equal(created({ performanceData: { baseline: { revenue: 0, trano: 0 } } }), null);
+    assert.equal(created({ performanceData: { baseline: { revenue: 9, trano: 0 } } }).status, 403);
+});
+
+test('comments, likes and OKR edits need their permissions', () => {
+    const viewer = { ...OUTLET, permissions: ['manage_okrs'] };
+    assert.equal(patchAs(viewer, { okr: { krProgress: { kr1: { comments: { action_0: ['Done'] } } } } }).body.error, 'Permission required: comment');
+    assert.equal(patchAs(viewer, { okr: { krProgress: { kr1: { likes: { action_0: true } } } } }).body.error, 'Permission required: like');
+    assert.equal(patchAs(viewer, { okr: { objective: 'Shrink' } }).body.error, 'Permission required: edit_okr');
+    const withoutOkr = { performanceData: stored().performanceData };
+    assert.equal(patchAs(OUTLET, { okr: { objective: 'Grow' } }, withoutOkr).body.error, 'Permission required: assign_okr');
+    assert.equal(patchAs(OUTLET, { okr: { objective: 'Shrink' } }), null);
+});
@@ -0,0 +1,235 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const { createPhoenixStore } = require('../phoenix-store.js');
+const { runPhoenixStoreContract } = require('../phoenix-store-contract.js');
+const { checkDocumentWrite, checkOutletWrite, commitRevision } = require('../src/lib/revisions.js');
+const { applyOutletPatch } = require('../src/lib/outlet-patch.js');
+
+const POLL_INTERVAL = 50;
+const ADMIN = { type: 'hq', email: 'admin@x.id', accessibleOutlets: 'ALL' };
+const silent = { log() {}, warn() {}, error() {} };
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+/**
+ * fetch for the Live Backend API routes the store uses, answering like api-server.js
+ * from one in-memory document with the same revision and patch rules
+ */
+function mockApiServer() {
+    let data = { outlets: {}, removedOutlets: {}, revision: 0 };
+    const versions = [];
+
+    function commit(next) {
+        const result = commitRevision(data, next);
+        data = next;
+        versions.unshift({ id: `r${result.revision}`, message: `Revision ${result.revision}`, createdAt: new Date().toISOString() });
+        return result;
+    }
+
+    function route(method, pathname, headers, body) {
+        if (method === 'GET' && pathname === '/api/status') {
+            return { status: 200, body: { success: true, data: { status: 'online' } } };
+        }
+        if (method === 'GET' && pathname === '/api/phoenix-data') {
+            return { status: 200, body: { success: true, data, revision: data.revision } };
+        }
+        if (method === 'POST' && pathname === '/api/phoenix-data') {
+            const conflict = checkDocumentWrite(headers['If-Match'], data, ADMIN);
+            if (conflict) return conflict;
+            const { revision, changedOutlets } = commit(JSON.parse(JSON.stringify(body.data)));
+            return { status: 200, body: { success: true, revision, changedOutlets } };
+        }
+        if (method === 'GET' && pathname === '/api/backups') {
+            return { status: 200, body: { success: true, backups: [], versions } };
+        }
+        const outletCode = method === 'PATCH' && (pathname.match(/^\/api\/outlet\/([^/]+)$/) || [])[1];
+        if (outletCode) {
+            const conflict = checkOutletWrite(headers['If-Match'], data, outletCode);
+            if (conflict) return conflict;
+            if (!data.outlets[outletCode]) {
+                return { status: 404, body: { success: false, error: 'Outlet not found' } };
+            }
+            const outcome = applyOutletPatch(data.outlets[outletCode], body, headers['Content-Type']);
+            if (outcome.status !== 200) return outcome;
+            const { revision } = commit({ ...data, outlets: { ...data.outlets, [outletCode]: outcome.outlet } });
+            return { status: 200, body: { success: true, revision, data: data.outlets[outletCode] } };
+        }
+        return { status: 404, body: { success: false, error: 'Not found' } };
+    }
+
+    return async (url, options = {}) => {
+        const { status, body } = route(options.method || 'GET', new URL(url).pathname, options.headers || {},
+            options.body ? JSON.parse(options.body) : null);
+        return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+    };
+}
+
+/**
+ * fetch for the GitHub contents API the github store uses, keeping one file with a sha
+ * per version. beforeNextWrite lets another client write between a store's read and write.
+ */
+function mockGitHub() {
+    const commits = [];
+    let file = null; // { content, sha }
+    let shas = 0;
+    const github = { beforeNextWrite: null, conflicts: 0 };
+
+    function reply(status, body) {
+        return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+    }
+
+    github.fetch = async (url, options = {}) => {
+        const { pathname } = new URL(url);
+        const method = options.method || 'GET';
+        if (method === 'GET' && pathname === '/repos/alpro/phoenix-data/contents/phoenix-data.json') {
+            return file ? reply(200, { ...file, encoding: 'base64' }) : reply(404, { message: 'Not Found' });
+        }
+        if (method === 'PUT' && pathname === '/repos/alpro/phoenix-data/contents/phoenix-data.json') {
+            if (github.beforeNextWrite) {
+                const write = github.beforeNextWrite;
+                github.beforeNextWrite = null;
+                await write();
+            }
+            const body = JSON.parse(options.body);
+            if (file && body.sha !== file.sha) {
+                github.conflicts++;
+                return body.sha
+                    ? reply(409, { message: `phoenix-data.json does not match ${body.sha}` })
+                    : reply(422, { message: 'Invalid request.\n\n"sha" wasn\'t supplied.' });
+            }
+            file = { content: body.content, sha: `sha${++shas}` };
+            commits.unshift({ sha: `commit${shas}`, commit: { message: body.message, committer: { date: new Date().toISOString() } } });
+            return reply(file.sha === 'sha1' ? 201 : 200, { content: { sha: file.sha }, commit: commits[0] });
+        }
+        if (method === 'GET' && pathname === '/repos/alpro/phoenix-data/commits') {
+            return reply(200, commits.slice(0, Number(new URL(url).searchParams.get('per_page'))));
+        }
+        return reply(404, { message: 'Not Found' });
+    };
+    return github;
+}
+
+// Run with the global fetch the github store calls replaced by a mock
+async function withFetch(fetch, run) {
+    const original = globalThis.fetch;
+    globalThis.fetch = fetch;
+    try {
+        return await run();
+    } finally {
+        globalThis.fetch = original;
+    }
+}
+
+function githubStore() {
+    return createPhoenixStore('github', { repo: 'alpro/phoenix-data', branch: 'main', token: 'test', pollInterval: POLL_INTERVAL });
+}
+
+// A LiveBackendAPI client loaded the way the dashboard loads it, with its own browser storage
+function liveBackendClient(fetch) {
+    const context = vm.createContext({
+        console: silent,
+        fetch,
+        setInterval: () => 0,
+        localStorage: memoryStorage(),
+        sessionStorage: memoryStorage()
+    });
+    context.window = context;
+    context.addEventListener = () => {};
+    ['config.js', 'live-backend-api.js'].forEach(script => {
+        const file = path.join(__dirname, '..', script);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+    return context.liveBackendAPI;
+}
+
+async function assertContract(createStore) {
+    const { results } = await runPhoenixStoreContract(createStore, () => {});
+    assert.deepEqual(results.filter(result => !result.ok), []);
+}
+
+test('the local store passes the contract', async () => {
+    const storage = memoryStorage();
+    await assertContract(() => createPhoenixStore('local', { key: 'phoenix-store-contract', storage, pollInterval: POLL_INTERVAL }));
+});
+
+test('the live-api store passes the contract', async () => {
+    const fetch = mockApiServer();
+    await assertContract(() => createPhoenixStore('live-api', { api: liveBackendClient(fetch), pollInterval: POLL_INTERVAL }));
+});
+
+test('live-api saves and patches reach the server one at a time', async () => {
+    const server = mockApiServer();
+    let writing = 0;
+    let mostAtOnce = 0;
+    // Writes take a moment on the server, so unqueued ones would overlap
+    const fetch = async (url, options = {}) => {
+        if (!options.method || options.method === 'GET') return server(url, options);
+        mostAtOnce = Math.max(mostAtOnce, ++writing);
+        try {
+            await new Promise(resolve => setTimeout(resolve, 10));
+            return await server(url, options);
+        } finally {
+            writing--;
+        }
+    };
+    const store = createPhoenixStore('live-api', { api: liveBackendClient(fetch), pollInterval: POLL_INTERVAL });
+    const data = await store.load();
+    data.outlets.ZZQUEUE = { name: 'Queued outlet' };
+    await store.save(data);
+
+    data.outlets.ZZQUEUE.name = 'Saved name';
+    await Promise.all([store.save(data), store.patch('ZZQUEUE', { am: 'Patched AM' })]);
+    assert.equal(mostAtOnce, 1);
+    const stored = (await store.load()).outlets.ZZQUEUE;
+    assert.equal(stored.name, 'Saved name');
+    assert.equal(stored.am, 'Patched AM');
+});
+
+test('the github store passes the contract', async () => {
+    await withFetch(mockGitHub().fetch, () => assertContract(githubStore));
+});
+
+test('a github write whose sha went stale is made again on the newer file', async () => {
+    const github = mockGitHub();
+    await withFetch(github.fetch, async () => {
+        const store = githubStore();
+        const other = githubStore();
+
+        // The file is created by another client between this store's read and write (422)
+        const data = await store.load();
+        data.outlets.ZZMINE = { name: 'Mine' };
+        github.beforeNextWrite = async () => {
+            const theirs = await other.load();
+            theirs.outlets.ZZTHEIRS = { name: 'Theirs' };
+            await other.save(theirs);
+        };
+        const created = await store.save(data);
+
+        // Another client saves between this store's read and write (409)
+        data.outlets.ZZMINE.name = 'Mine again';
+        github.beforeNextWrite = async () => {
+            const theirs = await other.load();
+            theirs.outlets.ZZTHEIRS.name = 'Theirs again';
+            await other.save(theirs);
+        };
+        const updated = await store.save(data);
+
+        assert.equal(github.conflicts, 2);
+        assert.deepEqual([created.overwritten, updated.overwritten], [[], []]);
+        const stored = await githubStore().load();
+        assert.equal(stored.outlets.ZZMINE.name, 'Mine again');
+        assert.equal(stored.outlets.ZZTHEIRS.name, 'Theirs again');
+        assert.equal(stored.revision, updated.revision);
+    });
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { applyRoles, buildRoleRegistry, createRole, updateRole } = require('../src/lib/roles.js');
+
+function memoryRoleStore(roles) {
+    const stored = new Map(roles.map(role => [role.id, role]));
+    return {
+        async list() { return [...stored.values()]; },
+        async get(id) { return stored.get(id) || null; },
+        async upsert(role) { stored.set(role.id, role); }
+    };
+}
+
+async function setup() {
+    const roleStore = memoryRoleStore([
+        { id: 'ROLE_ADMIN', name: 'Role admin', description: '', permissions: ['manage_roles', 'view_audit'] }
+    ]);
+    const registry = buildRoleRegistry(await roleStore.list());
+    const as = role => applyRoles({ type: 'hq', email: 'ra@x.id', role, accessibleOutlets: [] }, registry);
+    return { roleStore, roleAdmin: as('ROLE_ADMIN'), admin: as('ADMIN') };
+}
+
+test('a manage_roles holder cannot grant their own role more', async () => {
+    const { roleStore, roleAdmin } = await setup();
+    const everything = await updateRole('ROLE_ADMIN', { permissions: ['*'] }, roleStore, roleAdmin);
+    assert.equal(everything.status, 403);
+    assert.match(everything.body.error, /delete_outlet/);
+    assert.equal((await updateRole('AM', { permissions: ['manage_roles', 'restore_backup'] }, roleStore, roleAdmin)).body.error,
+        'You cannot grant permissions you do not hold: restore_backup');
+    assert.deepEqual((await roleStore.get('ROLE_ADMIN')).permissions, ['manage_roles', 'view_audit']);
+});
+
+test('permissions the caller holds, or the role already has, can be set', async () => {
+    const { roleStore, roleAdmin } = await setup();
+    assert.equal((await updateRole('ROLE_ADMIN', { permissions: ['manage_roles'] }, roleStore, roleAdmin)).status, 200);
+    assert.equal((await updateRole('AM', { name: 'Area manager', permissions: ['add_outlet', 'view_audit'] }, roleStore, roleAdmin)).status, 200);
+    assert.equal((await updateRole('AM', { name: 'Area Manager' }, roleStore, roleAdmin)).status, 200);
+});
+
+test('new roles only get permissions the caller holds', async () => {
+    const { roleStore, roleAdmin, admin } = await setup();
+    assert.equal((await createRole({ name: 'Auditor', permissions: ['view_audit'] }, roleStore, roleAdmin)).status, 201);
+    assert.equal((await createRole({ name: 'Deleter', permissions: ['delete_outlet'] }, roleStore, roleAdmin)).status, 403);
+    assert.equal((await createRole({ name: 'Deleter', permissions: ['delete_outlet'] }, roleStore, admin)).status, 201);
+});
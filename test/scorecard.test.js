@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateActionCompletion, tierForScheme, calculateScorecard } = require('../src/lib/scorecard.js');
+const { resolvePeriod } = require('../src/lib/periods.js');
+const { defaultScheme } = require('../src/lib/reward-schemes.js');
+
+// September 2026: 30 days, terms of 10 days each
+const period = resolvePeriod({}, '2026-09');
+
+function outletWith(salesTargets, okr = {}) {
+    return { name: 'Test outlet', salesTargets, okr };
+}
+
+function tranoScheme() {
+    return {
+        ...defaultScheme(),
+        id: 'trano-push',
+        name: 'Trano push',
+        basis: 'trano',
+        tiers: [
+            { tier: 1, name: 'Bronze', medal: '🥉', threshold: 0.8, rewardPercent: 1 },
+            { tier: 2, name: 'Silver', medal: '🥈', threshold: 1.0, rewardPercent: 2 }
+        ],
+        version: 1,
+        builtIn: false
+    };
+}
+
+test('zero targets leave the outlet not qualified with no next tier', () => {
+    const scorecard = calculateScorecard(outletWith({ monthlyTarget: 0 }), { term1: { revenue: 5000000, trano: 100 } }, period);
+    assert.equal(scorecard.tier.tier, 0);
+    assert.equal(scorecard.nextTier, null);
+    assert.equal(scorecard.reward.amount, 0);
+    assert.equal(scorecard.revenue.target, null);
+    assert.equal(scorecard.revenue.percent, null);
+});
+
+test('a missing target counts as zero', () => {
+    const scorecard = calculateScorecard({ name: 'No targets' }, {}, period);
+    assert.equal(scorecard.tier.tier, 0);
+    assert.equal(scorecard.nextTier, null);
+});
+
+test('a tier is reached exactly at its threshold and not one below', () => {
+    const scheme = defaultScheme();
+    const targets = { revenue: 1000000, trano: 0 };
+    assert.equal(tierForScheme(scheme, { revenue: 800000, trano: 0 }, targets).tier, 1);
+    assert.equal(tierForScheme(scheme, { revenue: 799999, trano: 0 }, targets).tier, 0);
+    assert.equal(tierForScheme(scheme, { revenue: 900000, trano: 0 }, targets).tier, 2);
+    assert.equal(tierForScheme(scheme, { revenue: 999999, trano: 0 }, targets).tier, 2);
+    assert.equal(tierForScheme(scheme, { revenue: 1000000, trano: 0 }, targets).tier, 3);
+});
+
+test('the next tier reports what is still missing', () => {
+    const scorecard = calculateScorecard(outletWith({ monthlyTarget: 1000000 }), { term1: { revenue: 850000, trano: 40 } }, period);
+    assert.equal(scorecard.tier.tier, 1);
+    assert.equal(scorecard.reward.amount, Math.round(850000 * 1.35 / 100));
+    assert.deepEqual(
+        { tier: scorecard.nextTier.tier, targetAmount: scorecard.nextTier.targetAmount, remaining: scorecard.nextTier.remaining },
+        { tier: 2, targetAmount: 900000, remaining: 50000 }
+    );
+    assert.equal(scorecard.nextTier.remainingTrano, null);
+});
+
+test('the top tier has no next tier', () => {
+    const scorecard = calculateScorecard(outletWith({ monthlyTarget: 1000000 }), { term1: { revenue: 1200000, trano: 40 } }, period);
+    assert.equal(scorecard.tier.tier, 3);
+    assert.equal(scorecard.nextTier, null);
+});
+
+test('a trano-basis scheme uses the trano target and ignores revenue', () => {
+    const outlet = outletWith({ monthlyTarget: 1000000, monthlyTranoTarget: 500 });
+    const scorecard = calculateScorecard(outlet, { term1: { revenue: 10, trano: 400 } }, period, tranoScheme());
+    assert.equal(scorecard.scheme.basis, 'trano');
+    assert.equal(scorecard.tier.tier, 1);
+    assert.equal(scorecard.tier.targetAmount, null);
+    assert.equal(scorecard.tier.targetTrano, 400);
+    assert.equal(scorecard.nextTier.remainingTrano, 100);
+    assert.equal(scorecard.nextTier.remaining, null);
+    assert.equal(scorecard.reward.amount, 0);
+});
+
+test('a trano-basis scheme without a trano target does not qualify', () => {
+    const outlet = outletWith({ monthlyTarget: 1000000 });
+    const scorecard = calculateScorecard(outlet, { term1: { revenue: 2000000, trano: 900 } }, period, tranoScheme());
+    assert.equal(scorecard.tier.tier, 0);
+    assert.equal(scorecard.nextTier, null);
+});
+
+test('action completion is 0 without actions', () => {
+    assert.deepEqual(calculateActionCompletion({}), { completed: 0, total: 0, percent: 0, keyResults: {} });
+    assert.deepEqual(calculateActionCompletion(outletWith({}, { actionPlans: { kr1: [] } })), {
+        completed: 0, total: 0, percent: 0, keyResults: { kr1: { completed: 0, total: 0, percent: 0 } }
+    });
+});
+
+test('action completion ignores indexes past the end of the plan', () => {
+    const outlet = outletWith({}, {
+        actionPlans: { kr1: ['a', 'b'], kr2: ['c', 'd'] },
+        krProgress: { kr1: { completedActions: [0, 5] }, kr2: { completedActions: ['1'] } }
+    });
+    assert.deepEqual(calculateActionCompletion(outlet), {
+        completed: 2,
+        total: 4,
+        percent: 50,
+        keyResults: { kr1: { completed: 1, total: 2, percent: 50 }, kr2: { completed: 1, total: 2, percent: 50 } }
+    });
+});
+
+test('a partial period measures later terms on the values so far', () => {
+    const values = { baseline: { revenue: 3000, trano: 300 }, term1: { revenue: 1000, trano: 100 }, term2: null, term3: null };
+    const { progress } = calculateScorecard(outletWith({ monthlyTarget: 3000 }), values, period);
+    assert.equal(progress.term1.percent, 100);
+    assert.equal(progress.term2.percent, 50);
+    assert.deepEqual(
+        { revenue: progress.term3.revenue, expectedRevenue: progress.term3.expectedRevenue, percent: progress.term3.percent },
+        { revenue: 1000, expectedRevenue: 3000, percent: 33 }
+    );
+});
+
+test('progress is null without a baseline', () => {
+    const { progress } = calculateScorecard(outletWith({ monthlyTarget: 3000 }), { term1: { revenue: 1000, trano: 100 } }, period);
+    assert.deepEqual(progress, { term1: null, term2: null, term3: null });
+});